@@ -0,0 +1,43 @@
+// Recompute every campaign's donatedAmount from its donations and report the differences.
+// Usage: node scripts/reconcile-donations.js [--fix]
+require("dotenv").config();
+const { MongoClient, ServerApiVersion } = require("mongodb");
+const loadConfig = require("../src/config");
+const createServices = require("../src/services");
+
+const fix = process.argv.includes("--fix");
+const config = loadConfig();
+
+async function main() {
+  const client = new MongoClient(config.mongoUri, {
+    serverApi: { version: ServerApiVersion.v1, strict: false, deprecationErrors: true },
+  });
+  await client.connect();
+
+  try {
+    const services = createServices(client.db(config.dbName), config);
+    const report = await services.donations.reconcile({ fix });
+
+    console.log(`Checked ${report.checked} campaign(s)`);
+    for (const m of report.mismatches) {
+      const status = fix ? (m.fixed ? " (fixed)" : " (changed meanwhile, run again)") : "";
+      console.log(`${m.campaignId} ${m.petName}: recorded ${m.recorded}, donations add up to ${m.expected}${status}`);
+    }
+    if (report.duplicateTransactionIds.length) {
+      console.log(`Transaction ids recorded more than once: ${report.duplicateTransactionIds.join(", ")}`);
+    }
+    if (!fix && report.mismatches.length) {
+      console.log("Run with --fix to overwrite the recorded totals");
+    }
+
+    const unresolved = report.mismatches.filter(m => !m.fixed);
+    process.exitCode = unresolved.length || report.duplicateTransactionIds.length ? 1 : 0;
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(error => {
+  console.error("Reconciliation failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+// Sign a fixture event with STRIPE_WEBHOOK_SECRET and deliver it to the local webhook route.
+// Usage: node scripts/send-stripe-event.js payment_intent.succeeded [campaignId] [donorEmail]
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const Stripe = require("stripe");
+
+const [type, campaignId, donorEmail] = process.argv.slice(2);
+
+if (!type) {
+  console.error("Usage: node scripts/send-stripe-event.js <event type> [campaignId] [donorEmail]");
+  process.exit(1);
+}
+
+const fixturePath = path.join(__dirname, "..", "fixtures", "stripe", `${type}.json`);
+if (!fs.existsSync(fixturePath)) {
+  console.error(`No fixture found for ${type}`);
+  process.exit(1);
+}
+
+const event = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+const object = event.data.object;
+
+if (object.metadata) {
+  if (campaignId) object.metadata.donationId = campaignId;
+  if (donorEmail) object.metadata.donorEmail = donorEmail;
+}
+
+const payload = JSON.stringify(event);
+const header = Stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+
+const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/stripe/webhook`;
+
+fetch(url, {
+  method: "POST",
+  headers: { "Content-Type": "application/json", "Stripe-Signature": header },
+  body: payload,
+})
+  .then(async res => {
+    console.log(res.status, await res.text());
+  })
+  .catch(err => {
+    console.error("Failed to deliver event:", err.message);
+    process.exit(1);
+  });
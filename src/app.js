@@ -0,0 +1,96 @@
+const express = require("express");
+const cors = require("cors");
+const createServices = require("./services");
+const createAuth = require("./middleware/auth");
+const createPolicies = require("./middleware/policies");
+const createUsersRouter = require("./routes/users");
+const createAuthRouter = require("./routes/auth");
+const createPetsRouter = require("./routes/pets");
+const createAdoptionsRouter = require("./routes/adoptions");
+const createCampaignsRouter = require("./routes/campaigns");
+const createDonationsRouter = require("./routes/donations");
+const createPledgesRouter = require("./routes/pledges");
+const createDashboardRouter = require("./routes/dashboard");
+const createAuditRouter = require("./routes/audit");
+const createTrashRouter = require("./routes/trash");
+const createNotificationsRouter = require("./routes/notifications");
+const createConversationsRouter = require("./routes/conversations");
+const createEmailRouter = require("./routes/email");
+const createModerationRouter = require("./routes/moderation");
+const createUploads = require("./middleware/uploads");
+const createIdempotency = require("./middleware/idempotency");
+const { createMailer } = require("./mailer");
+const { createLocalStorage } = require("./storage");
+const { createRealtimeHub } = require("./realtime");
+
+// Build the Express app around an already-created db handle, Stripe client, mailer, file storage
+// and realtime hub. Nothing here connects or listens, so tests can hand in an in-memory database and fakes.
+function createApp({
+  db,
+  stripe,
+  config,
+  mailer = createMailer(config.mail),
+  storage = createLocalStorage(config.uploads),
+  realtime = createRealtimeHub(),
+}) {
+  const app = express();
+
+  const services = createServices(db, config, { storage, stripe, mailer, realtime });
+  // Exposed so index.js can run background jobs against the same services
+  app.locals.services = services;
+  const auth = createAuth({ services, config });
+  const policies = createPolicies({ services });
+  const uploads = createUploads(config.uploads);
+  const idempotency = createIdempotency({ services });
+  const deps = { services, auth, policies, uploads, idempotency, stripe, config, mailer, realtime };
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json({
+    // Keep the raw payload around so Stripe webhook signatures can be verified
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }));
+
+  // Uploaded images, when the storage serves them through the app (local disk)
+  if (storage.mountPath && storage.handler) {
+    app.use(storage.mountPath, storage.handler);
+  }
+
+  app.use(createUsersRouter(deps));
+  app.use(createAuthRouter(deps));
+  app.use(createPetsRouter(deps));
+  app.use(createAdoptionsRouter(deps));
+  app.use(createCampaignsRouter(deps));
+  app.use(createDonationsRouter(deps));
+  app.use(createPledgesRouter(deps));
+  app.use(createDashboardRouter(deps));
+  app.use(createAuditRouter(deps));
+  app.use(createTrashRouter(deps));
+  app.use(createNotificationsRouter(deps));
+  app.use(createConversationsRouter(deps));
+  app.use(createEmailRouter(deps));
+  app.use(createModerationRouter(deps));
+
+  app.use((req, res) => {
+    res.status(404).send({ error: "Not found" });
+  });
+
+  app.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+      return res.status(400).send({ error: "Invalid JSON body" });
+    }
+
+    if (err.status && err.status < 500) {
+      return res.status(err.status).send({ error: err.message });
+    }
+
+    console.error("Unhandled error:", err);
+    res.status(500).send({ error: "Internal Server Error" });
+  });
+
+  return app;
+}
+
+module.exports = createApp;
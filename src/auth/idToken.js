@@ -0,0 +1,25 @@
+const jwt = require("jsonwebtoken");
+
+// Verify an identity-provider ID token (e.g. Firebase) against locally configured public keys.
+// Keys are a { kid: PEM } map; the token's kid header picks the key. Resolves to the verified email.
+function verifyIdToken(idToken, { publicKeys = {}, issuer, audience } = {}) {
+  return new Promise((resolve, reject) => {
+    const getKey = (header, callback) => {
+      const key = publicKeys[header.kid];
+      if (!key) return callback(new Error("Unknown signing key"));
+      callback(null, key);
+    };
+
+    jwt.verify(idToken, getKey, { algorithms: ["RS256"], issuer, audience }, (err, decoded) => {
+      if (err) return reject(err);
+
+      if (!decoded.email || decoded.email_verified !== true) {
+        return reject(new Error("ID token has no verified email"));
+      }
+
+      resolve(decoded.email.toLowerCase());
+    });
+  });
+}
+
+module.exports = { verifyIdToken };
@@ -0,0 +1,10 @@
+const jwt = require("jsonwebtoken");
+
+// Short-lived access token bound to a server-side session (sid)
+function signAccessToken({ email, sessionId }, config) {
+  return jwt.sign({ email, sid: sessionId.toString() }, config.jwtSecret, {
+    expiresIn: config.auth?.accessTokenTtl || "15m",
+  });
+}
+
+module.exports = { signAccessToken };
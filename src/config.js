@@ -0,0 +1,101 @@
+const fs = require("fs");
+
+// { kid: PEM } map from ID_TOKEN_PUBLIC_KEYS (JSON) or the file named by ID_TOKEN_PUBLIC_KEYS_FILE
+function loadPublicKeys(env) {
+  if (env.ID_TOKEN_PUBLIC_KEYS) return JSON.parse(env.ID_TOKEN_PUBLIC_KEYS);
+  if (env.ID_TOKEN_PUBLIC_KEYS_FILE) return JSON.parse(fs.readFileSync(env.ID_TOKEN_PUBLIC_KEYS_FILE, "utf8"));
+  return {};
+}
+
+// { code: rate } exchange-rate table from EXCHANGE_RATES (JSON) or the file named by EXCHANGE_RATES_FILE
+function loadExchangeRates(env) {
+  if (env.EXCHANGE_RATES) return JSON.parse(env.EXCHANGE_RATES);
+  if (env.EXCHANGE_RATES_FILE) return JSON.parse(fs.readFileSync(env.EXCHANGE_RATES_FILE, "utf8"));
+  return { usd: 1 };
+}
+
+// Runtime configuration, read once from the environment
+function loadConfig(env = process.env) {
+  return {
+    port: env.PORT || 5000,
+    mongoUri: env.MONGO_URI,
+    dbName: env.DB_NAME || "pethaven",
+    // Frontend base URL, used for links in emails
+    appUrl: env.APP_URL || "http://localhost:5173",
+    // Where this API is reachable from outside, for links that must hit the server (unsubscribe)
+    apiUrl: env.API_URL || `http://localhost:${env.PORT || 5000}`,
+    jwtSecret: env.JWT_SECRET,
+    auth: {
+      accessTokenTtl: env.ACCESS_TOKEN_TTL || "15m",
+      refreshTokenTtlDays: Number(env.REFRESH_TOKEN_TTL_DAYS) || 30,
+      // Identity-provider ID tokens (e.g. Firebase) are checked against these keys, never fetched remotely
+      idToken: {
+        issuer: env.ID_TOKEN_ISSUER,
+        audience: env.ID_TOKEN_AUDIENCE,
+        publicKeys: loadPublicKeys(env),
+      },
+    },
+    uploads: {
+      // Local-disk storage: files are written to UPLOAD_DIR and served under UPLOAD_BASE_URL,
+      // which may also be an absolute URL when a CDN or proxy serves the directory
+      dir: env.UPLOAD_DIR || "uploads",
+      baseUrl: env.UPLOAD_BASE_URL || "/uploads",
+      maxFileSizeMb: Number(env.UPLOAD_MAX_FILE_SIZE_MB) || 8,
+      maxPhotosPerPet: Number(env.UPLOAD_MAX_PHOTOS_PER_PET) || 10,
+    },
+    trash: {
+      // Deleted pets and campaigns can be restored for this long, then they are purged
+      retentionDays: Number(env.TRASH_RETENTION_DAYS) || 30,
+      purgeIntervalHours: Number(env.TRASH_PURGE_INTERVAL_HOURS) || 24,
+    },
+    campaigns: {
+      // How often deadlines are checked to expire campaigns
+      statusIntervalMinutes: Number(env.CAMPAIGN_STATUS_INTERVAL_MINUTES) || 15,
+    },
+    moderation: {
+      // Open reports that hide a pet or campaign until a moderator has looked at it
+      reportThreshold: Number(env.MODERATION_REPORT_THRESHOLD) || 3,
+    },
+    realtime: {
+      // Open notification streams get a keep-alive this often and end once their session has
+      heartbeatSeconds: Number(env.REALTIME_HEARTBEAT_SECONDS) || 25,
+    },
+    // Campaigns are run in the default currency unless they pick another supported one.
+    // Every rate quotes the same reference currency, and only currencies in the table are supported.
+    currencies: {
+      default: (env.DEFAULT_CURRENCY || "usd").toLowerCase(),
+      rates: loadExchangeRates(env),
+    },
+    mail: {
+      // smtp, file (one .eml per message in MAIL_DIR) or console (log only)
+      transport: env.MAIL_TRANSPORT || "console",
+      from: env.MAIL_FROM || "Pet Haven <no-reply@pethaven.local>",
+      file: { dir: env.MAIL_DIR || "mail" },
+      smtp: {
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        // true for implicit TLS (port 465); 587 upgrades with STARTTLS
+        secure: env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        password: env.SMTP_PASSWORD,
+      },
+      // How often the outbound queue is worked through
+      queueIntervalSeconds: Number(env.MAIL_QUEUE_INTERVAL_SECONDS) || 10,
+    },
+    // Shown at the top of donation receipts and giving statements
+    receipts: {
+      issuer: env.RECEIPT_ISSUER || "PetHaven",
+      taxId: env.RECEIPT_TAX_ID,
+    },
+    stripe: {
+      secretKey: env.STRIPE_SECRET_KEY,
+      webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+      // Point the Stripe client at a local stand-in such as stripe-mock
+      host: env.STRIPE_HOST,
+      port: env.STRIPE_PORT,
+      protocol: env.STRIPE_PROTOCOL,
+    },
+  };
+}
+
+module.exports = loadConfig;
@@ -0,0 +1,20 @@
+// Build RFC 4180 CSV from rows and [{ header, value(row) }] columns.
+// Text cells starting with = + - @ get a leading ' so spreadsheets don't run them as formulas.
+function toCsv(columns, rows) {
+  const cell = value => {
+    if (value === null || value === undefined) return "";
+    if (value instanceof Date) return value.toISOString();
+
+    let text = String(value);
+    if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(c => cell(c.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map(c => cell(c.value(row))).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,70 @@
+const { HttpError } = require("./errors");
+
+// Currencies Stripe charges without minor units, and those with three decimals
+// (Stripe only takes three-decimal amounts in steps of 10 minor units)
+const ZERO_DECIMAL = ["bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga", "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf"];
+const THREE_DECIMAL = ["bhd", "jod", "kwd", "omr", "tnd"];
+
+function decimals(currency) {
+  if (ZERO_DECIMAL.includes(currency)) return 0;
+  if (THREE_DECIMAL.includes(currency)) return 3;
+  return 2;
+}
+
+function roundTo(amount, currency) {
+  const factor = 10 ** decimals(currency);
+  return Math.round(amount * factor) / factor;
+}
+
+// Amount as Stripe expects it: an integer count of the currency's minor unit
+function toMinorUnits(amount, currency) {
+  const step = THREE_DECIMAL.includes(currency) ? 10 : 1;
+  return Math.round((amount * 10 ** decimals(currency)) / step) * step;
+}
+
+function fromMinorUnits(minor, currency) {
+  return roundTo(minor / 10 ** decimals(currency), currency);
+}
+
+// Conversions between the supported currencies, from a local table of rates that all
+// quote the same reference (e.g. { usd: 1, eur: 0.92, jpy: 151 }). Only listed currencies are supported.
+function createCurrencies({ default: defaultCurrency = "usd", rates = { usd: 1 } } = {}) {
+  const table = Object.fromEntries(Object.entries(rates).map(([code, rate]) => [code.toLowerCase(), Number(rate)]));
+
+  function assertSupported(currency) {
+    if (!table[currency]) {
+      throw new HttpError(400, `Unsupported currency ${currency}; use one of ${Object.keys(table).join(", ")}`);
+    }
+  }
+
+  return {
+    default: defaultCurrency,
+    supported: Object.keys(table),
+    decimals,
+    toMinorUnits,
+    fromMinorUnits,
+    roundTo,
+    assertSupported,
+
+    // Reject amounts the currency can't represent, like 10.5 JPY
+    assertAmount(amount, currency) {
+      assertSupported(currency);
+      if (Math.abs(toMinorUnits(amount, currency) - amount * 10 ** decimals(currency)) > 1e-6) {
+        const places = THREE_DECIMAL.includes(currency) ? 2 : decimals(currency);
+        throw new HttpError(400, `${currency.toUpperCase()} amounts can have at most ${places} decimal places`);
+      }
+    },
+
+    // { amount, rate } with amount in `to`, rounded to its minor unit
+    convert(amount, from, to) {
+      if (from === to) return { amount: roundTo(amount, to), rate: 1 };
+      assertSupported(from);
+      assertSupported(to);
+
+      const rate = table[to] / table[from];
+      return { amount: roundTo(amount * rate, to), rate };
+    },
+  };
+}
+
+module.exports = { createCurrencies, decimals, roundTo, toMinorUnits, fromMinorUnits };
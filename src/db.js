@@ -0,0 +1,111 @@
+const { applyCollectionValidators } = require("./schemas");
+
+// One-off database setup run at startup: schema validators, indexes and backfills
+async function prepareDatabase(db) {
+  await applyCollectionValidators(db);
+
+  const sessions = db.collection("sessions");
+  await sessions.createIndex({ refreshTokenHash: 1 }, { unique: true });
+  await sessions.createIndex({ email: 1 });
+  // Drop sessions once their refresh token can no longer be used
+  await sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // Pet listings: the common filter/sort combinations, the full-text index behind ?q=
+  // and the 2dsphere index behind /pets/nearby
+  const pets = db.collection("pets");
+  await pets.createIndex({ adopted: 1, date: -1 });
+  await pets.createIndex({ ownerEmail: 1, date: -1 });
+  await pets.createIndex({ category: 1, adopted: 1, date: -1 });
+  await pets.createIndex({ geo: "2dsphere" });
+  await pets.createIndex(
+    { name: "text", breed: "text", shortDescription: "text", longDescription: "text" },
+    { name: "pets_text", weights: { name: 10, breed: 5, shortDescription: 2, longDescription: 1 } }
+  );
+
+  // Campaigns from before lifecycle statuses; the status job expires or completes them as needed
+  const campaigns = db.collection("donationCampaigns");
+  await campaigns.updateMany({ status: { $exists: false }, paused: true }, { $set: { status: "paused" } });
+  await campaigns.updateMany({ status: { $exists: false } }, { $set: { status: "active", paused: false } });
+  // Everything before multi-currency support was in USD
+  await campaigns.updateMany({ currency: { $exists: false } }, { $set: { currency: "usd" } });
+  await campaigns.createIndex({ status: 1, date: -1 });
+  await campaigns.createIndex({ status: 1, lastDate: 1 });
+
+  // Trash listing and purge
+  for (const name of ["pets", "donationCampaigns"]) {
+    await db.collection(name).createIndex(
+      { deletedAt: 1 },
+      { partialFilterExpression: { deletedAt: { $type: "date" } } }
+    );
+    // Moderation queue
+    await db.collection(name).createIndex({ moderationStatus: 1, date: 1 });
+  }
+
+  // One record per PaymentIntent, whatever Stripe redelivers
+  const donations = db.collection("donations");
+  await donations.updateMany({ currency: { $exists: false } }, [
+    {
+      $set: {
+        currency: "usd",
+        originalAmount: "$amount",
+        originalCurrency: "usd",
+        exchangeRate: 1,
+        originalRefundedAmount: "$refundedAmount",
+      },
+    },
+  ]);
+  await donations.createIndex({ transactionId: 1 }, { unique: true });
+  await donations.createIndex({ donationId: 1 });
+  await donations.createIndex({ donorEmail: 1, date: 1 });
+  await donations.createIndex(
+    { receiptNumber: 1 },
+    { unique: true, partialFilterExpression: { receiptNumber: { $type: "string" } } }
+  );
+
+  // Campaign timelines, newest first
+  await db.collection("campaignUpdates").createIndex({ campaignId: 1, date: -1 });
+
+  // A user's notifications, newest first, and their unread count
+  const notifications = db.collection("notifications");
+  await notifications.createIndex({ email: 1, date: -1 });
+  await notifications.createIndex({ email: 1, readAt: 1 });
+
+  // One thread per pet and adopter, each side's inbox by latest activity, and thread histories
+  const conversations = db.collection("conversations");
+  await conversations.createIndex({ petId: 1, adopterEmail: 1 }, { unique: true });
+  await conversations.createIndex({ ownerEmail: 1, lastMessageAt: -1 });
+  await conversations.createIndex({ adopterEmail: 1, lastMessageAt: -1 });
+  await db.collection("messages").createIndex({ conversationId: 1, date: -1 });
+
+  // Due emails in send order; sent ones are dropped after 30 days. One suppression per address and category.
+  const emailQueue = db.collection("emailQueue");
+  await emailQueue.createIndex({ status: 1, nextAttemptAt: 1 });
+  await emailQueue.createIndex({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+  await db.collection("emailSuppressions").createIndex({ email: 1, category: 1 }, { unique: true });
+
+  // A donor's pledges, the live pledges of a campaign, and webhook lookups by subscription
+  const pledges = db.collection("pledges");
+  await pledges.createIndex({ donorEmail: 1, date: -1 });
+  await pledges.createIndex({ donationId: 1, status: 1 });
+  await pledges.createIndex(
+    { stripeSubscriptionId: 1 },
+    { unique: true, partialFilterExpression: { stripeSubscriptionId: { $type: "string" } } }
+  );
+
+  // One report per user and listing, and the open reports of a listing
+  const reports = db.collection("reports");
+  await reports.createIndex({ targetType: 1, targetId: 1, reporterEmail: 1 }, { unique: true });
+  await reports.createIndex({ targetType: 1, targetId: 1, status: 1 });
+
+  // Idempotency-Key responses are kept for a day
+  const idempotencyKeys = db.collection("idempotencyKeys");
+  await idempotencyKeys.createIndex({ email: 1, key: 1 }, { unique: true });
+  await idempotencyKeys.createIndex({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+  const auditLog = db.collection("auditLog");
+  await auditLog.createIndex({ date: -1 });
+  await auditLog.createIndex({ actorEmail: 1, date: -1 });
+  await auditLog.createIndex({ targetId: 1, date: -1 });
+}
+
+module.exports = { prepareDatabase };
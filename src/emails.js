@@ -0,0 +1,187 @@
+const { formatMoney } = require("./utils");
+
+// Footer wording for each of EMAIL_CATEGORIES (schemas.js)
+const CATEGORY_LABELS = {
+  adoptions: "adoption request",
+  donations: "donation",
+  campaigns: "campaign",
+  campaign_updates: "campaign update",
+};
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const day = date => new Date(date).toISOString().slice(0, 10);
+
+// Every template: the category it belongs to, and data => { subject, paragraphs, action? }.
+// `links` has the frontend base URL as appUrl.
+const TEMPLATES = {
+  welcome: {
+    category: "account",
+    build: ({ name }, links) => ({
+      subject: "Welcome to Pet Haven",
+      paragraphs: [
+        `Hi${name ? ` ${name}` : ""}, thanks for joining Pet Haven!`,
+        "You can now list pets for adoption, request to adopt, and support campaigns for pets in need.",
+      ],
+      action: { label: "Find a pet", url: `${links.appUrl}/pets` },
+    }),
+  },
+
+  email_change: {
+    category: "account",
+    build: ({ token }, links) => ({
+      subject: "Confirm your new email address",
+      paragraphs: ["Confirm your new Pet Haven email address by opening this link within 24 hours."],
+      action: { label: "Confirm my email", url: `${links.appUrl}/verify-email?token=${token}` },
+    }),
+  },
+
+  email_verification: {
+    category: "account",
+    build: ({ token }, links) => ({
+      subject: "Confirm your email address",
+      paragraphs: ["Confirm your email address within 24 hours to log in to Pet Haven with your password."],
+      action: { label: "Confirm my email", url: `${links.appUrl}/verify-account?token=${token}` },
+    }),
+  },
+
+  account_banned: {
+    category: "account",
+    build: ({ reason, until }) => ({
+      subject: until ? "Your Pet Haven account is suspended" : "Your Pet Haven account has been banned",
+      paragraphs: [
+        until ? `Your account is suspended until ${day(until)}.` : "Your account has been banned.",
+        ...(reason ? [`Reason: ${reason}`] : []),
+      ],
+    }),
+  },
+
+  // type is pets or campaigns; status approved, rejected or hidden
+  listing_review: {
+    category: "account",
+    build: ({ type, id, name, status, reason }, links) => {
+      const kind = type === "pets" ? "listing of" : "campaign for";
+      const url = `${links.appUrl}/${type === "pets" ? "pets" : "donation-campaigns"}/${id}`;
+      const notices = {
+        approved: {
+          subject: `Your ${kind} ${name} is live`,
+          paragraphs: [`Your ${kind} ${name} has been reviewed and is now public.`],
+        },
+        rejected: {
+          subject: `Your ${kind} ${name} was not approved`,
+          paragraphs: [
+            `A moderator reviewed your ${kind} ${name} and took it off Pet Haven.`,
+            ...(reason ? [`Reason: ${reason}`] : []),
+          ],
+        },
+        hidden: {
+          subject: `Your ${kind} ${name} is under review`,
+          paragraphs: [`Your ${kind} ${name} was reported by several users and is hidden until a moderator has reviewed it.`],
+        },
+      };
+      return { ...notices[status], action: { label: "See the listing", url } };
+    },
+  },
+
+  adoption_request: {
+    category: "adoptions",
+    build: ({ petName, petId, message }, links) => ({
+      subject: `New adoption request for ${petName}`,
+      paragraphs: [
+        `Someone would like to adopt ${petName}.`,
+        ...(message ? [`Their message: "${message}"`] : []),
+      ],
+      action: { label: "Review the request", url: `${links.appUrl}/pets/${petId}` },
+    }),
+  },
+
+  adoption_decision: {
+    category: "adoptions",
+    build: ({ petName, petId, status, reason }, links) => ({
+      subject: `Your request to adopt ${petName} was ${status}`,
+      paragraphs: [
+        status === "accepted"
+          ? `Good news: the owner accepted your request to adopt ${petName}. They will be in touch to arrange the next steps.`
+          : `Sorry, your request to adopt ${petName} was not accepted.`,
+        ...(reason ? [reason] : []),
+      ],
+      action: { label: `See ${petName}`, url: `${links.appUrl}/pets/${petId}` },
+    }),
+  },
+
+  donation_thank_you: {
+    category: "donations",
+    build: ({ petName, campaignId, amount, currency }, links) => ({
+      subject: `Thank you for supporting ${petName}`,
+      paragraphs: [
+        `Thank you for your donation of ${formatMoney(amount, currency)} to ${petName}'s campaign.`,
+        "Your receipt is available from your donation history.",
+      ],
+      action: { label: "See the campaign", url: `${links.appUrl}/donation-campaigns/${campaignId}` },
+    }),
+  },
+
+  donation_received: {
+    category: "donations",
+    build: ({ petName, campaignId, amount, currency, monthly }, links) => ({
+      subject: `New donation to ${petName}'s campaign`,
+      paragraphs: [`${formatMoney(amount, currency)} was donated to ${petName}'s campaign${monthly ? " (monthly pledge)" : ""}.`],
+      action: { label: "See the campaign", url: `${links.appUrl}/donation-campaigns/${campaignId}` },
+    }),
+  },
+
+  campaign_goal_reached: {
+    category: "campaigns",
+    build: ({ petName, campaignId, targetAmount, currency }, links) => ({
+      subject: `${petName}'s campaign reached its goal`,
+      paragraphs: [`Congratulations! ${petName}'s campaign has raised its goal of ${formatMoney(targetAmount, currency)}.`],
+      action: { label: "See the campaign", url: `${links.appUrl}/donation-campaigns/${campaignId}` },
+    }),
+  },
+
+  campaign_update: {
+    category: "campaign_updates",
+    build: ({ petName, campaignId, text }, links) => ({
+      subject: `New update on ${petName}'s campaign`,
+      paragraphs: text.split(/\n{2,}/),
+      action: { label: "See the campaign", url: `${links.appUrl}/donation-campaigns/${campaignId}` },
+    }),
+  },
+};
+
+// { category, subject, text, html } of a template. unsubscribeUrl, when given, is added as a footer.
+function renderEmail(template, data, { appUrl, unsubscribeUrl }) {
+  const definition = TEMPLATES[template];
+  if (!definition) throw new Error(`Unknown email template ${template}`);
+
+  const { subject, paragraphs, action } = definition.build(data, { appUrl });
+  const footer = unsubscribeUrl
+    ? `You are receiving this because of your activity on Pet Haven. Unsubscribe from ${CATEGORY_LABELS[definition.category]} emails: ${unsubscribeUrl}`
+    : null;
+
+  const text = [
+    ...paragraphs,
+    ...(action ? [`${action.label}: ${action.url}`] : []),
+    ...(footer ? ["--", footer] : []),
+  ].join("\n\n");
+
+  const html = [
+    "<!doctype html><html><body style=\"font-family: sans-serif; line-height: 1.5; color: #222;\">",
+    ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`),
+    ...(action ? [`<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`] : []),
+    ...(unsubscribeUrl
+      ? [`<hr><p style="font-size: 12px; color: #777;">You are receiving this because of your activity on Pet Haven. <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe from ${CATEGORY_LABELS[definition.category]} emails</a>.</p>`]
+      : []),
+    "</body></html>",
+  ].join("\n");
+
+  return { category: definition.category, subject, text, html };
+}
+
+const categoryOf = template => TEMPLATES[template]?.category;
+
+module.exports = { TEMPLATES, CATEGORY_LABELS, renderEmail, categoryOf, escapeHtml };
@@ -0,0 +1,11 @@
+// Error carrying the HTTP status it should be answered with.
+// Thrown from services; routes and the app error handler turn it into { error: message }.
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+module.exports = { HttpError };
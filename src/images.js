@@ -0,0 +1,43 @@
+const sharp = require("sharp");
+const { HttpError } = require("./errors");
+
+const ACCEPTED_FORMATS = ["jpeg", "png", "webp"];
+const ACCEPTED_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Every upload is re-encoded into these sizes; the original file is never kept
+const SIZES = {
+  large: { width: 1600, height: 1600, fit: "inside" },
+  medium: { width: 800, height: 800, fit: "inside" },
+  thumbnail: { width: 320, height: 320, fit: "cover" },
+};
+
+// Decode an uploaded image, check it really is an accepted format and render every size as WebP.
+// sharp drops EXIF (including GPS position) unless asked to keep it; rotate() first applies
+// the EXIF orientation so photos still come out upright.
+async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: 40_000_000 }).metadata();
+  } catch (error) {
+    throw new HttpError(400, "File is not a readable image");
+  }
+
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw new HttpError(400, "Only JPEG, PNG and WebP images are allowed");
+  }
+
+  const variants = {};
+  for (const [name, size] of Object.entries(SIZES)) {
+    const { data, info } = await sharp(buffer, { limitInputPixels: 40_000_000 })
+      .rotate()
+      .resize({ ...size, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = { buffer: data, width: info.width, height: info.height, contentType: "image/webp" };
+  }
+
+  return variants;
+}
+
+module.exports = { processImage, ACCEPTED_MIME_TYPES };
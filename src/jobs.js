@@ -0,0 +1,57 @@
+// Background jobs, started by index.js only, so tests and scripts decide when anything runs
+
+// Run task now and then every intervalMs. Returns a function that stops the timer.
+function every(intervalMs, name, task) {
+  async function run() {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${name} failed:`, error.message);
+    }
+  }
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  // Never keep the process alive just for this
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+// Purge the trash every purgeIntervalHours
+function startTrashPurge(services, { purgeIntervalHours = 24 } = {}) {
+  return every(purgeIntervalHours * 60 * 60 * 1000, "Trash purge", async () => {
+    const counts = await services.trash.purgeExpired();
+    if (counts.pets || counts.campaigns) {
+      console.log(`Purged ${counts.pets} pet(s) and ${counts.campaigns} campaign(s) from the trash`);
+    }
+  });
+}
+
+// Expire campaigns whose lastDate has passed (and settle any other overdue status),
+// then cancel the monthly pledges of every campaign that has ended
+function startCampaignStatusJob(services, { statusIntervalMinutes = 15 } = {}) {
+  return every(statusIntervalMinutes * 60 * 1000, "Campaign status refresh", async () => {
+    const changed = await services.campaigns.refreshStatuses();
+    if (changed) {
+      console.log(`Updated the status of ${changed} campaign(s)`);
+    }
+
+    const stopped = await services.pledges.stopForEndedCampaigns();
+    if (stopped) {
+      console.log(`Canceled ${stopped} monthly pledge(s) of ended campaigns`);
+    }
+  });
+}
+
+// Send the queued emails that are due every queueIntervalSeconds
+function startEmailQueue(services, { queueIntervalSeconds = 10 } = {}) {
+  return every(queueIntervalSeconds * 1000, "Email queue", async () => {
+    const counts = await services.emails.processQueue();
+    if (counts.failed) {
+      console.log(`Gave up on ${counts.failed} email(s)`);
+    }
+  });
+}
+
+module.exports = { startTrashPurge, startCampaignStatusJob, startEmailQueue };
@@ -0,0 +1,60 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Mail transports. Anything with an async send({ to, subject, text, html, headers }) can be plugged
+// into createApp; createMailer picks one of these from the config (MAIL_TRANSPORT).
+
+// Logs instead of sending; the default, so nothing leaves a development machine by accident
+function createConsoleMailer() {
+  return {
+    async send({ to, subject, text }) {
+      console.log(`[mail] to=${to} subject="${subject}"\n${text}`);
+    },
+  };
+}
+
+// Writes every message to dir as an .eml file that any mail client opens
+function createFileMailer({ dir = "mail", from } = {}) {
+  const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  const root = path.resolve(dir);
+
+  return {
+    async send({ to, subject, text, html, headers }) {
+      const { message } = await transport.sendMail({ from, to, subject, text, html, headers });
+      await fs.mkdir(root, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${Math.random().toString(36).slice(2, 8)}.eml`;
+      await fs.writeFile(path.join(root, name), message);
+    },
+  };
+}
+
+function createSmtpMailer({ host, port = 587, secure = false, user, password, from } = {}) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass: password } }),
+  });
+
+  return {
+    async send({ to, subject, text, html, headers }) {
+      await transport.sendMail({ from, to, subject, text, html, headers });
+    },
+  };
+}
+
+function createMailer({ transport = "console", from, file, smtp } = {}) {
+  switch (transport) {
+    case "smtp":
+      return createSmtpMailer({ ...smtp, from });
+    case "file":
+      return createFileMailer({ ...file, from });
+    case "console":
+      return createConsoleMailer();
+    default:
+      throw new Error(`Unknown mail transport ${transport}; use smtp, file or console`);
+  }
+}
+
+module.exports = { createMailer, createConsoleMailer, createFileMailer, createSmtpMailer };
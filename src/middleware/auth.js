@@ -0,0 +1,111 @@
+const jwt = require("jsonwebtoken");
+const { hasRole } = require("../services/users");
+
+function createAuth({ services, config }) {
+  // Decode the bearer token and make sure its session hasn't been revoked.
+  // Resolves to { user } or to the { status, error } to answer with.
+  // With queryToken, ?token= is accepted too, for clients that can't set headers (EventSource).
+  async function authenticate(req, messages, { queryToken = false } = {}) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader ? authHeader.split(" ")[1] : queryToken && req.query.token;
+    if (!token) {
+      return { status: 401, error: messages.missing };
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwtSecret);
+    } catch (err) {
+      return { status: 403, error: messages.invalid };
+    }
+
+    // Logging out or being banned revokes the session, which must take effect immediately
+    if (!(await services.sessions.isActive(decoded.sid))) {
+      return { status: 401, error: "Session has ended, please log in again" };
+    }
+
+    return { user: decoded };
+  }
+
+  // Verify JWT Middleware
+  async function verifyToken(req, res, next) {
+    try {
+      const { user, status, error } = await authenticate(req, {
+        missing: "Unauthorized access",
+        invalid: "Forbidden access",
+      });
+      if (!user) {
+        return res.status(status).send({ error });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // verifyToken for GET /notifications/stream: the same JWT, from the header or ?token=
+  async function verifyStreamToken(req, res, next) {
+    try {
+      const { user, status, error } = await authenticate(req, {
+        missing: "Unauthorized access",
+        invalid: "Forbidden access",
+      }, { queryToken: true });
+      if (!user) {
+        return res.status(status).send({ error });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // For public routes that personalise their answer: req.user is set when the request carries
+  // a valid token, and anything else goes through anonymously instead of being refused
+  async function identify(req, res, next) {
+    try {
+      const { user } = await authenticate(req, {});
+      if (user) req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Role verification middleware. Moderators pass requireRole("moderator"), admins pass both.
+  // The caller's user document is left on req.actor.
+  function requireRole(role, forbidden) {
+    return async (req, res, next) => {
+      try {
+        const { user, status, error } = await authenticate(req, {
+          missing: "Unauthorized access, no token",
+          invalid: "Forbidden access, invalid token",
+        });
+        if (!user) {
+          return res.status(status).send({ error });
+        }
+
+        const actor = await services.users.findByEmail(user.email);
+        if (!actor || !hasRole(actor, role)) {
+          return res.status(403).send({ error: forbidden });
+        }
+
+        req.user = user;
+        req.actor = actor;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  const verifyAdmin = requireRole("admin", "Admin access required");
+  const verifyModerator = requireRole("moderator", "Moderator access required");
+
+  return { verifyToken, verifyStreamToken, identify, verifyAdmin, verifyModerator };
+}
+
+module.exports = createAuth;
@@ -0,0 +1,55 @@
+// Idempotency-Key support (runs after verifyToken). The first request with a key runs
+// normally and its response is stored; a retry with the same key and body gets that
+// response again instead of running twice. Requests without the header are untouched.
+function createIdempotency({ services }) {
+  function idempotent(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (!key) return next();
+
+    if (key.length > 255) {
+      return res.status(400).send({ error: "Idempotency-Key must be at most 255 characters" });
+    }
+
+    const email = req.user.email;
+    const fingerprint = services.idempotency.fingerprint(req);
+
+    services.idempotency
+      .claim(email, key, fingerprint)
+      .then(({ claimed, record }) => {
+        if (!claimed) {
+          if (record.fingerprint !== fingerprint) {
+            return res.status(422).send({ error: "This Idempotency-Key was already used for a different request" });
+          }
+          if (record.state !== "completed") {
+            return res.status(409).send({ error: "A request with this Idempotency-Key is still in progress" });
+          }
+          res.set("Idempotent-Replayed", "true");
+          return res.status(record.response.status).send(record.response.body);
+        }
+
+        // Store the outcome before it goes out, so a retry right after the response replays it.
+        // res.send calls itself again for objects; only the route's call is intercepted.
+        let stored = false;
+        const send = res.send;
+        res.send = function (payload) {
+          if (stored) return send.call(this, payload);
+          stored = true;
+
+          const done = res.statusCode >= 500
+            ? services.idempotency.release(email, key)
+            : services.idempotency.complete(email, key, { status: res.statusCode, body: payload });
+          done
+            .catch(error => console.error("Failed to store idempotent response:", error.message))
+            .finally(() => send.call(this, payload));
+          return this;
+        };
+
+        next();
+      })
+      .catch(next);
+  }
+
+  return { idempotent };
+}
+
+module.exports = createIdempotency;
@@ -0,0 +1,94 @@
+// Authorization policy layer (runs after verifyToken).
+// Loads the target resource and lets its owners or any admin through; everyone else gets the same 403.
+function createPolicies({ services }) {
+  function authorizeResource({ load, owners, notFound }) {
+    return async (req, res, next) => {
+      try {
+        const resource = await load(req);
+        if (!resource) {
+          return res.status(404).send({ error: notFound });
+        }
+
+        const ownerEmails = [].concat(await owners(resource, req)).filter(Boolean);
+        req.resource = resource;
+        req.isAdmin = await services.users.isAdmin(req.user.email);
+
+        if (!ownerEmails.includes(req.user.email) && !req.isAdmin) {
+          return res.status(403).send({ error: "You do not have permission to modify this resource" });
+        }
+
+        next();
+      } catch (error) {
+        console.error("Authorization error:", error);
+        res.status(500).send({ error: "Failed to verify permissions" });
+      }
+    };
+  }
+
+  const authorizePetOwner = authorizeResource({
+    load: req => services.pets.findById(req.params.id),
+    owners: pet => pet.ownerEmail,
+    notFound: "Pet not found",
+  });
+
+  const authorizeCampaignOwner = authorizeResource({
+    load: req => services.campaigns.findById(req.params.id),
+    owners: campaign => campaign.ownerEmail,
+    notFound: "Donation campaign not found",
+  });
+
+  // The pet owner decides on a request, the requester may withdraw it
+  const authorizeAdoptionActor = authorizeResource({
+    load: req => services.adoptions.findById(req.params.id),
+    owners: async (adoption, req) => {
+      if (req.body?.status === "withdrawn") return adoption.requesterEmail;
+      const pet = await services.pets.findById(adoption.petId);
+      return pet?.ownerEmail;
+    },
+    notFound: "Adoption request not found",
+  });
+
+  // Both the donor and the campaign owner may act on a donation
+  const authorizeDonationParty = authorizeResource({
+    load: req => services.donations.findById(req.params.donationId),
+    owners: async donation => {
+      const campaign = await services.campaigns.findById(donation.donationId);
+      return [donation.donorEmail, campaign?.ownerEmail];
+    },
+    notFound: "Donation not found",
+  });
+
+  // Receipts are for the donor (and admins) only, not the campaign owner
+  const authorizeDonor = authorizeResource({
+    load: req => services.donations.findById(req.params.donationId),
+    owners: donation => donation.donorEmail,
+    notFound: "Donation not found",
+  });
+
+  // Monthly pledges are managed by the donor (and admins)
+  const authorizePledgeDonor = authorizeResource({
+    load: req => services.pledges.findById(req.params.id),
+    owners: pledge => pledge.donorEmail,
+    notFound: "Pledge not found",
+  });
+
+  // Only the two participants (and admins) can read a conversation
+  const authorizeConversationParticipant = authorizeResource({
+    load: req => services.conversations.findById(req.params.id),
+    owners: conversation => [conversation.ownerEmail, conversation.adopterEmail],
+    notFound: "Conversation not found",
+  });
+
+  return {
+    authorizeResource,
+    authorizePetOwner,
+    authorizeCampaignOwner,
+    authorizeAdoptionActor,
+    authorizeDonationParty,
+    authorizeDonor,
+    authorizePledgeDonor,
+    authorizeConversationParticipant,
+  };
+}
+
+module.exports = createPolicies;
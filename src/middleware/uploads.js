@@ -0,0 +1,49 @@
+const multer = require("multer");
+const { ACCEPTED_MIME_TYPES } = require("../images");
+
+// Multipart upload middleware. Files stay in memory (they are re-encoded before being stored),
+// and multer's errors are answered in the API's usual { error } shape.
+function createUploads({ maxFileSizeMb = 8 } = {}) {
+  // optional lets requests through without files (JSON bodies skip multer altogether)
+  function acceptImages(field, maxCount, { optional = false } = {}) {
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxFileSizeMb * 1024 * 1024, files: maxCount },
+      fileFilter: (req, file, cb) => {
+        if (!ACCEPTED_MIME_TYPES.includes(file.mimetype)) {
+          return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname));
+        }
+        cb(null, true);
+      },
+    }).array(field, maxCount);
+
+    return (req, res, next) => {
+      upload(req, res, error => {
+        if (!error) {
+          if (!optional && !req.files?.length) {
+            return res.status(400).send({ error: `Attach at least one image as "${field}"` });
+          }
+          return next();
+        }
+
+        if (error.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).send({ error: `Images must be at most ${maxFileSizeMb} MB` });
+        }
+        if (error.code === "LIMIT_FILE_COUNT") {
+          return res.status(400).send({ error: `Upload at most ${maxCount} images at once` });
+        }
+        if (error.code === "LIMIT_UNEXPECTED_FILE") {
+          return res.status(400).send({ error: `Only JPEG, PNG and WebP images are accepted as "${field}"` });
+        }
+        if (error instanceof multer.MulterError) {
+          return res.status(400).send({ error: error.message });
+        }
+        next(error);
+      });
+    };
+  }
+
+  return { acceptImages };
+}
+
+module.exports = createUploads;
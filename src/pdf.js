@@ -0,0 +1,116 @@
+const PDFDocument = require("pdfkit");
+const { formatMoney } = require("./utils");
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10);
+
+// Render a document with pdfkit and collect it into a Buffer
+function render(info, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info });
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    draw(doc);
+    doc.end();
+  });
+}
+
+function header(doc, { issuer, taxId }, title) {
+  doc.fontSize(20).text(issuer);
+  if (taxId) doc.fontSize(9).fillColor("#555").text(`Tax ID: ${taxId}`).fillColor("black");
+  doc.moveDown().fontSize(16).text(title).moveDown(0.5);
+}
+
+// Label: value pairs, one per line
+function details(doc, rows) {
+  doc.fontSize(11);
+  for (const [label, value] of rows) {
+    doc.font("Helvetica-Bold").text(`${label}: `, { continued: true }).font("Helvetica").text(value);
+  }
+}
+
+// Receipt for a single donation; refunds are stamped on it and the kept amount shown
+function renderReceipt(receipt) {
+  return render({ Title: `Donation receipt ${receipt.number}` }, doc => {
+    header(doc, receipt, "Donation receipt");
+
+    details(doc, [
+      ["Receipt number", receipt.number],
+      ["Issued", formatDate(receipt.issuedAt)],
+      ["Donor", `${receipt.donorName} <${receipt.donorEmail}>`],
+      ["Campaign", receipt.petName],
+      ["Donation date", formatDate(receipt.date)],
+      ["Transaction", receipt.transactionId],
+      ["Amount", formatMoney(receipt.amount, receipt.currency)],
+    ]);
+    if (receipt.campaignCurrency !== receipt.currency) {
+      details(doc, [["Credited to the campaign", formatMoney(receipt.campaignAmount, receipt.campaignCurrency)]]);
+    }
+
+    if (receipt.refundedAmount > 0 || receipt.status === "refund_pending") {
+      details(doc, [
+        ["Refunded", formatMoney(receipt.refundedAmount, receipt.currency)],
+        ["Amount kept", formatMoney(receipt.netAmount, receipt.currency)],
+      ]);
+      doc.moveDown().fontSize(18).fillColor("#b00020").text(receipt.statusLabel.toUpperCase()).fillColor("black");
+    }
+
+    doc.moveDown(2).fontSize(9).fillColor("#555")
+      .text(`Thank you for supporting ${receipt.issuer}. Please keep this receipt for your records.`);
+  });
+}
+
+const STATEMENT_COLUMNS = [
+  { title: "Date", x: 50, width: 65, value: l => formatDate(l.date) },
+  { title: "Campaign", x: 120, width: 140, value: l => l.petName },
+  { title: "Amount", x: 265, width: 70, align: "right", value: l => formatMoney(l.amount, l.currency) },
+  { title: "Refunded", x: 340, width: 70, align: "right", value: l => (l.refundedAmount ? formatMoney(l.refundedAmount, l.currency) : "") },
+  { title: "Net", x: 415, width: 70, align: "right", value: l => formatMoney(l.netAmount, l.currency) },
+  { title: "Status", x: 490, width: 60, value: l => l.statusLabel },
+];
+
+// Yearly giving statement: one row per donation and the totals
+function renderStatement(statement) {
+  return render({ Title: `Giving statement ${statement.year}` }, doc => {
+    header(doc, statement, `Giving statement ${statement.year}`);
+    details(doc, [
+      ["Donor", `${statement.donorName} <${statement.donorEmail}>`],
+      ["Issued", formatDate(statement.issuedAt)],
+    ]);
+    doc.moveDown();
+
+    const row = (cells, font) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+      const y = doc.y;
+      doc.font(font).fontSize(9);
+      STATEMENT_COLUMNS.forEach((column, i) => {
+        doc.text(cells[i], column.x, y, { width: column.width, align: column.align || "left", lineBreak: false, ellipsis: true });
+      });
+      doc.x = doc.page.margins.left;
+      doc.y = y + 16;
+    };
+
+    row(STATEMENT_COLUMNS.map(c => c.title), "Helvetica-Bold");
+    if (!statement.lines.length) {
+      doc.font("Helvetica").fontSize(10).text(`No donations in ${statement.year}.`);
+    }
+    for (const line of statement.lines) {
+      row(STATEMENT_COLUMNS.map(c => c.value(line)), "Helvetica");
+    }
+
+    // One block of totals per currency given in
+    for (const total of statement.totals) {
+      doc.moveDown();
+      const suffix = statement.totals.length > 1 ? ` (${total.currency.toUpperCase()})` : "";
+      details(doc, [
+        [`Total donated${suffix}`, formatMoney(total.amount, total.currency)],
+        [`Total refunded${suffix}`, formatMoney(total.refundedAmount, total.currency)],
+        [`Net giving${suffix}`, formatMoney(total.netAmount, total.currency)],
+      ]);
+    }
+  });
+}
+
+module.exports = { renderReceipt, renderStatement };
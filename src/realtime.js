@@ -0,0 +1,45 @@
+// In-process fan-out of events to the users' open streams (GET /notifications/stream).
+// A client is anything with send(event, data) and close(). Every instance of the server has
+// its own hub, so run a single instance or put a shared broker behind publish().
+function createRealtimeHub() {
+  // email -> Set of clients; a user may have several tabs or devices open
+  const clients = new Map();
+
+  return {
+    // Returns the function that unsubscribes the client again
+    subscribe(email, client) {
+      if (!clients.has(email)) clients.set(email, new Set());
+      clients.get(email).add(client);
+
+      return () => {
+        const mine = clients.get(email);
+        if (!mine) return;
+        mine.delete(client);
+        if (!mine.size) clients.delete(email);
+      };
+    },
+
+    // Resolves nothing and never throws: a broken stream must not fail whatever published
+    publish(email, event, data) {
+      for (const client of clients.get(email) || []) {
+        try {
+          client.send(event, data);
+        } catch (error) {
+          console.error(`Failed to push ${event} to ${email}:`, error.message);
+        }
+      }
+    },
+
+    // Close every stream of a user, e.g. once they are banned
+    disconnect(email) {
+      for (const client of clients.get(email) || []) client.close();
+      clients.delete(email);
+    },
+
+    connections(email) {
+      return clients.get(email)?.size || 0;
+    },
+  };
+}
+
+module.exports = { createRealtimeHub };
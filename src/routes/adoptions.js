@@ -0,0 +1,108 @@
+const express = require("express");
+const { adoptionSchema, validateBody } = require("../schemas");
+const { adoptionStatuses } = require("../services/adoptions");
+const { HttpError } = require("../errors");
+
+function createAdoptionsRouter({ services, auth, policies, config }) {
+  const router = express.Router();
+  const { verifyToken } = auth;
+  const { authorizeAdoptionActor } = policies;
+
+  router.post("/adoptions", verifyToken, validateBody(adoptionSchema), async (req, res) => {
+    try {
+      const result = await services.adoptions.create(req.body, req.user.email);
+
+      // The request stands even if notifying the owner fails
+      try {
+        const pet = await services.pets.findById(req.body.petId);
+        await services.notifications.notify([pet.ownerEmail], {
+          type: "adoption_request",
+          title: `New adoption request for ${pet.name}`,
+          body: req.body.message,
+          link: `${config.appUrl}/pets/${pet._id}`,
+          data: { adoptionId: result.insertedId.toString(), petId: pet._id.toString(), requesterEmail: req.user.email },
+          email: { template: "adoption_request", data: { petName: pet.name, petId: pet._id.toString(), message: req.body.message } },
+        });
+      } catch (error) {
+        console.error("Failed to notify the owner of an adoption request:", error);
+      }
+
+      res.send(result);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      res.status(500).send({ error: "Failed to submit adoption request" });
+    }
+  });
+
+  // Get adoption requests for pets added by the logged-in user
+  router.get('/adoptions/my-requests', verifyToken, async (req, res) => {
+    try {
+      const petIds = await services.pets.idsOwnedBy(req.user.email);
+      const adoptionRequests = await services.adoptions.listForPets(petIds);
+
+      res.send(adoptionRequests);
+    } catch (error) {
+      console.error('Error fetching adoption requests:', error);
+      res.status(500).send({ error: 'Failed to fetch adoption requests' });
+    }
+  });
+
+  // Move an adoption request through its lifecycle
+  router.patch('/adoptions/:id/status', verifyToken, authorizeAdoptionActor, async (req, res) => {
+    try {
+      const { status } = req.body;
+
+      if (!adoptionStatuses.includes(status)) {
+        return res.status(400).send({ error: 'Invalid status value' });
+      }
+
+      const adoption = req.resource;
+      const rejectedRequesters = await services.adoptions.transition(adoption, status, req.user.email);
+
+      // Tell the requesters about the decision; the change stands even if that fails
+      if (status === "accepted" || status === "rejected") {
+        try {
+          const pet = await services.pets.findById(adoption.petId);
+          const petName = pet?.name || adoption.petName || "the pet";
+          const notice = {
+            type: "adoption_decision",
+            link: pet ? `${config.appUrl}/pets/${pet._id}` : undefined,
+            data: { petId: adoption.petId },
+          };
+          await services.notifications.notify([adoption.requesterEmail], {
+            ...notice,
+            title: `Your request to adopt ${petName} was ${status}`,
+            data: { ...notice.data, adoptionId: adoption._id.toString(), status },
+            email: { template: "adoption_decision", data: { petName, petId: adoption.petId, status } },
+          });
+          await services.notifications.notify(rejectedRequesters, {
+            ...notice,
+            title: `Your request to adopt ${petName} was rejected`,
+            body: "The pet was adopted by another requester",
+            data: { ...notice.data, status: "rejected" },
+            email: {
+              template: "adoption_decision",
+              data: { petName, petId: adoption.petId, status: "rejected", reason: "The pet was adopted by another requester." },
+            },
+          });
+        } catch (error) {
+          console.error("Failed to notify requesters of an adoption decision:", error);
+        }
+      }
+
+      res.send({ success: true, message: `Adoption request ${status}` });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error('Error updating adoption request status:', error);
+      res.status(500).send({ error: 'Failed to update adoption status' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdoptionsRouter;
@@ -0,0 +1,20 @@
+const express = require("express");
+
+function createAuditRouter({ services, auth }) {
+  const router = express.Router();
+  const { verifyAdmin } = auth;
+
+  // Query the audit log (Admin only)
+  router.get("/admin/audit-log", verifyAdmin, async (req, res) => {
+    try {
+      const { actor, action, targetId, from, to, page, limit } = req.query;
+      res.send(await services.audit.list({ actor, action, targetId, from, to, page, limit }));
+    } catch (error) {
+      res.status(500).send({ error: "Failed to fetch audit log" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuditRouter;
@@ -0,0 +1,111 @@
+const express = require("express");
+const { verifyIdToken } = require("../auth/idToken");
+const { signAccessToken } = require("../auth/tokens");
+const { HttpError } = require("../errors");
+const { isBanned } = require("../services/users");
+
+// Permanent bans and suspensions answer differently so clients can say when access returns
+const bannedBody = user =>
+  user.bannedUntil
+    ? { message: "User is suspended", bannedUntil: user.bannedUntil, reason: user.banReason || null }
+    : { message: "User is banned", ...(user.banReason && { reason: user.banReason }) };
+
+function createAuthRouter({ services, auth, config }) {
+  const router = express.Router();
+  const { verifyToken } = auth;
+
+  const sessionMeta = req => ({ userAgent: req.headers["user-agent"], ip: req.ip });
+
+  // Establish who is logging in: a verified identity-provider ID token or an email/password pair
+  async function resolveLogin(body = {}) {
+    if (body.idToken) {
+      let email;
+      try {
+        email = await verifyIdToken(body.idToken, config.auth?.idToken);
+      } catch (error) {
+        throw new HttpError(401, "Invalid ID token");
+      }
+
+      return services.users.claimWithVerifiedEmail(email);
+    }
+
+    if (body.email && body.password) {
+      return services.users.verifyCredentials(body.email, body.password);
+    }
+
+    throw new HttpError(400, "An idToken or email and password are required");
+  }
+
+  // Log in and get an access token plus a refresh token
+  router.post("/jwt", async (req, res) => {
+    try {
+      const user = await resolveLogin(req.body);
+
+      if (!user) {
+        return res.status(401).send({ message: "Unauthorized" });
+      }
+
+      // Block banned and suspended users
+      if (isBanned(user)) {
+        return res.status(403).send(bannedBody(user));
+      }
+
+      const { sessionId, refreshToken } = await services.sessions.create(user.email, sessionMeta(req));
+      const token = signAccessToken({ email: user.email, sessionId }, config);
+
+      res.send({ token, refreshToken });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ message: error.message });
+      }
+      console.error("Login error:", error);
+      res.status(500).send({ message: "Failed to log in" });
+    }
+  });
+
+  // Swap a refresh token for a new access/refresh pair
+  router.post("/auth/refresh", async (req, res) => {
+    try {
+      const { session, refreshToken } = await services.sessions.rotate(req.body?.refreshToken);
+
+      const user = await services.users.findByEmail(session.email);
+      if (!user || isBanned(user)) {
+        await services.sessions.revoke(session._id, "banned");
+        return res.status(403).send(user ? bannedBody(user) : { message: "User is banned" });
+      }
+
+      const token = signAccessToken({ email: session.email, sessionId: session._id }, config);
+      res.send({ token, refreshToken });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ message: error.message });
+      }
+      console.error("Refresh error:", error);
+      res.status(500).send({ message: "Failed to refresh session" });
+    }
+  });
+
+  // End the current session
+  router.post("/auth/logout", verifyToken, async (req, res) => {
+    try {
+      await services.sessions.revoke(req.user.sid);
+      res.send({ success: true });
+    } catch (error) {
+      res.status(500).send({ error: "Failed to log out" });
+    }
+  });
+
+  // End every session of the current user, on all devices
+  router.post("/auth/logout-all", verifyToken, async (req, res) => {
+    try {
+      const result = await services.sessions.revokeAllForUser(req.user.email);
+      res.send({ success: true, revokedSessions: result.modifiedCount });
+    } catch (error) {
+      res.status(500).send({ error: "Failed to log out" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
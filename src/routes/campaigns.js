@@ -0,0 +1,289 @@
+const express = require("express");
+const {
+  campaignSchema,
+  campaignStatusSchema,
+  campaignUpdateSchema,
+  pageQuerySchema,
+  recommendationQuerySchema,
+  validateBody,
+  validateQuery,
+} = require("../schemas");
+const { HttpError } = require("../errors");
+
+const MAX_PHOTOS_PER_UPDATE = 6;
+
+// Notification text for a campaign update
+const excerpt = text => (text.length > 200 ? `${text.slice(0, 197)}...` : text);
+
+function createCampaignsRouter({ services, auth, policies, uploads, config }) {
+  const router = express.Router();
+  const { verifyToken, verifyAdmin, identify } = auth;
+  const { authorizeCampaignOwner } = policies;
+
+  // Create a new donation campaign; { draft: true } keeps it unpublished. It takes donations
+  // once a moderator approves it, unless the owner is trusted.
+  router.post('/donation-campaigns', verifyToken, validateBody(campaignSchema), async (req, res) => {
+    try {
+      const moderationStatus = await services.moderation.initialStatus(req.user.email);
+      const result = await services.campaigns.create(req.body, req.user.email, moderationStatus);
+      res.send({ ...result, moderationStatus });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error('Server error on /donation-campaigns:', error);
+      res.status(500).send({ error: 'Failed to create donation campaign' });
+    }
+  });
+
+  // Get logged-in user's donation campaigns
+  router.get("/donation-campaigns/my", verifyToken, async (req, res) => {
+    try {
+      const campaigns = await services.campaigns.listByOwner(req.user.email);
+      res.send({ campaigns });
+    } catch (error) {
+      console.error("Error fetching user campaigns:", error);
+      res.status(500).send({ error: "Failed to fetch campaigns" });
+    }
+  });
+
+  // Pause/unpause a donation campaign
+  router.patch("/donation-campaigns/pause/:id", verifyToken, authorizeCampaignOwner, async (req, res) => {
+    try {
+      const paused = !!req.body?.paused;
+
+      const result = await services.campaigns.setPaused(req.resource._id, paused);
+      if (!result.matchedCount) {
+        return res.status(409).send({ error: `A ${req.resource.status} campaign can't be paused or resumed` });
+      }
+      res.send({ success: true, paused });
+    } catch (error) {
+      console.error("Error updating pause status:", error);
+      res.status(500).send({ error: "Failed to update pause status" });
+    }
+  });
+
+  // Publish, pause, resume or close: { status: "active" | "paused" | "closed" }
+  router.patch("/donation-campaigns/:id/status", verifyToken, authorizeCampaignOwner, validateBody(campaignStatusSchema), async (req, res) => {
+    try {
+      const campaign = await services.campaigns.setStatus(req.resource, req.body.status);
+      // Closing ends the monthly pledges to the campaign
+      await services.pledges.stopForEndedCampaigns(campaign._id);
+      if (req.resource.ownerEmail !== req.user.email) {
+        await services.audit.record({
+          actorEmail: req.user.email,
+          action: "campaign.status_changed",
+          targetType: "campaign",
+          targetId: req.params.id,
+          details: { from: req.resource.status, to: campaign.status },
+        });
+      }
+      res.send(campaign);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error changing campaign status:", error);
+      res.status(500).send({ error: "Failed to change campaign status" });
+    }
+  });
+
+  // for editing specific donation campaign
+  router.patch('/donation-campaigns/:id', verifyToken, authorizeCampaignOwner, validateBody(campaignSchema, { partial: true }), async (req, res) => {
+    try {
+      await services.campaigns.update(req.resource._id, req.body);
+      // Changed text or pictures of an untrusted owner's campaign are reviewed again before they show
+      const resubmitted = await services.moderation.resubmit("campaigns", req.resource, req.user.email, Object.keys(req.body));
+      res.json({ success: true, ...(resubmitted && { moderationStatus: "pending_review" }) });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Update error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Upload the campaign picture (multipart, one "image" file); replaces petImage
+  router.post(
+    "/donation-campaigns/:id/image",
+    verifyToken,
+    authorizeCampaignOwner,
+    uploads.acceptImages("image", 1),
+    async (req, res) => {
+      try {
+        const photo = await services.photos.setCampaignImage(req.resource, req.files[0]);
+        await services.moderation.resubmit("campaigns", req.resource, req.user.email);
+        res.send({ petImage: photo.sizes.medium.url, sizes: photo.sizes });
+      } catch (error) {
+        if (error instanceof HttpError) {
+          return res.status(error.status).send({ error: error.message });
+        }
+        console.error("Campaign image error:", error);
+        res.status(500).send({ error: "Failed to upload image" });
+      }
+    }
+  );
+
+  // Post an update to the campaign's timeline: { text } as JSON, or multipart with up to
+  // MAX_PHOTOS_PER_UPDATE "photos". Everyone who donated is notified in-app and by email.
+  router.post(
+    "/donation-campaigns/:id/updates",
+    verifyToken,
+    authorizeCampaignOwner,
+    uploads.acceptImages("photos", MAX_PHOTOS_PER_UPDATE, { optional: true }),
+    validateBody(campaignUpdateSchema),
+    async (req, res) => {
+      const campaign = req.resource;
+      if (campaign.status === "draft") {
+        return res.status(409).send({ error: "Publish the campaign before posting updates" });
+      }
+
+      try {
+        const update = await services.campaignUpdates.create(campaign, req.user.email, req.body, req.files);
+
+        // The update is posted even if notifying fails
+        try {
+          const donors = await services.donations.donorEmailsOf(campaign._id);
+          const link = `${config.appUrl}/donation-campaigns/${campaign._id}`;
+          await services.notifications.notify(donors.filter(email => email !== campaign.ownerEmail), {
+            type: "campaign_update",
+            title: `New update on ${campaign.petName}'s campaign`,
+            body: excerpt(update.text),
+            link,
+            data: { campaignId: campaign._id.toString(), updateId: update._id.toString() },
+            email: { template: "campaign_update", data: { petName: campaign.petName, campaignId: campaign._id.toString(), text: update.text } },
+          });
+        } catch (error) {
+          console.error("Failed to notify donors of a campaign update:", error);
+        }
+
+        res.status(201).send(update);
+      } catch (error) {
+        if (error instanceof HttpError) {
+          return res.status(error.status).send({ error: error.message });
+        }
+        console.error("Campaign update error:", error);
+        res.status(500).send({ error: "Failed to post the update" });
+      }
+    }
+  );
+
+  // Public timeline, newest first: ?page=1&limit=10
+  router.get("/donation-campaigns/:id/updates", identify, validateQuery(pageQuerySchema), async (req, res) => {
+    try {
+      const campaign = await services.campaigns.findById(req.params.id);
+      if (!campaign || campaign.status === "draft" || !(await services.moderation.canView(campaign, req.user?.email))) {
+        return res.status(404).send({ error: "Campaign not found" });
+      }
+
+      res.send(await services.campaignUpdates.list(campaign._id, req.filters));
+    } catch (error) {
+      console.error("Error fetching campaign updates:", error);
+      res.status(500).send({ error: "Failed to fetch campaign updates" });
+    }
+  });
+
+  router.delete("/donation-campaigns/:id/updates/:updateId", verifyToken, authorizeCampaignOwner, async (req, res) => {
+    try {
+      const update = await services.campaignUpdates.findById(req.resource._id, req.params.updateId);
+      if (!update) {
+        return res.status(404).send({ error: "Update not found" });
+      }
+
+      await services.campaignUpdates.remove(update);
+      res.send({ success: true });
+    } catch (error) {
+      console.error("Error deleting campaign update:", error);
+      res.status(500).send({ error: "Failed to delete the update" });
+    }
+  });
+
+  // GET /donation-campaigns?page=1&limit=10&status=active (drafts and campaigns waiting for review are never listed)
+  router.get("/donation-campaigns", async (req, res) => {
+    try {
+      res.send(await services.campaigns.list(req.query));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error fetching donation campaigns:", error);
+      res.status(500).send({ error: "Failed to fetch donation campaigns" });
+    }
+  });
+
+  // GET single donation campaign by ID; campaigns waiting for review are only shown to their
+  // owner and moderators
+  router.get("/donation-campaigns/:id", identify, async (req, res) => {
+    const campaign = await services.campaigns.findById(req.params.id);
+
+    if (!campaign || campaign.status === "draft" || !(await services.moderation.canView(campaign, req.user?.email))) {
+      return res.status(404).send({ error: "Campaign not found" });
+    }
+
+    res.send(campaign);
+  });
+
+  // Get all donation campaigns (admin-only)
+  router.get("/admin/all-donations", verifyToken, verifyAdmin, async (req, res) => {
+    const campaigns = await services.campaigns.listAll();
+    res.send(campaigns);
+  });
+
+  // Toggle pause/unpause
+  router.patch("/admin/campaigns/toggle-pause/:id", verifyToken, verifyAdmin, async (req, res) => {
+    const { paused } = req.body || {};
+    const result = await services.campaigns.setPaused(req.params.id, paused);
+    if (result.matchedCount) {
+      await services.audit.record({
+        actorEmail: req.user.email,
+        action: paused ? "campaign.paused" : "campaign.resumed",
+        targetType: "campaign",
+        targetId: req.params.id,
+      });
+    }
+    res.send(result);
+  });
+
+  // Move a campaign to the trash; refused while it still holds donations
+  router.delete("/admin/campaigns/:id", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const campaign = await services.campaigns.findById(req.params.id);
+      if (campaign) {
+        await services.trash.deleteCampaign(campaign, req.user.email);
+        await services.pledges.stopForEndedCampaigns(campaign._id);
+        await services.audit.record({
+          actorEmail: req.user.email,
+          action: "campaign.deleted",
+          targetType: "campaign",
+          targetId: req.params.id,
+        });
+      }
+      res.send({ acknowledged: true, deletedCount: campaign ? 1 : 0 });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      res.status(500).send({ error: "Failed to delete campaign" });
+    }
+  });
+
+  // Campaigns to show next to the current one (?limit=3), ranked by category, progress,
+  // time left and, with a token, what the viewer has donated to before
+  router.get('/recommended-campaigns/:currentId', identify, validateQuery(recommendationQuerySchema), async (req, res) => {
+    try {
+      const recommended = await services.recommendations.campaigns(req.params.currentId, {
+        viewerEmail: req.user?.email,
+        ...req.filters,
+      });
+      res.send(recommended);
+    } catch (error) {
+      console.error("Error fetching recommended campaigns:", error);
+      res.status(500).send({ error: "Failed to fetch recommended campaigns" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCampaignsRouter;
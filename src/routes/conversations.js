@@ -0,0 +1,76 @@
+const express = require("express");
+const { conversationSchema, messageSchema, pageQuerySchema, validateBody, validateQuery } = require("../schemas");
+const { HttpError } = require("../errors");
+
+// Messaging between pet owners and prospective adopters
+function createConversationsRouter({ services, auth, policies }) {
+  const router = express.Router();
+  const { verifyToken } = auth;
+  const { authorizeConversationParticipant } = policies;
+
+  // Start with a first message: { petId | adoptionId, text }. Writing about a pet or request
+  // that already has a thread between the same two people adds to that thread.
+  router.post("/conversations", verifyToken, validateBody(conversationSchema, { pick: ["petId", "adoptionId", "text"] }), async (req, res) => {
+    try {
+      res.status(201).send(await services.conversations.start(req.user.email, req.body));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error starting conversation:", error);
+      res.status(500).send({ error: "Failed to start the conversation" });
+    }
+  });
+
+  // GET /conversations?page=1&limit=20 → the caller's threads and their total unread count
+  router.get("/conversations", verifyToken, validateQuery(pageQuerySchema), async (req, res) => {
+    try {
+      res.send(await services.conversations.list(req.user.email, req.filters));
+    } catch (error) {
+      console.error("Error fetching conversations:", error);
+      res.status(500).send({ error: "Failed to fetch conversations" });
+    }
+  });
+
+  router.get("/conversations/:id", verifyToken, authorizeConversationParticipant, (req, res) => {
+    res.send(req.resource);
+  });
+
+  router.get("/conversations/:id/messages", verifyToken, authorizeConversationParticipant, validateQuery(pageQuerySchema), async (req, res) => {
+    try {
+      res.send(await services.conversations.messages(req.resource, req.filters));
+    } catch (error) {
+      console.error("Error fetching messages:", error);
+      res.status(500).send({ error: "Failed to fetch messages" });
+    }
+  });
+
+  // Admins can read a thread but only the participants write in it
+  router.post("/conversations/:id/messages", verifyToken, authorizeConversationParticipant, validateBody(messageSchema, { pick: ["text"] }), async (req, res) => {
+    try {
+      res.status(201).send(await services.conversations.send(req.resource, req.user.email, req.body.text));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error sending message:", error);
+      res.status(500).send({ error: "Failed to send the message" });
+    }
+  });
+
+  router.post("/conversations/:id/read", verifyToken, authorizeConversationParticipant, async (req, res) => {
+    try {
+      res.send(await services.conversations.markRead(req.resource, req.user.email));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error marking conversation read:", error);
+      res.status(500).send({ error: "Failed to update the conversation" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createConversationsRouter;
@@ -0,0 +1,60 @@
+const express = require("express");
+const { adminStatsQuerySchema, validateQuery } = require("../schemas");
+const { HttpError } = require("../errors");
+const { toCsv } = require("../csv");
+
+// Default range of /admin/stats: the last 30 days
+const DEFAULT_RANGE_DAYS = 30;
+
+// Columns of the CSV export of /admin/stats, one row per period
+const ADMIN_STATS_CSV_COLUMNS = [
+  { header: "Period", value: row => row.period },
+  { header: "Pets listed", value: row => row.petsListed },
+  { header: "Pets adopted", value: row => row.petsAdopted },
+  { header: "New users", value: row => row.newUsers },
+  { header: "Donations", value: row => row.donations },
+  { header: "Donated", value: row => row.donated },
+];
+
+function createDashboardRouter({ services, auth }) {
+  const router = express.Router();
+  const { verifyToken, verifyAdmin } = auth;
+
+  router.get("/dashboard/stats", verifyToken, async (req, res) => {
+    try {
+      res.send(await services.stats.dashboard(req.user.email));
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch stats" });
+    }
+  });
+
+  // Platform analytics (Admin only): ?from&to (default: the last 30 days), ?interval=day|week|month
+  // and ?format=json|csv. Amounts are in the default currency.
+  router.get("/admin/stats", verifyAdmin, validateQuery(adminStatsQuerySchema), async (req, res) => {
+    const { to = new Date(), interval = "day", format = "json" } = req.filters;
+    const from = req.filters.from || new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    if (from >= to) {
+      return res.status(400).send({ error: "from must be before to" });
+    }
+
+    try {
+      const stats = await services.stats.platform({ from, to, interval });
+      if (format === "csv") {
+        const day = date => date.toISOString().slice(0, 10);
+        return res.attachment(`platform-stats-${day(from)}-${day(to)}.csv`).send(toCsv(ADMIN_STATS_CSV_COLUMNS, stats.series));
+      }
+      res.send(stats);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Admin stats error:", error);
+      res.status(500).send({ error: "Failed to fetch platform stats" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createDashboardRouter;
@@ -0,0 +1,322 @@
+const express = require("express");
+const { donationSchema, statementQuerySchema, validateBody, validateQuery } = require("../schemas");
+const { HttpError } = require("../errors");
+const { renderReceipt, renderStatement } = require("../pdf");
+const { toCsv } = require("../csv");
+const { formatMoney } = require("../utils");
+
+// Columns of the CSV giving statement
+const STATEMENT_CSV_COLUMNS = [
+  { header: "Date", value: line => line.date },
+  { header: "Campaign", value: line => line.petName },
+  { header: "Transaction ID", value: line => line.transactionId },
+  { header: "Currency", value: line => line.currency.toUpperCase() },
+  { header: "Amount", value: line => line.amount },
+  { header: "Refunded", value: line => line.refundedAmount },
+  { header: "Net", value: line => line.netAmount },
+  { header: "Status", value: line => line.statusLabel },
+];
+
+function createDonationsRouter({ services, auth, policies, idempotency, stripe, config }) {
+  const router = express.Router();
+  const { verifyToken } = auth;
+  const { authorizeDonationParty, authorizeDonor } = policies;
+  const { idempotent } = idempotency;
+
+  // PaymentIntent route - campaign and donor are attached as metadata so the webhook can attribute the payment.
+  // Donors may pay in any supported currency (default: the campaign's); the amount is converted at today's rate.
+  router.post('/create-payment-intent', verifyToken, idempotent, validateBody(donationSchema, { pick: ['donationId', 'amount', 'currency'] }), async (req, res) => {
+    const { amount, donationId } = req.body;
+    const { currencies } = services;
+
+    try {
+      const campaign = await services.campaigns.findById(donationId);
+      if (!campaign) {
+        return res.status(404).send({ error: 'Donation campaign not found' });
+      }
+
+      const currency = req.body.currency?.toLowerCase() || campaign.currency;
+      currencies.assertAmount(amount, currency);
+      const converted = currencies.convert(amount, currency, campaign.currency);
+
+      // Only active campaigns take money, and only up to their goal unless they allow overfunding
+      services.campaigns.assertAcceptsDonation(campaign, converted.amount);
+
+      // Stripe dedupes on the same key, in case a retry gets past our own stored response
+      const key = req.get('Idempotency-Key');
+      const paymentIntent = await stripe.paymentIntents.create(
+        {
+          amount: currencies.toMinorUnits(amount, currency),
+          currency,
+          payment_method_types: ['card'],
+          metadata: {
+            donationId: campaign._id.toString(),
+            donorEmail: req.user.email,
+            campaignCurrency: campaign.currency,
+            exchangeRate: String(converted.rate),
+          },
+        },
+        ...(key ? [{ idempotencyKey: `payment-intent-${req.user.email}-${key}` }] : [])
+      );
+
+      res.send({
+        clientSecret: paymentIntent.client_secret,
+        amount,
+        currency,
+        convertedAmount: converted.amount,
+        campaignCurrency: campaign.currency,
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      res.status(500).send({ error: error.message });
+    }
+  });
+
+  // Thank the donor and tell the campaign owner about a donation the webhook just counted, and
+  // about the goal when this donation reached it. Best effort: Stripe must not retry the event
+  // for it, and a retried event doesn't count the donation again.
+  async function notifyDonation(donation) {
+    if (!donation) return;
+    try {
+      const campaign = await services.campaigns.findById(donation.donationId);
+      if (!campaign) return;
+
+      const currency = donation.currency || campaign.currency;
+      const details = { petName: campaign.petName, campaignId: campaign._id.toString(), amount: donation.amount, currency };
+      if (donation.donorEmail) {
+        await services.emails.enqueue(donation.donorEmail, "donation_thank_you", details);
+      }
+
+      if (campaign.ownerEmail !== donation.donorEmail) {
+        await services.notifications.notify([campaign.ownerEmail], {
+          type: "donation_received",
+          title: `New donation to ${campaign.petName}'s campaign`,
+          body: `${formatMoney(donation.amount, currency)} was donated${donation.pledgeId ? " (monthly pledge)" : ""}`,
+          link: `${config.appUrl}/donation-campaigns/${campaign._id}`,
+          data: { campaignId: details.campaignId, donationId: donation._id.toString(), amount: donation.amount },
+          email: { template: "donation_received", data: { ...details, monthly: !!donation.pledgeId } },
+        });
+      }
+
+      const reached = await services.campaigns.markGoalReached(campaign._id);
+      if (reached) {
+        await services.notifications.notify([campaign.ownerEmail], {
+          type: "campaign_goal_reached",
+          title: `${campaign.petName}'s campaign reached its goal`,
+          link: `${config.appUrl}/donation-campaigns/${campaign._id}`,
+          data: { campaignId: details.campaignId },
+          email: {
+            template: "campaign_goal_reached",
+            data: { petName: campaign.petName, campaignId: details.campaignId, targetAmount: campaign.targetAmount, currency: campaign.currency },
+          },
+        });
+      }
+    } catch (error) {
+      console.error("Failed to send the emails and notifications of a donation:", error);
+    }
+  }
+
+  // Stripe webhook - the only place donations and campaign totals are written
+  router.post("/stripe/webhook", async (req, res) => {
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.rawBody,
+        req.headers["stripe-signature"],
+        config.stripe.webhookSecret
+      );
+    } catch (error) {
+      console.error("Webhook signature verification failed:", error.message);
+      return res.status(400).send({ error: "Invalid signature" });
+    }
+
+    try {
+      switch (event.type) {
+        case "payment_intent.succeeded":
+          await notifyDonation(await services.donations.recordSucceededPayment(event.data.object));
+          break;
+        case "payment_intent.payment_failed":
+          await services.donations.recordFailedPayment(event.data.object);
+          break;
+        case "charge.refunded":
+          await services.donations.recordRefund(event.data.object);
+          break;
+        case "charge.refund.updated":
+          await services.donations.recordRefundUpdate(event.data.object);
+          break;
+        // Monthly pledges
+        case "invoice.paid":
+          await notifyDonation(await services.pledges.recordPayment(event.data.object));
+          break;
+        case "invoice.payment_failed":
+          await services.pledges.recordFailedPayment(event.data.object);
+          break;
+        case "customer.subscription.updated":
+        case "customer.subscription.deleted":
+          await services.pledges.syncSubscription(event.data.object);
+          break;
+        default:
+          break;
+      }
+
+      res.send({ received: true });
+    } catch (error) {
+      // A non-2xx response makes Stripe retry the delivery
+      console.error("Error handling webhook event:", event.type, error);
+      res.status(500).send({ error: "Failed to process webhook" });
+    }
+  });
+
+  // Get donators for a specific donation campaign
+  router.get("/donations", verifyToken, async (req, res) => {
+    try {
+      const donationId = req.query.donationId;
+      if (!donationId) {
+        return res.status(400).send({ error: "donationId query param required" });
+      }
+
+      const donations = await services.donations.listForCampaign(donationId);
+      res.send({ donations });
+    } catch (error) {
+      console.error("Error fetching donations:", error);
+      res.status(500).send({ error: "Failed to fetch donations" });
+    }
+  });
+
+  // Confirm a donation after checkout. The record itself is written by the webhook,
+  // so this only reports what Stripe has told us about the payment so far.
+  router.post("/donations", verifyToken, idempotent, async (req, res) => {
+    const { transactionId } = req.body || {};
+    const userEmail = req.user.email;
+
+    if (!transactionId) {
+      return res.status(400).send({ error: "Missing donation details" });
+    }
+
+    try {
+      const donation = await services.donations.findByTransaction(transactionId, userEmail);
+      if (donation) {
+        return res.send({ success: donation.status === "succeeded", donation });
+      }
+
+      const paymentIntent = await stripe.paymentIntents.retrieve(transactionId);
+      if (paymentIntent.metadata?.donorEmail !== userEmail) {
+        return res.status(404).send({ error: "Donation not found" });
+      }
+
+      res.status(202).send({ success: false, pending: true, status: paymentIntent.status });
+    } catch (error) {
+      res.status(500).send({ error: error.message });
+    }
+  });
+
+  router.get('/donations/my', verifyToken, async (req, res) => {
+    try {
+      res.send(await services.donations.listForDonor(req.user.email));
+    } catch (error) {
+      console.error('Error fetching user donations:', error);
+      res.status(500).send({ error: 'Failed to fetch donations' });
+    }
+  });
+
+  // Yearly giving statement, ?year=2026 (default: this year) and ?format=pdf|csv
+  router.get("/donations/my/statement", verifyToken, validateQuery(statementQuerySchema), async (req, res) => {
+    const { year = new Date().getUTCFullYear(), format = "pdf" } = req.filters;
+
+    try {
+      const statement = await services.receipts.statement(req.user.email, year);
+      const body = format === "csv"
+        ? toCsv(STATEMENT_CSV_COLUMNS, statement.lines)
+        : await renderStatement(statement);
+
+      // The extension sets the Content-Type
+      res.attachment(`giving-statement-${year}.${format}`).send(body);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Statement error:", error);
+      res.status(500).send({ error: "Failed to build the statement" });
+    }
+  });
+
+  // PDF receipt for one donation, numbered on first download
+  router.get("/donations/:donationId/receipt", verifyToken, authorizeDonor, async (req, res) => {
+    try {
+      const receipt = await services.receipts.receipt(req.resource);
+      const pdf = await renderReceipt(receipt);
+      res.attachment(`receipt-${receipt.number}.pdf`).send(pdf);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Receipt error:", error);
+      res.status(500).send({ error: "Failed to build the receipt" });
+    }
+  });
+
+  // Refund a donation through Stripe, or what is left of it after a partial refund: Stripe refunds
+  // the remaining amount when none is given. The record is kept and moves to refund_pending;
+  // the campaign total is only adjusted once the charge.refunded webhook confirms it.
+  router.delete('/donations/:donationId', verifyToken, idempotent, authorizeDonationParty, async (req, res) => {
+    const userEmail = req.user.email;
+    const donation = req.resource;
+
+    try {
+      const campaign = await services.campaigns.findById(donation.donationId);
+
+      let requester = 'admin';
+      if (donation.donorEmail === userEmail) {
+        requester = 'donor';
+      } else if (campaign && campaign.ownerEmail === userEmail) {
+        requester = 'owner';
+      }
+
+      // A partially refunded donation can still get the rest back
+      if (!['succeeded', 'partially_refunded', 'refund_failed'].includes(donation.status)) {
+        return res.status(409).send({ error: `Donation cannot be refunded while ${donation.status}` });
+      }
+
+      if (campaign && !services.donations.canRefund(donation, campaign, requester)) {
+        return res.status(403).send({ error: 'The refund window for this donation has closed' });
+      }
+
+      if (!(await services.donations.claimRefund(donation, userEmail))) {
+        return res.status(409).send({ error: 'A refund is already in progress for this donation' });
+      }
+
+      let refund;
+      try {
+        refund = await stripe.refunds.create(
+          {
+            payment_intent: donation.transactionId,
+            metadata: { donationRecordId: donation._id.toString() },
+          },
+          { idempotencyKey: `refund-${donation._id}-${donation.refundAttempts || 0}` }
+        );
+      } catch (error) {
+        console.error('Stripe refund error:', error);
+        await services.donations.markRefundFailed(donation, error.message);
+        return res.status(502).send({ error: 'Refund could not be issued', details: error.message });
+      }
+
+      await services.donations.markRefundRequested(donation, refund.id);
+
+      res.status(202).send({
+        success: true,
+        status: 'refund_pending',
+        refundId: refund.id,
+        message: 'Refund requested, it will be confirmed by Stripe shortly',
+      });
+    } catch (error) {
+      console.error('Refund error:', error);
+      res.status(500).send({ error: 'Server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createDonationsRouter;
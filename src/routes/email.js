@@ -0,0 +1,95 @@
+const express = require("express");
+const { emailSubscriptionsSchema, validateBody } = require("../schemas");
+const { HttpError } = require("../errors");
+const { CATEGORY_LABELS, escapeHtml } = require("../emails");
+
+// `form`, when given, is markup added below the message
+const page = (title, message, form = "") => [
+  "<!doctype html><html><head><meta charset=\"utf-8\">",
+  `<title>${escapeHtml(title)}</title></head>`,
+  "<body style=\"font-family: sans-serif; max-width: 32rem; margin: 4rem auto; line-height: 1.5;\">",
+  `<h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p>${form}`,
+  "</body></html>",
+].join("\n");
+
+const confirmForm = token => [
+  `<form method="post" action="/email/unsubscribe?token=${escapeHtml(encodeURIComponent(token))}">`,
+  "<button type=\"submit\">Unsubscribe</button>",
+  "</form>",
+].join("");
+
+// Unsubscribe links from the emails, and the signed-in user's email subscriptions
+function createEmailRouter({ services, auth }) {
+  const router = express.Router();
+  const { verifyToken } = auth;
+
+  // The link in the email footer, opened in a browser. It only asks for confirmation: mail
+  // scanners and link previews follow links, and must not unsubscribe anyone.
+  router.get("/email/unsubscribe", (req, res) => {
+    try {
+      const { email, category } = services.emails.readUnsubscribeToken(req.query.token);
+      res.type("html").send(page(
+        "Unsubscribe from Pet Haven emails?",
+        `${email} will no longer receive ${CATEGORY_LABELS[category]} emails from Pet Haven.`,
+        confirmForm(req.query.token)
+      ));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).type("html").send(page("Unsubscribe failed", error.message));
+      }
+      console.error("Unsubscribe error:", error);
+      res.status(500).type("html").send(page("Unsubscribe failed", "Please try again later."));
+    }
+  });
+
+  // The confirmation form above, and one-click unsubscribe sent by mail clients from the
+  // List-Unsubscribe header (RFC 8058). Browsers get a page back, mail clients JSON.
+  router.post("/email/unsubscribe", async (req, res) => {
+    const html = req.accepts(["json", "html"]) === "html";
+    try {
+      const { email, category } = await services.emails.unsubscribe(req.query.token);
+      if (html) {
+        return res.type("html").send(page(
+          "You have been unsubscribed",
+          `${email} will no longer receive ${CATEGORY_LABELS[category]} emails from Pet Haven. You can subscribe again from your account settings.`
+        ));
+      }
+      res.send({ success: true, email, category });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return html
+          ? res.status(error.status).type("html").send(page("Unsubscribe failed", error.message))
+          : res.status(error.status).send({ error: error.message });
+      }
+      console.error("Unsubscribe error:", error);
+      if (html) {
+        return res.status(500).type("html").send(page("Unsubscribe failed", "Please try again later."));
+      }
+      res.status(500).send({ error: "Failed to unsubscribe" });
+    }
+  });
+
+  // { [category]: subscribed }; account emails can't be turned off
+  router.get("/email/subscriptions", verifyToken, async (req, res) => {
+    try {
+      res.send(await services.emails.subscriptions(req.user.email));
+    } catch (error) {
+      console.error("Error fetching email subscriptions:", error);
+      res.status(500).send({ error: "Failed to fetch email subscriptions" });
+    }
+  });
+
+  // Only the categories sent change, e.g. { "campaign_updates": false }
+  router.patch("/email/subscriptions", verifyToken, validateBody(emailSubscriptionsSchema, { partial: true }), async (req, res) => {
+    try {
+      res.send(await services.emails.updateSubscriptions(req.user.email, req.body));
+    } catch (error) {
+      console.error("Error updating email subscriptions:", error);
+      res.status(500).send({ error: "Failed to update email subscriptions" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createEmailRouter;
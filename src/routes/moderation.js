@@ -0,0 +1,126 @@
+const express = require("express");
+const { reportSchema, moderationQuerySchema, moderationRejectionSchema, validateBody, validateQuery } = require("../schemas");
+const { HttpError } = require("../errors");
+const { isListed } = require("../services/moderation");
+
+// Audit log and report target names of the two moderated types
+const SINGULAR = { pets: "pet", campaigns: "campaign" };
+
+// User reports on listings and the moderators' review queue
+function createModerationRouter({ services, auth, config }) {
+  const router = express.Router();
+  const { verifyToken, verifyModerator } = auth;
+
+  // Tell the owner what happened to their listing, in-app and by email. Best effort.
+  async function notifyOwner(type, listing, status, reason) {
+    const name = type === "pets" ? listing.name : listing.petName;
+    const path = type === "pets" ? `/pets/${listing._id}` : `/donation-campaigns/${listing._id}`;
+    const titles = {
+      approved: `${name} is now public`,
+      rejected: `${name} was not approved`,
+      hidden: `${name} is hidden until a moderator reviews it`,
+    };
+    try {
+      await services.notifications.notify([listing.ownerEmail], {
+        type: "listing_review",
+        title: titles[status],
+        body: reason,
+        link: `${config.appUrl}${path}`,
+        data: { type, id: listing._id.toString(), status },
+        email: { template: "listing_review", data: { type, id: listing._id.toString(), name, status, reason } },
+      });
+    } catch (error) {
+      console.error("Failed to notify the owner of a moderation decision:", error);
+    }
+  }
+
+  // { reason, details? }; once enough users have reported a listing it is hidden
+  const report = type => async (req, res) => {
+    try {
+      const listing = await services.moderation.find(type, req.params.id);
+      if (!listing || listing.status === "draft" || !isListed(listing)) {
+        return res.status(404).send({ error: type === "pets" ? "Pet not found" : "Campaign not found" });
+      }
+
+      const { report, hidden } = await services.moderation.report(type, listing, req.user.email, req.body);
+      if (hidden) {
+        await notifyOwner(type, listing, "hidden");
+      }
+
+      res.status(201).send(report);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Report error:", error);
+      res.status(500).send({ error: "Failed to report the listing" });
+    }
+  };
+
+  router.post("/pets/:id/reports", verifyToken, validateBody(reportSchema, { pick: ["reason", "details"] }), report("pets"));
+  router.post("/donation-campaigns/:id/reports", verifyToken, validateBody(reportSchema, { pick: ["reason", "details"] }), report("campaigns"));
+
+  // GET /admin/moderation?type=pets|campaigns&status=pending_review|hidden|reported&page=1&limit=20
+  router.get("/admin/moderation", verifyModerator, validateQuery(moderationQuerySchema), async (req, res) => {
+    try {
+      res.send(await services.moderation.queue(req.filters));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error fetching the moderation queue:", error);
+      res.status(500).send({ error: "Failed to fetch the moderation queue" });
+    }
+  });
+
+  async function review(req, res, approve) {
+    const { type, id } = req.params;
+    try {
+      const listing = await services.moderation.find(type, id);
+      if (!listing) {
+        return res.status(404).send({ error: "Listing not found" });
+      }
+
+      const reason = approve ? undefined : req.body.reason;
+      const updated = await services.moderation.review(type, listing, { approve, reason, by: req.user.email });
+
+      // A rejected campaign is over: no more donations, and its monthly pledges end
+      if (!approve && type === "campaigns" && listing.status !== "closed") {
+        await services.campaigns.setStatus(listing, "closed");
+        await services.pledges.stopForEndedCampaigns(listing._id);
+      }
+
+      await services.audit.record({
+        actorEmail: req.user.email,
+        action: `${SINGULAR[type]}.${approve ? "approved" : "rejected"}`,
+        targetType: SINGULAR[type],
+        targetId: listing._id,
+        details: { from: listing.moderationStatus || null, ...(reason && { reason }) },
+      });
+
+      // Dismissing the reports on a listing that was public all along changes nothing for the owner
+      if (!approve || !isListed(listing)) {
+        await notifyOwner(type, updated, approve ? "approved" : "rejected", reason);
+      }
+
+      res.send(updated);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Moderation error:", error);
+      res.status(500).send({ error: "Failed to review the listing" });
+    }
+  }
+
+  router.post("/admin/moderation/:type/:id/approve", verifyModerator, (req, res) => review(req, res, true));
+
+  // { reason } is shown to the owner
+  router.post("/admin/moderation/:type/:id/reject", verifyModerator, validateBody(moderationRejectionSchema), (req, res) =>
+    review(req, res, false)
+  );
+
+  return router;
+}
+
+module.exports = createModerationRouter;
@@ -0,0 +1,138 @@
+const express = require("express");
+const { notificationsQuerySchema, notificationPreferencesSchema, validateBody, validateQuery } = require("../schemas");
+const { HttpError } = require("../errors");
+
+// How long an EventSource waits before reconnecting a dropped stream
+const STREAM_RETRY_MS = 5000;
+
+// The caller's in-app notifications, live and stored
+function createNotificationsRouter({ services, auth, realtime, config }) {
+  const router = express.Router();
+  const { verifyToken, verifyStreamToken } = auth;
+  const heartbeatMs = (config.realtime?.heartbeatSeconds || 25) * 1000;
+
+  // Server-Sent Events: `ready` with the unread count, then a `notification` event (its id is the
+  // notification's) for each new one. A reconnecting EventSource sends Last-Event-ID and gets what it
+  // missed first. The stream sends `end` and closes once the session is over (logout, ban).
+  router.get("/notifications/stream", verifyStreamToken, async (req, res) => {
+    const { email, sid } = req.user;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Keep proxies such as nginx from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const write = (event, data) => {
+      res.write(`${data._id ? `id: ${data._id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Events published while the backlog is loaded wait until it has been sent
+    let pending = [];
+    let heartbeat;
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      write("end", {});
+      res.end();
+    };
+    const unsubscribe = realtime.subscribe(email, {
+      send: (event, data) => (pending ? pending.push([event, data]) : write(event, data)),
+      close,
+    });
+    res.on("close", () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    try {
+      const missed = await services.notifications.since(email, req.get("Last-Event-ID"));
+      const unreadCount = await services.notifications.unreadCount(email);
+      if (closed) return;
+
+      res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+      write("ready", { unreadCount });
+      missed.forEach(notification => write("notification", notification));
+      const sent = new Set(missed.map(notification => notification._id.toString()));
+      pending.filter(([, data]) => !sent.has(String(data._id))).forEach(([event, data]) => write(event, data));
+      pending = null;
+    } catch (error) {
+      console.error("Error opening notification stream:", error);
+      return close();
+    }
+
+    heartbeat = setInterval(async () => {
+      try {
+        if (!(await services.sessions.isActive(sid))) return close();
+        res.write(": ping\n\n");
+      } catch (error) {
+        console.error("Notification stream heartbeat failed:", error.message);
+      }
+    }, heartbeatMs);
+  });
+
+  // GET /notifications?unread=true&page=1&limit=20
+  router.get("/notifications", verifyToken, validateQuery(notificationsQuerySchema), async (req, res) => {
+    try {
+      res.send(await services.notifications.list(req.user.email, req.filters));
+    } catch (error) {
+      console.error("Error fetching notifications:", error);
+      res.status(500).send({ error: "Failed to fetch notifications" });
+    }
+  });
+
+  // { [type]: { inApp, email } } for every notification type
+  router.get("/notifications/preferences", verifyToken, async (req, res) => {
+    try {
+      res.send(await services.notifications.preferences(req.user.email));
+    } catch (error) {
+      console.error("Error fetching notification preferences:", error);
+      res.status(500).send({ error: "Failed to fetch notification preferences" });
+    }
+  });
+
+  // Only the channels sent change, e.g. { "campaign_update": { "email": false } }
+  router.patch("/notifications/preferences", verifyToken, validateBody(notificationPreferencesSchema, { partial: true }), async (req, res) => {
+    try {
+      res.send(await services.notifications.updatePreferences(req.user.email, req.body));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error updating notification preferences:", error);
+      res.status(500).send({ error: "Failed to update notification preferences" });
+    }
+  });
+
+  router.patch("/notifications/:id/read", verifyToken, async (req, res) => {
+    try {
+      const notification = await services.notifications.markRead(req.user.email, req.params.id);
+      if (!notification) {
+        return res.status(404).send({ error: "Notification not found" });
+      }
+      res.send(notification);
+    } catch (error) {
+      console.error("Error marking notification read:", error);
+      res.status(500).send({ error: "Failed to update notification" });
+    }
+  });
+
+  router.post("/notifications/read-all", verifyToken, async (req, res) => {
+    try {
+      const updated = await services.notifications.markAllRead(req.user.email);
+      res.send({ updated });
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+      res.status(500).send({ error: "Failed to update notifications" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createNotificationsRouter;
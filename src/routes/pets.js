@@ -0,0 +1,227 @@
+const express = require("express");
+const {
+  petSchema,
+  petStatusSchema,
+  petSearchSchema,
+  nearbySearchSchema,
+  recommendationQuerySchema,
+  validateBody,
+  validateQuery,
+} = require("../schemas");
+const { HttpError } = require("../errors");
+const { LISTED } = require("../services/moderation");
+
+function createPetsRouter({ services, auth, policies, uploads, config }) {
+  const router = express.Router();
+  const { verifyToken, verifyAdmin, identify } = auth;
+  const { authorizePetOwner } = policies;
+  const maxPhotosPerUpload = config.uploads?.maxPhotosPerPet || 10;
+
+  // Route to save a new pet; it is listed once a moderator approves it, unless the owner is trusted
+  router.post("/pets", verifyToken, validateBody(petSchema), async (req, res) => {
+    try {
+      const moderationStatus = await services.moderation.initialStatus(req.user.email);
+      const result = await services.pets.create(req.body, req.user.email, moderationStatus);
+      res.send({ ...result, moderationStatus });
+    } catch (err) {
+      if (err instanceof HttpError) {
+        return res.status(err.status).send({ error: err.message });
+      }
+      res.status(500).send({ error: "Failed to save pet" });
+    }
+  });
+
+  // Answer a listing with the shared search engine; see petSearchSchema for the filters
+  async function sendSearch(res, filters, scope, options) {
+    try {
+      res.send(await services.pets.search(filters, scope, options));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      res.status(500).send({ error: "Failed to fetch pets" });
+    }
+  }
+
+  // GET /pets?q=friendly&category=Cat&minAge=1&vaccinated=true&sort=age&cursor=...
+  // Only pets that are still available and have passed review
+  router.get("/pets", validateQuery(petSearchSchema), (req, res) =>
+    sendSearch(res, req.filters, { adopted: false, ...LISTED })
+  );
+
+  // GET /pets/nearby?lat=23.81&lng=90.41&radiusKm=10 - available pets, nearest first
+  router.get("/pets/nearby", validateQuery(nearbySearchSchema), async (req, res) => {
+    try {
+      res.send(await services.pets.nearby(req.filters));
+    } catch (error) {
+      res.status(500).send({ error: "Failed to fetch nearby pets" });
+    }
+  });
+
+  // Pets waiting for review are only shown to their owner and moderators
+  router.get("/pets/:id", identify, async (req, res) => {
+    try {
+      const pet = await services.pets.findById(req.params.id);
+      if (!pet || !(await services.moderation.canView(pet, req.user?.email))) {
+        return res.status(404).send({ error: "Pet not found" });
+      }
+      res.send(pet);
+    } catch (error) {
+      res.status(500).send({ error: "Error fetching pet" });
+    }
+  });
+
+  // Available pets like this one: same category and age band, in the same area (?limit=6)
+  router.get("/pets/:id/similar", identify, validateQuery(recommendationQuerySchema), async (req, res) => {
+    try {
+      const pet = await services.pets.findById(req.params.id);
+      if (!pet || !(await services.moderation.canView(pet, req.user?.email))) {
+        return res.status(404).send({ error: "Pet not found" });
+      }
+      res.send(await services.recommendations.similarPets(pet, req.filters));
+    } catch (error) {
+      console.error("Error fetching similar pets:", error);
+      res.status(500).send({ error: "Error fetching similar pets" });
+    }
+  });
+
+  // Admin gets all pets
+  router.get('/admin/pets', verifyToken, verifyAdmin, validateQuery(petSearchSchema), (req, res) =>
+    sendSearch(res, req.filters, {})
+  );
+
+  // Move a pet to the trash (restorable from /admin/trash)
+  router.delete('/admin/pets/:id', verifyToken, verifyAdmin, async (req, res) => {
+    const pet = await services.pets.findById(req.params.id);
+    if (pet) {
+      await services.trash.deletePet(pet, req.user.email);
+      await services.audit.record({
+        actorEmail: req.user.email,
+        action: "pet.deleted",
+        targetType: "pet",
+        targetId: req.params.id,
+      });
+    }
+    res.send({ acknowledged: true, deletedCount: pet ? 1 : 0 });
+  });
+
+  // Toggle adoption status
+  router.patch('/pets/status/:id', verifyToken, verifyAdmin, validateBody(petStatusSchema), async (req, res) => {
+    try {
+      const { adopted } = req.body;
+      const result = await services.pets.setAdopted(req.params.id, adopted);
+      if (!result.matchedCount) {
+        return res.status(404).send({ error: "Pet not found" });
+      }
+
+      await services.audit.record({
+        actorEmail: req.user.email,
+        action: "pet.status_changed",
+        targetType: "pet",
+        targetId: req.params.id,
+        details: { adopted },
+      });
+      res.send(result);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error changing pet status:", error);
+      res.status(500).send({ error: "Failed to update pet status" });
+    }
+  });
+
+  // Get all pets added by a specific user, with the same filters as /pets
+  router.get("/my-pets", verifyToken, validateQuery(petSearchSchema), async (req, res) => {
+    // Always the caller's own pets; only admins may look at someone else's list
+    const email = req.query.email || req.user.email;
+
+    if (email !== req.user.email && !(await services.users.isAdmin(req.user.email))) {
+      return res.status(403).send({ error: "You do not have permission to view these pets" });
+    }
+
+    await sendSearch(res, req.filters, { ownerEmail: email }, { defaultLimit: 10 });
+  });
+
+  // Mark pet as adopted
+  router.patch("/pets/adopt/:id", verifyToken, authorizePetOwner, async (req, res) => {
+    try {
+      await services.pets.setAdopted(req.resource._id, true);
+      res.send({ success: true, message: "Pet marked as adopted" });
+    } catch (error) {
+      res.status(500).send({ error: "Failed to update pet status" });
+    }
+  });
+
+  router.patch('/pets/:id', verifyToken, authorizePetOwner, validateBody(petSchema, { partial: true }), async (req, res) => {
+    try {
+      await services.pets.update(req.resource, req.body);
+      // Changed text or pictures of an untrusted owner's pet are reviewed again before they show
+      const resubmitted = await services.moderation.resubmit("pets", req.resource, req.user.email, Object.keys(req.body));
+      res.send({ success: true, message: "Pet updated successfully", ...(resubmitted && { moderationStatus: "pending_review" }) });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error updating pet:", error);
+      res.status(500).send({ error: "Failed to update pet" });
+    }
+  });
+
+  // Photo gallery. Uploads are multipart with one or more "photos" files;
+  // every change answers with the pet's photos in order, primary first.
+  async function sendGallery(res, change) {
+    try {
+      res.send({ photos: await change() });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Photo gallery error:", error);
+      res.status(500).send({ error: "Failed to update photos" });
+    }
+  }
+
+  router.post(
+    "/pets/:id/photos",
+    verifyToken,
+    authorizePetOwner,
+    uploads.acceptImages("photos", maxPhotosPerUpload),
+    (req, res) => sendGallery(res, async () => {
+      const photos = await services.photos.addPetPhotos(req.resource, req.files);
+      await services.moderation.resubmit("pets", req.resource, req.user.email);
+      return photos;
+    })
+  );
+
+  // { order: [photoId, ...] } with every photo id of the pet
+  router.put("/pets/:id/photos/order", verifyToken, authorizePetOwner, (req, res) => {
+    const { order } = req.body || {};
+    if (!Array.isArray(order)) {
+      return res.status(400).send({ error: "order must be an array of photo ids" });
+    }
+    sendGallery(res, () => services.photos.reorderPetPhotos(req.resource, order));
+  });
+
+  router.patch("/pets/:id/photos/:photoId/primary", verifyToken, authorizePetOwner, (req, res) =>
+    sendGallery(res, () => services.photos.setPrimaryPetPhoto(req.resource, req.params.photoId))
+  );
+
+  router.delete("/pets/:id/photos/:photoId", verifyToken, authorizePetOwner, (req, res) =>
+    sendGallery(res, () => services.photos.removePetPhoto(req.resource, req.params.photoId))
+  );
+
+  // Delete a pet by ID (soft delete; photos are removed when the trash is purged)
+  router.delete("/pets/:id", verifyToken, authorizePetOwner, async (req, res) => {
+    try {
+      await services.trash.deletePet(req.resource, req.user.email);
+      res.send({ success: true, message: "Pet deleted successfully" });
+    } catch (error) {
+      res.status(500).send({ error: "Failed to delete pet" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createPetsRouter;
@@ -0,0 +1,98 @@
+const express = require("express");
+const { pledgeSchema, validateBody } = require("../schemas");
+const { HttpError } = require("../errors");
+
+// Monthly pledges (Stripe subscriptions). Charges are recorded by the Stripe webhook in routes/donations.js.
+function createPledgesRouter({ services, auth, policies, idempotency }) {
+  const router = express.Router();
+  const { verifyToken } = auth;
+  const { authorizePledgeDonor } = policies;
+  const { idempotent } = idempotency;
+
+  // Start a pledge: { donationId, amount, currency? }. The first charge is confirmed on the
+  // client with the returned clientSecret; later ones are taken by Stripe every month.
+  router.post("/donations/subscriptions", verifyToken, idempotent, validateBody(pledgeSchema, { pick: ["donationId", "amount", "currency"] }), async (req, res) => {
+    const { amount, donationId } = req.body;
+    const { currencies } = services;
+
+    try {
+      const campaign = await services.campaigns.findById(donationId);
+      if (!campaign) {
+        return res.status(404).send({ error: "Donation campaign not found" });
+      }
+
+      const currency = req.body.currency?.toLowerCase() || campaign.currency;
+      currencies.assertAmount(amount, currency);
+      const converted = currencies.convert(amount, currency, campaign.currency);
+      services.campaigns.assertAcceptsDonation(campaign, converted.amount);
+
+      const { pledge, clientSecret } = await services.pledges.start(campaign, req.user.email, { amount, currency, converted });
+      res.status(201).send({ pledge, clientSecret });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error trying to start the monthly pledge:", error);
+      res.status(500).send({ error: "Failed to start the monthly pledge" });
+    }
+  });
+
+  router.get("/donations/my/subscriptions", verifyToken, async (req, res) => {
+    try {
+      const pledges = await services.pledges.listForDonor(req.user.email);
+      res.send({ pledges });
+    } catch (error) {
+      console.error("Error fetching monthly pledges:", error);
+      res.status(500).send({ error: "Failed to fetch monthly pledges" });
+    }
+  });
+
+  router.post("/donations/subscriptions/:id/pause", verifyToken, authorizePledgeDonor, async (req, res) => {
+    try {
+      res.send(await services.pledges.pause(req.resource));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error trying to pause the monthly pledge:", error);
+      res.status(500).send({ error: "Failed to pause the monthly pledge" });
+    }
+  });
+
+  // Only while the campaign still takes donations
+  router.post("/donations/subscriptions/:id/resume", verifyToken, authorizePledgeDonor, async (req, res) => {
+    try {
+      const campaign = await services.campaigns.findById(req.resource.donationId);
+      if (!campaign) {
+        return res.status(409).send({ error: "This campaign has been removed" });
+      }
+      services.campaigns.assertAcceptsDonation(campaign, req.resource.convertedAmount);
+
+      res.send(await services.pledges.resume(req.resource));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error trying to resume the monthly pledge:", error);
+      res.status(500).send({ error: "Failed to resume the monthly pledge" });
+    }
+  });
+
+  // Stop the pledge for good; charges already taken stay donations (refund them separately)
+  router.delete("/donations/subscriptions/:id", verifyToken, authorizePledgeDonor, async (req, res) => {
+    try {
+      const reason = req.resource.donorEmail === req.user.email ? "donor" : "admin";
+      res.send(await services.pledges.cancel(req.resource, reason));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      console.error("Error trying to cancel the monthly pledge:", error);
+      res.status(500).send({ error: "Failed to cancel the monthly pledge" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createPledgesRouter;
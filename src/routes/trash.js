@@ -0,0 +1,47 @@
+const express = require("express");
+const { HttpError } = require("../errors");
+
+// Admin view of soft-deleted pets and campaigns
+function createTrashRouter({ services, auth }) {
+  const router = express.Router();
+  const { verifyAdmin } = auth;
+
+  // GET /admin/trash?type=pets|campaigns (both by default)
+  router.get("/admin/trash", verifyAdmin, async (req, res) => {
+    try {
+      res.send(await services.trash.list(req.query.type));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      res.status(500).send({ error: "Failed to fetch trash" });
+    }
+  });
+
+  router.post("/admin/trash/:type/:id/restore", verifyAdmin, async (req, res) => {
+    try {
+      const restored = await services.trash.restore(req.params.type, req.params.id);
+      if (!restored) {
+        return res.status(404).send({ error: "Item is not in the trash" });
+      }
+
+      await services.audit.record({
+        actorEmail: req.user.email,
+        action: req.params.type === "pets" ? "pet.restored" : "campaign.restored",
+        targetType: req.params.type === "pets" ? "pet" : "campaign",
+        targetId: restored._id,
+      });
+
+      res.send(restored);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      res.status(500).send({ error: "Failed to restore item" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTrashRouter;
@@ -0,0 +1,338 @@
+const express = require("express");
+const { userSchema, banRequestSchema, roleChangeSchema, userTrustSchema, validate, validateBody } = require("../schemas");
+const { HttpError } = require("../errors");
+const { isBanned } = require("../services/users");
+
+function createUsersRouter({ services, auth, realtime }) {
+  const router = express.Router();
+  const { verifyToken, verifyAdmin, verifyModerator } = auth;
+
+  // Home route
+  router.get("/", (req, res) => {
+    res.send("Pet Haven Server is running...");
+  });
+
+  // Save user to DB
+  router.post("/users", validateBody(userSchema), async (req, res) => {
+    const result = await services.users.create(req.body);
+    if (!result) {
+      return res.send({ message: "User already exists" });
+    }
+
+    try {
+      await services.emails.enqueue(req.body.email, "welcome", { name: req.body.name });
+    } catch (error) {
+      console.error("Failed to queue the welcome email:", error);
+    }
+
+    // Password accounts can't log in until the address is confirmed; the link can be sent again
+    if (req.body.password) {
+      try {
+        const token = await services.users.startEmailVerification(req.body.email);
+        await services.emails.enqueue(req.body.email, "email_verification", { token });
+      } catch (error) {
+        console.error("Failed to queue the verification email:", error);
+      }
+    }
+
+    res.send(result);
+  });
+
+  // Confirm the address of a password account with the token from the verification email
+  router.post("/api/users/email-verification/confirm", async (req, res) => {
+    try {
+      const email = await services.users.confirmEmailVerification(req.body?.token);
+      res.json({ success: true, email });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: "Failed to confirm email address" });
+    }
+  });
+
+  // Send a new verification link; answers the same whether or not the account exists
+  router.post("/api/users/email-verification/resend", validateBody(userSchema, { pick: ["email"] }), async (req, res) => {
+    try {
+      const token = await services.users.startEmailVerification(req.body.email);
+      if (token) {
+        await services.emails.enqueue(req.body.email, "email_verification", { token });
+      }
+      res.status(202).json({ success: true, message: "If the account needs confirming, a verification email was sent" });
+    } catch (error) {
+      res.status(500).json({ message: "Failed to send verification email" });
+    }
+  });
+
+  // GET user by email
+  router.get("/users/:email", verifyToken, async (req, res) => {
+    try {
+      const email = req.params.email.toLowerCase();
+
+      const user = await services.users.findByEmail(email);
+      if (!user) {
+        return res.status(404).send({ error: "User not found" });
+      }
+
+      res.send(user);
+    } catch (error) {
+      console.error("Error fetching user:", error);
+      res.status(500).send({ error: "Internal Server Error" });
+    }
+  });
+
+  // List users with search, role/banned filters and pagination (moderators and admins)
+  router.get("/users", verifyModerator, async (req, res) => {
+    try {
+      const { search, role, banned, page, limit } = req.query;
+      res.send(await services.users.list({ search, role, banned, page, limit }));
+    } catch (error) {
+      res.status(500).send({ error: "Failed to fetch users" });
+    }
+  });
+
+  // Load the :id user and make sure the caller may manage them
+  async function loadManagedUser(req, options) {
+    const target = await services.users.findById(req.params.id);
+    if (!target) {
+      throw new HttpError(404, "User not found");
+    }
+
+    await services.users.assertCanManage(req.actor, target, options);
+    return target;
+  }
+
+  async function changeRole(req, res, role) {
+    try {
+      const target = await loadManagedUser(req, { removesAdmin: role !== "admin" });
+      const from = target.role || "user";
+
+      if (from !== role) {
+        await services.users.setRole(target._id, role);
+        await services.audit.record({
+          actorEmail: req.user.email,
+          action: "user.role_changed",
+          targetType: "user",
+          targetId: target._id,
+          details: { email: target.email, from, to: role },
+        });
+      }
+
+      res.send({ success: true, message: `User is now ${role}`, role });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      res.status(500).send({ error: 'Failed to update user role' });
+    }
+  }
+
+  // Make user admin (Admin only)
+  router.patch('/users/make-admin/:id', verifyAdmin, (req, res) => changeRole(req, res, "admin"));
+
+  // Promote or demote to any role (Admin only)
+  router.patch('/users/:id/role', verifyAdmin, validateBody(roleChangeSchema), (req, res) =>
+    changeRole(req, res, req.body.role)
+  );
+
+  // Ban user, optionally with a reason and an end date for a temporary suspension
+  router.patch('/users/ban/:id', verifyModerator, async (req, res) => {
+    const { value, errors } = validate(banRequestSchema, req.body || {});
+    if (!errors.length && value.until && value.until <= new Date()) {
+      errors.push({ field: "until", message: "must be in the future" });
+    }
+    if (errors.length) {
+      return res.status(400).send({ error: "Validation failed", details: errors });
+    }
+
+    try {
+      const target = await loadManagedUser(req, { removesAdmin: true });
+      const user = await services.users.ban(target._id, { ...value, by: req.user.email });
+
+      // Kick the user out everywhere right away
+      await services.sessions.revokeAllForUser(user.email, 'banned');
+      await services.audit.record({
+        actorEmail: req.user.email,
+        action: "user.banned",
+        targetType: "user",
+        targetId: target._id,
+        details: { email: target.email, reason: value.reason || null, until: value.until || null },
+      });
+
+      // Tell the user on their open streams, then close them; the notice waits in-app for later
+      try {
+        await services.notifications.notify([user.email], {
+          type: "account_banned",
+          title: value.until ? `Your account is suspended until ${value.until.toISOString().slice(0, 10)}` : "Your account has been banned",
+          body: value.reason,
+          data: { until: value.until || null },
+          email: { template: "account_banned", data: { reason: value.reason, until: value.until } },
+        });
+      } catch (error) {
+        console.error("Failed to notify a banned user:", error);
+      }
+      realtime.disconnect(user.email);
+
+      res.send({ success: true, modifiedCount: isBanned(user) ? 0 : 1 });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      res.status(500).send({ error: 'Failed to ban user' });
+    }
+  });
+
+  // Lift a ban or suspension
+  router.patch('/users/unban/:id', verifyModerator, async (req, res) => {
+    try {
+      const target = await loadManagedUser(req);
+      if (!target.banned) {
+        return res.send({ success: true, modifiedCount: 0 });
+      }
+
+      await services.users.unban(target._id);
+      await services.audit.record({
+        actorEmail: req.user.email,
+        action: "user.unbanned",
+        targetType: "user",
+        targetId: target._id,
+        details: { email: target.email, reason: target.banReason || null },
+      });
+
+      res.send({ success: true, modifiedCount: 1 });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      res.status(500).send({ error: 'Failed to unban user' });
+    }
+  });
+
+  // Trusted users' pets and campaigns skip the moderation queue (Admin only)
+  router.patch('/users/:id/trusted', verifyAdmin, validateBody(userTrustSchema), async (req, res) => {
+    try {
+      const target = await loadManagedUser(req);
+      const { trusted } = req.body;
+
+      if (Boolean(target.trusted) !== trusted) {
+        await services.users.setTrusted(target._id, trusted);
+        await services.audit.record({
+          actorEmail: req.user.email,
+          action: trusted ? "user.trusted" : "user.untrusted",
+          targetType: "user",
+          targetId: target._id,
+          details: { email: target.email },
+        });
+      }
+
+      res.send({ success: true, trusted });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).send({ error: error.message });
+      }
+      res.status(500).send({ error: 'Failed to update user' });
+    }
+  });
+
+  router.get("/protected", verifyToken, (req, res) => {
+    res.send({
+      message: "This is protected data",
+      user: req.user,
+    });
+  });
+
+  // Profiles: users read and edit their own, admins may read anyone's
+  router.get("/api/users/:email", verifyToken, async (req, res) => {
+    try {
+      const email = req.params.email.toLowerCase();
+
+      if (email !== req.user.email.toLowerCase() && !(await services.users.isAdmin(req.user.email))) {
+        return res.status(403).json({ message: "You can only view your own profile" });
+      }
+
+      const profile = await services.profiles.get(email);
+      if (!profile) return res.status(404).json({ message: "User not found" });
+      res.json(profile);
+    } catch (error) {
+      res.status(500).json({ message: "Failed to fetch user profile" });
+    }
+  });
+
+  // ✅ Update user profile
+  router.put(
+    "/api/users/:email",
+    verifyToken,
+    (req, res, next) => {
+      if (req.params.email.toLowerCase() !== req.user.email.toLowerCase()) {
+        return res.status(403).json({ message: "You can only update your own profile" });
+      }
+      if (req.body?.email !== undefined && req.body.email !== req.user.email) {
+        return res.status(400).json({ message: "Email changes must be verified, use the email-change endpoint" });
+      }
+      next();
+    },
+    validateBody(userSchema, { pick: services.profiles.editableFields, partial: true }),
+    async (req, res) => {
+      try {
+        const updatedUser = await services.profiles.update(req.user.email, req.body);
+        if (!updatedUser) return res.status(404).json({ message: "User not found" });
+
+        res.json(updatedUser);
+      } catch (error) {
+        res.status(500).json({ message: "Failed to update user profile" });
+      }
+    }
+  );
+
+  // Start an email change: a verification link goes to the new address
+  router.post(
+    "/api/users/:email/email-change",
+    verifyToken,
+    (req, res, next) => {
+      if (req.params.email.toLowerCase() !== req.user.email.toLowerCase()) {
+        return res.status(403).json({ message: "You can only change your own email" });
+      }
+      next();
+    },
+    async (req, res) => {
+      const { value, errors } = validate(userSchema, { email: req.body?.newEmail }, { pick: ["email"] });
+      if (errors.length) {
+        return res.status(400).send({
+          error: "Validation failed",
+          details: errors.map(error => ({ ...error, field: "newEmail" })),
+        });
+      }
+
+      try {
+        const newEmail = value.email.toLowerCase();
+        const token = await services.profiles.requestEmailChange(req.user.email, newEmail);
+
+        await services.emails.enqueue(newEmail, "email_change", { token });
+
+        res.status(202).json({ success: true, message: "Verification email sent" });
+      } catch (error) {
+        if (error instanceof HttpError) {
+          return res.status(error.status).json({ message: error.message });
+        }
+        res.status(500).json({ message: "Failed to start email change" });
+      }
+    }
+  );
+
+  // Finish an email change with the token from the verification link
+  router.post("/api/users/email-change/confirm", async (req, res) => {
+    try {
+      const { newEmail } = await services.profiles.confirmEmailChange(req.body?.token);
+      res.json({ success: true, email: newEmail, message: "Email updated, please log in again" });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: "Failed to confirm email change" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createUsersRouter;
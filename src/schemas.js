@@ -0,0 +1,761 @@
+// Declared schemas for every collection the API writes to.
+// The same definitions validate request bodies (validateBody) and are installed
+// as MongoDB collection validators at startup (applyCollectionValidators).
+//
+// Field options:
+//   type       string | number | boolean | date | objectId | array | object
+//   required   must be present on create (ignored for partial updates)
+//   readOnly   set by the server only; a client sending it gets a 400
+//   virtual    accepted from clients but never stored under this name (skipped by the MongoDB validator)
+//   enum, min, max, minLength, maxLength, pattern
+
+const EMAIL_PATTERN = "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$";
+const OBJECT_ID_PATTERN = "^[a-fA-F0-9]{24}$";
+
+// Ordered from least to most privileged
+const ROLES = ["user", "moderator", "admin"];
+const PET_CATEGORIES = ["Dog", "Cat", "Rabbit", "Bird", "Fish", "Other"];
+const PET_GENDERS = ["Male", "Female", "Unknown"];
+const PET_SIZES = ["Small", "Medium", "Large"];
+const PET_SORTS = ["newest", "oldest", "name", "age", "relevance"];
+// What users are notified about; each type can be turned off per channel
+const NOTIFICATION_TYPES = [
+  "adoption_request",
+  "adoption_decision",
+  "donation_received",
+  "campaign_goal_reached",
+  "campaign_update",
+  "account_banned",
+  "listing_review",
+];
+const NOTIFICATION_CHANNELS = ["inApp", "email"];
+// Emails recipients can unsubscribe from; account emails (verification, bans) always go out
+const EMAIL_CATEGORIES = ["adoptions", "donations", "campaigns", "campaign_updates"];
+const ADOPTION_STATUSES = ["pending", "accepted", "rejected", "withdrawn", "completed"];
+const CAMPAIGN_STATUSES = ["draft", "active", "paused", "goal_reached", "expired", "closed"];
+// Review state of pet and campaign listings; only approved ones (and older ones without a
+// state) are public. hidden: taken down automatically after too many reports.
+const MODERATION_STATUSES = ["pending_review", "approved", "rejected", "hidden"];
+const REPORT_REASONS = ["spam", "for_sale", "scam", "inappropriate", "other"];
+const DONATION_STATUSES = [
+  "succeeded",
+  "failed",
+  "partially_refunded",
+  "refund_pending",
+  "refunded",
+  "refund_failed",
+];
+// incomplete until the first charge is confirmed, past_due while Stripe retries a failed charge
+const PLEDGE_STATUSES = ["incomplete", "active", "paused", "past_due", "canceled"];
+
+const userSchema = {
+  collection: "users",
+  fields: {
+    email: { type: "string", required: true, pattern: EMAIL_PATTERN, maxLength: 254 },
+    name: { type: "string", maxLength: 100 },
+    photoURL: { type: "string", maxLength: 2048 },
+    // Only used for email/password accounts; stored as passwordHash, never as-is
+    password: { type: "string", minLength: 8, maxLength: 128, virtual: true },
+    passwordHash: { type: "string", readOnly: true },
+    phone: { type: "string", maxLength: 30 },
+    address: { type: "string", maxLength: 500 },
+    bio: { type: "string", maxLength: 1000 },
+    pendingEmailChange: { type: "object", readOnly: true },
+    // false until a password account confirms its address; missing for older and identity-provider accounts
+    emailVerified: { type: "boolean", readOnly: true },
+    emailVerification: { type: "object", readOnly: true },
+    createdAt: { type: "date", readOnly: true },
+    updatedAt: { type: "date", readOnly: true },
+    role: { type: "string", enum: ROLES, readOnly: true },
+    banned: { type: "boolean", readOnly: true },
+    banReason: { type: "string", readOnly: true },
+    // Suspensions end on their own once bannedUntil has passed; no date means a permanent ban
+    bannedUntil: { type: "date", readOnly: true },
+    bannedAt: { type: "date", readOnly: true },
+    bannedBy: { type: "string", readOnly: true },
+    // Stripe customer behind the donor's monthly pledges
+    stripeCustomerId: { type: "string", readOnly: true },
+    // { [type]: { inApp, email } }; anything not set is on
+    notificationPreferences: { type: "object", readOnly: true },
+    // Their pets and campaigns skip the moderation queue (moderators and admins always do)
+    trusted: { type: "boolean", readOnly: true },
+  },
+};
+
+// Bodies of the user management endpoints
+const banRequestSchema = {
+  fields: {
+    reason: { type: "string", maxLength: 500 },
+    until: { type: "date" },
+  },
+};
+
+const roleChangeSchema = {
+  fields: {
+    role: { type: "string", required: true, enum: ROLES },
+  },
+};
+
+const petSchema = {
+  collection: "pets",
+  fields: {
+    name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    category: { type: "string", required: true, enum: PET_CATEGORIES },
+    age: { type: "number", required: true, min: 0, max: 50 },
+    // Primary photo; set from the gallery once photos are uploaded
+    image: { type: "string", maxLength: 2048 },
+    photos: { type: "array", readOnly: true },
+    location: { type: "string", required: true, maxLength: 200 },
+    // Where the pet can be picked up; stored as the GeoJSON point `geo`
+    lat: { type: "number", min: -90, max: 90, virtual: true },
+    lng: { type: "number", min: -180, max: 180, virtual: true },
+    // Store and show only an approximate point instead of the exact one
+    hideExactLocation: { type: "boolean" },
+    geo: { type: "object", readOnly: true },
+    shortDescription: { type: "string", maxLength: 300 },
+    longDescription: { type: "string", maxLength: 5000 },
+    breed: { type: "string", maxLength: 100 },
+    gender: { type: "string", enum: PET_GENDERS },
+    size: { type: "string", enum: PET_SIZES },
+    vaccinated: { type: "boolean" },
+    neutered: { type: "boolean" },
+    ownerEmail: { type: "string", readOnly: true },
+    adopted: { type: "boolean", readOnly: true },
+    adoptedAt: { type: "date", readOnly: true },
+    adoptedBy: { type: "string", readOnly: true },
+    moderationStatus: { type: "string", enum: MODERATION_STATUSES, readOnly: true },
+    // Why the listing was rejected, shown to its owner
+    moderationReason: { type: "string", readOnly: true },
+    reviewedAt: { type: "date", readOnly: true },
+    reviewedBy: { type: "string", readOnly: true },
+    // Open reports against the listing
+    reportCount: { type: "number", min: 0, readOnly: true },
+    // When reports took the listing down
+    hiddenAt: { type: "date", readOnly: true },
+    date: { type: "date", readOnly: true },
+    deletedAt: { type: "date", readOnly: true },
+    deletedBy: { type: "string", readOnly: true },
+  },
+};
+
+// Body of PATCH /pets/status/:id
+const petStatusSchema = {
+  fields: {
+    adopted: { type: "boolean", required: true },
+  },
+};
+
+// Query string shared by the pet listings (/pets, /admin/pets, /my-pets)
+const petSearchSchema = {
+  fields: {
+    // Full-text search over name, breed and descriptions
+    q: { type: "string", maxLength: 200 },
+    // Plain substring match on the name
+    search: { type: "string", maxLength: 100 },
+    category: { type: "string", enum: [...PET_CATEGORIES, "All"] },
+    gender: { type: "string", enum: PET_GENDERS },
+    size: { type: "string", enum: PET_SIZES },
+    minAge: { type: "number", min: 0, max: 50 },
+    maxAge: { type: "number", min: 0, max: 50 },
+    location: { type: "string", maxLength: 200 },
+    vaccinated: { type: "boolean" },
+    neutered: { type: "boolean" },
+    adopted: { type: "boolean" },
+    listedAfter: { type: "date" },
+    listedBefore: { type: "date" },
+    sort: { type: "string", enum: PET_SORTS },
+    cursor: { type: "string", maxLength: 500 },
+    page: { type: "number", min: 1 },
+    limit: { type: "number", min: 1, max: 100 },
+  },
+};
+
+// Query string of GET /pets/nearby: a position and radius plus the simple pet filters
+const nearbySearchSchema = {
+  fields: {
+    lat: { type: "number", required: true, min: -90, max: 90 },
+    lng: { type: "number", required: true, min: -180, max: 180 },
+    radiusKm: { type: "number", min: 0.1, max: 500 },
+    search: petSearchSchema.fields.search,
+    category: petSearchSchema.fields.category,
+    gender: petSearchSchema.fields.gender,
+    size: petSearchSchema.fields.size,
+    minAge: petSearchSchema.fields.minAge,
+    maxAge: petSearchSchema.fields.maxAge,
+    vaccinated: petSearchSchema.fields.vaccinated,
+    neutered: petSearchSchema.fields.neutered,
+    page: petSearchSchema.fields.page,
+    limit: petSearchSchema.fields.limit,
+  },
+};
+
+const adoptionSchema = {
+  collection: "adoptions",
+  fields: {
+    petId: { type: "string", required: true, pattern: OBJECT_ID_PATTERN },
+    petName: { type: "string", maxLength: 100 },
+    petImage: { type: "string", maxLength: 2048 },
+    userName: { type: "string", maxLength: 100 },
+    phone: { type: "string", required: true, minLength: 5, maxLength: 30 },
+    address: { type: "string", required: true, minLength: 3, maxLength: 500 },
+    message: { type: "string", maxLength: 2000 },
+    status: { type: "string", enum: ADOPTION_STATUSES, readOnly: true },
+    requesterEmail: { type: "string", readOnly: true },
+    ownerEmail: { type: "string", readOnly: true },
+    rejectionReason: { type: "string", readOnly: true },
+    history: { type: "array", readOnly: true },
+    date: { type: "date", readOnly: true },
+    updatedAt: { type: "date", readOnly: true },
+  },
+};
+
+const campaignSchema = {
+  collection: "donationCampaigns",
+  fields: {
+    petName: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    petImage: { type: "string", required: true, maxLength: 2048 },
+    petImageUpload: { type: "object", readOnly: true },
+    // Used to recommend similar campaigns
+    petCategory: { type: "string", enum: PET_CATEGORIES },
+    deletedAt: { type: "date", readOnly: true },
+    deletedBy: { type: "string", readOnly: true },
+    // Base currency (ISO code, lower case); targetAmount and donatedAmount are always in it.
+    // The bounds leave room for currencies with small units such as JPY or VND.
+    currency: { type: "string", pattern: "^[a-zA-Z]{3}$" },
+    targetAmount: { type: "number", required: true, min: 1, max: 1e12 },
+    lastDate: { type: "date", required: true },
+    description: { type: "string", required: true, maxLength: 300 },
+    longDesc: { type: "string", required: true, maxLength: 5000 },
+    refundWindowDays: { type: "number", min: 0, max: 365 },
+    // false (the default) stops donations once donatedAmount reaches targetAmount
+    allowOverfunding: { type: "boolean" },
+    // Create the campaign as a draft instead of publishing it
+    draft: { type: "boolean", virtual: true },
+    status: { type: "string", enum: CAMPAIGN_STATUSES, readOnly: true },
+    statusChangedAt: { type: "date", readOnly: true },
+    // Mirrors status === "paused" for older clients
+    paused: { type: "boolean", readOnly: true },
+    // Stripe product the monthly pledges to this campaign are billed under
+    stripeProductId: { type: "string", readOnly: true },
+    ownerEmail: { type: "string", readOnly: true },
+    donatedAmount: { type: "number", readOnly: true },
+    // When donatedAmount first reached targetAmount and the owner was told
+    goalReachedAt: { type: "date", readOnly: true },
+    moderationStatus: { type: "string", enum: MODERATION_STATUSES, readOnly: true },
+    // Why the listing was rejected, shown to its owner
+    moderationReason: { type: "string", readOnly: true },
+    reviewedAt: { type: "date", readOnly: true },
+    reviewedBy: { type: "string", readOnly: true },
+    // Open reports against the listing
+    reportCount: { type: "number", min: 0, readOnly: true },
+    // When reports took the listing down
+    hiddenAt: { type: "date", readOnly: true },
+    date: { type: "date", readOnly: true },
+  },
+};
+
+// PATCH /donation-campaigns/:id/status; goal_reached and expired are never set by hand
+const campaignStatusSchema = {
+  fields: {
+    status: { type: "string", required: true, enum: ["active", "paused", "closed"] },
+  },
+};
+
+// GET /donations/my/statement
+const statementQuerySchema = {
+  fields: {
+    year: { type: "number", min: 2000, max: 9999 },
+    format: { type: "string", enum: ["pdf", "csv"] },
+  },
+};
+
+// GET /admin/stats; `to` is exclusive, so from=2026-01-01&to=2026-02-01 is January
+const adminStatsQuerySchema = {
+  fields: {
+    from: { type: "date" },
+    to: { type: "date" },
+    interval: { type: "string", enum: ["day", "week", "month"] },
+    format: { type: "string", enum: ["json", "csv"] },
+  },
+};
+
+const donationSchema = {
+  collection: "donations",
+  fields: {
+    donationId: { type: "objectId", required: true },
+    // In the campaign's currency. A payment may come in any supported currency, converted at
+    // exchangeRate; what the donor actually paid is kept in originalAmount / originalCurrency.
+    // Small payments in a strong currency can convert to a cent, hence the low minimum.
+    amount: { type: "number", required: true, min: 0.01, max: 1e10 },
+    currency: { type: "string", pattern: "^[a-zA-Z]{3}$" },
+    originalAmount: { type: "number", readOnly: true },
+    originalCurrency: { type: "string", readOnly: true },
+    exchangeRate: { type: "number", readOnly: true },
+    originalRefundedAmount: { type: "number", readOnly: true },
+    transactionId: { type: "string", readOnly: true },
+    donorEmail: { type: "string", readOnly: true },
+    status: { type: "string", enum: DONATION_STATUSES, readOnly: true },
+    date: { type: "date", readOnly: true },
+    refundedAmount: { type: "number", readOnly: true },
+    refundedAt: { type: "date", readOnly: true },
+    receiptNumber: { type: "string", readOnly: true },
+    // Set on the charges of a monthly pledge
+    pledgeId: { type: "objectId", readOnly: true },
+    invoiceId: { type: "string", readOnly: true },
+  },
+};
+
+// Monthly pledge to a campaign, billed as a Stripe subscription. donationId is the campaign, as on donations.
+const pledgeSchema = {
+  collection: "pledges",
+  fields: {
+    donationId: { type: "objectId", required: true },
+    // Charged every month, in the currency the donor chose
+    amount: { type: "number", required: true, min: 0.01, max: 1e10 },
+    currency: { type: "string", pattern: "^[a-zA-Z]{3}$" },
+    // Each charge is credited to the campaign at the rate quoted when the pledge started
+    campaignCurrency: { type: "string", readOnly: true },
+    convertedAmount: { type: "number", readOnly: true },
+    exchangeRate: { type: "number", readOnly: true },
+    donorEmail: { type: "string", readOnly: true },
+    status: { type: "string", enum: PLEDGE_STATUSES, readOnly: true },
+    stripeSubscriptionId: { type: "string", readOnly: true },
+    stripeCustomerId: { type: "string", readOnly: true },
+    lastChargedAt: { type: "date", readOnly: true },
+    lastPaymentError: { type: "string", readOnly: true },
+    pausedAt: { type: "date", readOnly: true },
+    canceledAt: { type: "date", readOnly: true },
+    cancelReason: { type: "string", readOnly: true },
+    date: { type: "date", readOnly: true },
+  },
+};
+
+// A post on a campaign's timeline. Photos come as multipart files and are stored by the server.
+const campaignUpdateSchema = {
+  collection: "campaignUpdates",
+  fields: {
+    text: { type: "string", required: true, minLength: 1, maxLength: 5000 },
+    campaignId: { type: "objectId", readOnly: true },
+    authorEmail: { type: "string", readOnly: true },
+    photos: { type: "array", readOnly: true },
+    date: { type: "date", readOnly: true },
+  },
+};
+
+// GET /recommended-campaigns/:currentId and GET /pets/:id/similar
+const recommendationQuerySchema = {
+  fields: {
+    limit: { type: "number", min: 1, max: 20 },
+  },
+};
+
+// Shared by the timeline and notification listings
+const pageQuerySchema = {
+  fields: {
+    page: { type: "number", min: 1 },
+    limit: { type: "number", min: 1, max: 50 },
+  },
+};
+
+const notificationsQuerySchema = {
+  fields: {
+    ...pageQuerySchema.fields,
+    unread: { type: "boolean" },
+  },
+};
+
+// In-app notifications; written by the server only
+const notificationSchema = {
+  collection: "notifications",
+  fields: {
+    email: { type: "string", required: true },
+    type: { type: "string", required: true, enum: NOTIFICATION_TYPES },
+    title: { type: "string", required: true },
+    body: { type: "string" },
+    link: { type: "string" },
+    data: { type: "object" },
+    // Unset until the recipient reads it
+    readAt: { type: "date" },
+    date: { type: "date", required: true },
+  },
+};
+
+// PATCH /notifications/preferences: { campaign_update: { email: false }, ... }
+const notificationPreferencesSchema = {
+  fields: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, { type: "object" }])),
+};
+
+// Outbound email, rendered when queued and sent by the email queue job; written by the server only
+const emailQueueSchema = {
+  collection: "emailQueue",
+  fields: {
+    to: { type: "string", required: true },
+    template: { type: "string", required: true },
+    category: { type: "string", required: true },
+    subject: { type: "string", required: true },
+    text: { type: "string", required: true },
+    html: { type: "string" },
+    headers: { type: "object" },
+    status: { type: "string", required: true, enum: ["queued", "sending", "sent", "failed"] },
+    attempts: { type: "number", min: 0 },
+    nextAttemptAt: { type: "date" },
+    // Set while a worker is sending it
+    lockedUntil: { type: "date" },
+    lastError: { type: "string" },
+    sentAt: { type: "date" },
+    failedAt: { type: "date" },
+    date: { type: "date", required: true },
+  },
+};
+
+// Categories an address has unsubscribed from, one document each
+const emailSuppressionSchema = {
+  collection: "emailSuppressions",
+  fields: {
+    email: { type: "string", required: true },
+    category: { type: "string", required: true, enum: EMAIL_CATEGORIES },
+    date: { type: "date", required: true },
+  },
+};
+
+// PATCH /email/subscriptions: { donations: false, ... }
+const emailSubscriptionsSchema = {
+  fields: Object.fromEntries(EMAIL_CATEGORIES.map(category => [category, { type: "boolean" }])),
+};
+
+// A thread between a pet's owner and one prospective adopter, started from the pet or from an
+// adoption request (both lead to the same thread). The first message comes with the request.
+const conversationSchema = {
+  collection: "conversations",
+  fields: {
+    petId: { type: "objectId" },
+    adoptionId: { type: "objectId" },
+    text: { type: "string", required: true, minLength: 1, maxLength: 2000, virtual: true },
+    petName: { type: "string", readOnly: true },
+    ownerEmail: { type: "string", readOnly: true },
+    adopterEmail: { type: "string", readOnly: true },
+    // Messages each side hasn't read yet, and when they last read the thread
+    ownerUnread: { type: "number", min: 0, readOnly: true },
+    adopterUnread: { type: "number", min: 0, readOnly: true },
+    ownerReadAt: { type: "date", readOnly: true },
+    adopterReadAt: { type: "date", readOnly: true },
+    lastMessage: { type: "string", readOnly: true },
+    lastMessageAt: { type: "date", readOnly: true },
+    date: { type: "date", readOnly: true },
+  },
+};
+
+const messageSchema = {
+  collection: "messages",
+  fields: {
+    text: { type: "string", required: true, minLength: 1, maxLength: 2000 },
+    conversationId: { type: "objectId", readOnly: true },
+    senderEmail: { type: "string", readOnly: true },
+    date: { type: "date", readOnly: true },
+  },
+};
+
+// A user flagging a pet or campaign listing; one per user and listing
+const reportSchema = {
+  collection: "reports",
+  fields: {
+    reason: { type: "string", required: true, enum: REPORT_REASONS },
+    details: { type: "string", maxLength: 1000 },
+    targetType: { type: "string", enum: ["pet", "campaign"], readOnly: true },
+    targetId: { type: "objectId", readOnly: true },
+    reporterEmail: { type: "string", readOnly: true },
+    // open until a moderator decides on the listing: upheld when it is rejected, dismissed otherwise
+    status: { type: "string", enum: ["open", "upheld", "dismissed"], readOnly: true },
+    resolvedAt: { type: "date", readOnly: true },
+    date: { type: "date", readOnly: true },
+  },
+};
+
+// GET /admin/moderation
+const moderationQuerySchema = {
+  fields: {
+    ...pageQuerySchema.fields,
+    type: { type: "string", enum: ["pets", "campaigns"] },
+    // pending_review (new), hidden (by reports) or reported (still listed); all by default
+    status: { type: "string", enum: ["pending_review", "hidden", "reported"] },
+  },
+};
+
+// POST /admin/moderation/:type/:id/reject
+const moderationRejectionSchema = {
+  fields: {
+    reason: { type: "string", required: true, minLength: 3, maxLength: 500 },
+  },
+};
+
+// PATCH /users/:id/trusted
+const userTrustSchema = {
+  fields: {
+    trusted: { type: "boolean", required: true },
+  },
+};
+
+// Written by the server only, never updated or deleted
+const auditLogSchema = {
+  collection: "auditLog",
+  fields: {
+    action: { type: "string", required: true },
+    actorEmail: { type: "string", required: true },
+    targetType: { type: "string" },
+    targetId: { type: "string" },
+    details: { type: "object" },
+    date: { type: "date", required: true },
+  },
+};
+
+const schemas = [
+  userSchema,
+  petSchema,
+  adoptionSchema,
+  campaignSchema,
+  campaignUpdateSchema,
+  donationSchema,
+  pledgeSchema,
+  notificationSchema,
+  conversationSchema,
+  messageSchema,
+  emailQueueSchema,
+  emailSuppressionSchema,
+  reportSchema,
+  auditLogSchema,
+];
+
+// Check a single value against its field definition. Returns { value } with the
+// coerced value (numeric strings, ISO dates) or { error } with a message.
+function checkField(def, raw) {
+  let value = raw;
+
+  switch (def.type) {
+    case "string":
+      if (typeof value !== "string") return { error: "must be a string" };
+      value = value.trim();
+      if (def.minLength !== undefined && value.length < def.minLength) {
+        return { error: `must be at least ${def.minLength} characters` };
+      }
+      if (def.maxLength !== undefined && value.length > def.maxLength) {
+        return { error: `must be at most ${def.maxLength} characters` };
+      }
+      if (def.pattern && !new RegExp(def.pattern).test(value)) {
+        return { error: "has an invalid format" };
+      }
+      break;
+    case "number":
+      if (typeof value === "string" && value.trim() !== "") value = Number(value);
+      if (typeof value !== "number" || !Number.isFinite(value)) return { error: "must be a number" };
+      if (def.min !== undefined && value < def.min) return { error: `must be at least ${def.min}` };
+      if (def.max !== undefined && value > def.max) return { error: `must be at most ${def.max}` };
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return { error: "must be true or false" };
+      break;
+    case "date":
+      value = new Date(value);
+      if (raw === null || typeof raw === "boolean" || Number.isNaN(value.getTime())) {
+        return { error: "must be a valid date" };
+      }
+      break;
+    case "objectId":
+      if (typeof value !== "string" || !new RegExp(OBJECT_ID_PATTERN).test(value)) {
+        return { error: "must be a valid id" };
+      }
+      break;
+    case "array":
+      if (!Array.isArray(value)) return { error: "must be an array" };
+      break;
+    case "object":
+      if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        return { error: "must be an object" };
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (def.enum && !def.enum.includes(value)) {
+    return { error: `must be one of: ${def.enum.join(", ")}` };
+  }
+
+  return { value };
+}
+
+// Validate a request body against a schema.
+// Unknown fields are dropped, readOnly fields are rejected.
+// options.partial skips required checks (PATCH); options.pick limits the schema to some fields.
+function validate(schema, data, options = {}) {
+  const { partial = false, pick } = options;
+  const errors = [];
+  const value = {};
+
+  if (data === null || typeof data !== "object" || Array.isArray(data)) {
+    return { value, errors: [{ field: null, message: "Request body must be a JSON object" }] };
+  }
+
+  const fieldNames = pick || Object.keys(schema.fields);
+
+  for (const field of fieldNames) {
+    const def = schema.fields[field];
+    const present = data[field] !== undefined && data[field] !== "";
+
+    if (def.readOnly) {
+      if (data[field] !== undefined) {
+        errors.push({ field, message: "cannot be set by the client" });
+      }
+      continue;
+    }
+
+    if (!present) {
+      if (def.required && !partial) errors.push({ field, message: "is required" });
+      continue;
+    }
+
+    const result = checkField(def, data[field]);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  if (partial && !errors.length && !Object.keys(value).length) {
+    errors.push({ field: null, message: "No updatable fields provided" });
+  }
+
+  return { value, errors };
+}
+
+// Express middleware: replaces req.body with the validated, whitelisted value
+function validateBody(schema, options) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, options);
+    if (errors.length) {
+      return res.status(400).send({ error: "Validation failed", details: errors });
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+// Same as validateBody for query strings. "true"/"false" count as booleans, and the
+// validated value goes to req.filters because req.query can't be replaced in Express 5.
+function validateQuery(schema) {
+  return (req, res, next) => {
+    const query = { ...req.query };
+    for (const [field, def] of Object.entries(schema.fields)) {
+      if (def.type === "boolean" && (query[field] === "true" || query[field] === "false")) {
+        query[field] = query[field] === "true";
+      }
+    }
+
+    const { value, errors } = validate(schema, query);
+    if (errors.length) {
+      return res.status(400).send({ error: "Validation failed", details: errors });
+    }
+
+    req.filters = value;
+    next();
+  };
+}
+
+const BSON_TYPES = {
+  string: "string",
+  number: ["int", "long", "double", "decimal"],
+  boolean: "bool",
+  date: "date",
+  objectId: "objectId",
+  array: "array",
+  object: "object",
+};
+
+// Translate a schema into a MongoDB $jsonSchema validator
+function toMongoValidator(schema) {
+  const properties = {};
+  const required = [];
+
+  for (const [field, def] of Object.entries(schema.fields)) {
+    if (def.virtual) continue;
+
+    const property = { bsonType: BSON_TYPES[def.type] };
+    if (def.enum) property.enum = def.enum;
+    if (def.min !== undefined) property.minimum = def.min;
+    if (def.max !== undefined) property.maximum = def.max;
+    if (def.minLength !== undefined) property.minLength = def.minLength;
+    if (def.maxLength !== undefined) property.maxLength = def.maxLength;
+    if (def.pattern) property.pattern = def.pattern;
+
+    properties[field] = property;
+    if (def.required) required.push(field);
+  }
+
+  return {
+    $jsonSchema: {
+      bsonType: "object",
+      ...(required.length && { required }),
+      properties,
+    },
+  };
+}
+
+// Install (or refresh) the validators on every collection.
+// "moderate" keeps legacy documents that predate the schema updatable.
+async function applyCollectionValidators(db) {
+  for (const schema of schemas) {
+    const validator = toMongoValidator(schema);
+    try {
+      await db.command({ collMod: schema.collection, validator, validationLevel: "moderate" });
+    } catch (error) {
+      if (error.codeName !== "NamespaceNotFound") throw error;
+      await db.createCollection(schema.collection, { validator, validationLevel: "moderate" });
+    }
+  }
+}
+
+module.exports = {
+  userSchema,
+  petSchema,
+  adoptionSchema,
+  campaignSchema,
+  campaignStatusSchema,
+  campaignUpdateSchema,
+  donationSchema,
+  pledgeSchema,
+  notificationSchema,
+  conversationSchema,
+  messageSchema,
+  emailQueueSchema,
+  emailSuppressionSchema,
+  emailSubscriptionsSchema,
+  reportSchema,
+  moderationQuerySchema,
+  moderationRejectionSchema,
+  userTrustSchema,
+  auditLogSchema,
+  petStatusSchema,
+  petSearchSchema,
+  nearbySearchSchema,
+  statementQuerySchema,
+  adminStatsQuerySchema,
+  pageQuerySchema,
+  notificationsQuerySchema,
+  notificationPreferencesSchema,
+  recommendationQuerySchema,
+  banRequestSchema,
+  roleChangeSchema,
+  ROLES,
+  CAMPAIGN_STATUSES,
+  MODERATION_STATUSES,
+  PLEDGE_STATUSES,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  EMAIL_CATEGORIES,
+  validate,
+  validateBody,
+  validateQuery,
+  toMongoValidator,
+  applyCollectionValidators,
+};
@@ -0,0 +1,141 @@
+const { toObjectId } = require("../utils");
+const { HttpError } = require("../errors");
+const { isListed } = require("./moderation");
+
+// Adoption request state machine: which status can follow which
+const adoptionTransitions = {
+  pending: ["accepted", "rejected", "withdrawn"],
+  accepted: ["completed"],
+  rejected: [],
+  withdrawn: [],
+  completed: [],
+};
+
+// Statuses a client may ask for; who may ask is decided by authorizeAdoptionActor
+const adoptionStatuses = ["accepted", "rejected", "withdrawn", "completed"];
+
+function createAdoptionsService({ client, pets, adoptions }) {
+  return {
+    findById(id) {
+      const _id = toObjectId(id);
+      return _id ? adoptions.findOne({ _id }) : null;
+    },
+
+    // Validates the request against the pet and stores it as pending
+    async create(data, requesterEmail) {
+      const petId = toObjectId(data.petId);
+      const pet = petId ? await pets.findOne({ _id: petId, deletedAt: null }) : null;
+      if (!pet || !isListed(pet)) {
+        throw new HttpError(404, "Pet not found");
+      }
+
+      if (pet.adopted) {
+        throw new HttpError(409, "This pet has already been adopted");
+      }
+
+      if (pet.ownerEmail === requesterEmail) {
+        throw new HttpError(403, "You cannot request to adopt your own pet");
+      }
+
+      const existing = await adoptions.findOne({
+        petId: pet._id.toString(),
+        requesterEmail,
+        status: { $in: ["pending", "accepted"] },
+      });
+      if (existing) {
+        throw new HttpError(409, "You already have an open adoption request for this pet");
+      }
+
+      const now = new Date();
+      return adoptions.insertOne({
+        ...data,
+        petId: pet._id.toString(),
+        requesterEmail,
+        ownerEmail: pet.ownerEmail,
+        status: "pending",
+        history: [{ status: "pending", by: requesterEmail, at: now }],
+        date: now,
+        updatedAt: now,
+      });
+    },
+
+    listForPets(petIds) {
+      return adoptions.find({ petId: { $in: petIds } }).toArray();
+    },
+
+    // Move a request to its next status.
+    // Accepting marks the pet adopted and rejects every other pending request for it in one transaction.
+    // Resolves to the requesters whose requests were rejected that way.
+    async transition(adoption, status, userEmail) {
+      const currentStatus = adoption.status || "pending";
+      if (!adoptionTransitions[currentStatus]?.includes(status)) {
+        throw new HttpError(409, `Cannot change a ${currentStatus} request to ${status}`);
+      }
+
+      const now = new Date();
+      const transitionUpdate = {
+        $set: { status, updatedAt: now },
+        $push: { history: { status, by: userEmail, at: now } },
+      };
+
+      if (status !== "accepted") {
+        const result = await adoptions.updateOne(
+          { _id: adoption._id, status: adoption.status },
+          transitionUpdate
+        );
+
+        if (result.modifiedCount === 0) {
+          throw new HttpError(409, "Adoption request was changed by someone else, please retry");
+        }
+        return [];
+      }
+
+      const petId = toObjectId(adoption.petId);
+      const pet = petId ? await pets.findOne({ _id: petId, deletedAt: null }) : null;
+      if (!pet) {
+        throw new HttpError(404, "Pet not found");
+      }
+
+      let rejectedRequesters = [];
+      const session = client.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const petResult = await pets.updateOne(
+            { _id: pet._id, adopted: { $ne: true } },
+            { $set: { adopted: true, adoptedAt: now, adoptedBy: adoption.requesterEmail } },
+            { session }
+          );
+          if (petResult.modifiedCount === 0) {
+            throw new HttpError(409, "This pet has already been adopted");
+          }
+
+          const adoptionResult = await adoptions.updateOne(
+            { _id: adoption._id, status: adoption.status },
+            transitionUpdate,
+            { session }
+          );
+          if (adoptionResult.modifiedCount === 0) {
+            throw new HttpError(409, "Adoption request was changed by someone else, please retry");
+          }
+
+          const others = { petId: adoption.petId, _id: { $ne: adoption._id }, status: "pending" };
+          rejectedRequesters = await adoptions.distinct("requesterEmail", others, { session });
+          await adoptions.updateMany(
+            others,
+            {
+              $set: { status: "rejected", updatedAt: now, rejectionReason: "Pet was adopted by another requester" },
+              $push: { history: { status: "rejected", by: userEmail, at: now } },
+            },
+            { session }
+          );
+        });
+      } finally {
+        await session.endSession();
+      }
+      return rejectedRequesters;
+    },
+  };
+}
+
+module.exports = createAdoptionsService;
+module.exports.adoptionStatuses = adoptionStatuses;
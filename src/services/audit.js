@@ -0,0 +1,41 @@
+// Append-only record of privileged actions. There is deliberately no update or delete.
+function createAuditService({ auditLog }) {
+  return {
+    // targetId is stored as a string so ids of any collection can be searched the same way
+    record({ actorEmail, action, targetType, targetId, details = {} }) {
+      return auditLog.insertOne({
+        action,
+        actorEmail,
+        targetType,
+        targetId: targetId?.toString(),
+        details,
+        date: new Date(),
+      });
+    },
+
+    // Newest first, filtered by actor, action, target id and a date range
+    async list({ actor, action, targetId, from, to, page = 1, limit = 50 } = {}) {
+      page = Math.max(parseInt(page) || 1, 1);
+      limit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+      const query = {};
+      if (actor) query.actorEmail = actor.toLowerCase();
+      if (action) query.action = action;
+      if (targetId) query.targetId = targetId;
+      if (from || to) {
+        query.date = {};
+        if (from && !Number.isNaN(Date.parse(from))) query.date.$gte = new Date(from);
+        if (to && !Number.isNaN(Date.parse(to))) query.date.$lte = new Date(to);
+      }
+
+      const [entries, total] = await Promise.all([
+        auditLog.find(query).sort({ date: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+        auditLog.countDocuments(query),
+      ]);
+
+      return { entries, total, page, totalPages: Math.ceil(total / limit) };
+    },
+  };
+}
+
+module.exports = createAuditService;
@@ -0,0 +1,52 @@
+const { ObjectId } = require("mongodb");
+const { toObjectId } = require("../utils");
+
+// Timeline of a campaign: text posts by the owner, each with optional photos, newest first
+function createCampaignUpdatesService({ campaignUpdates }, { photos }) {
+  return {
+    async create(campaign, authorEmail, { text }, files = []) {
+      const _id = new ObjectId();
+      const update = {
+        _id,
+        campaignId: campaign._id,
+        authorEmail,
+        text,
+        photos: await photos.storeUpdatePhotos(campaign, _id, files),
+        date: new Date(),
+      };
+
+      try {
+        await campaignUpdates.insertOne(update);
+      } catch (error) {
+        await photos.removeAllForUpdate(update);
+        throw error;
+      }
+      return update;
+    },
+
+    async list(campaignId, { page = 1, limit = 10 } = {}) {
+      const filter = { campaignId };
+      const updates = await campaignUpdates
+        .find(filter)
+        .sort({ date: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray();
+      const total = await campaignUpdates.countDocuments(filter);
+
+      return { updates, total, page, totalPages: Math.ceil(total / limit) };
+    },
+
+    findById(campaignId, id) {
+      const _id = toObjectId(id);
+      return _id ? campaignUpdates.findOne({ _id, campaignId }) : null;
+    },
+
+    async remove(update) {
+      await campaignUpdates.deleteOne({ _id: update._id });
+      await photos.removeAllForUpdate(update);
+    },
+  };
+}
+
+module.exports = createCampaignUpdatesService;
@@ -0,0 +1,215 @@
+const { toObjectId } = require("../utils");
+const { HttpError } = require("../errors");
+const { CAMPAIGN_STATUSES } = require("../schemas");
+const { LISTED, isListed } = require("./moderation");
+
+// Status changes owners (and admins) make by hand. goal_reached and expired are only
+// ever set by refreshStatuses, from the deadline and the donated amount.
+const MANUAL_TRANSITIONS = {
+  draft: ["active", "closed"],
+  active: ["paused", "closed"],
+  paused: ["active", "closed"],
+  goal_reached: ["closed"],
+  expired: ["closed"],
+  closed: [],
+};
+
+// Why a campaign that isn't active turns money away
+const NOT_ACCEPTING = {
+  draft: "This campaign has not been published yet",
+  paused: "Donations are currently paused for this campaign",
+  goal_reached: "This campaign has reached its goal",
+  expired: "This campaign has ended",
+  closed: "This campaign has been closed",
+};
+
+// Drafts are only visible to their owner
+const PUBLIC_STATUSES = CAMPAIGN_STATUSES.filter(status => status !== "draft");
+
+// Automatic transitions, applied in this order so one pass settles a campaign:
+// a campaign reopened by a refund can expire, and one reopened by a new deadline can reach its goal.
+function automaticTransitions(now) {
+  const overGoal = { $expr: { $gte: ["$donatedAmount", "$targetAmount"] } };
+  const belowGoal = { $expr: { $lt: ["$donatedAmount", "$targetAmount"] } };
+
+  return [
+    // Refunded below the goal, target raised or overfunding allowed
+    [{ status: "goal_reached", $or: [{ allowOverfunding: true }, belowGoal] }, "active"],
+    [{ status: { $in: ["active", "paused"] }, lastDate: { $lt: now } }, "expired"],
+    // Deadline moved into the future
+    [{ status: "expired", lastDate: { $gte: now } }, "active"],
+    [{ status: "active", allowOverfunding: { $ne: true }, ...overGoal }, "goal_reached"],
+  ];
+}
+
+// Bring statuses in line with deadlines and totals. Runs after every change to a
+// campaign's money or dates, and periodically from jobs.js for deadlines passing.
+async function refreshStatuses(campaigns, filter = {}, now = new Date(), session) {
+  let changed = 0;
+  for (const [match, status] of automaticTransitions(now)) {
+    const result = await campaigns.updateMany(
+      { ...filter, ...match, deletedAt: null },
+      { $set: { status, paused: false, statusChangedAt: now } },
+      { session }
+    );
+    changed += result.modifiedCount;
+  }
+  return changed;
+}
+
+function assertFutureDeadline(lastDate) {
+  if (lastDate && new Date(lastDate) <= new Date()) {
+    throw new HttpError(400, "lastDate must be in the future");
+  }
+}
+
+function createCampaignsService({ campaigns, donations }, { currencies }) {
+  return {
+    // { draft: true } keeps the campaign private until it is published.
+    // moderationStatus comes from moderation.initialStatus.
+    async create({ draft, ...data }, ownerEmail, moderationStatus) {
+      assertFutureDeadline(data.lastDate);
+
+      const currency = data.currency?.toLowerCase() || currencies.default;
+      currencies.assertSupported(currency);
+
+      return campaigns.insertOne({
+        allowOverfunding: false,
+        ...data,
+        currency,
+        ownerEmail,
+        donatedAmount: 0,
+        status: draft ? "draft" : "active",
+        paused: false,
+        moderationStatus,
+        date: new Date(),
+      });
+    },
+
+    // Campaigns in the trash (deletedAt set) are invisible everywhere except the admin trash view
+    findById(id) {
+      const _id = toObjectId(id);
+      return _id ? campaigns.findOne({ _id, deletedAt: null }) : null;
+    },
+
+    // Stamp goalReachedAt the first time the campaign has raised its target. Resolves to the
+    // campaign only for the one caller that stamped it, so the goal is announced once.
+    markGoalReached(id) {
+      return campaigns.findOneAndUpdate(
+        { _id: id, goalReachedAt: null, $expr: { $gte: ["$donatedAmount", "$targetAmount"] } },
+        { $set: { goalReachedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+    },
+
+    listByOwner(ownerEmail) {
+      return campaigns.find({ ownerEmail, deletedAt: null }).toArray();
+    },
+
+    async list({ page = 1, limit = 10, status }) {
+      page = parseInt(page) || 1;
+      limit = parseInt(limit) || 10;
+
+      if (status !== undefined && !PUBLIC_STATUSES.includes(status)) {
+        throw new HttpError(400, `status must be one of ${PUBLIC_STATUSES.join(", ")}`);
+      }
+
+      const filter = { status: status || { $in: PUBLIC_STATUSES }, ...LISTED, deletedAt: null };
+
+      const items = await campaigns
+        .find(filter)
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray();
+
+      const total = await campaigns.countDocuments(filter);
+
+      return { campaigns: items, total, page, totalPages: Math.ceil(total / limit) };
+    },
+
+    // Every campaign with an owner, for the admin table
+    listAll() {
+      return campaigns
+        .find({
+          paused: { $in: [true, false] },
+          ownerEmail: { $exists: true },
+          deletedAt: null,
+        })
+        .toArray();
+    },
+
+    // Owner edits; a new deadline, target or overfunding setting can change the status
+    async update(_id, { draft, ...data }) {
+      assertFutureDeadline(data.lastDate);
+
+      if (data.currency) {
+        data.currency = data.currency.toLowerCase();
+        currencies.assertSupported(data.currency);
+        // Totals would silently change meaning
+        if (await donations.countDocuments({ donationId: _id, currency: { $ne: data.currency } })) {
+          throw new HttpError(409, "The currency can't be changed once the campaign has donations");
+        }
+      }
+
+      const result = await campaigns.updateOne({ _id }, { $set: data });
+      await refreshStatuses(campaigns, { _id });
+      return result;
+    },
+
+    // Only active and paused campaigns can be paused or resumed
+    async setPaused(id, paused) {
+      const _id = toObjectId(id);
+      const result = await campaigns.updateOne(
+        { _id, status: { $in: ["active", "paused"] }, deletedAt: null },
+        { $set: { status: paused ? "paused" : "active", paused: !!paused, statusChangedAt: new Date() } }
+      );
+      // Resuming after the deadline ends the campaign right away
+      await refreshStatuses(campaigns, { _id });
+      return result;
+    },
+
+    // Manual lifecycle step (publish, pause, resume, close); see MANUAL_TRANSITIONS
+    async setStatus(campaign, status) {
+      if (!MANUAL_TRANSITIONS[campaign.status]?.includes(status)) {
+        throw new HttpError(409, `A ${campaign.status} campaign can't be moved to ${status}`);
+      }
+
+      // Guard on the current status so a concurrent change isn't overwritten
+      const result = await campaigns.updateOne(
+        { _id: campaign._id, status: campaign.status },
+        { $set: { status, paused: status === "paused", statusChangedAt: new Date() } }
+      );
+      if (!result.modifiedCount) {
+        throw new HttpError(409, "The campaign was changed in the meantime, try again");
+      }
+
+      await refreshStatuses(campaigns, { _id: campaign._id });
+      return campaigns.findOne({ _id: campaign._id });
+    },
+
+    refreshStatuses(filter, now) {
+      return refreshStatuses(campaigns, filter, now);
+    },
+
+    // Throws unless the campaign can take this amount right now
+    assertAcceptsDonation(campaign, amount) {
+      if (!isListed(campaign)) {
+        throw new HttpError(403, campaign.moderationStatus === "pending_review"
+          ? "This campaign is waiting for review"
+          : "This campaign is not available");
+      }
+      if (campaign.status !== "active") {
+        throw new HttpError(403, NOT_ACCEPTING[campaign.status] || "This campaign is not accepting donations");
+      }
+
+      const remaining = currencies.roundTo(campaign.targetAmount - (campaign.donatedAmount || 0), campaign.currency);
+      if (!campaign.allowOverfunding && amount > remaining) {
+        throw new HttpError(400, `At most ${remaining} ${campaign.currency.toUpperCase()} can still be donated to this campaign`);
+      }
+    },
+  };
+}
+
+module.exports = createCampaignsService;
+module.exports.refreshStatuses = refreshStatuses;
@@ -0,0 +1,176 @@
+const { toObjectId } = require("../utils");
+const { HttpError } = require("../errors");
+const { isBanned } = require("./users");
+const { isListed } = require("./moderation");
+
+// Length of the last-message preview kept on the thread
+const PREVIEW_LENGTH = 140;
+
+// "owner" or "adopter" for a participant, null for anyone else (admins included)
+function sideOf(conversation, email) {
+  if (conversation.ownerEmail === email) return "owner";
+  if (conversation.adopterEmail === email) return "adopter";
+  return null;
+}
+
+// Conversations between pet owners and prospective adopters. There is one thread per pet and
+// adopter; an adoption request joins the thread its requester may already have about the pet.
+function createConversationsService({ users, pets, adoptions, conversations, messages }) {
+  // The pet, its owner and the adopter a new message from `email` is about
+  async function partiesOf(email, { petId, adoptionId }) {
+    if (Boolean(petId) === Boolean(adoptionId)) {
+      throw new HttpError(400, "Give either a petId or an adoptionId");
+    }
+
+    if (adoptionId) {
+      const adoption = await adoptions.findOne({ _id: toObjectId(adoptionId) });
+      if (!adoption) throw new HttpError(404, "Adoption request not found");
+
+      // Requests keep their conversation after the pet is adopted or trashed
+      const pet = await pets.findOne({ _id: toObjectId(adoption.petId) });
+      if (!pet) throw new HttpError(404, "Pet not found");
+
+      const ownerEmail = adoption.ownerEmail || pet.ownerEmail;
+      if (email !== ownerEmail && email !== adoption.requesterEmail) {
+        throw new HttpError(403, "Only the requester and the pet owner can discuss this request");
+      }
+      return { pet, ownerEmail, adopterEmail: adoption.requesterEmail, adoptionId: adoption._id };
+    }
+
+    const pet = await pets.findOne({ _id: toObjectId(petId), deletedAt: null });
+    // Listings waiting for review (or taken down) can't be asked about yet
+    if (!pet || !isListed(pet)) throw new HttpError(404, "Pet not found");
+    if (pet.ownerEmail === email) {
+      throw new HttpError(400, "You can't start a conversation about your own pet");
+    }
+    return { pet, ownerEmail: pet.ownerEmail, adopterEmail: email };
+  }
+
+  async function send(conversation, email, text) {
+    const side = sideOf(conversation, email);
+    if (!side) {
+      throw new HttpError(403, "Only the two participants can send messages");
+    }
+    if (isBanned(await users.findOne({ email }))) {
+      throw new HttpError(403, "Banned users can't send messages");
+    }
+
+    const message = { conversationId: conversation._id, senderEmail: email, text, date: new Date() };
+    const { insertedId } = await messages.insertOne(message);
+    message._id = insertedId;
+
+    // Writing in a thread counts as having read it
+    const other = side === "owner" ? "adopter" : "owner";
+    await conversations.updateOne(
+      { _id: conversation._id },
+      {
+        $set: {
+          lastMessage: text.slice(0, PREVIEW_LENGTH),
+          lastMessageAt: message.date,
+          [`${side}Unread`]: 0,
+          [`${side}ReadAt`]: message.date,
+        },
+        $inc: { [`${other}Unread`]: 1 },
+      }
+    );
+    return message;
+  }
+
+  return {
+    findById(id) {
+      const _id = toObjectId(id);
+      return _id ? conversations.findOne({ _id }) : null;
+    },
+
+    // Open (or reuse) the thread about a pet or an adoption request with a first message
+    async start(email, { petId, adoptionId, text }) {
+      const { pet, ownerEmail, adopterEmail, ...link } = await partiesOf(email, { petId, adoptionId });
+      if (isBanned(await users.findOne({ email }))) {
+        throw new HttpError(403, "Banned users can't send messages");
+      }
+
+      const conversation = await conversations.findOneAndUpdate(
+        { petId: pet._id, adopterEmail },
+        {
+          $setOnInsert: {
+            petId: pet._id,
+            petName: pet.name,
+            ownerEmail,
+            adopterEmail,
+            ownerUnread: 0,
+            adopterUnread: 0,
+            date: new Date(),
+          },
+          ...(link.adoptionId && { $set: { adoptionId: link.adoptionId } }),
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+
+      const message = await send(conversation, email, text);
+      return { conversation: await conversations.findOne({ _id: conversation._id }), message };
+    },
+
+    send,
+
+    // The caller's threads, latest activity first, each with its own unread count
+    async list(email, { page = 1, limit = 20 } = {}) {
+      const filter = { $or: [{ ownerEmail: email }, { adopterEmail: email }] };
+      const items = await conversations
+        .find(filter)
+        .sort({ lastMessageAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray();
+      const total = await conversations.countDocuments(filter);
+      const [unread] = await conversations.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: { $cond: [{ $eq: ["$ownerEmail", email] }, "$ownerUnread", "$adopterUnread"] } },
+          },
+        },
+      ]).toArray();
+
+      return {
+        conversations: items.map(conversation => ({
+          ...conversation,
+          unreadCount: conversation[`${sideOf(conversation, email)}Unread`] || 0,
+        })),
+        unreadCount: unread?.count || 0,
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+      };
+    },
+
+    // Message history, newest first
+    async messages(conversation, { page = 1, limit = 20 } = {}) {
+      const filter = { conversationId: conversation._id };
+      const items = await messages
+        .find(filter)
+        .sort({ date: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray();
+      const total = await messages.countDocuments(filter);
+
+      return { messages: items, total, page, totalPages: Math.ceil(total / limit) };
+    },
+
+    async markRead(conversation, email) {
+      const side = sideOf(conversation, email);
+      if (!side) {
+        throw new HttpError(403, "Only the two participants can mark a conversation read");
+      }
+
+      await conversations.updateOne(
+        { _id: conversation._id },
+        { $set: { [`${side}Unread`]: 0, [`${side}ReadAt`]: new Date() } }
+      );
+      return conversations.findOne({ _id: conversation._id });
+    },
+  };
+}
+
+module.exports = createConversationsService;
@@ -0,0 +1,380 @@
+const { ObjectId } = require("mongodb");
+const { toObjectId, escapeRegex } = require("../utils");
+const { refreshStatuses } = require("./campaigns");
+
+// Refund policy: nobody refunds once the campaign's lastDate has passed, since the owner may
+// already have spent the money. Donors must also ask within refundWindowDays of donating, when the
+// owner set one. A refund that failed at Stripe can be retried at any time: it was asked in time.
+function canRefund(donation, campaign, requester) {
+  if (donation.status === "refund_failed") return true;
+
+  const now = new Date();
+  if (campaign.lastDate && now > new Date(campaign.lastDate)) return false;
+  if (requester !== "donor") return true;
+
+  if (campaign.refundWindowDays) {
+    const windowEnd = new Date(donation.date);
+    windowEnd.setDate(windowEnd.getDate() + Number(campaign.refundWindowDays));
+    if (now > windowEnd) return false;
+  }
+
+  return true;
+}
+
+// Statuses whose money is counted in the campaign's donatedAmount (minus refundedAmount)
+const COUNTED_STATUSES = ["succeeded", "partially_refunded", "refund_pending", "refunded", "refund_failed"];
+
+function createDonationsService({ client, campaigns, donations }, { currencies }) {
+  // A payment amount (minor units of the currency the donor paid in) as stored on the donation.
+  // The rate quoted to the donor (PaymentIntent metadata, or the pledge) is used, so they are
+  // credited what they were shown even if the table changed since.
+  function amountsOf({ currency, campaignCurrency, exchangeRate }, minorAmount) {
+    const originalCurrency = currency || "usd";
+    const originalAmount = currencies.fromMinorUnits(minorAmount, originalCurrency);
+    campaignCurrency = campaignCurrency || originalCurrency;
+    const rate = exchangeRate ? Number(exchangeRate) : currencies.convert(1, originalCurrency, campaignCurrency).rate;
+
+    return {
+      amount: currencies.roundTo(originalAmount * rate, campaignCurrency),
+      currency: campaignCurrency,
+      originalAmount,
+      originalCurrency,
+      exchangeRate: rate,
+    };
+  }
+
+  // Run the donation write and the campaign total change as one transaction
+  async function inTransaction(work) {
+    const session = client.startSession();
+    try {
+      await session.withTransaction(() => work(session));
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Shared by one-off payments and monthly pledge charges.
+  // Resolves to the donation when this call counted it, null when it was already counted.
+  async function recordPayment({ transactionId, donationId, donorEmail, date, amounts, ...extra }) {
+    let counted = false;
+    try {
+      await inTransaction(async session => {
+        // withTransaction retries this callback on transient errors
+        counted = false;
+        // A redelivered event must not revive a donation that has since been refunded
+        const existing = await donations.findOne({ transactionId }, { session });
+        if (existing && existing.status !== "failed") return;
+
+        // Count the money for a new record, or for a failed one that was retried successfully
+        await donations.updateOne(
+          { transactionId },
+          {
+            $set: { status: "succeeded", ...amounts },
+            $unset: { failureMessage: "" },
+            $setOnInsert: { donationId, donorEmail, transactionId, date, ...extra },
+          },
+          { upsert: true, session }
+        );
+        await campaigns.updateOne({ _id: donationId }, { $inc: { donatedAmount: amounts.amount } }, { session });
+        await refreshStatuses(campaigns, { _id: donationId }, new Date(), session);
+        counted = true;
+      });
+    } catch (error) {
+      // A concurrent delivery of the same event inserted it first
+      if (error.code !== 11000) throw error;
+      return null;
+    }
+    return counted ? donations.findOne({ transactionId }) : null;
+  }
+
+  return {
+    canRefund,
+
+    findById(id) {
+      const _id = toObjectId(id);
+      return _id ? donations.findOne({ _id }) : null;
+    },
+
+    findByTransaction(transactionId, donorEmail) {
+      return donations.findOne({ transactionId, donorEmail });
+    },
+
+    // Payments that went through; failed ones aren't donations
+    listForCampaign(campaignId) {
+      return donations.find({ donationId: toObjectId(campaignId), status: { $in: COUNTED_STATUSES } }).toArray();
+    },
+
+    // Everyone whose payment to the campaign went through
+    donorEmailsOf(campaignId) {
+      return donations.distinct("donorEmail", {
+        // Older donations stored the campaign id as a string
+        donationId: { $in: [campaignId, campaignId.toString()] },
+        status: { $in: COUNTED_STATUSES },
+      });
+    },
+
+    // A donor's history joined with the campaign it went to
+    async listForDonor(email) {
+      const userEmail = email.toLowerCase();
+
+      // Case-insensitive query
+      const mine = await donations.find({
+        donorEmail: { $regex: `^${escapeRegex(userEmail)}$`, $options: "i" },
+      }).toArray();
+
+      const campaignIds = mine.map(d => new ObjectId(d.donationId));
+      const related = await campaigns.find({ _id: { $in: campaignIds } }).toArray();
+
+      return mine.map(donation => {
+        const campaign = related.find(c => c._id.equals(new ObjectId(donation.donationId)));
+        return {
+          _id: donation._id,
+          amount: donation.amount,
+          currency: donation.currency,
+          originalAmount: donation.originalAmount,
+          originalCurrency: donation.originalCurrency,
+          donorEmail: donation.donorEmail,
+          date: donation.date,
+          transactionId: donation.transactionId,
+          status: donation.status,
+          // Set when the donation is a monthly pledge charge
+          pledgeId: donation.pledgeId || null,
+          refundedAmount: donation.refundedAmount || 0,
+          refundedAt: donation.refundedAt || null,
+          petName: campaign?.petName || 'Unknown',
+          petImage: campaign?.petImage || '',
+        };
+      });
+    },
+
+    // Record a successful payment. The donation and the campaign total are written in one transaction,
+    // and the unique transactionId index keeps retried webhook deliveries from double counting.
+    recordSucceededPayment(paymentIntent) {
+      const { donationId, donorEmail } = paymentIntent.metadata || {};
+      if (!donationId || !donorEmail) {
+        console.warn("PaymentIntent without donation metadata:", paymentIntent.id);
+        return;
+      }
+      // A bad id would fail every retry of the event, so it is skipped like missing metadata
+      const campaignId = toObjectId(donationId);
+      if (!campaignId) {
+        console.warn("PaymentIntent with an invalid donationId:", paymentIntent.id, donationId);
+        return;
+      }
+
+      return recordPayment({
+        transactionId: paymentIntent.id,
+        donationId: campaignId,
+        donorEmail,
+        date: new Date(paymentIntent.created * 1000),
+        amounts: amountsOf({ currency: paymentIntent.currency, ...paymentIntent.metadata }, paymentIntent.amount_received),
+      });
+    },
+
+    // One monthly charge of a pledge, paid through a subscription invoice
+    recordPledgePayment(invoice, pledge, transactionId) {
+      return recordPayment({
+        transactionId,
+        donationId: pledge.donationId,
+        donorEmail: pledge.donorEmail,
+        date: new Date((invoice.status_transitions?.paid_at || invoice.created) * 1000),
+        amounts: amountsOf({ ...pledge, currency: invoice.currency }, invoice.amount_paid),
+        pledgeId: pledge._id,
+        invoiceId: invoice.id,
+      });
+    },
+
+    async recordFailedPayment(paymentIntent) {
+      const { donationId, donorEmail } = paymentIntent.metadata || {};
+      if (!donationId || !donorEmail) {
+        console.warn("PaymentIntent without donation metadata:", paymentIntent.id);
+        return;
+      }
+      // A bad id would fail every retry of the event, so it is skipped like missing metadata
+      const campaignId = toObjectId(donationId);
+      if (!campaignId) {
+        console.warn("PaymentIntent with an invalid donationId:", paymentIntent.id, donationId);
+        return;
+      }
+
+      // Only a new or still unpaid donation becomes failed; an event arriving after the payment
+      // succeeded or was refunded matches nothing, and the upsert then hits the unique transactionId
+      try {
+        await donations.updateOne(
+          { transactionId: paymentIntent.id, status: { $in: ["pending", "failed"] } },
+          {
+            $set: {
+              status: "failed",
+              failureMessage: paymentIntent.last_payment_error?.message || null,
+            },
+            $setOnInsert: {
+              donationId: campaignId,
+              donorEmail,
+              transactionId: paymentIntent.id,
+              ...amountsOf({ currency: paymentIntent.currency, ...paymentIntent.metadata }, paymentIntent.amount),
+              date: new Date(paymentIntent.created * 1000),
+            },
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    },
+
+    async recordRefund(charge) {
+      const donation = await donations.findOne({ transactionId: charge.payment_intent });
+      if (!donation) {
+        console.warn("Refund for unknown payment:", charge.payment_intent);
+        return;
+      }
+
+      // Stripe reports refunds in the currency the donor paid in. They convert at the donation's
+      // own rate, and a full refund takes back exactly what was counted.
+      const originalCurrency = donation.originalCurrency || charge.currency || "usd";
+      const currency = donation.currency || originalCurrency;
+      const originalRefundedAmount = currencies.fromMinorUnits(charge.amount_refunded, originalCurrency);
+      const refundedAmount = charge.refunded
+        ? donation.amount
+        : currencies.roundTo(originalRefundedAmount * (donation.exchangeRate || 1), currency);
+      const delta = currencies.roundTo(refundedAmount - (donation.refundedAmount || 0), currency);
+      if (delta <= 0) return;
+
+      const campaignId = new ObjectId(donation.donationId);
+
+      await inTransaction(async session => {
+        // Guard on the previous refundedAmount so concurrent deliveries can't subtract twice
+        const result = await donations.updateOne(
+          { _id: donation._id, refundedAmount: donation.refundedAmount ?? null },
+          {
+            $set: {
+              status: charge.refunded ? "refunded" : "partially_refunded",
+              refundedAmount,
+              originalRefundedAmount,
+              refundedAt: new Date(),
+            },
+          },
+          { session }
+        );
+        if (result.modifiedCount !== 1) return;
+
+        await campaigns.updateOne({ _id: campaignId }, { $inc: { donatedAmount: -delta } }, { session });
+        // A refund can take a campaign back below its goal
+        await refreshStatuses(campaigns, { _id: campaignId }, new Date(), session);
+      });
+    },
+
+    async recordRefundUpdate(refund) {
+      if (refund.status !== "failed" && refund.status !== "canceled") return;
+
+      await donations.updateOne(
+        { transactionId: refund.payment_intent, status: "refund_pending" },
+        {
+          $set: {
+            status: "refund_failed",
+            refundError: refund.failure_reason || refund.status,
+          },
+        }
+      );
+    },
+
+    // Recompute every campaign's donatedAmount from its donations and report the campaigns whose
+    // stored total differs. With fix, mismatched totals are overwritten (unless they changed meanwhile).
+    async reconcile({ fix = false } = {}) {
+      const totals = await donations.aggregate([
+        { $match: { status: { $in: COUNTED_STATUSES } } },
+        {
+          $group: {
+            _id: "$donationId",
+            expected: { $sum: { $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }] } },
+          },
+        },
+      ]).toArray();
+
+      // Older records may hold the campaign id as a string, so ids are compared as strings.
+      // Sums are rounded per campaign, in the decimals of its currency.
+      const expectedById = new Map();
+      for (const { _id, expected } of totals) {
+        const id = String(_id);
+        expectedById.set(id, (expectedById.get(id) || 0) + expected);
+      }
+
+      const duplicates = await donations.aggregate([
+        { $group: { _id: "$transactionId", count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+      ]).toArray();
+
+      const all = await campaigns.find({}, { projection: { petName: 1, currency: 1, donatedAmount: 1, deletedAt: 1 } }).toArray();
+      const mismatches = [];
+
+      for (const campaign of all) {
+        const round = amount => currencies.roundTo(amount, campaign.currency || currencies.default);
+        const recorded = round(campaign.donatedAmount || 0);
+        const expected = round(expectedById.get(String(campaign._id)) || 0);
+        if (recorded === expected) continue;
+
+        const mismatch = {
+          campaignId: campaign._id,
+          petName: campaign.petName,
+          recorded,
+          expected,
+          difference: round(recorded - expected),
+        };
+
+        if (fix) {
+          const result = await campaigns.updateOne(
+            { _id: campaign._id, donatedAmount: campaign.donatedAmount },
+            { $set: { donatedAmount: expected } }
+          );
+          mismatch.fixed = result.modifiedCount === 1;
+          if (mismatch.fixed) await refreshStatuses(campaigns, { _id: campaign._id });
+        }
+
+        mismatches.push(mismatch);
+      }
+
+      return {
+        checked: all.length,
+        mismatches,
+        duplicateTransactionIds: duplicates.map(d => d._id),
+      };
+    },
+
+    // Claim the donation before talking to Stripe so two requests can't both issue a refund.
+    // Returns false when someone else got there first.
+    async claimRefund(donation, requestedBy) {
+      const result = await donations.updateOne(
+        { _id: donation._id, status: donation.status },
+        {
+          $set: {
+            status: 'refund_pending',
+            refundRequestedAt: new Date(),
+            refundRequestedBy: requestedBy,
+          },
+          $unset: { refundError: '' },
+        }
+      );
+      return result.modifiedCount === 1;
+    },
+
+    markRefundFailed(donation, message) {
+      return donations.updateOne(
+        { _id: donation._id },
+        {
+          $set: { status: 'refund_failed', refundError: message },
+          $inc: { refundAttempts: 1 },
+        }
+      );
+    },
+
+    markRefundRequested(donation, refundId) {
+      return donations.updateOne(
+        { _id: donation._id },
+        { $set: { refundId }, $inc: { refundAttempts: 1 } }
+      );
+    },
+  };
+}
+
+module.exports = createDonationsService;
+module.exports.COUNTED_STATUSES = COUNTED_STATUSES;
@@ -0,0 +1,159 @@
+const jwt = require("jsonwebtoken");
+const { HttpError } = require("../errors");
+const { EMAIL_CATEGORIES } = require("../schemas");
+const { renderEmail, categoryOf } = require("../emails");
+
+// Wait after each failed attempt; once they are used up the email is given up as failed
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+// A send still unfinished after this long is assumed lost with its worker and tried again
+const SEND_TIMEOUT_MINUTES = 5;
+const BATCH_SIZE = 50;
+
+// Transactional email: messages are rendered from templates into the emailQueue collection and
+// sent by processQueue (the email queue job) through the mailer handed to createApp.
+// Recipients can unsubscribe per category with the signed link in every non-account email.
+function createEmailsService({ emailQueue, emailSuppressions }, { mailer, config }) {
+  const unsubscribeUrl = (email, category) => {
+    const token = jwt.sign({ email, category, purpose: "unsubscribe" }, config.jwtSecret);
+    return `${config.apiUrl}/email/unsubscribe?token=${token}`;
+  };
+
+  async function setSubscribed(email, category, subscribed) {
+    if (subscribed) {
+      await emailSuppressions.deleteOne({ email, category });
+    } else {
+      await emailSuppressions.updateOne(
+        { email, category },
+        { $setOnInsert: { email, category, date: new Date() } },
+        { upsert: true }
+      );
+    }
+  }
+
+  return {
+    // Render a template for one recipient and queue it. Resolves to the queued email,
+    // or null when the recipient has unsubscribed from the template's category.
+    async enqueue(to, template, data = {}) {
+      const category = categoryOf(template);
+      if (!category) throw new Error(`Unknown email template ${template}`);
+
+      const optional = category !== "account";
+      if (optional && (await emailSuppressions.findOne({ email: to, category }))) return null;
+
+      const unsubscribe = optional ? unsubscribeUrl(to, category) : null;
+      const { subject, text, html } = renderEmail(template, data, { appUrl: config.appUrl, unsubscribeUrl: unsubscribe });
+      const now = new Date();
+      const email = {
+        to,
+        template,
+        category,
+        subject,
+        text,
+        html,
+        // One-click unsubscribe from the mail client (RFC 8058)
+        ...(unsubscribe && {
+          headers: { "List-Unsubscribe": `<${unsubscribe}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" },
+        }),
+        status: "queued",
+        attempts: 0,
+        nextAttemptAt: now,
+        date: now,
+      };
+      const { insertedId } = await emailQueue.insertOne(email);
+      return { ...email, _id: insertedId };
+    },
+
+    // Send the emails that are due, oldest first, one at a time so several workers can share the
+    // queue. A failed send waits RETRY_DELAYS_MINUTES before the next attempt. Resolves to counts.
+    async processQueue({ limit = BATCH_SIZE } = {}) {
+      const counts = { sent: 0, retrying: 0, failed: 0 };
+
+      for (let i = 0; i < limit; i++) {
+        const now = new Date();
+        const email = await emailQueue.findOneAndUpdate(
+          {
+            $or: [
+              { status: "queued", nextAttemptAt: { $lte: now } },
+              { status: "sending", lockedUntil: { $lt: now } },
+            ],
+          },
+          {
+            $set: { status: "sending", lockedUntil: new Date(now.getTime() + SEND_TIMEOUT_MINUTES * 60 * 1000) },
+            $inc: { attempts: 1 },
+          },
+          { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+        );
+        if (!email) break;
+
+        try {
+          await mailer.send({ to: email.to, subject: email.subject, text: email.text, html: email.html, headers: email.headers });
+          await emailQueue.updateOne(
+            { _id: email._id },
+            { $set: { status: "sent", sentAt: new Date() }, $unset: { lockedUntil: "" } }
+          );
+          counts.sent++;
+        } catch (error) {
+          const delay = RETRY_DELAYS_MINUTES[email.attempts - 1];
+          const retry = delay !== undefined;
+          await emailQueue.updateOne(
+            { _id: email._id },
+            {
+              $set: retry
+                ? { status: "queued", lastError: error.message, nextAttemptAt: new Date(Date.now() + delay * 60 * 1000) }
+                : { status: "failed", lastError: error.message, failedAt: new Date() },
+              $unset: { lockedUntil: "" },
+            }
+          );
+          if (retry) {
+            counts.retrying++;
+          } else {
+            console.error(`Gave up emailing ${email.to} (${email.template}):`, error.message);
+            counts.failed++;
+          }
+        }
+      }
+
+      return counts;
+    },
+
+    // { email, category } of a valid unsubscribe link, without changing anything
+    readUnsubscribeToken(token) {
+      let claims;
+      try {
+        claims = jwt.verify(String(token), config.jwtSecret);
+      } catch (error) {
+        throw new HttpError(400, "This unsubscribe link is invalid");
+      }
+      if (claims.purpose !== "unsubscribe" || !EMAIL_CATEGORIES.includes(claims.category)) {
+        throw new HttpError(400, "This unsubscribe link is invalid");
+      }
+      return { email: claims.email, category: claims.category };
+    },
+
+    // Resolves to { email, category } of a valid unsubscribe link
+    async unsubscribe(token) {
+      const { email, category } = this.readUnsubscribeToken(token);
+      await setSubscribed(email, category, false);
+      return { email, category };
+    },
+
+    // { [category]: subscribed } for every category
+    async subscriptions(email) {
+      const suppressed = await emailSuppressions.find({ email }).toArray();
+      return Object.fromEntries(EMAIL_CATEGORIES.map(category => [
+        category,
+        !suppressed.some(suppression => suppression.category === category),
+      ]));
+    },
+
+    // { [category]: true | false }
+    async updateSubscriptions(email, changes) {
+      for (const [category, subscribed] of Object.entries(changes)) {
+        await setSubscribed(email, category, subscribed);
+      }
+      return this.subscriptions(email);
+    },
+  };
+}
+
+module.exports = createEmailsService;
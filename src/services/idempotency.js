@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+
+// Stored outcomes of requests sent with an Idempotency-Key header, per user.
+// Keys expire through the TTL index on createdAt (see db.js).
+function createIdempotencyService({ idempotencyKeys }) {
+  return {
+    fingerprint(req) {
+      return crypto
+        .createHash("sha256")
+        .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body ?? null)}`)
+        .digest("hex");
+    },
+
+    // Claim a key. Returns { claimed: true } for a new key, otherwise the earlier record.
+    async claim(email, key, fingerprint) {
+      try {
+        await idempotencyKeys.insertOne({ email, key, fingerprint, state: "processing", createdAt: new Date() });
+        return { claimed: true };
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        return { claimed: false, record: await idempotencyKeys.findOne({ email, key }) };
+      }
+    },
+
+    complete(email, key, response) {
+      return idempotencyKeys.updateOne({ email, key }, { $set: { state: "completed", response } });
+    },
+
+    // Forget a key whose request failed on our side, so the client can retry with it
+    release(email, key) {
+      return idempotencyKeys.deleteOne({ email, key, state: "processing" });
+    },
+  };
+}
+
+module.exports = createIdempotencyService;
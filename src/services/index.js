@@ -0,0 +1,76 @@
+const createUsersService = require("./users");
+const createPetsService = require("./pets");
+const createAdoptionsService = require("./adoptions");
+const createCampaignsService = require("./campaigns");
+const createDonationsService = require("./donations");
+const createStatsService = require("./stats");
+const createSessionsService = require("./sessions");
+const createProfilesService = require("./profiles");
+const createAuditService = require("./audit");
+const createPhotosService = require("./photos");
+const createTrashService = require("./trash");
+const createIdempotencyService = require("./idempotency");
+const createReceiptsService = require("./receipts");
+const createPledgesService = require("./pledges");
+const createCampaignUpdatesService = require("./campaignUpdates");
+const createNotificationsService = require("./notifications");
+const createRecommendationsService = require("./recommendations");
+const createConversationsService = require("./conversations");
+const createEmailsService = require("./emails");
+const createModerationService = require("./moderation");
+const { createCurrencies } = require("../currency");
+
+// Build every service on top of one shared set of collection handles
+function createServices(db, config = {}, { storage, stripe, mailer, realtime } = {}) {
+  const collections = {
+    client: db.client,
+    users: db.collection("users"),
+    pets: db.collection("pets"),
+    adoptions: db.collection("adoptions"),
+    campaigns: db.collection("donationCampaigns"),
+    donations: db.collection("donations"),
+    sessions: db.collection("sessions"),
+    auditLog: db.collection("auditLog"),
+    idempotencyKeys: db.collection("idempotencyKeys"),
+    counters: db.collection("counters"),
+    pledges: db.collection("pledges"),
+    campaignUpdates: db.collection("campaignUpdates"),
+    notifications: db.collection("notifications"),
+    conversations: db.collection("conversations"),
+    messages: db.collection("messages"),
+    emailQueue: db.collection("emailQueue"),
+    emailSuppressions: db.collection("emailSuppressions"),
+    reports: db.collection("reports"),
+  };
+
+  const currencies = createCurrencies(config.currencies);
+  const donations = createDonationsService(collections, { currencies });
+  const emails = createEmailsService(collections, { mailer, config });
+  const photos = createPhotosService(collections, { storage, maxPhotosPerPet: config.uploads?.maxPhotosPerPet });
+
+  return {
+    users: createUsersService(collections),
+    pets: createPetsService(collections),
+    adoptions: createAdoptionsService(collections),
+    campaigns: createCampaignsService(collections, { currencies }),
+    donations,
+    stats: createStatsService(collections, { currencies }),
+    sessions: createSessionsService(collections, config.auth),
+    profiles: createProfilesService(collections, { currencies }),
+    audit: createAuditService(collections),
+    idempotency: createIdempotencyService(collections),
+    receipts: createReceiptsService(collections, config.receipts),
+    currencies,
+    photos,
+    pledges: createPledgesService(collections, { stripe, currencies, donations }),
+    campaignUpdates: createCampaignUpdatesService(collections, { photos }),
+    emails,
+    notifications: createNotificationsService(collections, { emails, realtime }),
+    recommendations: createRecommendationsService(collections),
+    conversations: createConversationsService(collections),
+    moderation: createModerationService(collections, config.moderation),
+    trash: createTrashService(collections, { photos, retentionDays: config.trash?.retentionDays }),
+  };
+}
+
+module.exports = createServices;
@@ -0,0 +1,166 @@
+const { toObjectId } = require("../utils");
+const { HttpError } = require("../errors");
+const { hasRole } = require("./users");
+
+// Listings in these states are only shown to their owner and to moderators
+const UNLISTED_STATUSES = ["pending_review", "rejected", "hidden"];
+// Query fragment for listings the public may see; listings from before moderation have no status
+const LISTED = { moderationStatus: { $nin: UNLISTED_STATUSES } };
+
+const isListed = listing => !UNLISTED_STATUSES.includes(listing?.moderationStatus);
+
+// Queue types as they appear in URLs, and the report targetType of each
+const TARGET_TYPES = { pets: "pet", campaigns: "campaign" };
+
+// Fields whose edits a moderator has to see again: what the public reads and the pictures
+const REVIEWED_FIELDS = {
+  pets: ["name", "category", "image", "breed", "shortDescription", "longDescription"],
+  campaigns: ["petName", "petImage", "petCategory", "description", "longDesc"],
+};
+
+// What the queue holds: new listings, listings hidden by reports, and listed ones that have been reported
+const QUEUE_FILTERS = {
+  pending_review: { moderationStatus: "pending_review" },
+  hidden: { moderationStatus: "hidden" },
+  reported: { ...LISTED, reportCount: { $gt: 0 } },
+};
+
+// Review of pet and campaign listings. New listings wait in pending_review unless their owner is
+// trusted; users report listings, and reportThreshold open reports hide one until a moderator
+// approves (reports dismissed) or rejects it (reports upheld).
+function createModerationService({ pets, campaigns, reports, users }, { reportThreshold = 3 } = {}) {
+  const collections = { pets, campaigns };
+
+  function collectionFor(type) {
+    const collection = collections[type];
+    if (!collection) throw new HttpError(400, "Moderation type must be pets or campaigns");
+    return collection;
+  }
+
+  const isStaff = async email => hasRole(await users.findOne({ email }, { projection: { role: 1 } }), "moderator");
+
+  return {
+    // The moderationStatus a new listing of this user starts in
+    async initialStatus(email) {
+      const user = await users.findOne({ email }, { projection: { role: 1, trusted: 1 } });
+      return user?.trusted || hasRole(user, "moderator") ? "approved" : "pending_review";
+    },
+
+    // After `email` edited a listed pet or campaign, put it back in the queue unless they skip
+    // review. `fields` are the ones changed, or null for a new picture. Resolves to true when it did.
+    async resubmit(type, listing, email, fields = null) {
+      if (!isListed(listing)) return false;
+      if (fields && !fields.some(field => REVIEWED_FIELDS[type].includes(field))) return false;
+      if ((await this.initialStatus(email)) === "approved") return false;
+
+      const result = await collectionFor(type).updateOne(
+        { _id: listing._id, ...LISTED },
+        { $set: { moderationStatus: "pending_review" } }
+      );
+      return result.modifiedCount > 0;
+    },
+
+    // Unlisted pets and campaigns are only shown to their owner and to moderators
+    async canView(listing, email) {
+      if (isListed(listing)) return true;
+      if (!email) return false;
+      return listing.ownerEmail === email || isStaff(email);
+    },
+
+    // Resolves to { report, hidden }, hidden being true when this report took the listing down
+    async report(type, listing, reporterEmail, { reason, details }) {
+      if (listing.ownerEmail === reporterEmail) {
+        throw new HttpError(403, "You cannot report your own listing");
+      }
+
+      const report = {
+        targetType: TARGET_TYPES[type],
+        targetId: listing._id,
+        reporterEmail,
+        reason,
+        ...(details && { details }),
+        status: "open",
+        date: new Date(),
+      };
+      try {
+        const { insertedId } = await reports.insertOne(report);
+        report._id = insertedId;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        throw new HttpError(409, "You have already reported this listing");
+      }
+
+      const collection = collectionFor(type);
+      await collection.updateOne({ _id: listing._id }, { $inc: { reportCount: 1 } });
+      // Only the report that crosses the threshold matches
+      const result = await collection.updateOne(
+        { _id: listing._id, ...LISTED, reportCount: { $gte: reportThreshold } },
+        { $set: { moderationStatus: "hidden", hiddenAt: new Date() } }
+      );
+
+      return { report, hidden: result.modifiedCount > 0 };
+    },
+
+    // Oldest first, each listing with its open reports. `status` is one of QUEUE_FILTERS (all by
+    // default); drafts aren't reviewed until they are published. Resolves to { pets, campaigns }.
+    async queue({ type, status, page = 1, limit = 20 } = {}) {
+      const types = type ? [type] : Object.keys(collections);
+      const filters = status ? [QUEUE_FILTERS[status]] : Object.values(QUEUE_FILTERS);
+      const result = {};
+
+      for (const name of types) {
+        const filter = {
+          $or: filters,
+          deletedAt: null,
+          ...(name === "campaigns" && { status: { $ne: "draft" } }),
+        };
+        const [items, total] = await Promise.all([
+          collectionFor(name).find(filter).sort({ date: 1, _id: 1 }).skip((page - 1) * limit).limit(limit).toArray(),
+          collectionFor(name).countDocuments(filter),
+        ]);
+
+        const open = await reports
+          .find({ targetType: TARGET_TYPES[name], targetId: { $in: items.map(item => item._id) }, status: "open" })
+          .sort({ date: 1 })
+          .toArray();
+        result[name] = {
+          items: items.map(item => ({ ...item, reports: open.filter(report => report.targetId.equals(item._id)) })),
+          total,
+          page,
+          totalPages: Math.ceil(total / limit),
+        };
+      }
+
+      return result;
+    },
+
+    // Resolves to the listing, or null when there is no such pet or campaign
+    find(type, id) {
+      const _id = toObjectId(id);
+      return _id ? collectionFor(type).findOne({ _id, deletedAt: null }) : null;
+    },
+
+    // Approving lists the listing and dismisses its open reports; rejecting keeps it off the
+    // site for good, with a reason for the owner, and upholds them. Resolves to the updated listing.
+    async review(type, listing, { approve, reason, by }) {
+      const now = new Date();
+      const updated = await collectionFor(type).findOneAndUpdate(
+        { _id: listing._id },
+        approve
+          ? { $set: { moderationStatus: "approved", reviewedAt: now, reviewedBy: by, reportCount: 0 }, $unset: { moderationReason: "", hiddenAt: "" } }
+          : { $set: { moderationStatus: "rejected", moderationReason: reason, reviewedAt: now, reviewedBy: by, reportCount: 0 } },
+        { returnDocument: "after" }
+      );
+
+      await reports.updateMany(
+        { targetType: TARGET_TYPES[type], targetId: listing._id, status: "open" },
+        { $set: { status: approve ? "dismissed" : "upheld", resolvedAt: now } }
+      );
+      return updated;
+    },
+  };
+}
+
+module.exports = createModerationService;
+module.exports.LISTED = LISTED;
+module.exports.isListed = isListed;
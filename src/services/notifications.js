@@ -0,0 +1,130 @@
+const { ObjectId } = require("mongodb");
+const { toObjectId } = require("../utils");
+const { HttpError } = require("../errors");
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } = require("../schemas");
+
+// Most notifications replayed to a stream that reconnects with Last-Event-ID
+const REPLAY_LIMIT = 50;
+
+// In-app notifications, pushed live to the recipient's open streams through the realtime hub.
+// Each can also be emailed with one of the templates in emails.js, through the email queue.
+// Users turn types off per channel in their preferences.
+function createNotificationsService({ users, notifications }, { emails, realtime }) {
+  // { [type]: { inApp, email } } for every type, with the user's choices over the defaults
+  const preferencesOf = user => Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+    type,
+    Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, user?.notificationPreferences?.[type]?.[channel] !== false])),
+  ]));
+
+  return {
+    // One notification per recipient that hasn't turned the type off, and with `email`
+    // ({ template, data }) an email as well. Queuing an email never fails the caller.
+    // Resolves to the number notified in-app.
+    async notify(recipients, { type, title, body, link, data, email }) {
+      const addresses = [...new Set(recipients)];
+      if (!addresses.length) return 0;
+
+      // Recipients without a user record (e.g. guest donors) get everything
+      const known = await users
+        .find({ email: { $in: addresses } }, { projection: { email: 1, notificationPreferences: 1 } })
+        .toArray();
+      const wants = (to, channel) => preferencesOf(known.find(user => user.email === to))[type][channel];
+
+      const date = new Date();
+      const items = addresses.filter(to => wants(to, "inApp")).map(to => ({
+        _id: new ObjectId(),
+        email: to,
+        type,
+        title,
+        ...(body && { body }),
+        ...(link && { link }),
+        ...(data && { data }),
+        date,
+      }));
+      if (items.length) {
+        await notifications.insertMany(items);
+        items.forEach(item => realtime?.publish(item.email, "notification", item));
+      }
+
+      if (email) {
+        for (const to of addresses.filter(to => wants(to, "email"))) {
+          try {
+            await emails.enqueue(to, email.template, email.data);
+          } catch (error) {
+            console.error(`Failed to queue the ${email.template} email to ${to}:`, error.message);
+          }
+        }
+      }
+
+      return items.length;
+    },
+
+    // Newest first, with the number still unread
+    async list(email, { page = 1, limit = 20, unread } = {}) {
+      const filter = { email, ...(unread !== undefined && { readAt: unread ? null : { $ne: null } }) };
+      const items = await notifications
+        .find(filter)
+        .sort({ date: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray();
+      const total = await notifications.countDocuments(filter);
+      const unreadCount = await notifications.countDocuments({ email, readAt: null });
+
+      return { notifications: items, unreadCount, total, page, totalPages: Math.ceil(total / limit) };
+    },
+
+    // Resolves to the notification, or null when it isn't the caller's
+    async markRead(email, id) {
+      const _id = toObjectId(id);
+      if (!_id) return null;
+
+      await notifications.updateOne({ _id, email, readAt: null }, { $set: { readAt: new Date() } });
+      return notifications.findOne({ _id, email });
+    },
+
+    async markAllRead(email) {
+      const result = await notifications.updateMany({ email, readAt: null }, { $set: { readAt: new Date() } });
+      return result.modifiedCount;
+    },
+
+    unreadCount(email) {
+      return notifications.countDocuments({ email, readAt: null });
+    },
+
+    // What a stream missed since the notification it saw last, oldest first
+    since(email, lastId) {
+      const _id = toObjectId(lastId);
+      if (!_id) return [];
+      return notifications.find({ email, _id: { $gt: _id } }).sort({ _id: 1 }).limit(REPLAY_LIMIT).toArray();
+    },
+
+    async preferences(email) {
+      return preferencesOf(await users.findOne({ email }));
+    },
+
+    // Merge { [type]: { inApp?, email? } } into the user's preferences
+    async updatePreferences(email, changes) {
+      const $set = {};
+      for (const [type, channels] of Object.entries(changes)) {
+        for (const [channel, enabled] of Object.entries(channels)) {
+          if (!NOTIFICATION_CHANNELS.includes(channel)) {
+            throw new HttpError(400, `Unknown notification channel ${channel}; use ${NOTIFICATION_CHANNELS.join(" or ")}`);
+          }
+          if (typeof enabled !== "boolean") {
+            throw new HttpError(400, `${type}.${channel} must be true or false`);
+          }
+          $set[`notificationPreferences.${type}.${channel}`] = enabled;
+        }
+      }
+
+      if (Object.keys($set).length) {
+        const result = await users.updateOne({ email }, { $set });
+        if (!result.matchedCount) throw new HttpError(404, "User not found");
+      }
+      return this.preferences(email);
+    },
+  };
+}
+
+module.exports = createNotificationsService;
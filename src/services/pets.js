@@ -0,0 +1,217 @@
+const { toObjectId, escapeRegex } = require("../utils");
+const { HttpError } = require("../errors");
+const { LISTED } = require("./moderation");
+
+// Every sort ends on _id so that pages and cursors are stable when values tie
+const SORTS = {
+  newest: { field: "date", direction: -1, spec: { date: -1, _id: -1 } },
+  oldest: { field: "date", direction: 1, spec: { date: 1, _id: 1 } },
+  name: { field: "name", direction: 1, spec: { name: 1, _id: 1 } },
+  age: { field: "age", direction: 1, spec: { age: 1, _id: 1 } },
+  relevance: { spec: { score: { $meta: "textScore" }, date: -1, _id: -1 } },
+};
+
+// Turn validated petSearchSchema filters into a MongoDB query
+function buildFilter(filters) {
+  const query = {};
+
+  if (filters.q) query.$text = { $search: filters.q };
+  if (filters.search) query.name = { $regex: escapeRegex(filters.search), $options: "i" };
+  if (filters.category && filters.category !== "All") query.category = filters.category;
+  if (filters.gender) query.gender = filters.gender;
+  if (filters.size) query.size = filters.size;
+  if (filters.location) query.location = { $regex: escapeRegex(filters.location), $options: "i" };
+
+  for (const flag of ["vaccinated", "neutered", "adopted"]) {
+    if (filters[flag] !== undefined) query[flag] = filters[flag];
+  }
+
+  if (filters.minAge !== undefined || filters.maxAge !== undefined) {
+    query.age = {};
+    if (filters.minAge !== undefined) query.age.$gte = filters.minAge;
+    if (filters.maxAge !== undefined) query.age.$lte = filters.maxAge;
+  }
+
+  if (filters.listedAfter || filters.listedBefore) {
+    query.date = {};
+    if (filters.listedAfter) query.date.$gte = filters.listedAfter;
+    if (filters.listedBefore) query.date.$lte = filters.listedBefore;
+  }
+
+  return query;
+}
+
+// Decimals kept when an owner hides the exact spot; two is roughly a 1 km square
+const APPROXIMATE_DECIMALS = 2;
+
+// Replace the virtual lat/lng fields with the GeoJSON point stored in `geo`.
+// Hidden locations are rounded before they are stored, so the exact spot is never kept.
+// On updates `current` is the stored pet, so toggling hideExactLocation alone coarsens its point.
+function withGeo({ lat, lng, ...data }, current = {}) {
+  if ((lat === undefined) !== (lng === undefined)) {
+    throw new HttpError(400, "lat and lng must be sent together");
+  }
+  if (lat === undefined && data.hideExactLocation === undefined) return data;
+
+  let coordinates = lat !== undefined ? [lng, lat] : current.geo?.coordinates;
+  if (!coordinates) return data;
+
+  if (data.hideExactLocation ?? current.hideExactLocation) {
+    coordinates = coordinates.map(n => Number(n.toFixed(APPROXIMATE_DECIMALS)));
+  }
+
+  return { ...data, geo: { type: "Point", coordinates } };
+}
+
+// Cursors are opaque to clients: the sort they belong to plus the last item's sort value and id
+function encodeCursor(sortName, value, _id) {
+  const v = value instanceof Date ? { date: value.toISOString() } : value;
+  return Buffer.from(JSON.stringify({ s: sortName, v, id: _id.toString() })).toString("base64url");
+}
+
+function decodeCursor(cursor, sortName) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (error) {
+    parsed = null;
+  }
+
+  const _id = toObjectId(parsed?.id);
+  if (!_id || parsed.s !== sortName) {
+    throw new HttpError(400, "Invalid cursor");
+  }
+
+  const value = parsed.v?.date ? new Date(parsed.v.date) : parsed.v;
+  return { value, _id };
+}
+
+// Items strictly after the cursor position in the given sort order
+function afterCursor(sort, { value, _id }) {
+  const op = sort.direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      { [sort.field]: { [op]: value } },
+      { [sort.field]: value, _id: { [op]: _id } },
+    ],
+  };
+}
+
+function createPetsService({ pets }) {
+  return {
+    // moderationStatus comes from moderation.initialStatus
+    create(pet, ownerEmail, moderationStatus) {
+      return pets.insertOne({
+        ...withGeo(pet),
+        ownerEmail,
+        adopted: false,
+        moderationStatus,
+        date: new Date(),
+      });
+    },
+
+    // Pets in the trash (deletedAt set) are invisible everywhere except the admin trash view
+    findById(id) {
+      const _id = toObjectId(id);
+      return _id ? pets.findOne({ _id, deletedAt: null }) : null;
+    },
+
+    // One query engine for every pet listing. `scope` is merged over the filters, so the
+    // public listing can pin adopted: false and /my-pets the owner.
+    // Without a cursor the result is page-based ({ page, totalPages }); every result also
+    // carries a nextCursor for infinite scroll (null on the last page and for relevance sort).
+    async search(filters = {}, scope = {}, { defaultLimit = 30 } = {}) {
+      const sortName = filters.sort || "newest";
+      const limit = Math.trunc(filters.limit) || defaultLimit;
+
+      if (sortName === "relevance" && !filters.q) {
+        throw new HttpError(400, "Sorting by relevance needs a q search");
+      }
+      if (sortName === "relevance" && filters.cursor) {
+        throw new HttpError(400, "Cursor pagination is not available when sorting by relevance");
+      }
+
+      const query = { ...buildFilter(filters), ...scope, deletedAt: null };
+      const sort = SORTS[sortName];
+
+      let find = query;
+      if (filters.cursor) {
+        find = { ...query, $and: [afterCursor(sort, decodeCursor(filters.cursor, sortName))] };
+      }
+
+      const page = filters.cursor ? null : Math.trunc(filters.page) || 1;
+      const [items, total] = await Promise.all([
+        pets
+          .find(find)
+          .sort(sort.spec)
+          .skip(page ? (page - 1) * limit : 0)
+          .limit(limit + 1)
+          .toArray(),
+        pets.countDocuments(query),
+      ]);
+
+      const hasMore = items.length > limit;
+      if (hasMore) items.pop();
+      const last = items[items.length - 1];
+      const nextCursor = hasMore && sort.field ? encodeCursor(sortName, last[sort.field], last._id) : null;
+
+      return page
+        ? { pets: items, total, page, totalPages: Math.ceil(total / limit), nextCursor }
+        : { pets: items, total, nextCursor };
+    },
+
+    // `current` is the stored pet, needed to re-derive its location
+    update(current, data) {
+      return pets.updateOne({ _id: current._id }, { $set: withGeo(data, current) });
+    },
+
+    // Available pets within radiusKm of a point, nearest first, each with its distanceKm
+    async nearby({ lat, lng, radiusKm = 25, page = 1, limit = 30, ...filters }) {
+      page = Math.trunc(page) || 1;
+      limit = Math.trunc(limit) || 30;
+
+      const [result] = await pets.aggregate([
+        {
+          $geoNear: {
+            near: { type: "Point", coordinates: [lng, lat] },
+            key: "geo",
+            spherical: true,
+            distanceField: "distanceKm",
+            distanceMultiplier: 0.001,
+            maxDistance: radiusKm * 1000,
+            query: { ...buildFilter(filters), ...LISTED, adopted: false, deletedAt: null },
+          },
+        },
+        { $set: { distanceKm: { $round: ["$distanceKm", 1] } } },
+        {
+          $facet: {
+            pets: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+            total: [{ $count: "count" }],
+          },
+        },
+      ]).toArray();
+
+      const total = result.total[0]?.count || 0;
+      return { pets: result.pets, total, page, totalPages: Math.ceil(total / limit) };
+    },
+
+    // adoptedAt keeps the first time the pet was marked adopted, for the adoption stats
+    async setAdopted(id, adopted) {
+      const _id = toObjectId(id);
+      if (!adopted) {
+        return pets.updateOne({ _id, deletedAt: null }, { $set: { adopted: false }, $unset: { adoptedAt: "", adoptedBy: "" } });
+      }
+
+      const result = await pets.updateOne({ _id, deletedAt: null, adopted: { $ne: true } }, { $set: { adopted: true, adoptedAt: new Date() } });
+      return result.matchedCount ? result : pets.updateOne({ _id, deletedAt: null }, { $set: { adopted: true } });
+    },
+
+    // Ids (as strings, the way adoption requests store them) of every pet a user owns
+    async idsOwnedBy(ownerEmail) {
+      const owned = await pets.find({ ownerEmail }).project({ _id: 1 }).toArray();
+      return owned.map(pet => pet._id.toString());
+    },
+  };
+}
+
+module.exports = createPetsService;
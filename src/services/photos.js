@@ -0,0 +1,163 @@
+const { ObjectId } = require("mongodb");
+const { HttpError } = require("../errors");
+const { processImage } = require("../images");
+
+// Storage keys of every size of a photo
+const keysOf = photo => Object.values(photo.sizes).map(size => size.key);
+
+// Process an upload and store each size under `${prefix}/${photoId}-${size}.webp`
+async function storePhoto(storage, prefix, file) {
+  const variants = await processImage(file.buffer);
+  const _id = new ObjectId();
+  const sizes = {};
+
+  try {
+    for (const [name, variant] of Object.entries(variants)) {
+      const key = `${prefix}/${_id}-${name}.webp`;
+      // Recorded before the write so a failure part-way still cleans up what was stored
+      sizes[name] = { key, width: variant.width, height: variant.height };
+      sizes[name].url = await storage.put(key, variant.buffer, { contentType: variant.contentType });
+    }
+  } catch (error) {
+    await removeFiles(storage, Object.values(sizes).map(size => size.key));
+    throw error;
+  }
+
+  return { _id, sizes, uploadedAt: new Date() };
+}
+
+// Best effort: a file that can't be removed must not fail the request that removed its record
+async function removeFiles(storage, keys) {
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Failed to remove stored file ${key}:`, error.message);
+    }
+  }
+}
+
+// Pet galleries and campaign images. Photos live on the pet as an ordered `photos` array;
+// the first one is the primary photo and its medium size is mirrored into `image` for listings.
+function createPhotosService({ pets, campaigns }, { storage, maxPhotosPerPet = 10 }) {
+  // Persist a new gallery order and keep `image` pointing at the primary photo
+  function saveGallery(petId, photos) {
+    const $set = { photos };
+    if (photos.length) $set.image = photos[0].sizes.medium.url;
+    return pets.updateOne({ _id: petId }, { $set });
+  }
+
+  return {
+    async addPetPhotos(pet, files) {
+      const existing = pet.photos || [];
+      if (existing.length + files.length > maxPhotosPerPet) {
+        throw new HttpError(400, `A pet can have at most ${maxPhotosPerPet} photos`);
+      }
+
+      // One at a time to keep memory use flat
+      const added = [];
+      try {
+        for (const file of files) {
+          added.push(await storePhoto(storage, `pets/${pet._id}`, file));
+        }
+
+        // $push so concurrent uploads don't overwrite each other's photos
+        await pets.updateOne({ _id: pet._id }, { $push: { photos: { $each: added } } });
+        const { photos } = await pets.findOne({ _id: pet._id }, { projection: { photos: 1 } });
+        await pets.updateOne({ _id: pet._id }, { $set: { image: photos[0].sizes.medium.url } });
+        return photos;
+      } catch (error) {
+        await removeFiles(storage, added.flatMap(keysOf));
+        throw error;
+      }
+    },
+
+    // `order` lists every photo id of the pet; the first becomes the primary photo
+    async reorderPetPhotos(pet, order) {
+      const photos = pet.photos || [];
+      const byId = new Map(photos.map(photo => [photo._id.toString(), photo]));
+
+      if (order.length !== photos.length || new Set(order).size !== order.length || !order.every(id => byId.has(id))) {
+        throw new HttpError(400, "order must list every photo of the pet exactly once");
+      }
+
+      const reordered = order.map(id => byId.get(id));
+      await saveGallery(pet._id, reordered);
+      return reordered;
+    },
+
+    async setPrimaryPetPhoto(pet, photoId) {
+      const photos = pet.photos || [];
+      const photo = photos.find(p => p._id.toString() === photoId);
+      if (!photo) throw new HttpError(404, "Photo not found");
+
+      const reordered = [photo, ...photos.filter(p => p !== photo)];
+      await saveGallery(pet._id, reordered);
+      return reordered;
+    },
+
+    async removePetPhoto(pet, photoId) {
+      const photos = pet.photos || [];
+      const photo = photos.find(p => p._id.toString() === photoId);
+      if (!photo) throw new HttpError(404, "Photo not found");
+      if (photos.length === 1) {
+        throw new HttpError(409, "Upload another photo before removing the last one");
+      }
+
+      const remaining = photos.filter(p => p !== photo);
+      await saveGallery(pet._id, remaining);
+      await removeFiles(storage, keysOf(photo));
+      return remaining;
+    },
+
+    // Called once a pet is gone
+    removeAllForPet(pet) {
+      return removeFiles(storage, (pet.photos || []).flatMap(keysOf));
+    },
+
+    // Campaigns have a single image; uploading replaces petImage and drops the previous upload
+    async setCampaignImage(campaign, file) {
+      const photo = await storePhoto(storage, `campaigns/${campaign._id}`, file);
+      try {
+        await campaigns.updateOne(
+          { _id: campaign._id },
+          { $set: { petImage: photo.sizes.medium.url, petImageUpload: photo } }
+        );
+      } catch (error) {
+        await removeFiles(storage, keysOf(photo));
+        throw error;
+      }
+
+      if (campaign.petImageUpload) {
+        await removeFiles(storage, keysOf(campaign.petImageUpload));
+      }
+      return photo;
+    },
+
+    // Photos posted with a campaign update, one at a time; none are kept if one fails
+    async storeUpdatePhotos(campaign, updateId, files) {
+      const stored = [];
+      try {
+        for (const file of files) {
+          stored.push(await storePhoto(storage, `campaigns/${campaign._id}/updates/${updateId}`, file));
+        }
+      } catch (error) {
+        await removeFiles(storage, stored.flatMap(keysOf));
+        throw error;
+      }
+      return stored;
+    },
+
+    removeAllForUpdate(update) {
+      return removeFiles(storage, (update.photos || []).flatMap(keysOf));
+    },
+
+    // The campaign image and the photos of its updates
+    removeAllForCampaign(campaign, updates = []) {
+      const keys = campaign.petImageUpload ? keysOf(campaign.petImageUpload) : [];
+      return removeFiles(storage, [...keys, ...updates.flatMap(update => (update.photos || []).flatMap(keysOf))]);
+    },
+  };
+}
+
+module.exports = createPhotosService;
@@ -0,0 +1,333 @@
+const { toObjectId } = require("../utils");
+const { HttpError } = require("../errors");
+
+// Pledges that are billing, or will once confirmed or resumed; canceled is final
+const LIVE_STATUSES = ["incomplete", "active", "paused", "past_due"];
+
+// A campaign in one of these statuses (or in the trash) takes no more monthly charges
+const ENDED_CAMPAIGN_STATUSES = ["goal_reached", "expired", "closed"];
+
+// Our pledge status for a Stripe subscription
+function statusOf(subscription) {
+  switch (subscription.status) {
+    case "canceled":
+    case "incomplete_expired":
+      return "canceled";
+    case "incomplete":
+      return "incomplete";
+    case "past_due":
+    case "unpaid":
+      return "past_due";
+    default:
+      return subscription.pause_collection ? "paused" : "active";
+  }
+}
+
+// Stripe failures are reported as 502, like failed refunds
+async function callStripe(request) {
+  try {
+    return await request();
+  } catch (error) {
+    throw new HttpError(502, `Payment provider error: ${error.message}`);
+  }
+}
+
+// Expandable Stripe fields hold either an id or the object
+const idOf = ref => (ref && typeof ref === "object" ? ref.id : ref) || null;
+
+// Subscription details of an invoice; newer API versions nest them under parent
+const subscriptionDetailsOf = invoice => invoice.parent?.subscription_details || invoice.subscription_details || {};
+
+// Monthly pledges: each is a Stripe subscription with one inline price on a per-campaign product.
+// Every paid invoice becomes a donation through the donations service, exactly like a one-off payment.
+function createPledgesService({ users, campaigns, pledges }, { stripe, currencies, donations }) {
+  // Reuse the donor's Stripe customer so their saved card carries over between pledges
+  async function customerFor(email) {
+    const user = await users.findOne({ email });
+    if (user?.stripeCustomerId) return user.stripeCustomerId;
+
+    // Donors without a user record keep the customer of their earlier pledges
+    const earlier = await pledges.findOne({ donorEmail: email, stripeCustomerId: { $type: "string" } });
+    if (earlier) return earlier.stripeCustomerId;
+
+    const customer = await callStripe(() => stripe.customers.create(
+      { email, ...(user?.name && { name: user.name }) },
+      { idempotencyKey: `customer-${email}` }
+    ));
+    await users.updateOne({ email }, { $set: { stripeCustomerId: customer.id } });
+    return customer.id;
+  }
+
+  async function productFor(campaign) {
+    if (campaign.stripeProductId) return campaign.stripeProductId;
+
+    const product = await callStripe(() => stripe.products.create(
+      { name: `Monthly support for ${campaign.petName}`, metadata: { donationId: campaign._id.toString() } },
+      { idempotencyKey: `product-${campaign._id}` }
+    ));
+    await campaigns.updateOne({ _id: campaign._id }, { $set: { stripeProductId: product.id } });
+    return product.id;
+  }
+
+  async function findBySubscription(subscriptionId, metadata) {
+    if (!subscriptionId) return null;
+
+    const pledge = await pledges.findOne({ stripeSubscriptionId: subscriptionId });
+    if (pledge) return pledge;
+
+    // An event can arrive before start() has stored the subscription id
+    const _id = toObjectId(metadata?.pledgeId);
+    return _id ? pledges.findOne({ _id }) : null;
+  }
+
+  // The PaymentIntent that paid an invoice, so charge.refunded finds the donation.
+  // Older API versions put it on the invoice, newer ones list it among the invoice payments.
+  async function paymentIntentOf(invoice) {
+    if (invoice.payment_intent) return idOf(invoice.payment_intent);
+
+    const payments = invoice.payments?.data
+      || (await stripe.invoicePayments.list({ invoice: invoice.id, status: "paid" })).data;
+    return idOf(payments.find(payment => payment.payment?.payment_intent)?.payment.payment_intent);
+  }
+
+  async function cancel(pledge, reason) {
+    if (pledge.stripeSubscriptionId) {
+      try {
+        await stripe.subscriptions.cancel(pledge.stripeSubscriptionId);
+      } catch (error) {
+        // Already gone at Stripe, e.g. canceled from the dashboard
+        if (error.code !== "resource_missing") {
+          throw new HttpError(502, `Payment provider error: ${error.message}`);
+        }
+      }
+    }
+
+    const result = await pledges.updateOne(
+      { _id: pledge._id, status: { $ne: "canceled" } },
+      { $set: { status: "canceled", canceledAt: new Date(), cancelReason: reason } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return {
+    findById(id) {
+      const _id = toObjectId(id);
+      return _id ? pledges.findOne({ _id }) : null;
+    },
+
+    // Newest first, with the campaign each one supports
+    async listForDonor(email) {
+      const mine = await pledges.find({ donorEmail: email }).sort({ date: -1 }).toArray();
+      const related = await campaigns.find({ _id: { $in: mine.map(pledge => pledge.donationId) } }).toArray();
+
+      return mine.map(pledge => {
+        const campaign = related.find(c => c._id.equals(pledge.donationId));
+        return {
+          ...pledge,
+          petName: campaign?.petName || "Unknown",
+          petImage: campaign?.petImage || "",
+          campaignStatus: campaign && !campaign.deletedAt ? campaign.status : "closed",
+        };
+      });
+    },
+
+    // Create the subscription. It stays incomplete until the donor confirms the first
+    // charge with the returned clientSecret, exactly like a one-off PaymentIntent.
+    async start(campaign, donorEmail, { amount, currency, converted }) {
+      const existing = await pledges.findOne({ donationId: campaign._id, donorEmail, status: { $in: LIVE_STATUSES } });
+      if (existing) {
+        throw new HttpError(409, "You already have a monthly pledge for this campaign");
+      }
+
+      const pledge = {
+        donationId: campaign._id,
+        donorEmail,
+        amount,
+        currency,
+        campaignCurrency: campaign.currency,
+        convertedAmount: converted.amount,
+        exchangeRate: converted.rate,
+        status: "incomplete",
+        stripeCustomerId: await customerFor(donorEmail),
+        date: new Date(),
+      };
+      const product = await productFor(campaign);
+      const { insertedId } = await pledges.insertOne(pledge);
+      pledge._id = insertedId;
+
+      let subscription;
+      try {
+        subscription = await stripe.subscriptions.create(
+          {
+            customer: pledge.stripeCustomerId,
+            items: [{
+              price_data: {
+                currency,
+                product,
+                unit_amount: currencies.toMinorUnits(amount, currency),
+                recurring: { interval: "month" },
+              },
+            }],
+            payment_behavior: "default_incomplete",
+            payment_settings: { save_default_payment_method: "on_subscription" },
+            expand: ["latest_invoice.confirmation_secret"],
+            metadata: { pledgeId: insertedId.toString(), donationId: campaign._id.toString(), donorEmail },
+          },
+          { idempotencyKey: `pledge-${insertedId}` }
+        );
+      } catch (error) {
+        await pledges.deleteOne({ _id: insertedId });
+        throw new HttpError(502, `Payment provider error: ${error.message}`);
+      }
+
+      pledge.stripeSubscriptionId = subscription.id;
+      pledge.status = statusOf(subscription);
+      await pledges.updateOne(
+        { _id: insertedId, status: "incomplete" },
+        { $set: { stripeSubscriptionId: subscription.id, status: pledge.status } }
+      );
+
+      return { pledge, clientSecret: subscription.latest_invoice?.confirmation_secret?.client_secret || null };
+    },
+
+    // Skip the coming charges until resumed; Stripe voids the invoices in between
+    async pause(pledge) {
+      if (pledge.status !== "active") {
+        throw new HttpError(409, `A ${pledge.status} pledge can't be paused`);
+      }
+
+      await callStripe(() => stripe.subscriptions.update(pledge.stripeSubscriptionId, { pause_collection: { behavior: "void" } }));
+      await pledges.updateOne(
+        { _id: pledge._id, status: { $ne: "canceled" } },
+        { $set: { status: "paused", pausedAt: new Date() } }
+      );
+      return pledges.findOne({ _id: pledge._id });
+    },
+
+    async resume(pledge) {
+      if (pledge.status !== "paused") {
+        throw new HttpError(409, `A ${pledge.status} pledge can't be resumed`);
+      }
+
+      // An empty string clears pause_collection
+      await callStripe(() => stripe.subscriptions.update(pledge.stripeSubscriptionId, { pause_collection: "" }));
+      await pledges.updateOne(
+        { _id: pledge._id, status: { $ne: "canceled" } },
+        { $set: { status: "active" }, $unset: { pausedAt: "" } }
+      );
+      return pledges.findOne({ _id: pledge._id });
+    },
+
+    async cancel(pledge, reason) {
+      if (pledge.status === "canceled") {
+        throw new HttpError(409, "This pledge has already been canceled");
+      }
+
+      await cancel(pledge, reason);
+      return pledges.findOne({ _id: pledge._id });
+    },
+
+    // invoice.paid: record the charge as a donation and count it towards the campaign.
+    // Resolves to the donation the first time the invoice is recorded.
+    async recordPayment(invoice) {
+      const details = subscriptionDetailsOf(invoice);
+      const pledge = await findBySubscription(idOf(details.subscription || invoice.subscription), details.metadata);
+      if (!pledge) {
+        // Invoices that aren't for a pledge are none of our business
+        if (details.metadata?.pledgeId) console.warn("Invoice for unknown pledge:", invoice.id);
+        return;
+      }
+      // Nothing was charged, e.g. an invoice voided while paused
+      if (!invoice.amount_paid) return;
+
+      const transactionId = (await paymentIntentOf(invoice)) || invoice.id;
+      const donation = await donations.recordPledgePayment(invoice, pledge, transactionId);
+
+      await pledges.updateOne(
+        { _id: pledge._id },
+        { $max: { lastChargedAt: new Date((invoice.status_transitions?.paid_at || invoice.created) * 1000) } }
+      );
+      await pledges.updateOne(
+        { _id: pledge._id, status: { $in: ["incomplete", "past_due"] } },
+        { $set: { status: "active" }, $unset: { lastPaymentError: "" } }
+      );
+
+      // This charge may have taken the campaign to its goal
+      await this.stopForEndedCampaigns(pledge.donationId);
+      return donation;
+    },
+
+    // invoice.payment_failed: Stripe retries on its own schedule, the donor sees why it failed
+    async recordFailedPayment(invoice) {
+      const details = subscriptionDetailsOf(invoice);
+      const pledge = await findBySubscription(idOf(details.subscription || invoice.subscription), details.metadata);
+      if (!pledge || pledge.status === "canceled") return;
+
+      await pledges.updateOne(
+        { _id: pledge._id },
+        {
+          $set: {
+            ...(pledge.status === "active" && { status: "past_due" }),
+            lastPaymentError: invoice.last_finalization_error?.message || "The monthly charge failed",
+          },
+        }
+      );
+    },
+
+    // customer.subscription.updated / deleted: follow changes made at Stripe (expired first
+    // payments, dunning, cancelation from the dashboard). A canceled pledge stays canceled.
+    async syncSubscription(subscription) {
+      const pledge = await findBySubscription(subscription.id, subscription.metadata);
+      if (!pledge || pledge.status === "canceled") return;
+
+      const status = statusOf(subscription);
+      if (status === pledge.status) return;
+
+      await pledges.updateOne(
+        { _id: pledge._id, status: pledge.status },
+        {
+          $set: {
+            status,
+            stripeSubscriptionId: subscription.id,
+            ...(status === "canceled" && { canceledAt: new Date(), cancelReason: "stripe" }),
+          },
+        }
+      );
+    },
+
+    // Cancel the live pledges of campaigns that have ended or were trashed (all of them, or one
+    // campaign's). Failures are logged and left for the next run of the campaign status job.
+    async stopForEndedCampaigns(donationId) {
+      const campaignIds = donationId
+        ? [donationId]
+        : await pledges.distinct("donationId", { status: { $in: LIVE_STATUSES } });
+      if (!campaignIds.length) return 0;
+
+      const ended = await campaigns.find(
+        {
+          _id: { $in: campaignIds },
+          $or: [{ status: { $in: ENDED_CAMPAIGN_STATUSES } }, { deletedAt: { $type: "date" } }],
+        },
+        { projection: { _id: 1 } }
+      ).toArray();
+      if (!ended.length) return 0;
+
+      const stopping = await pledges.find({
+        donationId: { $in: ended.map(campaign => campaign._id) },
+        status: { $in: LIVE_STATUSES },
+      }).toArray();
+
+      let stopped = 0;
+      for (const pledge of stopping) {
+        try {
+          if (await cancel(pledge, "campaign_ended")) stopped++;
+        } catch (error) {
+          console.error(`Failed to cancel pledge ${pledge._id}:`, error.message);
+        }
+      }
+      return stopped;
+    },
+  };
+}
+
+module.exports = createPledgesService;
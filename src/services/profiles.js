@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const { HttpError } = require("../errors");
+
+const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = token => crypto.createHash("sha256").update(token).digest("hex");
+
+// Fields a user may edit on their own profile
+const editableFields = ["name", "photoURL", "phone", "address", "bio"];
+
+function createProfilesService(
+  { client, users, pets, adoptions, campaigns, donations, pledges, conversations, messages, notifications, reports, emailSuppressions, sessions },
+  { currencies }
+) {
+  return {
+    editableFields,
+
+    // Profile fields plus activity computed from the other collections
+    async get(email) {
+      const user = await users.findOne({ email });
+      if (!user) return null;
+
+      const [petsListed, adoptionsCompleted, donated] = await Promise.all([
+        pets.countDocuments({ ownerEmail: email, deletedAt: null }),
+        adoptions.countDocuments({ requesterEmail: email, status: "completed" }),
+        donations.aggregate([
+          { $match: { donorEmail: email, status: { $in: ["succeeded", "partially_refunded"] } } },
+          { $group: { _id: "$currency", total: { $sum: { $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }] } } } },
+        ]).toArray(),
+      ]);
+
+      // Campaigns run in different currencies; the total is given in the default one
+      const totalDonated = currencies.roundTo(
+        donated.reduce((sum, { _id, total }) => sum + currencies.convert(total, _id || "usd", currencies.default).amount, 0),
+        currencies.default
+      );
+
+      return {
+        _id: user._id,
+        email: user.email,
+        name: user.name || null,
+        photoURL: user.photoURL || null,
+        phone: user.phone || null,
+        address: user.address || null,
+        bio: user.bio || null,
+        role: user.role,
+        pendingEmail: user.pendingEmailChange?.expiresAt > new Date() ? user.pendingEmailChange.email : null,
+        stats: {
+          petsListed,
+          adoptionsCompleted,
+          totalDonated,
+          totalDonatedCurrency: currencies.default,
+          memberSince: user.createdAt || user._id.getTimestamp(),
+        },
+      };
+    },
+
+    async update(email, fields) {
+      const result = await users.updateOne({ email }, { $set: { ...fields, updatedAt: new Date() } });
+      return result.matchedCount === 0 ? null : this.get(email);
+    },
+
+    // Store a pending change and hand back the token that proves ownership of the new address
+    async requestEmailChange(email, newEmail) {
+      if (newEmail === email) {
+        throw new HttpError(400, "That is already your email address");
+      }
+
+      if (await users.findOne({ email: newEmail }, { projection: { _id: 1 } })) {
+        throw new HttpError(409, "Email address is already in use");
+      }
+
+      const token = crypto.randomBytes(32).toString("base64url");
+      const result = await users.updateOne(
+        { email },
+        {
+          $set: {
+            pendingEmailChange: {
+              email: newEmail,
+              tokenHash: hashToken(token),
+              expiresAt: new Date(Date.now() + EMAIL_CHANGE_TTL_MS),
+            },
+          },
+        }
+      );
+      if (result.matchedCount === 0) {
+        throw new HttpError(404, "User not found");
+      }
+
+      return token;
+    },
+
+    // Apply a verified change everywhere the address is used and end the user's sessions,
+    // since their tokens still name the old address
+    async confirmEmailChange(token) {
+      if (typeof token !== "string" || !token) {
+        throw new HttpError(400, "Verification token is required");
+      }
+
+      const user = await users.findOne({
+        "pendingEmailChange.tokenHash": hashToken(token),
+        "pendingEmailChange.expiresAt": { $gt: new Date() },
+      });
+      if (!user) {
+        throw new HttpError(400, "Verification link is invalid or has expired");
+      }
+
+      const oldEmail = user.email;
+      const newEmail = user.pendingEmailChange.email;
+
+      if (await users.findOne({ email: newEmail }, { projection: { _id: 1 } })) {
+        throw new HttpError(409, "Email address is already in use");
+      }
+
+      const session = client.startSession();
+      try {
+        await session.withTransaction(async () => {
+          await users.updateOne(
+            { _id: user._id },
+            { $set: { email: newEmail, updatedAt: new Date() }, $unset: { pendingEmailChange: "" } },
+            { session }
+          );
+          await pets.updateMany({ ownerEmail: oldEmail }, { $set: { ownerEmail: newEmail } }, { session });
+          await campaigns.updateMany({ ownerEmail: oldEmail }, { $set: { ownerEmail: newEmail } }, { session });
+          await donations.updateMany({ donorEmail: oldEmail }, { $set: { donorEmail: newEmail } }, { session });
+          await pledges.updateMany({ donorEmail: oldEmail }, { $set: { donorEmail: newEmail } }, { session });
+          await adoptions.updateMany({ requesterEmail: oldEmail }, { $set: { requesterEmail: newEmail } }, { session });
+          await adoptions.updateMany({ ownerEmail: oldEmail }, { $set: { ownerEmail: newEmail } }, { session });
+          await conversations.updateMany({ ownerEmail: oldEmail }, { $set: { ownerEmail: newEmail } }, { session });
+          await conversations.updateMany({ adopterEmail: oldEmail }, { $set: { adopterEmail: newEmail } }, { session });
+          await messages.updateMany({ senderEmail: oldEmail }, { $set: { senderEmail: newEmail } }, { session });
+          await notifications.updateMany({ email: oldEmail }, { $set: { email: newEmail } }, { session });
+          await reports.updateMany({ reporterEmail: oldEmail }, { $set: { reporterEmail: newEmail } }, { session });
+          // The new address may have unsubscribed from a category already; (email, category) is unique
+          const suppressed = await emailSuppressions.distinct("category", { email: newEmail }, { session });
+          await emailSuppressions.deleteMany({ email: oldEmail, category: { $in: suppressed } }, { session });
+          await emailSuppressions.updateMany({ email: oldEmail }, { $set: { email: newEmail } }, { session });
+          await sessions.updateMany(
+            { email: oldEmail, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: "email_changed" } },
+            { session }
+          );
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      return { oldEmail, newEmail };
+    },
+  };
+}
+
+module.exports = createProfilesService;
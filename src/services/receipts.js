@@ -0,0 +1,122 @@
+const { HttpError } = require("../errors");
+const { toObjectId, escapeRegex } = require("../utils");
+const { roundTo } = require("../currency");
+const { COUNTED_STATUSES } = require("./donations");
+
+// How refunds are marked on receipts and statements
+const STATUS_LABELS = {
+  succeeded: "Paid",
+  refund_pending: "Refund pending",
+  refund_failed: "Paid",
+  partially_refunded: "Partially refunded",
+  refunded: "Refunded",
+};
+
+// Data behind donation receipts and yearly giving statements; rendering lives in pdf.js and csv.js
+function createReceiptsService({ users, campaigns, donations, counters }, { issuer = "PetHaven", taxId } = {}) {
+  // Receipt numbers run per calendar year (2026-000001) and are given out on the first download
+  async function receiptNumber(donation) {
+    if (donation.receiptNumber) return donation.receiptNumber;
+
+    const year = new Date(donation.date).getUTCFullYear();
+    const counter = await counters.findOneAndUpdate(
+      { _id: `receipt-${year}` },
+      { $inc: { seq: 1 } },
+      { upsert: true, returnDocument: "after" }
+    );
+    const number = `${year}-${String(counter.seq).padStart(6, "0")}`;
+
+    // When two downloads race, the first number sticks and the other one is left unused
+    await donations.updateOne({ _id: donation._id, receiptNumber: null }, { $set: { receiptNumber: number } });
+    return (await donations.findOne({ _id: donation._id })).receiptNumber;
+  }
+
+  // Amounts as the donor paid them; campaignAmount is what the campaign was credited in its own currency
+  function line(donation, campaign) {
+    const currency = donation.originalCurrency || donation.currency || "usd";
+    const amount = donation.originalAmount ?? donation.amount;
+    const refundedAmount = donation.originalRefundedAmount ?? donation.refundedAmount ?? 0;
+    return {
+      date: donation.date,
+      transactionId: donation.transactionId,
+      petName: campaign?.petName || "Unknown",
+      amount,
+      refundedAmount,
+      netAmount: roundTo(amount - refundedAmount, currency),
+      currency,
+      campaignAmount: donation.amount,
+      campaignCurrency: donation.currency || currency,
+      status: donation.status,
+      statusLabel: STATUS_LABELS[donation.status],
+    };
+  }
+
+  async function donorName(email) {
+    const user = await users.findOne({ email });
+    return user?.name || email;
+  }
+
+  return {
+    async receipt(donation) {
+      if (!COUNTED_STATUSES.includes(donation.status)) {
+        throw new HttpError(409, "There is no receipt for a payment that did not go through");
+      }
+
+      const campaign = await campaigns.findOne({ _id: toObjectId(donation.donationId) });
+
+      return {
+        issuer,
+        taxId,
+        number: await receiptNumber(donation),
+        issuedAt: new Date(),
+        donorName: await donorName(donation.donorEmail),
+        donorEmail: donation.donorEmail,
+        ...line(donation, campaign),
+      };
+    },
+
+    // Every counted donation the user made in a calendar year (UTC), oldest first
+    async statement(email, year) {
+      if (!Number.isInteger(year)) {
+        throw new HttpError(400, "year must be a whole number");
+      }
+
+      const mine = await donations
+        .find({
+          donorEmail: { $regex: `^${escapeRegex(email)}$`, $options: "i" },
+          status: { $in: COUNTED_STATUSES },
+          date: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) },
+        })
+        .sort({ date: 1 })
+        .toArray();
+
+      const related = await campaigns.find({ _id: { $in: mine.map(d => toObjectId(d.donationId)) } }).toArray();
+      const lines = mine.map(donation =>
+        line(donation, related.find(c => c._id.equals(donation.donationId)))
+      );
+
+      // Donations in different currencies are never added up together
+      const totals = [];
+      for (const l of lines) {
+        let total = totals.find(t => t.currency === l.currency);
+        if (!total) totals.push(total = { currency: l.currency, amount: 0, refundedAmount: 0, netAmount: 0 });
+        for (const field of ["amount", "refundedAmount", "netAmount"]) {
+          total[field] = roundTo(total[field] + l[field], l.currency);
+        }
+      }
+
+      return {
+        issuer,
+        taxId,
+        year,
+        issuedAt: new Date(),
+        donorName: await donorName(email),
+        donorEmail: email,
+        lines,
+        totals,
+      };
+    },
+  };
+}
+
+module.exports = createReceiptsService;
@@ -0,0 +1,147 @@
+const { toObjectId, escapeRegex } = require("../utils");
+const { COUNTED_STATUSES } = require("./donations");
+const { LISTED } = require("./moderation");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much each signal counts when ranking campaigns; every signal is between 0 and 1
+const CAMPAIGN_WEIGHTS = {
+  // Same pet category as the campaign being viewed
+  category: 3,
+  // Share of the viewer's past donations that went to this category
+  history: 2,
+  // How close the campaign is to its goal
+  progress: 1.5,
+  // How soon it ends, within URGENCY_WINDOW_DAYS
+  urgency: 1,
+};
+const URGENCY_WINDOW_DAYS = 60;
+
+// Newest active campaigns considered for ranking
+const CANDIDATE_POOL = 200;
+
+// Pets are "similar" within the same band; the upper bound is exclusive
+const AGE_BANDS = [
+  { name: "baby", min: 0, max: 1 },
+  { name: "young", min: 1, max: 3 },
+  { name: "adult", min: 3, max: 8 },
+  { name: "senior", min: 8, max: Infinity },
+];
+const SIMILAR_PETS_RADIUS_KM = 50;
+
+const ageBandOf = age => AGE_BANDS.find(band => age >= band.min && age < band.max) || AGE_BANDS[AGE_BANDS.length - 1];
+
+function createRecommendationsService({ pets, campaigns, donations }) {
+  // { category: share } of the campaigns the viewer has donated to
+  async function categoryAffinity(email) {
+    const given = await donations
+      .find({ donorEmail: email, status: { $in: COUNTED_STATUSES } }, { projection: { donationId: 1 } })
+      .toArray();
+    if (!given.length) return {};
+
+    // Older donations stored the campaign id as a string
+    const ids = given.map(donation => toObjectId(String(donation.donationId))).filter(Boolean);
+    const supported = await campaigns.find({ _id: { $in: ids } }, { projection: { petCategory: 1 } }).toArray();
+    const byId = new Map(supported.map(campaign => [campaign._id.toString(), campaign.petCategory]));
+
+    const affinity = {};
+    for (const donation of given) {
+      const category = byId.get(String(donation.donationId));
+      if (category) affinity[category] = (affinity[category] || 0) + 1 / given.length;
+    }
+    return affinity;
+  }
+
+  return {
+    // Active campaigns still running, best match first. Ranked by CAMPAIGN_WEIGHTS; newer campaigns win ties.
+    async campaigns(currentId, { viewerEmail, limit = 3 } = {}) {
+      const now = new Date();
+      const currentOid = toObjectId(currentId);
+      const current = currentOid ? await campaigns.findOne({ _id: currentOid }) : null;
+
+      const candidates = await campaigns
+        .find({
+          ...(currentOid && { _id: { $ne: currentOid } }),
+          status: "active",
+          ...LISTED,
+          deletedAt: null,
+          // The status job may not have expired it yet
+          lastDate: { $gt: now },
+          // Campaigns that allow overfunding stay active past their goal; only those still short are suggested
+          $expr: { $lt: [{ $ifNull: ["$donatedAmount", 0] }, "$targetAmount"] },
+        })
+        .sort({ date: -1 })
+        .limit(CANDIDATE_POOL)
+        .toArray();
+
+      const affinity = viewerEmail ? await categoryAffinity(viewerEmail) : {};
+
+      const score = campaign => {
+        const daysLeft = (new Date(campaign.lastDate) - now) / DAY_MS;
+        const signals = {
+          category: current?.petCategory && campaign.petCategory === current.petCategory ? 1 : 0,
+          history: affinity[campaign.petCategory] || 0,
+          progress: Math.min((campaign.donatedAmount || 0) / campaign.targetAmount, 1),
+          urgency: 1 - Math.min(daysLeft, URGENCY_WINDOW_DAYS) / URGENCY_WINDOW_DAYS,
+        };
+        return Object.entries(CAMPAIGN_WEIGHTS).reduce((sum, [signal, weight]) => sum + weight * signals[signal], 0);
+      };
+
+      return candidates
+        .map(campaign => ({ campaign, score: score(campaign) }))
+        // The sort is stable, so equal scores keep the newest-first order
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ campaign }) => campaign);
+    },
+
+    // Available pets of the same category and age band in the same area: within
+    // SIMILAR_PETS_RADIUS_KM (nearest first) when the pet has a position, then by location name.
+    async similarPets(pet, { limit = 6 } = {}) {
+      const band = ageBandOf(pet.age);
+      const query = {
+        _id: { $ne: pet._id },
+        category: pet.category,
+        adopted: false,
+        ...LISTED,
+        deletedAt: null,
+        age: { $gte: band.min, ...(band.max !== Infinity && { $lt: band.max }) },
+      };
+
+      const nearby = pet.geo
+        ? await pets.aggregate([
+          {
+            $geoNear: {
+              near: pet.geo,
+              key: "geo",
+              spherical: true,
+              distanceField: "distanceKm",
+              distanceMultiplier: 0.001,
+              maxDistance: SIMILAR_PETS_RADIUS_KM * 1000,
+              query,
+            },
+          },
+          { $set: { distanceKm: { $round: ["$distanceKm", 1] } } },
+          { $limit: limit },
+        ]).toArray()
+        : [];
+
+      // Pets without a position (or none close enough) can still share the location name
+      const sameLocation = nearby.length < limit
+        ? await pets
+          .find({
+            ...query,
+            _id: { $nin: [pet._id, ...nearby.map(p => p._id)] },
+            location: { $regex: `^${escapeRegex(pet.location.trim())}$`, $options: "i" },
+          })
+          .sort({ date: -1, _id: -1 })
+          .limit(limit - nearby.length)
+          .toArray()
+        : [];
+
+      return { ageBand: band.name, pets: [...nearby, ...sameLocation] };
+    },
+  };
+}
+
+module.exports = createRecommendationsService;
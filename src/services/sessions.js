@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+const { toObjectId } = require("../utils");
+const { HttpError } = require("../errors");
+
+const hashToken = token => crypto.createHash("sha256").update(token).digest("hex");
+
+// Server-side sessions backing the rotating refresh tokens.
+// Only a hash of each refresh token is stored; access tokens carry the session id (sid).
+function createSessionsService({ sessions }, { refreshTokenTtlDays = 30 } = {}) {
+  const expiry = () => new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+  return {
+    async create(email, { userAgent, ip } = {}) {
+      const refreshToken = crypto.randomBytes(48).toString("base64url");
+      const now = new Date();
+
+      const { insertedId } = await sessions.insertOne({
+        email,
+        refreshTokenHash: hashToken(refreshToken),
+        previousRefreshTokenHashes: [],
+        userAgent: userAgent || null,
+        ip: ip || null,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: expiry(),
+        revokedAt: null,
+      });
+
+      return { sessionId: insertedId, refreshToken };
+    },
+
+    // Swap a refresh token for a new one. Presenting an already rotated token means it leaked,
+    // so the whole session is revoked.
+    async rotate(refreshToken) {
+      if (typeof refreshToken !== "string" || !refreshToken) {
+        throw new HttpError(401, "Invalid refresh token");
+      }
+
+      const tokenHash = hashToken(refreshToken);
+      const nextToken = crypto.randomBytes(48).toString("base64url");
+      const now = new Date();
+
+      const session = await sessions.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+          $set: { refreshTokenHash: hashToken(nextToken), lastUsedAt: now, expiresAt: expiry() },
+          $push: { previousRefreshTokenHashes: tokenHash },
+        },
+        { returnDocument: "after" }
+      );
+
+      if (!session) {
+        await sessions.updateOne(
+          { previousRefreshTokenHashes: tokenHash, revokedAt: null },
+          { $set: { revokedAt: now, revokedReason: "refresh_token_reuse" } }
+        );
+        throw new HttpError(401, "Invalid refresh token");
+      }
+
+      return { session, refreshToken: nextToken };
+    },
+
+    async isActive(sessionId) {
+      const _id = toObjectId(sessionId);
+      if (!_id) return false;
+
+      const session = await sessions.findOne(
+        { _id, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { projection: { _id: 1 } }
+      );
+      return !!session;
+    },
+
+    revoke(sessionId, reason = "logout") {
+      return sessions.updateOne(
+        { _id: toObjectId(sessionId), revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+    },
+
+    revokeAllForUser(email, reason = "logout_all") {
+      return sessions.updateMany(
+        { email, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+    },
+  };
+}
+
+module.exports = createSessionsService;
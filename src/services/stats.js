@@ -0,0 +1,228 @@
+const { CAMPAIGN_STATUSES } = require("../schemas");
+const { COUNTED_STATUSES } = require("./donations");
+const { toObjectId } = require("../utils");
+const { HttpError } = require("../errors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest series /admin/stats builds; a year of days, or longer ranges by week or month
+const MAX_BUCKETS = 366;
+const TOP_CAMPAIGNS = 10;
+
+// Bucket keys (UTC): 2026-03-14 by day, 2026-W11 by ISO week, 2026-03 by month
+function periodOf(day, interval) {
+  if (interval === "day") return day;
+  if (interval === "month") return day.slice(0, 7);
+
+  // The ISO week belongs to the year of its Thursday
+  const thursday = new Date(`${day}T00:00:00Z`);
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / DAY_MS / 7) + 1;
+  return `${year}-W${String(week).padStart(2, "0")}`;
+}
+
+// Every period of [from, to) in order, so quiet periods show up as zeros
+function periodsBetween(from, to, interval) {
+  const periods = [];
+  for (let time = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()); time < to; time += DAY_MS) {
+    const period = periodOf(new Date(time).toISOString().slice(0, 10), interval);
+    if (periods[periods.length - 1] !== period) periods.push(period);
+    if (periods.length > MAX_BUCKETS) {
+      throw new HttpError(400, `That range has more than ${MAX_BUCKETS} ${interval}s; use a shorter range or a longer interval`);
+    }
+  }
+  return periods;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Per-user dashboard numbers and the platform-wide admin analytics
+function createStatsService({ users, pets, adoptions, campaigns, donations }, { currencies }) {
+  const monthName = month => new Date(0, month - 1).toLocaleString("default", { month: "short" });
+
+  // [{ month: "Mar", year: 2026, count }] oldest first, from the documents' `date`
+  async function perMonth(collection, match) {
+    const counts = await collection.aggregate([
+      { $match: match },
+      { $group: { _id: { year: { $year: "$date" }, month: { $month: "$date" } }, count: { $sum: 1 } } },
+      { $sort: { "_id.year": 1, "_id.month": 1 } },
+    ]).toArray();
+
+    return counts.map(item => ({ month: monthName(item._id.month), year: item._id.year, count: item.count }));
+  }
+
+  // Day (YYYY-MM-DD, UTC) => count of the documents whose `field` falls in the range
+  async function countsByDay(collection, field, match) {
+    const days = await collection.aggregate([
+      { $match: match },
+      { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: `$${field}` } }, count: { $sum: 1 } } },
+    ]).toArray();
+    return new Map(days.map(day => [day._id, day.count]));
+  }
+
+  // Net donated (minus refunds) in the default currency; older donations have no currency
+  const toDefault = (amount, currency) => currencies.convert(amount, currency || currencies.default, currencies.default).amount;
+
+  return {
+    async dashboard(email) {
+      // Pets and campaigns in the trash don't count
+      const ownPets = { ownerEmail: email, deletedAt: null };
+
+      // --- Total pets added by this user ---
+      const totalPets = await pets.countDocuments(ownPets);
+
+      // --- Total donations made by this user; failed payments aren't donations ---
+      const totalDonations = await donations.countDocuments({ donorEmail: email, status: { $in: COUNTED_STATUSES } });
+
+      // --- Pending adoption requests for user's pets ---
+      const userPets = await pets.find(ownPets).project({ _id: 1 }).toArray();
+      const petIds = userPets.map(p => p._id.toString());
+      const pendingRequests = await adoptions.countDocuments({
+        petId: { $in: petIds },
+        status: "pending"
+      });
+
+      // --- Campaign stats ---
+      const ownCampaigns = await campaigns.find({ ownerEmail: email, deletedAt: null }).toArray();
+      const campaignsByStatus = Object.fromEntries(CAMPAIGN_STATUSES.map(status => [status, 0]));
+      ownCampaigns.forEach(c => { campaignsByStatus[c.status] += 1; });
+      const activeCampaigns = campaignsByStatus.active;
+      const pausedCampaigns = campaignsByStatus.paused;
+      // Every campaign that has ended: funded, past its deadline or closed by its owner
+      const completedCampaigns = campaignsByStatus.goal_reached + campaignsByStatus.expired + campaignsByStatus.closed;
+
+      // --- Pets and campaigns per month (of each year) ---
+      const petsPerMonth = await perMonth(pets, ownPets);
+      const campaignsPerMonth = await perMonth(campaigns, { ownerEmail: email, deletedAt: null });
+
+      return {
+        totalPets,
+        totalDonations,
+        pendingRequests,
+        petsPerMonth,
+        activeCampaigns,
+        pausedCampaigns,
+        completedCampaigns,
+        campaignsByStatus,
+        campaignsPerMonth
+      };
+    },
+
+    // Platform totals over [from, to) with a day/week/month series. Pets and campaigns in the trash
+    // don't count; the conversion rate is the share of the pets listed in the range adopted since.
+    async platform({ from, to, interval }) {
+      const periods = periodsBetween(from, to, interval);
+      const inRange = { $gte: from, $lt: to };
+
+      // --- Pets ---
+      const listed = { date: inRange, deletedAt: null };
+      const petsListed = await pets.countDocuments(listed);
+      const listedAndAdopted = await pets.countDocuments({ ...listed, adopted: true });
+      const adoptedPets = await pets
+        .find({ adoptedAt: inRange, deletedAt: null }, { projection: { date: 1, adoptedAt: 1 } })
+        .toArray();
+      const daysToAdoption = adoptedPets.map(pet => (pet.adoptedAt - pet.date) / DAY_MS);
+      const medianDays = median(daysToAdoption);
+
+      // --- Donations, by day and currency ---
+      const counted = { date: inRange, status: { $in: COUNTED_STATUSES } };
+      const netAmount = { $sum: { $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }] } };
+      const donationDays = await donations.aggregate([
+        { $match: counted },
+        {
+          $group: {
+            _id: { day: { $dateToString: { format: "%Y-%m-%d", date: "$date" } }, currency: "$currency" },
+            count: { $sum: 1 },
+            amount: netAmount,
+          },
+        },
+      ]).toArray();
+
+      // --- Top campaigns by net donated in the range ---
+      const perCampaign = await donations.aggregate([
+        { $match: counted },
+        { $group: { _id: { donationId: "$donationId", currency: "$currency" }, count: { $sum: 1 }, amount: netAmount } },
+      ]).toArray();
+
+      // Older donations stored the campaign id as a string
+      const raised = new Map();
+      for (const item of perCampaign) {
+        const id = String(item._id.donationId);
+        const entry = raised.get(id) || { count: 0, amount: 0 };
+        entry.count += item.count;
+        entry.amount += toDefault(item.amount, item._id.currency);
+        raised.set(id, entry);
+      }
+      const leaders = [...raised].sort((a, b) => b[1].amount - a[1].amount).slice(0, TOP_CAMPAIGNS);
+      const leaderCampaigns = await campaigns
+        .find({ _id: { $in: leaders.map(([id]) => toObjectId(id)).filter(Boolean) } })
+        .project({ petName: 1, ownerEmail: 1, status: 1, targetAmount: 1, donatedAmount: 1, currency: 1, deletedAt: 1 })
+        .toArray();
+      const topCampaigns = leaders.map(([id, { count, amount }]) => {
+        const campaign = leaderCampaigns.find(c => c._id.toString() === id);
+        return {
+          _id: id,
+          petName: campaign?.petName || "Unknown",
+          ownerEmail: campaign?.ownerEmail || null,
+          status: campaign && !campaign.deletedAt ? campaign.status : "closed",
+          donations: count,
+          raised: currencies.roundTo(amount, currencies.default),
+        };
+      });
+
+      // --- Users ---
+      const totalUsers = await users.countDocuments({});
+      const newUsersByDay = await countsByDay(users, "createdAt", { createdAt: inRange });
+      const listedByDay = await countsByDay(pets, "date", listed);
+      const adoptedByDay = await countsByDay(pets, "adoptedAt", { adoptedAt: inRange, deletedAt: null });
+
+      // --- One row per period ---
+      const rows = new Map(periods.map(period => [period, {
+        period, petsListed: 0, petsAdopted: 0, newUsers: 0, donations: 0, donated: 0,
+      }]));
+      const add = (day, field, value) => {
+        const row = rows.get(periodOf(day, interval));
+        if (row) row[field] += value;
+      };
+      listedByDay.forEach((count, day) => add(day, "petsListed", count));
+      adoptedByDay.forEach((count, day) => add(day, "petsAdopted", count));
+      newUsersByDay.forEach((count, day) => add(day, "newUsers", count));
+      for (const item of donationDays) {
+        add(item._id.day, "donations", item.count);
+        add(item._id.day, "donated", toDefault(item.amount, item._id.currency));
+      }
+      const series = [...rows.values()].map(row => ({ ...row, donated: currencies.roundTo(row.donated, currencies.default) }));
+
+      return {
+        from,
+        to,
+        interval,
+        currency: currencies.default,
+        pets: {
+          listed: petsListed,
+          adopted: adoptedPets.length,
+          conversionRate: petsListed ? Math.round((listedAndAdopted / petsListed) * 10000) / 10000 : null,
+          medianDaysToAdoption: medianDays === null ? null : Math.round(medianDays * 10) / 10,
+        },
+        donations: {
+          count: series.reduce((sum, row) => sum + row.donations, 0),
+          total: currencies.roundTo(series.reduce((sum, row) => sum + row.donated, 0), currencies.default),
+        },
+        users: {
+          total: totalUsers,
+          new: series.reduce((sum, row) => sum + row.newUsers, 0),
+        },
+        topCampaigns,
+        series,
+      };
+    },
+  };
+}
+
+module.exports = createStatsService;
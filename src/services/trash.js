@@ -0,0 +1,115 @@
+const { toObjectId } = require("../utils");
+const { HttpError } = require("../errors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Donation statuses that still hold money for the campaign
+const UNSETTLED_DONATION_STATUSES = ["succeeded", "partially_refunded", "refund_pending", "refund_failed"];
+
+// Soft deletion of pets and campaigns. Deleting only sets deletedAt/deletedBy, so adoption requests
+// and donations keep pointing at a real document; admins can restore from the trash until
+// purgeExpired removes the document (and its files) for good after retentionDays.
+function createTrashService({ pets, campaigns, campaignUpdates, adoptions, donations }, { photos, retentionDays = 30 }) {
+  const collections = { pets, campaigns };
+
+  const purgeAt = doc => new Date(doc.deletedAt.getTime() + retentionDays * DAY_MS);
+
+  function collectionFor(type) {
+    const collection = collections[type];
+    if (!collection) throw new HttpError(400, "Trash type must be pets or campaigns");
+    return collection;
+  }
+
+  return {
+    // Pending adoption requests can't go anywhere once the listing is gone
+    async deletePet(pet, deletedBy) {
+      const now = new Date();
+      await pets.updateOne({ _id: pet._id, deletedAt: null }, { $set: { deletedAt: now, deletedBy } });
+      await adoptions.updateMany(
+        { petId: pet._id.toString(), status: "pending" },
+        {
+          $set: { status: "rejected", updatedAt: now, rejectionReason: "Pet listing was removed" },
+          $push: { history: { status: "rejected", by: deletedBy, at: now } },
+        }
+      );
+    },
+
+    // Refuses while donations still hold money: refund them first
+    async deleteCampaign(campaign, deletedBy) {
+      const unsettled = await donations.countDocuments({
+        // Older donations stored the campaign id as a string
+        donationId: { $in: [campaign._id, campaign._id.toString()] },
+        status: { $in: UNSETTLED_DONATION_STATUSES },
+      });
+      if (unsettled > 0) {
+        throw new HttpError(409, `Campaign has ${unsettled} donation(s) that must be refunded before it can be deleted`);
+      }
+
+      await campaigns.updateOne(
+        { _id: campaign._id, deletedAt: null },
+        { $set: { deletedAt: new Date(), deletedBy } }
+      );
+    },
+
+    // Newest deletions first, each with the date it will be purged
+    async list(type) {
+      const types = type ? [type] : Object.keys(collections);
+      const result = {};
+
+      for (const name of types) {
+        const items = await collectionFor(name).find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 }).toArray();
+        result[name] = items.map(item => ({ ...item, purgeAt: purgeAt(item) }));
+      }
+
+      return result;
+    },
+
+    // Resolves to the restored document, or null when it isn't in the trash
+    async restore(type, id) {
+      const _id = toObjectId(id);
+      if (!_id) return null;
+
+      return collectionFor(type).findOneAndUpdate(
+        { _id, deletedAt: { $ne: null } },
+        { $unset: { deletedAt: "", deletedBy: "" } },
+        { returnDocument: "after" }
+      );
+    },
+
+    // Hard-delete everything that has been in the trash longer than retentionDays
+    async purgeExpired(now = new Date()) {
+      const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+      const counts = {};
+
+      for (const [name, collection] of Object.entries(collections)) {
+        const expired = await collection.find({ deletedAt: { $lte: cutoff } }).toArray();
+        if (!expired.length) {
+          counts[name] = 0;
+          continue;
+        }
+
+        const { deletedCount } = await collection.deleteMany({
+          _id: { $in: expired.map(doc => doc._id) },
+          deletedAt: { $lte: cutoff },
+        });
+        counts[name] = deletedCount;
+
+        for (const doc of expired) {
+          if (name === "pets") {
+            await photos.removeAllForPet(doc);
+            continue;
+          }
+
+          // A campaign's updates go with it
+          const updates = await campaignUpdates.find({ campaignId: doc._id }).toArray();
+          await campaignUpdates.deleteMany({ campaignId: doc._id });
+          await photos.removeAllForCampaign(doc, updates);
+        }
+      }
+
+      return counts;
+    },
+  };
+}
+
+module.exports = createTrashService;
@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const { toObjectId, escapeRegex } = require("../utils");
+const { hashPassword, verifyPassword } = require("../auth/passwords");
+const { HttpError } = require("../errors");
+const { ROLES } = require("../schemas");
+
+// Never send password hashes back to clients
+const publicProjection = { passwordHash: 0, emailVerification: 0 };
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = token => crypto.createHash("sha256").update(token).digest("hex");
+
+// True when the user's role is at least `role` (user < moderator < admin)
+function hasRole(user, role) {
+  return ROLES.indexOf(user?.role || "user") >= ROLES.indexOf(role);
+}
+
+// A ban with a bannedUntil date in the past is an expired suspension
+function isBanned(user, now = new Date()) {
+  return Boolean(user?.banned) && (!user.bannedUntil || user.bannedUntil > now);
+}
+
+// Query fragment matching users whose ban is in force
+function activeBanQuery(now = new Date()) {
+  return { banned: true, $or: [{ bannedUntil: null }, { bannedUntil: { $gt: now } }] };
+}
+
+function createUsersService({ users }) {
+  // Admins that could still log in, other than `excludeId`
+  function countOtherActiveAdmins(excludeId) {
+    return users.countDocuments({ role: "admin", _id: { $ne: excludeId }, $nor: [activeBanQuery()] });
+  }
+
+  return {
+    findByEmail(email) {
+      return users.findOne({ email }, { projection: publicProjection });
+    },
+
+    findById(id) {
+      const _id = toObjectId(id);
+      if (!_id) return null;
+      return users.findOne({ _id }, { projection: publicProjection });
+    },
+
+    // Returns the user when the password matches, null otherwise
+    async verifyCredentials(email, password) {
+      const user = await users.findOne({ email });
+      if (!user?.passwordHash) return null;
+
+      const { passwordHash, emailVerification, ...rest } = user;
+      if (!(await verifyPassword(password, passwordHash))) return null;
+
+      // Anyone can sign up with any address, so the password only works once the owner confirmed it
+      if (rest.emailVerified === false) {
+        throw new HttpError(403, "Confirm your email address before logging in");
+      }
+      return rest;
+    },
+
+    // A new verification token for an unconfirmed password account, or null when there is none
+    async startEmailVerification(email) {
+      const token = crypto.randomBytes(32).toString("base64url");
+      const result = await users.updateOne(
+        { email, emailVerified: false },
+        { $set: { emailVerification: { tokenHash: hashToken(token), expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS) } } }
+      );
+      return result.matchedCount ? token : null;
+    },
+
+    // Confirm the address with the token from the verification email; resolves to the email
+    async confirmEmailVerification(token) {
+      if (typeof token !== "string" || !token) {
+        throw new HttpError(400, "Verification token is required");
+      }
+
+      const user = await users.findOneAndUpdate(
+        { "emailVerification.tokenHash": hashToken(token), "emailVerification.expiresAt": { $gt: new Date() } },
+        { $set: { emailVerified: true, updatedAt: new Date() }, $unset: { emailVerification: "" } },
+        { projection: { email: 1 } }
+      );
+      if (!user) {
+        throw new HttpError(400, "Verification link is invalid or has expired");
+      }
+      return user.email;
+    },
+
+    // The identity provider has verified the address, so its owner takes over an unconfirmed
+    // account; the password was set by whoever signed up and is dropped
+    async claimWithVerifiedEmail(email) {
+      await users.updateOne(
+        { email, emailVerified: false },
+        { $set: { emailVerified: true, updatedAt: new Date() }, $unset: { passwordHash: "", emailVerification: "" } }
+      );
+      return this.findByEmail(email);
+    },
+
+    async isAdmin(email) {
+      const user = await users.findOne({ email }, { projection: { role: 1 } });
+      return user?.role === "admin";
+    },
+
+    // Filter by search (email or name), role and banned ("true"/"false"), newest first
+    async list({ search, role, banned, page = 1, limit = 20 } = {}) {
+      page = Math.max(parseInt(page) || 1, 1);
+      limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+      const query = {};
+      if (search) {
+        const pattern = { $regex: escapeRegex(search), $options: "i" };
+        query.$or = [{ email: pattern }, { name: pattern }];
+      }
+      if (role) {
+        query.role = role === "user" ? { $in: ["user", null] } : role;
+      }
+      if (banned === "true") {
+        query.$and = [activeBanQuery()];
+      } else if (banned === "false") {
+        query.$nor = [activeBanQuery()];
+      }
+
+      const [items, total] = await Promise.all([
+        users
+          .find(query, { projection: publicProjection })
+          .sort({ _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        users.countDocuments(query),
+      ]);
+
+      return { users: items, total, page, totalPages: Math.ceil(total / limit) };
+    },
+
+    // Returns null when a user with this email already exists
+    async create(user) {
+      const existingUser = await users.findOne({ email: user.email });
+      if (existingUser) return null;
+
+      const { password, ...fields } = user;
+      const doc = { ...fields, role: "user", createdAt: new Date() };
+      if (password) {
+        doc.passwordHash = await hashPassword(password);
+        // Password logins wait for the address to be confirmed, see startEmailVerification
+        doc.emailVerified = false;
+      }
+
+      return users.insertOne(doc);
+    },
+
+    // Throws unless `actor` may change the role or ban state of `target`:
+    // nobody manages themselves, moderators only manage plain users,
+    // and the last active admin can't be demoted or banned
+    async assertCanManage(actor, target, { removesAdmin = false } = {}) {
+      if (actor._id.equals(target._id)) {
+        throw new HttpError(403, "You cannot change your own role or ban yourself");
+      }
+
+      if (!hasRole(actor, "admin") && hasRole(target, "moderator")) {
+        throw new HttpError(403, "Only admins can manage moderators and admins");
+      }
+
+      if (removesAdmin && target.role === "admin" && (await countOtherActiveAdmins(target._id)) === 0) {
+        throw new HttpError(409, "Cannot remove the last admin");
+      }
+    },
+
+    // Resolves to the user as it was before the change
+    setRole(id, role) {
+      return users.findOneAndUpdate(
+        { _id: id },
+        { $set: { role, updatedAt: new Date() } },
+        { projection: publicProjection }
+      );
+    },
+
+    setTrusted(id, trusted) {
+      return users.updateOne({ _id: id }, { $set: { trusted, updatedAt: new Date() } });
+    },
+
+    // Without `until` the ban is permanent. Resolves to the user as it was before the ban
+    ban(id, { reason, until, by }) {
+      // Unset what wasn't given rather than storing null, which the validator rejects
+      const $unset = {};
+      if (!reason) $unset.banReason = "";
+      if (!until) $unset.bannedUntil = "";
+      return users.findOneAndUpdate(
+        { _id: id },
+        {
+          $set: { banned: true, ...(reason && { banReason: reason }), ...(until && { bannedUntil: until }), bannedAt: new Date(), bannedBy: by },
+          ...(Object.keys($unset).length && { $unset }),
+        },
+        { projection: publicProjection }
+      );
+    },
+
+    unban(id) {
+      return users.findOneAndUpdate(
+        { _id: id },
+        { $set: { banned: false }, $unset: { banReason: "", bannedUntil: "", bannedAt: "", bannedBy: "" } },
+        { projection: publicProjection }
+      );
+    },
+  };
+}
+
+module.exports = createUsersService;
+module.exports.hasRole = hasRole;
+module.exports.isBanned = isBanned;
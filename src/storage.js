@@ -0,0 +1,39 @@
+const fs = require("fs/promises");
+const path = require("path");
+const express = require("express");
+
+// Default file storage used when createApp isn't given one: a directory on local disk,
+// served by the app itself. Any object with async put(key, buffer, { contentType }) -> url
+// and async remove(key) can be plugged in instead (e.g. an S3 bucket behind a CDN).
+function createLocalStorage({ dir = "uploads", baseUrl = "/uploads" } = {}) {
+  const root = path.resolve(dir);
+  const publicBase = baseUrl.replace(/\/+$/, "");
+
+  // Keys come from the server, but never let one escape the upload directory
+  function resolve(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  return {
+    // Where createApp should serve the files from, e.g. "/uploads"
+    mountPath: new URL(publicBase, "http://localhost").pathname,
+    handler: express.static(root, { index: false, maxAge: "30d", immutable: true }),
+
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return `${publicBase}/${key}`;
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
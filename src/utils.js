@@ -0,0 +1,26 @@
+const { ObjectId } = require("mongodb");
+
+// Parse a route/body id; returns null for anything that isn't a valid ObjectId
+function toObjectId(id) {
+  if (id instanceof ObjectId) return id;
+  return typeof id === "string" && ObjectId.isValid(id) && /^[a-fA-F0-9]{24}$/.test(id)
+    ? new ObjectId(id)
+    : null;
+}
+
+// Escape user input for use inside a $regex
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Round to whole cents so sums of amounts compare cleanly
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// "$1,234.50" for display in documents
+function formatMoney(amount, currency = "usd") {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency: currency.toUpperCase() }).format(amount);
+}
+
+module.exports = { toObjectId, escapeRegex, roundCents, formatMoney };
@@ -0,0 +1,170 @@
+const request = require("supertest");
+const { setupTestApp, tokenFor, createUser, createPet } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const owner = "owner@example.com";
+const adopter = "adopter@example.com";
+const other = "other@example.com";
+
+const requestBody = pet => ({
+  petId: pet._id.toString(),
+  petName: pet.name,
+  userName: "Adopter",
+  phone: "0123456789",
+  address: "12 Road, Dhaka",
+});
+
+async function submit(pet, email = adopter) {
+  return request(ctx.app)
+    .post("/adoptions")
+    .set("Authorization", await tokenFor(email))
+    .send(requestBody(pet));
+}
+
+async function setStatus(adoptionId, status, email) {
+  return request(ctx.app)
+    .patch(`/adoptions/${adoptionId}/status`)
+    .set("Authorization", await tokenFor(email))
+    .send({ status });
+}
+
+describe("POST /adoptions", () => {
+  it("creates a pending request for the caller", async () => {
+    const pet = await createPet(ctx.db);
+
+    const res = await submit(pet);
+
+    expect(res.status).toBe(200);
+    const adoption = await ctx.db.collection("adoptions").findOne({ requesterEmail: adopter });
+    expect(adoption).toMatchObject({
+      petId: pet._id.toString(),
+      requesterEmail: adopter,
+      ownerEmail: owner,
+      status: "pending",
+    });
+  });
+
+  it("blocks duplicate open requests", async () => {
+    const pet = await createPet(ctx.db);
+    await submit(pet);
+
+    const res = await submit(pet);
+
+    expect(res.status).toBe(409);
+  });
+
+  it("blocks requests for your own or an adopted pet", async () => {
+    const pet = await createPet(ctx.db);
+    const adopted = await createPet(ctx.db, { adopted: true });
+
+    expect((await submit(pet, owner)).status).toBe(403);
+    expect((await submit(adopted)).status).toBe(409);
+  });
+
+  it("returns 404 for an unknown pet and 400 for a malformed body", async () => {
+    const missing = await submit({ _id: "64b000000000000000000000", name: "Ghost" });
+    const invalid = await request(ctx.app)
+      .post("/adoptions")
+      .set("Authorization", await tokenFor(adopter))
+      .send({ petId: "nope", status: "accepted" });
+
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.map(d => d.field)).toEqual(
+      expect.arrayContaining(["petId", "status", "phone", "address"])
+    );
+  });
+
+  it("requires a token", async () => {
+    const pet = await createPet(ctx.db);
+    const res = await request(ctx.app).post("/adoptions").send(requestBody(pet));
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("GET /adoptions/my-requests", () => {
+  it("lists requests for the caller's pets", async () => {
+    const mine = await createPet(ctx.db);
+    const theirs = await createPet(ctx.db, { ownerEmail: other });
+    await submit(mine);
+    await submit(theirs);
+
+    const res = await request(ctx.app).get("/adoptions/my-requests").set("Authorization", await tokenFor(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0].petId).toBe(mine._id.toString());
+  });
+
+  it("requires a token", async () => {
+    expect((await request(ctx.app).get("/adoptions/my-requests")).status).toBe(401);
+  });
+});
+
+describe("PATCH /adoptions/:id/status", () => {
+  let pet;
+  let adoptionId;
+
+  beforeEach(async () => {
+    pet = await createPet(ctx.db);
+    adoptionId = (await submit(pet)).body.insertedId;
+  });
+
+  it("accepting adopts the pet and rejects the other pending requests", async () => {
+    await submit(pet, other);
+
+    const res = await setStatus(adoptionId, "accepted", owner);
+
+    expect(res.status).toBe(200);
+    const adoptions = ctx.db.collection("adoptions");
+    expect((await ctx.db.collection("pets").findOne({ _id: pet._id })).adopted).toBe(true);
+    expect((await adoptions.findOne({ petId: pet._id.toString(), requesterEmail: adopter })).status).toBe("accepted");
+    expect((await adoptions.findOne({ petId: pet._id.toString(), requesterEmail: other })).status).toBe("rejected");
+  });
+
+  it("follows the state machine", async () => {
+    expect((await setStatus(adoptionId, "completed", owner)).status).toBe(409);
+    expect((await setStatus(adoptionId, "rejected", owner)).status).toBe(200);
+    expect((await setStatus(adoptionId, "accepted", owner)).status).toBe(409);
+  });
+
+  it("completes an accepted request", async () => {
+    await setStatus(adoptionId, "accepted", owner);
+
+    const res = await setStatus(adoptionId, "completed", owner);
+
+    expect(res.status).toBe(200);
+  });
+
+  it("lets only the requester withdraw", async () => {
+    expect((await setStatus(adoptionId, "withdrawn", owner)).status).toBe(403);
+    expect((await setStatus(adoptionId, "withdrawn", adopter)).status).toBe(200);
+  });
+
+  it("lets only the pet owner or an admin decide", async () => {
+    expect((await setStatus(adoptionId, "accepted", adopter)).status).toBe(403);
+    expect((await setStatus(adoptionId, "accepted", other)).status).toBe(403);
+
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+    expect((await setStatus(adoptionId, "rejected", "admin@example.com")).status).toBe(200);
+  });
+
+  it("rejects unknown statuses and unknown requests", async () => {
+    expect((await setStatus(adoptionId, "maybe", owner)).status).toBe(400);
+    expect((await setStatus("64b000000000000000000000", "accepted", owner)).status).toBe(404);
+  });
+
+  it("requires a token", async () => {
+    const res = await request(ctx.app).patch(`/adoptions/${adoptionId}/status`).send({ status: "accepted" });
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,197 @@
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const { hashPassword } = require("../src/auth/passwords");
+const { setupTestApp, tokenFor, idTokenFor, createUser, config } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const email = "me@example.com";
+
+async function login(body) {
+  return request(ctx.app).post("/jwt").send(body);
+}
+
+describe("POST /jwt", () => {
+  it("logs in with a verified ID token", async () => {
+    await createUser(ctx.db, { email });
+
+    const res = await login({ idToken: idTokenFor(email) });
+
+    expect(res.status).toBe(200);
+    const decoded = jwt.verify(res.body.token, config.jwtSecret);
+    expect(decoded).toMatchObject({ email, sid: expect.any(String) });
+    expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+  });
+
+  it("logs in with email and password", async () => {
+    await createUser(ctx.db, { email, passwordHash: await hashPassword("correct horse") });
+
+    const ok = await login({ email, password: "correct horse" });
+    const wrong = await login({ email, password: "wrong horse" });
+
+    expect(ok.status).toBe(200);
+    expect(wrong.status).toBe(401);
+  });
+
+  it("keeps password logins closed until the address is confirmed", async () => {
+    await request(ctx.app).post("/users").send({ email, password: "correct horse" });
+
+    const blocked = await login({ email, password: "correct horse" });
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.message).toBe("Confirm your email address before logging in");
+    // A wrong password still looks like any other failed login
+    expect((await login({ email, password: "wrong horse" })).status).toBe(401);
+
+    await ctx.deliverEmails();
+    const message = ctx.mailer.sent.find(m => m.subject === "Confirm your email address");
+    const token = message.text.match(/verify-account\?token=(\S+)/)[1];
+    expect((await request(ctx.app).post("/api/users/email-verification/confirm").send({ token: "nope" })).status).toBe(400);
+    const confirmed = await request(ctx.app).post("/api/users/email-verification/confirm").send({ token });
+    expect(confirmed.body).toEqual({ success: true, email });
+
+    expect((await login({ email, password: "correct horse" })).status).toBe(200);
+    expect((await request(ctx.app).post("/api/users/email-verification/confirm").send({ token })).status).toBe(400);
+  });
+
+  it("sends a new verification link on request", async () => {
+    await request(ctx.app).post("/users").send({ email, password: "correct horse" });
+    await createUser(ctx.db, { email: "verified@example.com" });
+
+    const res = await request(ctx.app).post("/api/users/email-verification/resend").send({ email });
+    await request(ctx.app).post("/api/users/email-verification/resend").send({ email: "verified@example.com" });
+    await request(ctx.app).post("/api/users/email-verification/resend").send({ email: "nobody@example.com" });
+    await ctx.deliverEmails();
+
+    expect(res.status).toBe(202);
+    const links = ctx.mailer.sent.filter(m => m.subject === "Confirm your email address");
+    expect(links.map(m => m.to)).toEqual([email, email]);
+    // Only the newest link works
+    const [first, second] = links.map(m => m.text.match(/verify-account\?token=(\S+)/)[1]);
+    expect((await request(ctx.app).post("/api/users/email-verification/confirm").send({ token: first })).status).toBe(400);
+    expect((await request(ctx.app).post("/api/users/email-verification/confirm").send({ token: second })).status).toBe(200);
+  });
+
+  it("drops the password of an unconfirmed account when the address owner signs in with an ID token", async () => {
+    // Someone else registered the address first with a password of their choosing
+    await request(ctx.app).post("/users").send({ email, password: "attacker pass" });
+
+    const res = await login({ idToken: idTokenFor(email) });
+
+    expect(res.status).toBe(200);
+    const saved = await ctx.db.collection("users").findOne({ email });
+    expect(saved.emailVerified).toBe(true);
+    expect(saved.passwordHash).toBeUndefined();
+    expect(saved.emailVerification).toBeUndefined();
+    expect((await login({ email, password: "attacker pass" })).status).toBe(401);
+  });
+
+  it("keeps the password of a confirmed account on ID token logins", async () => {
+    await createUser(ctx.db, { email, emailVerified: true, passwordHash: await hashPassword("correct horse") });
+
+    await login({ idToken: idTokenFor(email) });
+
+    expect((await login({ email, password: "correct horse" })).status).toBe(200);
+  });
+
+  it("no longer issues tokens for a bare email", async () => {
+    await createUser(ctx.db, { email });
+
+    const res = await login({ email });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("rejects forged, unverified or foreign ID tokens", async () => {
+    await createUser(ctx.db, { email });
+    const forged = jwt.sign({ email, email_verified: true }, "guess", { expiresIn: "1h" });
+
+    expect((await login({ idToken: forged })).status).toBe(401);
+    expect((await login({ idToken: idTokenFor(email, { email_verified: false }) })).status).toBe(401);
+    expect((await login({ idToken: idTokenFor(email, { aud: "another-project" }) })).status).toBe(401);
+  });
+
+  it("refuses unknown and banned users", async () => {
+    await createUser(ctx.db, { email: "banned@example.com", banned: true });
+
+    expect((await login({ idToken: idTokenFor("who@example.com") })).status).toBe(401);
+    expect((await login({ idToken: idTokenFor("banned@example.com") })).status).toBe(403);
+  });
+});
+
+describe("POST /auth/refresh", () => {
+  it("rotates the refresh token", async () => {
+    await createUser(ctx.db, { email });
+    const { refreshToken } = (await login({ idToken: idTokenFor(email) })).body;
+
+    const res = await request(ctx.app).post("/auth/refresh").send({ refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+    expect(jwt.verify(res.body.token, config.jwtSecret).email).toBe(email);
+  });
+
+  it("revokes the session when an old refresh token is replayed", async () => {
+    await createUser(ctx.db, { email });
+    const first = (await login({ idToken: idTokenFor(email) })).body;
+    const second = (await request(ctx.app).post("/auth/refresh").send({ refreshToken: first.refreshToken })).body;
+
+    const replay = await request(ctx.app).post("/auth/refresh").send({ refreshToken: first.refreshToken });
+    const afterReplay = await request(ctx.app).post("/auth/refresh").send({ refreshToken: second.refreshToken });
+
+    expect(replay.status).toBe(401);
+    expect(afterReplay.status).toBe(401);
+    expect((await request(ctx.app).get("/protected").set("Authorization", `Bearer ${second.token}`)).status).toBe(401);
+  });
+
+  it("rejects unknown tokens", async () => {
+    const res = await request(ctx.app).post("/auth/refresh").send({ refreshToken: "nope" });
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("logout", () => {
+  it("ends the current session only", async () => {
+    const current = await tokenFor(email);
+    const other = await tokenFor(email);
+
+    const res = await request(ctx.app).post("/auth/logout").set("Authorization", current);
+
+    expect(res.status).toBe(200);
+    expect((await request(ctx.app).get("/protected").set("Authorization", current)).status).toBe(401);
+    expect((await request(ctx.app).get("/protected").set("Authorization", other)).status).toBe(200);
+  });
+
+  it("ends every session with logout-all", async () => {
+    const current = await tokenFor(email);
+    const other = await tokenFor(email);
+
+    const res = await request(ctx.app).post("/auth/logout-all").set("Authorization", current);
+
+    expect(res.body).toEqual({ success: true, revokedSessions: 2 });
+    expect((await request(ctx.app).get("/protected").set("Authorization", other)).status).toBe(401);
+  });
+
+  it("requires a token", async () => {
+    expect((await request(ctx.app).post("/auth/logout")).status).toBe(401);
+    expect((await request(ctx.app).post("/auth/logout-all")).status).toBe(401);
+  });
+});
+
+describe("tokens without a session", () => {
+  it("are rejected", async () => {
+    const legacy = jwt.sign({ email }, config.jwtSecret, { expiresIn: "7d" });
+
+    const res = await request(ctx.app).get("/protected").set("Authorization", `Bearer ${legacy}`);
+
+    expect(res.status).toBe(401);
+  });
+});
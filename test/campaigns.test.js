@@ -0,0 +1,391 @@
+const request = require("supertest");
+const { setupTestApp, tokenFor, createUser, createCampaign, createDonation } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const owner = "owner@example.com";
+const stranger = "stranger@example.com";
+const missingId = "64b000000000000000000000";
+
+const newCampaign = {
+  petName: "Rex",
+  petImage: "https://example.com/rex.jpg",
+  targetAmount: "300",
+  lastDate: "2030-01-01",
+  description: "Vaccines for Rex",
+  longDesc: "Rex needs his yearly vaccines.",
+};
+
+describe("POST /donation-campaigns", () => {
+  it("creates a campaign owned by the caller", async () => {
+    const res = await request(ctx.app)
+      .post("/donation-campaigns")
+      .set("Authorization", await tokenFor(owner))
+      .send(newCampaign);
+
+    expect(res.status).toBe(200);
+    const campaign = await ctx.db.collection("donationCampaigns").findOne({ petName: "Rex" });
+    expect(campaign).toMatchObject({ ownerEmail: owner, targetAmount: 300, donatedAmount: 0 });
+    expect(campaign.lastDate).toBeInstanceOf(Date);
+  });
+
+  it("runs in the default currency unless a supported one is chosen", async () => {
+    const auth = await tokenFor(owner);
+
+    await request(ctx.app).post("/donation-campaigns").set("Authorization", auth).send(newCampaign);
+    await request(ctx.app).post("/donation-campaigns").set("Authorization", auth).send({ ...newCampaign, petName: "Euro", currency: "EUR" });
+    const unsupported = await request(ctx.app).post("/donation-campaigns").set("Authorization", auth).send({ ...newCampaign, currency: "gbp" });
+
+    expect((await ctx.db.collection("donationCampaigns").findOne({ petName: "Rex" })).currency).toBe("usd");
+    expect((await ctx.db.collection("donationCampaigns").findOne({ petName: "Euro" })).currency).toBe("eur");
+    expect(unsupported.status).toBe(400);
+  });
+
+  it("validates the body", async () => {
+    const res = await request(ctx.app)
+      .post("/donation-campaigns")
+      .set("Authorization", await tokenFor(owner))
+      .send({ ...newCampaign, targetAmount: -5, donatedAmount: 1000 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field).sort()).toEqual(["donatedAmount", "targetAmount"]);
+  });
+
+  it("requires a token", async () => {
+    expect((await request(ctx.app).post("/donation-campaigns").send(newCampaign)).status).toBe(401);
+  });
+});
+
+describe("public campaign routes", () => {
+  it("lists campaigns newest first with pagination", async () => {
+    await createCampaign(ctx.db, { petName: "Old", date: new Date(2024, 0, 1) });
+    await createCampaign(ctx.db, { petName: "New", date: new Date(2025, 0, 1) });
+
+    const res = await request(ctx.app).get("/donation-campaigns?limit=1");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 2, page: 1, totalPages: 2 });
+    expect(res.body.campaigns.map(c => c.petName)).toEqual(["New"]);
+  });
+
+  it("returns a single campaign", async () => {
+    const campaign = await createCampaign(ctx.db);
+
+    const res = await request(ctx.app).get(`/donation-campaigns/${campaign._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.petName).toBe(campaign.petName);
+  });
+
+  it("returns 404 for unknown campaigns", async () => {
+    expect((await request(ctx.app).get(`/donation-campaigns/${missingId}`)).status).toBe(404);
+    expect((await request(ctx.app).get("/donation-campaigns/not-an-id")).status).toBe(404);
+  });
+
+  it("recommends up to three other campaigns", async () => {
+    const current = await createCampaign(ctx.db);
+    for (let i = 0; i < 4; i++) {
+      await createCampaign(ctx.db, { petName: `Other ${i}` });
+    }
+
+    const res = await request(ctx.app).get(`/recommended-campaigns/${current._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(3);
+    expect(res.body.map(c => c._id)).not.toContain(current._id.toString());
+  });
+});
+
+describe("GET /recommended-campaigns/:currentId", () => {
+  const days = n => new Date(Date.now() + n * 24 * 60 * 60 * 1000);
+  const names = res => res.body.map(c => c.petName);
+
+  it("only recommends campaigns that are still taking donations", async () => {
+    const current = await createCampaign(ctx.db);
+    await createCampaign(ctx.db, { petName: "Open" });
+    await createCampaign(ctx.db, { petName: "Paused", status: "paused", paused: true });
+    await createCampaign(ctx.db, { petName: "Funded", status: "goal_reached", donatedAmount: 500 });
+    await createCampaign(ctx.db, { petName: "Overfunded", allowOverfunding: true, donatedAmount: 600 });
+    await createCampaign(ctx.db, { petName: "At goal", allowOverfunding: true, donatedAmount: 500 });
+    await createCampaign(ctx.db, { petName: "Expired", status: "expired" });
+    await createCampaign(ctx.db, { petName: "Overdue", lastDate: days(-1) });
+    await createCampaign(ctx.db, { petName: "Draft", status: "draft" });
+    await createCampaign(ctx.db, { petName: "Trashed", deletedAt: new Date() });
+
+    const res = await request(ctx.app).get(`/recommended-campaigns/${current._id}?limit=10`);
+
+    expect(names(res)).toEqual(["Open"]);
+  });
+
+  it("ranks the same pet category first, then closeness to the goal and time left", async () => {
+    const current = await createCampaign(ctx.db, { petCategory: "Cat" });
+    await createCampaign(ctx.db, { petName: "Dog, nearly funded", petCategory: "Dog", donatedAmount: 450 });
+    await createCampaign(ctx.db, { petName: "Dog, ending soon", petCategory: "Dog", lastDate: days(2) });
+    await createCampaign(ctx.db, { petName: "Dog", petCategory: "Dog" });
+    await createCampaign(ctx.db, { petName: "Cat", petCategory: "Cat" });
+
+    const res = await request(ctx.app).get(`/recommended-campaigns/${current._id}?limit=4`);
+
+    expect(names(res)).toEqual(["Cat", "Dog, nearly funded", "Dog, ending soon", "Dog"]);
+  });
+
+  it("favours the categories the viewer has donated to", async () => {
+    const current = await createCampaign(ctx.db);
+    const rabbitCampaign = await createCampaign(ctx.db, { petName: "Old rabbit", petCategory: "Rabbit", status: "closed" });
+    await createDonation(ctx.db, { donationId: rabbitCampaign._id, donorEmail: stranger });
+    // Identical apart from the category; the newer one wins without a history
+    const lastDate = days(30);
+    await createCampaign(ctx.db, { petName: "Rabbit", petCategory: "Rabbit", lastDate, date: days(-2) });
+    await createCampaign(ctx.db, { petName: "Bird", petCategory: "Bird", lastDate, date: days(-1) });
+
+    const anonymous = await request(ctx.app).get(`/recommended-campaigns/${current._id}`);
+    expect(names(anonymous)).toEqual(["Bird", "Rabbit"]);
+
+    const personal = await request(ctx.app)
+      .get(`/recommended-campaigns/${current._id}`)
+      .set("Authorization", await tokenFor(stranger));
+    expect(names(personal)).toEqual(["Rabbit", "Bird"]);
+  });
+
+  it("ignores invalid tokens and validates the limit", async () => {
+    const current = await createCampaign(ctx.db);
+    await createCampaign(ctx.db, { petName: "Open" });
+
+    const res = await request(ctx.app).get(`/recommended-campaigns/${current._id}`).set("Authorization", "Bearer nope");
+    expect(names(res)).toEqual(["Open"]);
+
+    expect((await request(ctx.app).get(`/recommended-campaigns/${current._id}?limit=0`)).status).toBe(400);
+  });
+});
+
+describe("GET /donation-campaigns/my", () => {
+  it("lists the caller's campaigns", async () => {
+    await createCampaign(ctx.db);
+    await createCampaign(ctx.db, { ownerEmail: stranger });
+
+    const res = await request(ctx.app).get("/donation-campaigns/my").set("Authorization", await tokenFor(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body.campaigns).toHaveLength(1);
+  });
+
+  it("requires a token", async () => {
+    expect((await request(ctx.app).get("/donation-campaigns/my")).status).toBe(401);
+  });
+});
+
+describe("owner-only campaign routes", () => {
+  let campaign;
+
+  beforeEach(async () => {
+    campaign = await createCampaign(ctx.db);
+  });
+
+  it("pauses and resumes a campaign", async () => {
+    const res = await request(ctx.app)
+      .patch(`/donation-campaigns/pause/${campaign._id}`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ paused: true });
+
+    expect(res.body).toEqual({ success: true, paused: true });
+    expect((await ctx.db.collection("donationCampaigns").findOne({ _id: campaign._id })).paused).toBe(true);
+  });
+
+  it("edits a campaign", async () => {
+    const res = await request(ctx.app)
+      .patch(`/donation-campaigns/${campaign._id}`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ targetAmount: 800 });
+
+    expect(res.status).toBe(200);
+    expect((await ctx.db.collection("donationCampaigns").findOne({ _id: campaign._id })).targetAmount).toBe(800);
+  });
+
+  it("keeps the currency once there are donations", async () => {
+    const auth = await tokenFor(owner);
+    expect((await request(ctx.app).patch(`/donation-campaigns/${campaign._id}`).set("Authorization", auth).send({ currency: "eur" })).status).toBe(200);
+
+    await ctx.db.collection("donations").insertOne({ donationId: campaign._id, amount: 5, currency: "eur", transactionId: "pi_eur", donorEmail: "donor@example.com" });
+    const res = await request(ctx.app).patch(`/donation-campaigns/${campaign._id}`).set("Authorization", auth).send({ currency: "usd" });
+
+    expect(res.status).toBe(409);
+  });
+
+  it("does not let owners edit the donated amount", async () => {
+    const res = await request(ctx.app)
+      .patch(`/donation-campaigns/${campaign._id}`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ donatedAmount: 10000 });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("forbids other users", async () => {
+    const pause = await request(ctx.app)
+      .patch(`/donation-campaigns/pause/${campaign._id}`)
+      .set("Authorization", await tokenFor(stranger))
+      .send({ paused: true });
+    const edit = await request(ctx.app)
+      .patch(`/donation-campaigns/${campaign._id}`)
+      .set("Authorization", await tokenFor(stranger))
+      .send({ targetAmount: 1 });
+
+    expect(pause.status).toBe(403);
+    expect(edit.status).toBe(403);
+  });
+
+  it("returns 404 for unknown campaigns", async () => {
+    const res = await request(ctx.app)
+      .patch(`/donation-campaigns/${missingId}`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ targetAmount: 1 });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("campaign lifecycle", () => {
+  const campaignStatus = async id => (await ctx.db.collection("donationCampaigns").findOne({ _id: id })).status;
+  const setStatus = async (id, status, email = owner) =>
+    request(ctx.app).patch(`/donation-campaigns/${id}/status`).set("Authorization", await tokenFor(email)).send({ status });
+
+  it("publishes new campaigns unless they are drafts", async () => {
+    // Trusted, so the campaigns skip moderation
+    await createUser(ctx.db, { email: owner, trusted: true });
+    const auth = await tokenFor(owner);
+    await request(ctx.app).post("/donation-campaigns").set("Authorization", auth).send(newCampaign);
+    await request(ctx.app).post("/donation-campaigns").set("Authorization", auth).send({ ...newCampaign, petName: "Draft", draft: true });
+
+    const published = await ctx.db.collection("donationCampaigns").findOne({ petName: "Rex" });
+    const draft = await ctx.db.collection("donationCampaigns").findOne({ petName: "Draft" });
+    expect(published).toMatchObject({ status: "active", allowOverfunding: false });
+    expect(draft.status).toBe("draft");
+    expect(draft.draft).toBeUndefined();
+
+    expect((await request(ctx.app).get("/donation-campaigns")).body.total).toBe(1);
+    expect((await request(ctx.app).get(`/donation-campaigns/${draft._id}`)).status).toBe(404);
+
+    const res = await setStatus(draft._id, "active");
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("active");
+    expect((await request(ctx.app).get("/donation-campaigns")).body.total).toBe(2);
+  });
+
+  it("refuses deadlines in the past", async () => {
+    const res = await request(ctx.app)
+      .post("/donation-campaigns")
+      .set("Authorization", await tokenFor(owner))
+      .send({ ...newCampaign, lastDate: "2020-01-01" });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("only allows valid manual transitions", async () => {
+    const campaign = await createCampaign(ctx.db);
+
+    expect((await setStatus(campaign._id, "paused")).body.paused).toBe(true);
+    expect((await setStatus(campaign._id, "closed")).body.status).toBe("closed");
+
+    expect((await setStatus(campaign._id, "active")).status).toBe(409);
+    const pause = await request(ctx.app)
+      .patch(`/donation-campaigns/pause/${campaign._id}`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ paused: true });
+    expect(pause.status).toBe(409);
+    expect((await setStatus(campaign._id, "goal_reached")).status).toBe(400);
+    expect((await setStatus(campaign._id, "closed", stranger)).status).toBe(403);
+  });
+
+  it("expires campaigns past their deadline and reopens them when it is extended", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const { campaigns } = ctx.app.locals.services;
+
+    await campaigns.refreshStatuses({}, new Date(Date.now() + 31 * 24 * 60 * 60 * 1000));
+    expect(await campaignStatus(campaign._id)).toBe("expired");
+
+    await request(ctx.app)
+      .patch(`/donation-campaigns/${campaign._id}`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ lastDate: "2099-01-01" });
+    expect(await campaignStatus(campaign._id)).toBe("active");
+  });
+
+  it("reopens a funded campaign when the target is raised or overfunding is allowed", async () => {
+    const raised = await createCampaign(ctx.db, { status: "goal_reached", donatedAmount: 500 });
+    const overfunded = await createCampaign(ctx.db, { status: "goal_reached", donatedAmount: 500 });
+    const auth = await tokenFor(owner);
+
+    await request(ctx.app).patch(`/donation-campaigns/${raised._id}`).set("Authorization", auth).send({ targetAmount: 800 });
+    await request(ctx.app).patch(`/donation-campaigns/${overfunded._id}`).set("Authorization", auth).send({ allowOverfunding: true });
+
+    expect(await campaignStatus(raised._id)).toBe("active");
+    expect(await campaignStatus(overfunded._id)).toBe("active");
+  });
+
+  it("filters public listings by status", async () => {
+    await createCampaign(ctx.db);
+    await createCampaign(ctx.db, { status: "expired" });
+
+    expect((await request(ctx.app).get("/donation-campaigns?status=expired")).body.total).toBe(1);
+    expect((await request(ctx.app).get("/donation-campaigns?status=draft")).status).toBe(400);
+  });
+
+  it("audits admins changing someone else's campaign", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+
+    expect((await setStatus(campaign._id, "closed", "admin@example.com")).status).toBe(200);
+    const entry = await ctx.db.collection("auditLog").findOne({ action: "campaign.status_changed" });
+    expect(entry.details).toEqual({ from: "active", to: "closed" });
+  });
+});
+
+describe("admin campaign routes", () => {
+  let campaign;
+  let adminAuth;
+
+  beforeEach(async () => {
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+    adminAuth = await tokenFor("admin@example.com");
+    campaign = await createCampaign(ctx.db);
+  });
+
+  it("lists every campaign", async () => {
+    const res = await request(ctx.app).get("/admin/all-donations").set("Authorization", adminAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+  });
+
+  it("toggles pause", async () => {
+    const res = await request(ctx.app)
+      .patch(`/admin/campaigns/toggle-pause/${campaign._id}`)
+      .set("Authorization", adminAuth)
+      .send({ paused: true });
+
+    expect(res.status).toBe(200);
+    expect((await ctx.db.collection("donationCampaigns").findOne({ _id: campaign._id })).paused).toBe(true);
+    expect(await ctx.db.collection("auditLog").countDocuments({ action: "campaign.paused", targetId: campaign._id.toString() })).toBe(1);
+  });
+
+  it("deletes a campaign", async () => {
+    const res = await request(ctx.app).delete(`/admin/campaigns/${campaign._id}`).set("Authorization", adminAuth);
+
+    expect(res.body.deletedCount).toBe(1);
+  });
+
+  it("is closed to regular users", async () => {
+    const auth = await tokenFor(owner);
+
+    expect((await request(ctx.app).get("/admin/all-donations").set("Authorization", auth)).status).toBe(403);
+    expect((await request(ctx.app).delete(`/admin/campaigns/${campaign._id}`).set("Authorization", auth)).status).toBe(403);
+    expect((await request(ctx.app).patch(`/admin/campaigns/toggle-pause/${campaign._id}`).set("Authorization", auth).send({ paused: true })).status).toBe(403);
+  });
+});
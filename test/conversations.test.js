@@ -0,0 +1,149 @@
+const request = require("supertest");
+const { setupTestApp, tokenFor, createUser, createPet } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const owner = "owner@example.com";
+const adopter = "adopter@example.com";
+const other = "other@example.com";
+
+async function start(body, email = adopter) {
+  return request(ctx.app).post("/conversations").set("Authorization", await tokenFor(email)).send(body);
+}
+
+async function send(conversationId, text, email) {
+  return request(ctx.app)
+    .post(`/conversations/${conversationId}/messages`)
+    .set("Authorization", await tokenFor(email))
+    .send({ text });
+}
+
+async function inbox(email) {
+  return request(ctx.app).get("/conversations").set("Authorization", await tokenFor(email));
+}
+
+async function requestAdoption(pet) {
+  await request(ctx.app)
+    .post("/adoptions")
+    .set("Authorization", await tokenFor(adopter))
+    .send({ petId: pet._id.toString(), userName: "Adopter", phone: "0123456789", address: "12 Road, Dhaka" });
+  return ctx.db.collection("adoptions").findOne({ requesterEmail: adopter });
+}
+
+describe("POST /conversations", () => {
+  it("starts a thread about a pet with its owner", async () => {
+    const pet = await createPet(ctx.db);
+
+    const res = await start({ petId: pet._id.toString(), text: "Is Buddy good with cats?" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.conversation).toMatchObject({
+      petId: pet._id.toString(),
+      petName: "Buddy",
+      ownerEmail: owner,
+      adopterEmail: adopter,
+      ownerUnread: 1,
+      adopterUnread: 0,
+      lastMessage: "Is Buddy good with cats?",
+    });
+    expect(res.body.message).toMatchObject({ senderEmail: adopter, text: "Is Buddy good with cats?" });
+  });
+
+  it("lets the owner write about an adoption request, in the thread the requester already has", async () => {
+    const pet = await createPet(ctx.db);
+    const { body: first } = await start({ petId: pet._id.toString(), text: "Hello" });
+    const adoption = await requestAdoption(pet);
+
+    const res = await start({ adoptionId: adoption._id.toString(), text: "When can you visit?" }, owner);
+
+    expect(res.status).toBe(201);
+    expect(res.body.conversation).toMatchObject({
+      _id: first.conversation._id,
+      adoptionId: adoption._id.toString(),
+      ownerUnread: 0,
+      adopterUnread: 1,
+    });
+    expect(await ctx.db.collection("conversations").countDocuments()).toBe(1);
+  });
+
+  it("only allows the requester and owner to write about a request", async () => {
+    const pet = await createPet(ctx.db);
+    const adoption = await requestAdoption(pet);
+
+    expect((await start({ adoptionId: adoption._id.toString(), text: "Hi" }, other)).status).toBe(403);
+    expect((await start({ petId: pet._id.toString(), text: "Talking to myself" }, owner)).status).toBe(400);
+    expect((await start({ petId: pet._id.toString(), adoptionId: adoption._id.toString(), text: "Hi" })).status).toBe(400);
+    expect((await start({ petId: pet._id.toString() })).status).toBe(400);
+    expect((await start({ petId: "64b000000000000000000000", text: "Hi" })).status).toBe(404);
+  });
+});
+
+describe("messages", () => {
+  async function thread() {
+    const pet = await createPet(ctx.db);
+    const { body } = await start({ petId: pet._id.toString(), text: "First" });
+    return body.conversation;
+  }
+
+  it("keeps the history and each side's unread count", async () => {
+    const conversation = await thread();
+    await send(conversation._id, "Second", adopter);
+    expect((await send(conversation._id, "Reply", owner)).status).toBe(201);
+
+    const history = await request(ctx.app)
+      .get(`/conversations/${conversation._id}/messages?limit=2`)
+      .set("Authorization", await tokenFor(adopter));
+    expect(history.body.messages.map(m => m.text)).toEqual(["Reply", "Second"]);
+    expect(history.body).toMatchObject({ total: 3, totalPages: 2 });
+
+    // Replying counts as having read the thread
+    const ownerInbox = await inbox(owner);
+    expect(ownerInbox.body.unreadCount).toBe(0);
+    const adopterInbox = await inbox(adopter);
+    expect(adopterInbox.body.unreadCount).toBe(1);
+    expect(adopterInbox.body.conversations[0]).toMatchObject({ lastMessage: "Reply", unreadCount: 1 });
+  });
+
+  it("marks a thread read", async () => {
+    const conversation = await thread();
+    await send(conversation._id, "Second", adopter);
+    expect((await inbox(owner)).body.unreadCount).toBe(2);
+
+    const res = await request(ctx.app).post(`/conversations/${conversation._id}/read`).set("Authorization", await tokenFor(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ownerUnread: 0 });
+    expect(res.body.ownerReadAt).toBeTruthy();
+    expect((await inbox(owner)).body.unreadCount).toBe(0);
+  });
+
+  it("is readable by the participants and admins only", async () => {
+    const conversation = await thread();
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+    const read = async email => request(ctx.app).get(`/conversations/${conversation._id}/messages`).set("Authorization", await tokenFor(email));
+
+    expect((await read(other)).status).toBe(403);
+    expect((await read("admin@example.com")).status).toBe(200);
+    expect((await send(conversation._id, "Moderator here", "admin@example.com")).status).toBe(403);
+    expect((await send(conversation._id, "Me too", other)).status).toBe(403);
+    expect((await inbox(other)).body.conversations).toHaveLength(0);
+  });
+
+  it("blocks banned users from sending", async () => {
+    const conversation = await thread();
+    await createUser(ctx.db, { email: adopter, banned: true });
+    const pet = await createPet(ctx.db, { name: "Rex" });
+
+    expect((await send(conversation._id, "Still here", adopter)).status).toBe(403);
+    expect((await start({ petId: pet._id.toString(), text: "Hi" })).status).toBe(403);
+    expect(await ctx.db.collection("messages").countDocuments()).toBe(1);
+  });
+});
@@ -0,0 +1,167 @@
+const request = require("supertest");
+const { setupTestApp, tokenFor, createUser, createPet, createCampaign, createDonation } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+describe("GET /dashboard/stats", () => {
+  it("summarises the caller's pets, requests, donations and campaigns", async () => {
+    const pet = await createPet(ctx.db, { date: new Date(2025, 2, 10) });
+    await createPet(ctx.db, { ownerEmail: "other@example.com" });
+    await ctx.db.collection("adoptions").insertOne({
+      petId: pet._id.toString(),
+      phone: "0123456789",
+      address: "Dhaka",
+      status: "pending",
+    });
+    await createCampaign(ctx.db);
+    await createCampaign(ctx.db, { status: "paused", paused: true });
+    await createCampaign(ctx.db, { status: "goal_reached", donatedAmount: 500 });
+    await createCampaign(ctx.db, { status: "expired" });
+    await createCampaign(ctx.db, { status: "closed" });
+    await createDonation(ctx.db, { donorEmail: "owner@example.com" });
+    await createDonation(ctx.db, { donorEmail: "owner@example.com", status: "failed" });
+
+    const res = await request(ctx.app).get("/dashboard/stats").set("Authorization", await tokenFor("owner@example.com"));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      totalPets: 1,
+      totalDonations: 1,
+      pendingRequests: 1,
+      activeCampaigns: 1,
+      pausedCampaigns: 1,
+      completedCampaigns: 3,
+      campaignsByStatus: { draft: 0, active: 1, paused: 1, goal_reached: 1, expired: 1, closed: 1 },
+      petsPerMonth: [{ month: "Mar", year: 2025, count: 1 }],
+    });
+  });
+
+  it("counts campaigns per month of each year by their creation date", async () => {
+    await createCampaign(ctx.db, { date: new Date(Date.UTC(2025, 2, 10)) });
+    await createCampaign(ctx.db, { date: new Date(Date.UTC(2026, 2, 1)) });
+    await createCampaign(ctx.db, { date: new Date(Date.UTC(2026, 2, 20)) });
+
+    const res = await request(ctx.app).get("/dashboard/stats").set("Authorization", await tokenFor("owner@example.com"));
+
+    expect(res.body.campaignsPerMonth).toEqual([
+      { month: "Mar", year: 2025, count: 1 },
+      { month: "Mar", year: 2026, count: 2 },
+    ]);
+  });
+
+  it("requires a token", async () => {
+    expect((await request(ctx.app).get("/dashboard/stats")).status).toBe(401);
+  });
+});
+
+describe("GET /admin/stats", () => {
+  const admin = "admin@example.com";
+  const day = (month, date) => new Date(Date.UTC(2026, month - 1, date, 12));
+
+  beforeEach(() => createUser(ctx.db, { email: admin, role: "admin", createdAt: day(1, 1) }));
+
+  const getStats = async query => request(ctx.app).get(`/admin/stats?${query}`).set("Authorization", await tokenFor(admin));
+
+  it("reports pets, adoptions, donations and users for the range", async () => {
+    await createPet(ctx.db, { date: day(3, 1), adopted: true, adoptedAt: day(3, 11) });
+    await createPet(ctx.db, { date: day(3, 2), adopted: true, adoptedAt: day(3, 6) });
+    await createPet(ctx.db, { date: day(3, 3), adopted: true, adoptedAt: day(3, 23) });
+    await createPet(ctx.db, { date: day(3, 4) });
+    await createPet(ctx.db, { date: day(3, 5), deletedAt: day(3, 6) });
+    await createPet(ctx.db, { date: day(2, 1) });
+    await createUser(ctx.db, { email: "new@example.com", createdAt: day(3, 2) });
+
+    const res = await getStats("from=2026-03-01&to=2026-04-01&interval=month");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      interval: "month",
+      currency: "usd",
+      pets: { listed: 4, adopted: 3, conversionRate: 0.75, medianDaysToAdoption: 10 },
+      users: { total: 2, new: 1 },
+    });
+    expect(res.body.series).toEqual([
+      { period: "2026-03", petsListed: 4, petsAdopted: 3, newUsers: 1, donations: 0, donated: 0 },
+    ]);
+  });
+
+  it("counts pets marked adopted by their owner", async () => {
+    const pet = await createPet(ctx.db, { date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) });
+    await createPet(ctx.db);
+
+    const marked = await request(ctx.app).patch(`/pets/adopt/${pet._id}`).set("Authorization", await tokenFor("owner@example.com"));
+    expect(marked.status).toBe(200);
+
+    const from = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const to = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const res = await getStats(`from=${from}&to=${to}&interval=month`);
+
+    expect(res.body.pets).toMatchObject({ listed: 2, adopted: 1, conversionRate: 0.5, medianDaysToAdoption: 2 });
+    expect(res.body.series.reduce((sum, row) => sum + row.petsAdopted, 0)).toBe(1);
+
+    // Marking it available again takes it out of the adoptions
+    await request(ctx.app).patch(`/pets/status/${pet._id}`).set("Authorization", await tokenFor(admin)).send({ adopted: false });
+    expect((await ctx.db.collection("pets").findOne({ _id: pet._id })).adoptedAt).toBeUndefined();
+    expect((await getStats(`from=${from}&to=${to}&interval=month`)).body.pets.adopted).toBe(0);
+  });
+
+  it("buckets donations by year-aware periods in the default currency and ranks campaigns", async () => {
+    const luna = await createCampaign(ctx.db);
+    const max = await createCampaign(ctx.db, { petName: "Max", currency: "eur" });
+    await createDonation(ctx.db, { donationId: luna._id, amount: 30, currency: "usd", date: new Date(Date.UTC(2025, 11, 31)) });
+    await createDonation(ctx.db, { donationId: luna._id, amount: 20, refundedAmount: 5, status: "partially_refunded", date: new Date(Date.UTC(2026, 0, 1)) });
+    await createDonation(ctx.db, { donationId: max._id.toString(), amount: 80, currency: "eur", date: new Date(Date.UTC(2026, 0, 2)) });
+    await createDonation(ctx.db, { donationId: max._id, amount: 500, status: "failed", date: new Date(Date.UTC(2026, 0, 2)) });
+
+    const res = await getStats("from=2025-12-31&to=2026-01-03&interval=month");
+
+    expect(res.body.series.map(({ period, donations, donated }) => ({ period, donations, donated }))).toEqual([
+      { period: "2025-12", donations: 1, donated: 30 },
+      { period: "2026-01", donations: 2, donated: 115 },
+    ]);
+    expect(res.body.donations).toEqual({ count: 3, total: 145 });
+    expect(res.body.topCampaigns).toMatchObject([
+      { _id: max._id.toString(), petName: "Max", donations: 1, raised: 100 },
+      { _id: luna._id.toString(), petName: "Luna", donations: 2, raised: 45 },
+    ]);
+
+    // 2025-12-29 to 2026-01-04 is ISO week 1 of 2026
+    const weekly = await getStats("from=2025-12-22&to=2026-01-05&interval=week");
+    expect(weekly.body.series.map(row => [row.period, row.donations])).toEqual([["2025-W52", 0], ["2026-W01", 3]]);
+  });
+
+  it("fills empty days and exports the series as CSV", async () => {
+    await createPet(ctx.db, { date: day(3, 2) });
+
+    const res = await getStats("from=2026-03-01&to=2026-03-04&format=csv");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/csv/);
+    expect(res.headers["content-disposition"]).toContain("platform-stats-2026-03-01-2026-03-04.csv");
+    expect(res.text.split("\r\n")).toEqual([
+      "Period,Pets listed,Pets adopted,New users,Donations,Donated",
+      "2026-03-01,0,0,0,0,0",
+      "2026-03-02,1,0,0,0,0",
+      "2026-03-03,0,0,0,0,0",
+      "",
+    ]);
+  });
+
+  it("rejects bad ranges and non-admins", async () => {
+    expect((await getStats("from=2026-03-01&to=2026-02-01")).status).toBe(400);
+    expect((await getStats("from=2020-01-01&to=2026-01-01&interval=day")).status).toBe(400);
+    expect((await getStats("interval=year")).status).toBe(400);
+    expect((await getStats("from=2020-01-01&to=2026-01-01&interval=month")).status).toBe(200);
+
+    const res = await request(ctx.app).get("/admin/stats").set("Authorization", await tokenFor("owner@example.com"));
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,600 @@
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const {
+  setupTestApp,
+  tokenFor,
+  signedEvent,
+  createUser,
+  createCampaign,
+  createDonation,
+} = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const owner = "owner@example.com";
+const donor = "donor@example.com";
+const stranger = "stranger@example.com";
+
+function deliver(type, object) {
+  const { payload, signature } = signedEvent(type, object);
+  return request(ctx.app)
+    .post("/stripe/webhook")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", signature)
+    .send(payload);
+}
+
+function paymentIntent(campaign, overrides = {}) {
+  return {
+    id: "pi_test_paid",
+    object: "payment_intent",
+    amount: 2500,
+    amount_received: 2500,
+    created: Math.floor(Date.now() / 1000),
+    metadata: { donationId: campaign._id.toString(), donorEmail: donor },
+    ...overrides,
+  };
+}
+
+async function campaignTotal(campaign) {
+  return (await ctx.db.collection("donationCampaigns").findOne({ _id: campaign._id })).donatedAmount;
+}
+
+describe("POST /create-payment-intent", () => {
+  it("creates a PaymentIntent carrying the campaign and donor", async () => {
+    const campaign = await createCampaign(ctx.db);
+
+    const res = await request(ctx.app)
+      .post("/create-payment-intent")
+      .set("Authorization", await tokenFor(donor))
+      .send({ donationId: campaign._id.toString(), amount: 25 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.clientSecret).toBeDefined();
+    expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 2500,
+      currency: "usd",
+      metadata: { donationId: campaign._id.toString(), donorEmail: donor, campaignCurrency: "usd", exchangeRate: "1" },
+    }));
+  });
+
+  it("refuses paused or unknown campaigns", async () => {
+    const paused = await createCampaign(ctx.db, { status: "paused", paused: true });
+
+    const pausedRes = await request(ctx.app)
+      .post("/create-payment-intent")
+      .set("Authorization", await tokenFor(donor))
+      .send({ donationId: paused._id.toString(), amount: 25 });
+    const missingRes = await request(ctx.app)
+      .post("/create-payment-intent")
+      .set("Authorization", await tokenFor(donor))
+      .send({ donationId: "64b000000000000000000000", amount: 25 });
+
+    expect(pausedRes.status).toBe(403);
+    expect(missingRes.status).toBe(404);
+  });
+
+  it("refuses campaigns that are not active", async () => {
+    for (const status of ["draft", "goal_reached", "expired", "closed"]) {
+      const campaign = await createCampaign(ctx.db, { status });
+
+      const res = await request(ctx.app)
+        .post("/create-payment-intent")
+        .set("Authorization", await tokenFor(donor))
+        .send({ donationId: campaign._id.toString(), amount: 25 });
+
+      expect(res.status).toBe(403);
+    }
+    expect(ctx.stripe.paymentIntents.create).not.toHaveBeenCalled();
+  });
+
+  it("caps donations at the remaining goal unless overfunding is allowed", async () => {
+    const capped = await createCampaign(ctx.db, { targetAmount: 100, donatedAmount: 90 });
+    const open = await createCampaign(ctx.db, { targetAmount: 100, donatedAmount: 90, allowOverfunding: true });
+    const auth = await tokenFor(donor);
+
+    const over = await request(ctx.app).post("/create-payment-intent").set("Authorization", auth).send({ donationId: capped._id.toString(), amount: 25 });
+    const exact = await request(ctx.app).post("/create-payment-intent").set("Authorization", auth).send({ donationId: capped._id.toString(), amount: 10 });
+    const overfunded = await request(ctx.app).post("/create-payment-intent").set("Authorization", auth).send({ donationId: open._id.toString(), amount: 25 });
+
+    expect(over.status).toBe(400);
+    expect(over.body.error).toMatch(/At most 10/);
+    expect(exact.status).toBe(200);
+    expect(overfunded.status).toBe(200);
+  });
+
+  it("validates the body and requires a token", async () => {
+    const invalid = await request(ctx.app)
+      .post("/create-payment-intent")
+      .set("Authorization", await tokenFor(donor))
+      .send({ amount: "lots" });
+    const anonymous = await request(ctx.app).post("/create-payment-intent").send({ amount: 5 });
+
+    expect(invalid.status).toBe(400);
+    expect(anonymous.status).toBe(401);
+  });
+});
+
+describe("currencies", () => {
+  const jpyToEur = 0.8 / 150;
+
+  it("lets donors pay in another currency, converted into the campaign's", async () => {
+    const campaign = await createCampaign(ctx.db, { currency: "eur" });
+
+    const res = await request(ctx.app)
+      .post("/create-payment-intent")
+      .set("Authorization", await tokenFor(donor))
+      .send({ donationId: campaign._id.toString(), amount: 1500, currency: "JPY" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ amount: 1500, currency: "jpy", convertedAmount: 8, campaignCurrency: "eur" });
+    // JPY has no minor unit
+    expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 1500,
+      currency: "jpy",
+      metadata: expect.objectContaining({ campaignCurrency: "eur", exchangeRate: String(jpyToEur) }),
+    }));
+  });
+
+  it("uses each currency's minor unit", async () => {
+    const campaign = await createCampaign(ctx.db, { currency: "kwd" });
+    const auth = await tokenFor(donor);
+    const pay = (amount, currency) => request(ctx.app)
+      .post("/create-payment-intent")
+      .set("Authorization", auth)
+      .send({ donationId: campaign._id.toString(), amount, currency });
+
+    expect((await pay(1.25)).status).toBe(200);
+    expect(ctx.stripe.paymentIntents.create.mock.calls[0][0].amount).toBe(1250);
+
+    expect((await pay(1.255)).status).toBe(400);
+    expect((await pay(10.5, "jpy")).status).toBe(400);
+    expect((await pay(10, "gbp")).status).toBe(400);
+  });
+
+  it("records the original payment and the converted amount, and converts refunds at the same rate", async () => {
+    const campaign = await createCampaign(ctx.db, { currency: "eur" });
+    const pi = paymentIntent(campaign, {
+      amount: 1500,
+      amount_received: 1500,
+      currency: "jpy",
+      metadata: { donationId: campaign._id.toString(), donorEmail: donor, campaignCurrency: "eur", exchangeRate: String(jpyToEur) },
+    });
+
+    await deliver("payment_intent.succeeded", pi);
+
+    const stored = await ctx.db.collection("donations").findOne({ transactionId: pi.id });
+    expect(stored).toMatchObject({ amount: 8, currency: "eur", originalAmount: 1500, originalCurrency: "jpy" });
+    expect(await campaignTotal(campaign)).toBe(8);
+
+    await deliver("charge.refunded", { id: "ch_test", object: "charge", payment_intent: pi.id, amount_refunded: 750, currency: "jpy", refunded: false });
+    expect(await ctx.db.collection("donations").findOne({ transactionId: pi.id })).toMatchObject({ refundedAmount: 4, originalRefundedAmount: 750 });
+    expect(await campaignTotal(campaign)).toBe(4);
+
+    await deliver("charge.refunded", { id: "ch_test", object: "charge", payment_intent: pi.id, amount_refunded: 1500, currency: "jpy", refunded: true });
+    expect(await campaignTotal(campaign)).toBe(0);
+  });
+});
+
+describe("Idempotency-Key", () => {
+  it("replays the stored response for a retried request", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const auth = await tokenFor(donor);
+    const send = body => request(ctx.app)
+      .post("/create-payment-intent")
+      .set("Authorization", auth)
+      .set("Idempotency-Key", "checkout-1")
+      .send(body);
+
+    const first = await send({ donationId: campaign._id.toString(), amount: 25 });
+    const retry = await send({ donationId: campaign._id.toString(), amount: 25 });
+
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+    expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+    expect(ctx.stripe.paymentIntents.create.mock.calls[0][1]).toEqual({ idempotencyKey: `payment-intent-${donor}-checkout-1` });
+
+    const reused = await send({ donationId: campaign._id.toString(), amount: 30 });
+    expect(reused.status).toBe(422);
+  });
+
+  it("keeps keys apart per user", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const body = { donationId: campaign._id.toString(), amount: 25 };
+
+    await request(ctx.app).post("/create-payment-intent").set("Authorization", await tokenFor(donor)).set("Idempotency-Key", "same").send(body);
+    const other = await request(ctx.app).post("/create-payment-intent").set("Authorization", await tokenFor(stranger)).set("Idempotency-Key", "same").send(body);
+
+    expect(other.headers["idempotent-replayed"]).toBeUndefined();
+    expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("POST /stripe/webhook", () => {
+  it("rejects unsigned or tampered events", async () => {
+    const res = await request(ctx.app)
+      .post("/stripe/webhook")
+      .set("Content-Type", "application/json")
+      .set("Stripe-Signature", "t=1,v1=bad")
+      .send(JSON.stringify({ type: "payment_intent.succeeded" }));
+
+    expect(res.status).toBe(400);
+    expect(await ctx.db.collection("donations").countDocuments()).toBe(0);
+  });
+
+  it("records a succeeded payment once, even when redelivered", async () => {
+    const campaign = await createCampaign(ctx.db);
+
+    await deliver("payment_intent.succeeded", paymentIntent(campaign));
+    const res = await deliver("payment_intent.succeeded", paymentIntent(campaign));
+
+    expect(res.body).toEqual({ received: true });
+    const donations = await ctx.db.collection("donations").find().toArray();
+    expect(donations).toHaveLength(1);
+    expect(donations[0]).toMatchObject({ amount: 25, donorEmail: donor, status: "succeeded", transactionId: "pi_test_paid" });
+    expect(await campaignTotal(campaign)).toBe(25);
+  });
+
+  it("closes the campaign to donations once the goal is reached, and reopens it after a refund", async () => {
+    const campaign = await createCampaign(ctx.db, { targetAmount: 25 });
+    const status = async () => (await ctx.db.collection("donationCampaigns").findOne({ _id: campaign._id })).status;
+
+    await deliver("payment_intent.succeeded", paymentIntent(campaign));
+    expect(await status()).toBe("goal_reached");
+
+    await deliver("charge.refunded", {
+      id: "ch_test",
+      object: "charge",
+      payment_intent: "pi_test_paid",
+      amount_refunded: 1000,
+      refunded: false,
+    });
+    expect(await status()).toBe("active");
+  });
+
+  it("skips payment events with an invalid campaign id instead of failing them", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const metadata = { donationId: "not-an-id", donorEmail: donor };
+
+    const succeeded = await deliver("payment_intent.succeeded", paymentIntent(campaign, { metadata }));
+    const failed = await deliver("payment_intent.payment_failed", paymentIntent(campaign, { id: "pi_test_failed", metadata }));
+
+    expect(succeeded.status).toBe(200);
+    expect(failed.status).toBe(200);
+    expect(await ctx.db.collection("donations").countDocuments()).toBe(0);
+  });
+
+  it("records failed payments without counting them", async () => {
+    const campaign = await createCampaign(ctx.db);
+
+    await deliver("payment_intent.payment_failed", paymentIntent(campaign, {
+      amount_received: 0,
+      last_payment_error: { message: "Your card was declined." },
+    }));
+
+    const donation = await ctx.db.collection("donations").findOne({ transactionId: "pi_test_paid" });
+    expect(donation).toMatchObject({ status: "failed", failureMessage: "Your card was declined." });
+    expect(await campaignTotal(campaign)).toBe(0);
+  });
+
+  it("ignores a failed payment event that arrives after the payment succeeded or was refunded", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const failed = id => deliver("payment_intent.payment_failed", paymentIntent(campaign, {
+      id,
+      amount_received: 0,
+      last_payment_error: { message: "Your card was declined." },
+    }));
+    const stored = id => ctx.db.collection("donations").findOne({ transactionId: id });
+
+    await deliver("payment_intent.succeeded", paymentIntent(campaign));
+    await deliver("charge.refunded", { id: "ch_test", object: "charge", payment_intent: "pi_test_paid", amount_refunded: 2500, refunded: true });
+    expect((await failed("pi_test_paid")).status).toBe(200);
+    expect(await stored("pi_test_paid")).toMatchObject({ status: "refunded" });
+    expect((await stored("pi_test_paid")).failureMessage).toBeUndefined();
+
+    for (const status of ["succeeded", "partially_refunded", "refund_pending", "refund_failed"]) {
+      await createDonation(ctx.db, { donationId: campaign._id, transactionId: `pi_${status}`, status });
+      await failed(`pi_${status}`);
+      expect((await stored(`pi_${status}`)).status).toBe(status);
+    }
+
+    // A retried payment that fails again keeps the latest reason
+    await ctx.db.collection("donations").insertOne({ transactionId: "pi_pending", status: "pending" });
+    await failed("pi_pending");
+    expect(await stored("pi_pending")).toMatchObject({ status: "failed", failureMessage: "Your card was declined." });
+    expect(await ctx.db.collection("donations").countDocuments()).toBe(6);
+  });
+
+  it("subtracts confirmed refunds from the campaign", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await deliver("payment_intent.succeeded", paymentIntent(campaign));
+
+    await deliver("charge.refunded", {
+      id: "ch_test",
+      object: "charge",
+      payment_intent: "pi_test_paid",
+      amount_refunded: 2500,
+      refunded: true,
+    });
+
+    const donation = await ctx.db.collection("donations").findOne({ transactionId: "pi_test_paid" });
+    expect(donation.status).toBe("refunded");
+    expect(donation.refundedAt).toBeInstanceOf(Date);
+    expect(await campaignTotal(campaign)).toBe(0);
+  });
+
+  it("marks failed refunds", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await createDonation(ctx.db, { donationId: campaign._id, transactionId: "pi_refund", status: "refund_pending" });
+
+    await deliver("charge.refund.updated", { id: "re_1", object: "refund", payment_intent: "pi_refund", status: "failed" });
+
+    expect((await ctx.db.collection("donations").findOne({ transactionId: "pi_refund" })).status).toBe("refund_failed");
+  });
+});
+
+describe("POST /donations", () => {
+  it("returns the webhook-recorded donation", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await createDonation(ctx.db, { donationId: campaign._id, transactionId: "pi_done" });
+
+    const res = await request(ctx.app)
+      .post("/donations")
+      .set("Authorization", await tokenFor(donor))
+      .send({ transactionId: "pi_done", amount: 99999 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.donation.amount).toBe(25);
+  });
+
+  it("reports a payment the webhook hasn't recorded yet as pending", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const created = await request(ctx.app)
+      .post("/create-payment-intent")
+      .set("Authorization", await tokenFor(donor))
+      .send({ donationId: campaign._id.toString(), amount: 10 });
+    const transactionId = created.body.clientSecret.split("_secret")[0];
+
+    const res = await request(ctx.app)
+      .post("/donations")
+      .set("Authorization", await tokenFor(donor))
+      .send({ transactionId });
+
+    expect(res.status).toBe(202);
+    expect(res.body.pending).toBe(true);
+    expect(await ctx.db.collection("donations").countDocuments()).toBe(0);
+  });
+
+  it("hides other people's payments", async () => {
+    await createDonation(ctx.db, { transactionId: "pi_theirs" });
+    ctx.stripe.paymentIntents.retrieve.mockResolvedValueOnce({ id: "pi_theirs", metadata: { donorEmail: donor } });
+
+    const res = await request(ctx.app)
+      .post("/donations")
+      .set("Authorization", await tokenFor(stranger))
+      .send({ transactionId: "pi_theirs" });
+
+    expect(res.status).toBe(404);
+  });
+
+  it("requires a transaction id and a token", async () => {
+    const missing = await request(ctx.app).post("/donations").set("Authorization", await tokenFor(donor)).send({});
+    const anonymous = await request(ctx.app).post("/donations").send({ transactionId: "pi_x" });
+
+    expect(missing.status).toBe(400);
+    expect(anonymous.status).toBe(401);
+  });
+});
+
+describe("donation listings", () => {
+  it("lists donations for a campaign", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await createDonation(ctx.db, { donationId: campaign._id });
+    await createDonation(ctx.db, { donationId: campaign._id, status: "failed" });
+    await createDonation(ctx.db);
+
+    const res = await request(ctx.app)
+      .get(`/donations?donationId=${campaign._id}`)
+      .set("Authorization", await tokenFor(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body.donations).toHaveLength(1);
+    expect(res.body.donations[0].status).toBe("succeeded");
+  });
+
+  it("requires the donationId query param", async () => {
+    const res = await request(ctx.app).get("/donations").set("Authorization", await tokenFor(owner));
+    expect(res.status).toBe(400);
+  });
+
+  it("lists the caller's donations with campaign details", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await createDonation(ctx.db, { donationId: campaign._id });
+    await createDonation(ctx.db, { donationId: new ObjectId() });
+    await createDonation(ctx.db, { donorEmail: stranger });
+
+    const res = await request(ctx.app).get("/donations/my").set("Authorization", await tokenFor("DONOR@example.com"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(d => d.petName).sort()).toEqual(["Luna", "Unknown"]);
+  });
+
+  it("requires a token", async () => {
+    expect((await request(ctx.app).get("/donations/my")).status).toBe(401);
+  });
+});
+
+describe("DELETE /donations/:donationId", () => {
+  let campaign;
+  let donation;
+
+  beforeEach(async () => {
+    campaign = await createCampaign(ctx.db, { donatedAmount: 25 });
+    donation = await createDonation(ctx.db, { donationId: campaign._id, transactionId: "pi_refundable" });
+  });
+
+  it("issues a Stripe refund and waits for the webhook to adjust totals", async () => {
+    const res = await request(ctx.app)
+      .delete(`/donations/${donation._id}`)
+      .set("Authorization", await tokenFor(donor));
+
+    expect(res.status).toBe(202);
+    expect(ctx.stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: "pi_refundable" }),
+      expect.objectContaining({ idempotencyKey: expect.any(String) })
+    );
+
+    const stored = await ctx.db.collection("donations").findOne({ _id: donation._id });
+    expect(stored.status).toBe("refund_pending");
+    expect(await campaignTotal(campaign)).toBe(25);
+  });
+
+  it("does not refund twice", async () => {
+    await request(ctx.app).delete(`/donations/${donation._id}`).set("Authorization", await tokenFor(donor));
+
+    const res = await request(ctx.app).delete(`/donations/${donation._id}`).set("Authorization", await tokenFor(donor));
+
+    expect(res.status).toBe(409);
+    expect(ctx.stripe.refunds.create).toHaveBeenCalledTimes(1);
+  });
+
+  it("answers a retried refund with the first response", async () => {
+    const auth = await tokenFor(donor);
+    const refund = () => request(ctx.app).delete(`/donations/${donation._id}`).set("Authorization", auth).set("Idempotency-Key", "refund-1");
+
+    const first = await refund();
+    const retry = await refund();
+
+    expect(retry.status).toBe(202);
+    expect(retry.body).toEqual(first.body);
+    expect(ctx.stripe.refunds.create).toHaveBeenCalledTimes(1);
+  });
+
+  it("marks the donation refund_failed when Stripe refuses", async () => {
+    ctx.stripe.refunds.create.mockRejectedValueOnce(new Error("Charge already refunded"));
+
+    const res = await request(ctx.app).delete(`/donations/${donation._id}`).set("Authorization", await tokenFor(donor));
+
+    expect(res.status).toBe(502);
+    expect((await ctx.db.collection("donations").findOne({ _id: donation._id })).status).toBe("refund_failed");
+  });
+
+  it("closes the refund window for everyone after the campaign's lastDate", async () => {
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+    await ctx.db.collection("donationCampaigns").updateOne(
+      { _id: campaign._id },
+      { $set: { lastDate: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+    );
+
+    for (const email of [donor, owner, "admin@example.com"]) {
+      const res = await request(ctx.app).delete(`/donations/${donation._id}`).set("Authorization", await tokenFor(email));
+      expect(res.status).toBe(403);
+    }
+    expect(ctx.stripe.refunds.create).not.toHaveBeenCalled();
+
+    // A refund asked for in time that failed at Stripe can still be retried
+    await ctx.db.collection("donations").updateOne({ _id: donation._id }, { $set: { status: "refund_failed" } });
+    expect((await request(ctx.app).delete(`/donations/${donation._id}`).set("Authorization", await tokenFor(owner))).status).toBe(202);
+  });
+
+  it("lets owners refund past the donor's refundWindowDays", async () => {
+    await ctx.db.collection("donationCampaigns").updateOne({ _id: campaign._id }, { $set: { refundWindowDays: 1 } });
+    await ctx.db.collection("donations").updateOne({ _id: donation._id }, { $set: { date: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) } });
+
+    expect((await request(ctx.app).delete(`/donations/${donation._id}`).set("Authorization", await tokenFor(donor))).status).toBe(403);
+    expect((await request(ctx.app).delete(`/donations/${donation._id}`).set("Authorization", await tokenFor(owner))).status).toBe(202);
+  });
+
+  it("refunds the rest of a partially refunded donation", async () => {
+    await ctx.db.collection("donations").updateOne(
+      { _id: donation._id },
+      { $set: { status: "partially_refunded", refundedAmount: 10 } }
+    );
+
+    const res = await request(ctx.app).delete(`/donations/${donation._id}`).set("Authorization", await tokenFor(donor));
+
+    expect(res.status).toBe(202);
+    // No amount: Stripe refunds whatever is left of the charge
+    expect(ctx.stripe.refunds.create.mock.calls[0][0]).toEqual({
+      payment_intent: donation.transactionId,
+      metadata: { donationRecordId: donation._id.toString() },
+    });
+
+    await deliver("charge.refunded", { id: "ch_test", object: "charge", payment_intent: donation.transactionId, amount_refunded: 2500, refunded: true });
+    expect(await ctx.db.collection("donations").findOne({ _id: donation._id })).toMatchObject({ status: "refunded", refundedAmount: 25 });
+  });
+
+  it("lets admins refund", async () => {
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+
+    const res = await request(ctx.app)
+      .delete(`/donations/${donation._id}`)
+      .set("Authorization", await tokenFor("admin@example.com"));
+
+    expect(res.status).toBe(202);
+  });
+
+  it("forbids unrelated users and 404s unknown donations", async () => {
+    const forbidden = await request(ctx.app).delete(`/donations/${donation._id}`).set("Authorization", await tokenFor(stranger));
+    const missing = await request(ctx.app).delete("/donations/64b000000000000000000000").set("Authorization", await tokenFor(donor));
+
+    expect(forbidden.status).toBe(403);
+    expect(missing.status).toBe(404);
+  });
+});
+
+describe("reconciliation", () => {
+  it("reports and fixes campaign totals that drifted from their donations", async () => {
+    const drifted = await createCampaign(ctx.db, { petName: "Drifted", donatedAmount: 100 });
+    const correct = await createCampaign(ctx.db, { donatedAmount: 15 });
+    await createDonation(ctx.db, { donationId: drifted._id, amount: 25 });
+    await createDonation(ctx.db, { donationId: drifted._id, amount: 40, status: "failed" });
+    await createDonation(ctx.db, { donationId: correct._id.toString(), amount: 25, status: "partially_refunded", refundedAmount: 10 });
+
+    const { donations } = ctx.app.locals.services;
+    const report = await donations.reconcile();
+
+    expect(report.checked).toBe(2);
+    expect(report.mismatches).toEqual([
+      expect.objectContaining({ petName: "Drifted", recorded: 100, expected: 25, difference: 75 }),
+    ]);
+    expect(await campaignTotal(drifted)).toBe(100);
+
+    const fixed = await donations.reconcile({ fix: true });
+    expect(fixed.mismatches[0].fixed).toBe(true);
+    expect(await campaignTotal(drifted)).toBe(25);
+    expect((await donations.reconcile()).mismatches).toEqual([]);
+  });
+
+  it("compares and fixes totals in the decimals of the campaign's currency", async () => {
+    const exact = await createCampaign(ctx.db, { petName: "Exact", currency: "kwd", donatedAmount: 10.125 });
+    const drifted = await createCampaign(ctx.db, { petName: "Drifted", currency: "kwd", donatedAmount: 1 });
+    await createDonation(ctx.db, { donationId: exact._id, amount: 10.125, currency: "kwd" });
+    await createDonation(ctx.db, { donationId: drifted._id, amount: 4.005, currency: "kwd" });
+    await createDonation(ctx.db, { donationId: drifted._id, amount: 2.25, currency: "kwd" });
+
+    const { donations } = ctx.app.locals.services;
+    const report = await donations.reconcile({ fix: true });
+
+    expect(report.mismatches).toEqual([
+      expect.objectContaining({ petName: "Drifted", recorded: 1, expected: 6.255, difference: -5.255, fixed: true }),
+    ]);
+    expect(await campaignTotal(drifted)).toBe(6.255);
+  });
+
+  it("refuses a second record for the same transaction", async () => {
+    await createDonation(ctx.db, { transactionId: "pi_once" });
+
+    await expect(createDonation(ctx.db, { transactionId: "pi_once" })).rejects.toMatchObject({ code: 11000 });
+  });
+});
@@ -0,0 +1,248 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const { setupTestApp, tokenFor, signedEvent, createUser, createPet, createCampaign } = require("./helpers");
+const { createMailer, createFileMailer } = require("../src/mailer");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const owner = "owner@example.com";
+const donor = "donor@example.com";
+
+const unsubscribeLink = message => message.text.match(/http:\/\/\S+\/email\/unsubscribe\?token=\S+/)[0];
+
+function payDonation(campaign, amount, id = "pi_test_paid") {
+  const { payload, signature } = signedEvent("payment_intent.succeeded", {
+    id,
+    object: "payment_intent",
+    amount: amount * 100,
+    amount_received: amount * 100,
+    created: Math.floor(Date.now() / 1000),
+    metadata: { donationId: campaign._id.toString(), donorEmail: donor },
+  });
+  return request(ctx.app)
+    .post("/stripe/webhook")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", signature)
+    .send(payload);
+}
+
+// Let every queued email fall due, as if its retry delay had passed
+const fastForward = () => ctx.db.collection("emailQueue").updateMany({}, { $set: { nextAttemptAt: new Date(0) } });
+
+describe("transactional emails", () => {
+  it("welcomes new users", async () => {
+    await request(ctx.app).post("/users").send({ email: "new@example.com", name: "Rafi" });
+    await request(ctx.app).post("/users").send({ email: "new@example.com", name: "Rafi" });
+
+    await ctx.deliverEmails();
+
+    expect(ctx.mailer.sent).toHaveLength(1);
+    expect(ctx.mailer.sent[0]).toMatchObject({ to: "new@example.com", subject: "Welcome to Pet Haven" });
+    expect(ctx.mailer.sent[0].text).toContain("Hi Rafi");
+    expect(ctx.mailer.sent[0].html).toContain('<a href="http://app.test/pets">');
+    // Account emails have no unsubscribe link
+    expect(ctx.mailer.sent[0].headers).toBeUndefined();
+  });
+
+  it("thanks the donor, tells the owner, and announces the goal once", async () => {
+    const campaign = await createCampaign(ctx.db, { targetAmount: 50, allowOverfunding: true });
+
+    await payDonation(campaign, 30, "pi_test_1");
+    await payDonation(campaign, 30, "pi_test_2");
+    await payDonation(campaign, 30, "pi_test_2");
+    await payDonation(campaign, 30, "pi_test_3");
+    await ctx.deliverEmails();
+
+    const subjects = to => ctx.mailer.sent.filter(m => m.to === to).map(m => m.subject);
+    expect(subjects(donor)).toEqual(Array(3).fill("Thank you for supporting Luna"));
+    expect(subjects(owner).sort()).toEqual([
+      "Luna's campaign reached its goal",
+      ...Array(3).fill("New donation to Luna's campaign"),
+    ]);
+    expect(ctx.mailer.sent.find(m => m.to === donor).text).toContain("$30.00");
+
+    const notification = await ctx.db.collection("notifications").findOne({ type: "campaign_goal_reached" });
+    expect(notification).toMatchObject({ email: owner, data: { campaignId: campaign._id.toString() } });
+    expect((await ctx.db.collection("donationCampaigns").findOne({ _id: campaign._id })).goalReachedAt).toBeInstanceOf(Date);
+  });
+
+  it("tells the owner about adoption requests and the requester about the decision", async () => {
+    const pet = await createPet(ctx.db, { ownerEmail: owner });
+
+    const { body } = await request(ctx.app)
+      .post("/adoptions")
+      .set("Authorization", await tokenFor("adopter@example.com"))
+      .send({ petId: pet._id.toString(), phone: "0123456789", address: "12 Road, Dhaka", message: "I have a big garden" });
+    await request(ctx.app)
+      .patch(`/adoptions/${body.insertedId}/status`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ status: "accepted" });
+    await ctx.deliverEmails();
+
+    expect(ctx.mailer.sent.map(({ to, subject }) => ({ to, subject }))).toEqual([
+      { to: owner, subject: "New adoption request for Buddy" },
+      { to: "adopter@example.com", subject: "Your request to adopt Buddy was accepted" },
+    ]);
+    expect(ctx.mailer.sent[0].text).toContain('Their message: "I have a big garden"');
+    expect(ctx.mailer.sent[0].text).toContain(`http://app.test/pets/${pet._id}`);
+  });
+
+  it("skips the email when the user turned it off in their notification preferences", async () => {
+    await createUser(ctx.db, { email: owner, notificationPreferences: { donation_received: { email: false } } });
+    const campaign = await createCampaign(ctx.db);
+
+    await payDonation(campaign, 10);
+    await ctx.deliverEmails();
+
+    expect(ctx.mailer.sent.map(m => m.to)).toEqual([donor]);
+    expect(await ctx.db.collection("notifications").countDocuments({ email: owner })).toBe(1);
+  });
+});
+
+describe("email queue", () => {
+  it("retries a failed send with backoff and gives up after the last retry", async () => {
+    await request(ctx.app).post("/users").send({ email: "new@example.com" });
+    const send = jest.spyOn(ctx.mailer, "send").mockRejectedValue(new Error("SMTP down"));
+
+    expect(await ctx.deliverEmails()).toEqual({ sent: 0, retrying: 1, failed: 0 });
+    let email = await ctx.db.collection("emailQueue").findOne();
+    expect(email).toMatchObject({ status: "queued", attempts: 1, lastError: "SMTP down" });
+    // The first retry waits a minute
+    expect(email.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 50 * 1000);
+    expect(await ctx.deliverEmails()).toEqual({ sent: 0, retrying: 0, failed: 0 });
+
+    for (let attempt = 2; attempt <= 5; attempt++) {
+      await fastForward();
+      await ctx.deliverEmails();
+    }
+    await fastForward();
+    expect(await ctx.deliverEmails()).toEqual({ sent: 0, retrying: 0, failed: 1 });
+    email = await ctx.db.collection("emailQueue").findOne();
+    expect(email).toMatchObject({ status: "failed", attempts: 6 });
+
+    send.mockRestore();
+    await fastForward();
+    expect(await ctx.deliverEmails()).toEqual({ sent: 0, retrying: 0, failed: 0 });
+  });
+
+  it("sends a retried email once the mailer recovers", async () => {
+    await request(ctx.app).post("/users").send({ email: "new@example.com" });
+    jest.spyOn(ctx.mailer, "send").mockRejectedValueOnce(new Error("SMTP down"));
+
+    await ctx.deliverEmails();
+    await fastForward();
+    expect(await ctx.deliverEmails()).toEqual({ sent: 1, retrying: 0, failed: 0 });
+
+    expect(ctx.mailer.sent).toHaveLength(1);
+    expect(await ctx.db.collection("emailQueue").findOne()).toMatchObject({ status: "sent", attempts: 2 });
+  });
+});
+
+describe("unsubscribe", () => {
+  it("stops the category for the address behind the link", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await payDonation(campaign, 10);
+    await ctx.deliverEmails();
+
+    const thanks = ctx.mailer.sent.find(m => m.to === donor);
+    const link = unsubscribeLink(thanks);
+    expect(link.startsWith("http://api.test/email/unsubscribe?token=")).toBe(true);
+    expect(thanks.headers).toEqual({
+      "List-Unsubscribe": `<${link}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    });
+
+    const url = new URL(link).pathname + new URL(link).search;
+    // Opening the link only asks; scanners that follow links unsubscribe nobody
+    const page = await request(ctx.app).get(url);
+    expect(page.status).toBe(200);
+    expect(page.headers["content-type"]).toMatch(/html/);
+    expect(page.text).toContain("donor@example.com will no longer receive donation emails");
+    expect(page.text).toContain('<form method="post" action="/email/unsubscribe?token=');
+    expect(await ctx.db.collection("emailSuppressions").countDocuments()).toBe(0);
+
+    const action = page.text.match(/action="([^"]+)"/)[1];
+    const confirmed = await request(ctx.app).post(action).set("Accept", "text/html,application/xhtml+xml");
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.headers["content-type"]).toMatch(/html/);
+    expect(confirmed.text).toContain("You have been unsubscribed");
+
+    ctx.mailer.sent.length = 0;
+    await payDonation(campaign, 10, "pi_test_again");
+    await ctx.deliverEmails();
+    expect(ctx.mailer.sent.map(m => m.to)).toEqual([owner]);
+  });
+
+  it("supports one-click unsubscribe and rejects bad links", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await payDonation(campaign, 10);
+    await ctx.deliverEmails();
+    const link = new URL(unsubscribeLink(ctx.mailer.sent.find(m => m.to === owner)));
+
+    const res = await request(ctx.app).post(link.pathname + link.search).type("form").send("List-Unsubscribe=One-Click");
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, email: owner, category: "donations" });
+
+    expect((await request(ctx.app).get("/email/unsubscribe?token=nope")).status).toBe(400);
+    expect((await request(ctx.app).post("/email/unsubscribe")).status).toBe(400);
+    expect((await request(ctx.app).post("/email/unsubscribe?token=nope").set("Accept", "text/html")).text).toContain("Unsubscribe failed");
+    expect(await ctx.db.collection("emailSuppressions").countDocuments()).toBe(1);
+  });
+});
+
+describe("/email/subscriptions", () => {
+  const subscriptions = async (method, body) => request(ctx.app)[method]("/email/subscriptions")
+    .set("Authorization", await tokenFor(donor))
+    .send(body);
+
+  it("lists and changes the categories", async () => {
+    expect((await subscriptions("get")).body).toEqual({ adoptions: true, donations: true, campaigns: true, campaign_updates: true });
+
+    const res = await subscriptions("patch", { donations: false, campaign_updates: false });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ donations: false, campaign_updates: false, adoptions: true });
+
+    expect((await subscriptions("patch", { donations: true })).body.donations).toBe(true);
+    expect(await ctx.db.collection("emailSuppressions").countDocuments()).toBe(1);
+  });
+
+  it("validates the changes and needs a login", async () => {
+    expect((await subscriptions("patch", { donations: "no" })).status).toBe(400);
+    expect((await subscriptions("patch", {})).status).toBe(400);
+    expect((await request(ctx.app).get("/email/subscriptions")).status).toBe(401);
+  });
+});
+
+describe("mail transports", () => {
+  it("writes .eml files with the file transport", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pethaven-mail-"));
+    try {
+      const mailer = createFileMailer({ dir, from: "Pet Haven <noreply@pethaven.test>" });
+      await mailer.send({ to: donor, subject: "Hello", text: "Plain", html: "<p>Rich</p>", headers: { "List-Unsubscribe": "<http://x.test>" } });
+
+      const files = fs.readdirSync(dir);
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/\.eml$/);
+      const message = fs.readFileSync(path.join(dir, files[0]), "utf8");
+      expect(message).toContain("To: donor@example.com");
+      expect(message).toContain("Subject: Hello");
+      expect(message).toContain("List-Unsubscribe: <http://x.test>");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects an unknown transport", () => {
+    expect(() => createMailer({ transport: "pigeon" })).toThrow("Unknown mail transport pigeon");
+  });
+});
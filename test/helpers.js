@@ -0,0 +1,279 @@
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+const { MongoClient, ObjectId } = require("mongodb");
+const Stripe = require("stripe");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const createApp = require("../src/app");
+const createSessionsService = require("../src/services/sessions");
+const { signAccessToken } = require("../src/auth/tokens");
+const { prepareDatabase } = require("../src/db");
+
+// Key pair standing in for the identity provider that signs ID tokens
+const idProviderKeys = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: "spki", format: "pem" },
+  privateKeyEncoding: { type: "pkcs8", format: "pem" },
+});
+
+const config = {
+  jwtSecret: "test-jwt-secret",
+  appUrl: "http://app.test",
+  apiUrl: "http://api.test",
+  auth: {
+    accessTokenTtl: "15m",
+    refreshTokenTtlDays: 30,
+    idToken: {
+      issuer: "https://securetoken.google.com/pethaven-test",
+      audience: "pethaven-test",
+      publicKeys: { "test-key": idProviderKeys.publicKey },
+    },
+  },
+  // setupTestApp gives every suite its own temporary upload directory
+  uploads: { baseUrl: "/uploads", maxFileSizeMb: 1, maxPhotosPerPet: 4 },
+  stripe: { webhookSecret: "whsec_test_secret" },
+  // Short, so streams notice an ended session quickly
+  realtime: { heartbeatSeconds: 0.1 },
+  // 1 USD = 0.8 EUR = 150 JPY = 0.3 KWD
+  currencies: { default: "usd", rates: { usd: 1, eur: 0.8, jpy: 150, kwd: 0.3 } },
+};
+
+// Database of the app started by setupTestApp, used to back tokens with sessions
+let activeDb;
+
+// Stripe stand-in: records calls and answers with canned objects.
+// Webhook signatures are checked with the real Stripe helpers.
+function createFakeStripe() {
+  let counter = 0;
+  const paymentIntents = new Map();
+  const subscriptions = new Map();
+
+  return {
+    paymentIntents: {
+      create: jest.fn(async params => {
+        const id = `pi_test_${++counter}`;
+        const paymentIntent = {
+          id,
+          object: "payment_intent",
+          client_secret: `${id}_secret_test`,
+          status: "requires_payment_method",
+          created: Math.floor(Date.now() / 1000),
+          ...params,
+        };
+        paymentIntents.set(id, paymentIntent);
+        return paymentIntent;
+      }),
+      retrieve: jest.fn(async id => {
+        if (!paymentIntents.has(id)) {
+          throw Object.assign(new Error(`No such payment_intent: '${id}'`), { statusCode: 404 });
+        }
+        return paymentIntents.get(id);
+      }),
+    },
+    refunds: {
+      create: jest.fn(async params => ({
+        id: `re_test_${++counter}`,
+        object: "refund",
+        status: "pending",
+        ...params,
+      })),
+    },
+    customers: {
+      create: jest.fn(async params => ({ id: `cus_test_${++counter}`, object: "customer", ...params })),
+    },
+    products: {
+      create: jest.fn(async params => ({ id: `prod_test_${++counter}`, object: "product", ...params })),
+    },
+    // Subscriptions start incomplete, waiting for the first invoice to be paid
+    subscriptions: {
+      create: jest.fn(async ({ expand, ...params }) => {
+        const id = `sub_test_${++counter}`;
+        const invoiceId = `in_test_${++counter}`;
+        const subscription = {
+          id,
+          object: "subscription",
+          status: "incomplete",
+          pause_collection: null,
+          latest_invoice: { id: invoiceId, confirmation_secret: { client_secret: `${invoiceId}_secret_test` } },
+          ...params,
+        };
+        subscriptions.set(id, subscription);
+        return subscription;
+      }),
+      update: jest.fn(async (id, params) => {
+        const subscription = subscriptions.get(id);
+        Object.assign(subscription, params, params.pause_collection === "" && { pause_collection: null });
+        return subscription;
+      }),
+      cancel: jest.fn(async id => {
+        const subscription = subscriptions.get(id);
+        subscription.status = "canceled";
+        return subscription;
+      }),
+    },
+    invoicePayments: {
+      list: jest.fn(async () => ({ object: "list", data: [] })),
+    },
+    webhooks: Stripe.webhooks,
+  };
+}
+
+// Mailer that keeps sent messages in memory
+function createFakeMailer() {
+  return {
+    sent: [],
+    async send(message) {
+      this.sent.push(message);
+    },
+  };
+}
+
+// Start an in-memory replica set (transactions need one) and build the app on top of it
+async function setupTestApp() {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  const client = new MongoClient(replSet.getUri());
+  await client.connect();
+
+  const db = client.db("pethaven-test");
+  await prepareDatabase(db);
+  activeDb = db;
+
+  const stripe = createFakeStripe();
+  const mailer = createFakeMailer();
+  const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), "pethaven-uploads-"));
+  const app = createApp({ db, stripe, mailer, config: { ...config, uploads: { ...config.uploads, dir: uploadsDir } } });
+
+  return {
+    app,
+    db,
+    stripe,
+    mailer,
+    uploadsDir,
+    // Run the email queue job once, so queued emails land in mailer.sent
+    deliverEmails() {
+      return app.locals.services.emails.processQueue();
+    },
+    async reset() {
+      const collections = await db.collections();
+      await Promise.all(collections.map(collection => collection.deleteMany({})));
+      mailer.sent.length = 0;
+      jest.clearAllMocks();
+    },
+    async close() {
+      fs.rmSync(uploadsDir, { recursive: true, force: true });
+      await client.close();
+      await replSet.stop();
+    },
+  };
+}
+
+// Authorization header for a fresh session of this user
+async function tokenFor(email) {
+  const sessions = createSessionsService({ sessions: activeDb.collection("sessions") }, config.auth);
+  const { sessionId } = await sessions.create(email);
+  return `Bearer ${signAccessToken({ email, sessionId }, config)}`;
+}
+
+// ID token as the identity provider would issue it
+function idTokenFor(email, overrides = {}) {
+  return jwt.sign(
+    {
+      email,
+      email_verified: true,
+      iss: config.auth.idToken.issuer,
+      aud: config.auth.idToken.audience,
+      ...overrides,
+    },
+    idProviderKeys.privateKey,
+    { algorithm: "RS256", keyid: "test-key", subject: email, expiresIn: "1h" }
+  );
+}
+
+// Build a Stripe event and the Stripe-Signature header for it
+function signedEvent(type, object) {
+  const payload = JSON.stringify({
+    id: `evt_test_${new ObjectId()}`,
+    object: "event",
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object },
+  });
+  const signature = Stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: config.stripe.webhookSecret,
+  });
+  return { payload, signature };
+}
+
+// Seed helpers - documents are inserted directly and satisfy the collection validators
+async function createUser(db, overrides = {}) {
+  const user = { email: "user@example.com", name: "Test User", role: "user", ...overrides };
+  const { insertedId } = await db.collection("users").insertOne(user);
+  return { ...user, _id: insertedId };
+}
+
+async function createPet(db, overrides = {}) {
+  const pet = {
+    name: "Buddy",
+    category: "Dog",
+    age: 3,
+    image: "https://example.com/buddy.jpg",
+    location: "Dhaka",
+    shortDescription: "Friendly dog",
+    longDescription: "A very friendly dog looking for a home.",
+    ownerEmail: "owner@example.com",
+    adopted: false,
+    date: new Date(),
+    ...overrides,
+  };
+  const { insertedId } = await db.collection("pets").insertOne(pet);
+  return { ...pet, _id: insertedId };
+}
+
+async function createCampaign(db, overrides = {}) {
+  const campaign = {
+    petName: "Luna",
+    petImage: "https://example.com/luna.jpg",
+    currency: "usd",
+    targetAmount: 500,
+    lastDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    description: "Surgery for Luna",
+    longDesc: "Luna needs surgery on her leg.",
+    ownerEmail: "owner@example.com",
+    donatedAmount: 0,
+    status: "active",
+    paused: false,
+    date: new Date(),
+    ...overrides,
+  };
+  const { insertedId } = await db.collection("donationCampaigns").insertOne(campaign);
+  return { ...campaign, _id: insertedId };
+}
+
+async function createDonation(db, overrides = {}) {
+  const donation = {
+    donationId: new ObjectId(),
+    amount: 25,
+    transactionId: `pi_seed_${new ObjectId()}`,
+    donorEmail: "donor@example.com",
+    status: "succeeded",
+    date: new Date(),
+    ...overrides,
+  };
+  const { insertedId } = await db.collection("donations").insertOne(donation);
+  return { ...donation, _id: insertedId };
+}
+
+module.exports = {
+  config,
+  setupTestApp,
+  tokenFor,
+  idTokenFor,
+  signedEvent,
+  createUser,
+  createPet,
+  createCampaign,
+  createDonation,
+};
@@ -0,0 +1,250 @@
+const request = require("supertest");
+const { setupTestApp, tokenFor, createUser, createPet, createCampaign } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const owner = "owner@example.com";
+const moderator = "mod@example.com";
+const admin = "admin@example.com";
+const stranger = "stranger@example.com";
+
+const newPet = {
+  name: "Milo",
+  category: "Cat",
+  age: 2,
+  location: "Chattogram",
+};
+
+const newCampaign = {
+  petName: "Rex",
+  petImage: "https://example.com/rex.jpg",
+  targetAmount: 300,
+  lastDate: "2030-01-01",
+  description: "Vaccines for Rex",
+  longDesc: "Rex needs his yearly vaccines.",
+};
+
+async function as(email, method, url, body) {
+  return request(ctx.app)[method](url).set("Authorization", await tokenFor(email)).send(body);
+}
+
+const reportPet = (pet, email, body = { reason: "for_sale" }) => as(email, "post", `/pets/${pet._id}/reports`, body);
+
+const stored = pet => ctx.db.collection("pets").findOne({ _id: pet._id });
+
+beforeEach(async () => {
+  await createUser(ctx.db, { email: moderator, role: "moderator" });
+  await createUser(ctx.db, { email: admin, role: "admin" });
+});
+
+describe("review of new listings", () => {
+  it("keeps new pets out of the public listings until they are approved", async () => {
+    const created = await as(owner, "post", "/pets", newPet);
+    expect(created.status).toBe(200);
+    expect(created.body.moderationStatus).toBe("pending_review");
+    const id = created.body.insertedId;
+
+    expect((await request(ctx.app).get("/pets")).body.total).toBe(0);
+    expect((await request(ctx.app).get(`/pets/${id}`)).status).toBe(404);
+    expect((await as(stranger, "get", `/pets/${id}`)).status).toBe(404);
+    expect((await as(owner, "get", `/pets/${id}`)).body.moderationStatus).toBe("pending_review");
+    expect((await as(moderator, "get", `/pets/${id}`)).status).toBe(200);
+    const adoption = await as(stranger, "post", "/adoptions", { petId: id, phone: "0123456789", address: "12 Road, Dhaka" });
+    expect(adoption.status).toBe(404);
+
+    const queue = await as(moderator, "get", "/admin/moderation?type=pets");
+    expect(queue.status).toBe(200);
+    expect(queue.body.pets).toMatchObject({ total: 1, items: [{ name: "Milo", reports: [] }] });
+
+    const approved = await as(moderator, "post", `/admin/moderation/pets/${id}/approve`);
+    expect(approved.status).toBe(200);
+    expect(approved.body).toMatchObject({ moderationStatus: "approved", reviewedBy: moderator });
+    expect((await request(ctx.app).get("/pets")).body.total).toBe(1);
+    expect((await as(moderator, "get", "/admin/moderation?type=pets")).body.pets.total).toBe(0);
+
+    const notification = await ctx.db.collection("notifications").findOne({ email: owner });
+    expect(notification).toMatchObject({ type: "listing_review", title: "Milo is now public", data: { status: "approved" } });
+    await ctx.deliverEmails();
+    expect(ctx.mailer.sent[0]).toMatchObject({ to: owner, subject: "Your listing of Milo is live" });
+    expect(await ctx.db.collection("auditLog").findOne({ action: "pet.approved" })).toMatchObject({
+      actorEmail: moderator,
+      targetId: id,
+      details: { from: "pending_review" },
+    });
+  });
+
+  it("takes no donations for a campaign waiting for review", async () => {
+    const created = await as(owner, "post", "/donation-campaigns", newCampaign);
+    expect(created.body.moderationStatus).toBe("pending_review");
+    const id = created.body.insertedId;
+
+    expect((await request(ctx.app).get("/donation-campaigns")).body.total).toBe(0);
+    expect((await request(ctx.app).get(`/donation-campaigns/${id}`)).status).toBe(404);
+    expect((await as(owner, "get", `/donation-campaigns/${id}`)).status).toBe(200);
+    const intent = await as(stranger, "post", "/create-payment-intent", { donationId: id, amount: 25 });
+    expect(intent.status).toBe(403);
+    expect(intent.body.error).toBe("This campaign is waiting for review");
+
+    await as(admin, "post", `/admin/moderation/campaigns/${id}/approve`);
+
+    expect((await request(ctx.app).get("/donation-campaigns")).body.total).toBe(1);
+    expect((await as(stranger, "post", "/create-payment-intent", { donationId: id, amount: 25 })).status).toBe(200);
+  });
+
+  it("rejects a listing with a reason for the owner and closes rejected campaigns", async () => {
+    const { body } = await as(owner, "post", "/donation-campaigns", newCampaign);
+
+    expect((await as(moderator, "post", `/admin/moderation/campaigns/${body.insertedId}/reject`, {})).status).toBe(400);
+    const res = await as(moderator, "post", `/admin/moderation/campaigns/${body.insertedId}/reject`, { reason: "Selling animals is not allowed" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ moderationStatus: "rejected", moderationReason: "Selling animals is not allowed" });
+    const campaign = await ctx.db.collection("donationCampaigns").findOne({ petName: "Rex" });
+    expect(campaign.status).toBe("closed");
+
+    await ctx.deliverEmails();
+    expect(ctx.mailer.sent[0].subject).toBe("Your campaign for Rex was not approved");
+    expect(ctx.mailer.sent[0].text).toContain("Reason: Selling animals is not allowed");
+    expect((await as(owner, "get", "/donation-campaigns/my")).body.campaigns[0].moderationStatus).toBe("rejected");
+  });
+
+  it("lets trusted users, moderators and admins skip review", async () => {
+    const user = await createUser(ctx.db, { email: owner });
+
+    expect((await as(moderator, "patch", `/users/${user._id}/trusted`, { trusted: true })).status).toBe(403);
+    const trusted = await as(admin, "patch", `/users/${user._id}/trusted`, { trusted: true });
+    expect(trusted.body).toEqual({ success: true, trusted: true });
+    expect(await ctx.db.collection("auditLog").countDocuments({ action: "user.trusted" })).toBe(1);
+
+    expect((await as(owner, "post", "/pets", newPet)).body.moderationStatus).toBe("approved");
+    expect((await as(moderator, "post", "/pets", { ...newPet, name: "Tom" })).body.moderationStatus).toBe("approved");
+    expect((await as(owner, "post", "/donation-campaigns", newCampaign)).body.moderationStatus).toBe("approved");
+    expect((await request(ctx.app).get("/pets")).body.total).toBe(2);
+
+    await as(admin, "patch", `/users/${user._id}/trusted`, { trusted: false });
+    expect((await as(owner, "post", "/pets", { ...newPet, name: "Kitty" })).body.moderationStatus).toBe("pending_review");
+  });
+});
+
+describe("edits to approved listings", () => {
+  it("sends changed text or pictures of an untrusted owner back to review", async () => {
+    const pet = await createPet(ctx.db, { moderationStatus: "approved" });
+    const campaign = await createCampaign(ctx.db, { moderationStatus: "approved" });
+
+    // Facts without free text stay listed
+    expect((await as(owner, "patch", `/pets/${pet._id}`, { age: 4 })).body.moderationStatus).toBeUndefined();
+    expect((await as(owner, "patch", `/donation-campaigns/${campaign._id}`, { targetAmount: 900 })).body.moderationStatus).toBeUndefined();
+    expect((await request(ctx.app).get("/pets")).body.total).toBe(1);
+
+    const edited = await as(owner, "patch", `/pets/${pet._id}`, { shortDescription: "Now for sale, DM me" });
+    expect(edited.status).toBe(200);
+    expect(edited.body.moderationStatus).toBe("pending_review");
+    const editedCampaign = await as(owner, "patch", `/donation-campaigns/${campaign._id}`, { petImage: "https://example.com/other.jpg" });
+    expect(editedCampaign.body.moderationStatus).toBe("pending_review");
+
+    expect((await stored(pet)).moderationStatus).toBe("pending_review");
+    expect((await request(ctx.app).get("/pets")).body.total).toBe(0);
+    expect((await request(ctx.app).get(`/donation-campaigns/${campaign._id}`)).status).toBe(404);
+    const queue = await as(moderator, "get", "/admin/moderation?status=pending_review");
+    expect(queue.body.pets.total).toBe(1);
+    expect(queue.body.campaigns.total).toBe(1);
+  });
+
+  it("keeps listings of trusted owners and staff edits approved", async () => {
+    await createUser(ctx.db, { email: owner, trusted: true });
+    const pet = await createPet(ctx.db, { moderationStatus: "approved" });
+    const other = await createPet(ctx.db, { ownerEmail: stranger, moderationStatus: "approved" });
+
+    await as(owner, "patch", `/pets/${pet._id}`, { name: "Buddy Jr" });
+    await as(admin, "patch", `/pets/${other._id}`, { name: "Fixed typo" });
+
+    expect((await stored(pet)).moderationStatus).toBe("approved");
+    expect((await stored(other)).moderationStatus).toBe("approved");
+  });
+});
+
+describe("reports", () => {
+  const reporters = ["a@example.com", "b@example.com", "c@example.com"];
+
+  it("hides a listing once enough users have reported it", async () => {
+    const pet = await createPet(ctx.db);
+
+    const first = await reportPet(pet, reporters[0], { reason: "for_sale", details: "Asking for money" });
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ targetType: "pet", reporterEmail: reporters[0], reason: "for_sale", status: "open" });
+    await reportPet(pet, reporters[1], { reason: "scam" });
+    expect((await stored(pet)).moderationStatus).toBeUndefined();
+    expect((await request(ctx.app).get("/pets")).body.total).toBe(1);
+
+    await reportPet(pet, reporters[2]);
+
+    expect(await stored(pet)).toMatchObject({ moderationStatus: "hidden", reportCount: 3 });
+    expect((await request(ctx.app).get("/pets")).body.total).toBe(0);
+    expect((await request(ctx.app).get(`/pets/${pet._id}`)).status).toBe(404);
+    expect(await ctx.db.collection("notifications").findOne({ email: owner })).toMatchObject({
+      type: "listing_review",
+      title: "Buddy is hidden until a moderator reviews it",
+    });
+
+    const queue = await as(moderator, "get", "/admin/moderation?status=hidden");
+    expect(queue.body.campaigns.total).toBe(0);
+    expect(queue.body.pets.items).toHaveLength(1);
+    expect(queue.body.pets.items[0].reports.map(r => r.reporterEmail)).toEqual(reporters);
+  });
+
+  it("dismisses the reports when a moderator approves the listing again", async () => {
+    const pet = await createPet(ctx.db);
+    for (const email of reporters) await reportPet(pet, email);
+
+    await as(moderator, "post", `/admin/moderation/pets/${pet._id}/approve`);
+
+    expect(await stored(pet)).toMatchObject({ moderationStatus: "approved", reportCount: 0 });
+    expect(await ctx.db.collection("reports").countDocuments({ status: "dismissed" })).toBe(3);
+    expect((await request(ctx.app).get("/pets")).body.total).toBe(1);
+    // Older reports don't count towards hiding it again
+    await reportPet(pet, "d@example.com");
+    expect((await stored(pet)).moderationStatus).toBe("approved");
+  });
+
+  it("upholds the reports when the listing is rejected", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await as(reporters[0], "post", `/donation-campaigns/${campaign._id}/reports`, { reason: "scam" });
+
+    const queue = await as(moderator, "get", "/admin/moderation?type=campaigns&status=reported");
+    expect(queue.body.campaigns.items.map(c => c.petName)).toEqual(["Luna"]);
+
+    await as(moderator, "post", `/admin/moderation/campaigns/${campaign._id}/reject`, { reason: "Fake campaign" });
+
+    expect(await ctx.db.collection("reports").findOne()).toMatchObject({ status: "upheld" });
+    expect((await request(ctx.app).get(`/donation-campaigns/${campaign._id}`)).status).toBe(404);
+  });
+
+  it("allows one report per user and none on your own listing", async () => {
+    const pet = await createPet(ctx.db);
+
+    await reportPet(pet, stranger);
+    expect((await reportPet(pet, stranger)).status).toBe(409);
+    expect((await reportPet(pet, owner)).status).toBe(403);
+    expect((await reportPet(pet, stranger, { reason: "ugly" })).status).toBe(400);
+    expect((await reportPet({ _id: "64b000000000000000000000" }, stranger)).status).toBe(404);
+    expect((await request(ctx.app).post(`/pets/${pet._id}/reports`).send({ reason: "spam" })).status).toBe(401);
+    expect((await stored(pet)).reportCount).toBe(1);
+  });
+});
+
+describe("GET /admin/moderation", () => {
+  it("is for moderators and admins", async () => {
+    expect((await as(stranger, "get", "/admin/moderation")).status).toBe(403);
+    expect((await as(admin, "get", "/admin/moderation")).status).toBe(200);
+    expect((await as(admin, "get", "/admin/moderation?type=users")).status).toBe(400);
+    expect((await as(admin, "post", `/admin/moderation/users/64b000000000000000000000/approve`)).status).toBe(400);
+  });
+});
@@ -0,0 +1,230 @@
+const http = require("http");
+const request = require("supertest");
+const { setupTestApp, tokenFor, signedEvent, createUser, createPet, createCampaign } = require("./helpers");
+
+let ctx;
+let server;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+  server = ctx.app.listen(0);
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await ctx.close();
+});
+
+const owner = "owner@example.com";
+const adopter = "adopter@example.com";
+
+// Open GET /notifications/stream and collect its events as { id, event, data }
+function openStream(headers, path = "/notifications/stream") {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port: server.address().port, path, headers }, res => {
+      const stream = { status: res.statusCode, events: [] };
+      let buffer = "";
+
+      res.setEncoding("utf8");
+      res.on("data", chunk => {
+        buffer += chunk;
+        const blocks = buffer.split("\n\n");
+        buffer = blocks.pop();
+        for (const block of blocks) {
+          const fields = Object.fromEntries(block.split("\n").filter(line => !line.startsWith(":")).map(line => {
+            const at = line.indexOf(": ");
+            return [line.slice(0, at), line.slice(at + 2)];
+          }));
+          if (fields.event) stream.events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+        }
+      });
+      // Resolves once the server ends the stream
+      stream.finished = new Promise(resolve => res.on("end", resolve));
+      stream.close = () => req.destroy();
+      stream.waitFor = async (match, timeout = 3000) => {
+        for (const start = Date.now(); Date.now() - start < timeout; await new Promise(r => setTimeout(r, 20))) {
+          const found = stream.events.find(match);
+          if (found) return found;
+        }
+        throw new Error("Timed out waiting for a stream event");
+      };
+      resolve(stream);
+    });
+    req.on("error", reject);
+  });
+}
+
+async function requestAdoption(pet, email = adopter) {
+  return request(ctx.app)
+    .post("/adoptions")
+    .set("Authorization", await tokenFor(email))
+    .send({ petId: pet._id.toString(), userName: "Adopter", phone: "0123456789", address: "12 Road, Dhaka", message: "I have a garden" });
+}
+
+describe("GET /notifications/stream", () => {
+  it("pushes a new adoption request to the pet owner", async () => {
+    const pet = await createPet(ctx.db);
+    const stream = await openStream({ Authorization: await tokenFor(owner) });
+    await stream.waitFor(e => e.event === "ready");
+
+    await requestAdoption(pet);
+    const pushed = await stream.waitFor(e => e.event === "notification");
+    stream.close();
+
+    expect(stream.events[0]).toMatchObject({ event: "ready", data: { unreadCount: 0 } });
+    expect(pushed.data).toMatchObject({
+      type: "adoption_request",
+      title: "New adoption request for Buddy",
+      body: "I have a garden",
+      link: `http://app.test/pets/${pet._id}`,
+    });
+    const stored = await ctx.db.collection("notifications").findOne({ email: owner });
+    expect(pushed.id).toBe(stored._id.toString());
+  });
+
+  it("takes the token from the query string and replays what was missed", async () => {
+    const pet = await createPet(ctx.db);
+    await requestAdoption(pet);
+    const [first] = await ctx.db.collection("notifications").find({ email: owner }).toArray();
+    await requestAdoption(pet, "second@example.com");
+
+    const token = (await tokenFor(owner)).split(" ")[1];
+    const stream = await openStream({ "Last-Event-ID": first._id.toString() }, `/notifications/stream?token=${token}`);
+    await stream.waitFor(e => e.event === "notification");
+    stream.close();
+
+    expect(stream.status).toBe(200);
+    expect(stream.events[0].data.unreadCount).toBe(2);
+    expect(stream.events.filter(e => e.event === "notification")).toHaveLength(1);
+  });
+
+  it("requires a valid session", async () => {
+    expect((await request(ctx.app).get("/notifications/stream")).status).toBe(401);
+    expect((await request(ctx.app).get("/notifications/stream?token=nonsense")).status).toBe(403);
+  });
+
+  it("ends when the session does", async () => {
+    const auth = await tokenFor(owner);
+    const stream = await openStream({ Authorization: auth });
+    await stream.waitFor(e => e.event === "ready");
+
+    await request(ctx.app).post("/auth/logout").set("Authorization", auth);
+
+    await stream.finished;
+    expect(stream.events.map(e => e.event)).toEqual(["ready", "end"]);
+  });
+
+  it("tells a banned user and closes their streams", async () => {
+    const admin = await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+    const user = await createUser(ctx.db, { email: adopter });
+    const stream = await openStream({ Authorization: await tokenFor(adopter) });
+    await stream.waitFor(e => e.event === "ready");
+
+    await request(ctx.app)
+      .patch(`/users/ban/${user._id}`)
+      .set("Authorization", await tokenFor(admin.email))
+      .send({ reason: "Spam" });
+
+    await stream.finished;
+    expect(stream.events.map(e => e.event)).toEqual(["ready", "notification", "end"]);
+    expect(stream.events[1].data).toMatchObject({ type: "account_banned", title: "Your account has been banned", body: "Spam" });
+  });
+});
+
+describe("notification events", () => {
+  async function setStatus(adoption, status) {
+    return request(ctx.app)
+      .patch(`/adoptions/${adoption._id}/status`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ status });
+  }
+
+  it("tells every requester when the owner decides", async () => {
+    const pet = await createPet(ctx.db);
+    await requestAdoption(pet);
+    await requestAdoption(pet, "second@example.com");
+    const adoption = await ctx.db.collection("adoptions").findOne({ requesterEmail: adopter });
+
+    expect((await setStatus(adoption, "accepted")).status).toBe(200);
+
+    const decisions = await ctx.db.collection("notifications").find({ type: "adoption_decision" }).toArray();
+    expect(decisions.map(n => [n.email, n.title])).toEqual(expect.arrayContaining([
+      [adopter, "Your request to adopt Buddy was accepted"],
+      ["second@example.com", "Your request to adopt Buddy was rejected"],
+    ]));
+    expect(decisions).toHaveLength(2);
+  });
+
+  it("tells the campaign owner about each new donation once", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const { payload, signature } = signedEvent("payment_intent.succeeded", {
+      id: "pi_test_paid",
+      object: "payment_intent",
+      amount: 2500,
+      amount_received: 2500,
+      currency: "usd",
+      created: Math.floor(Date.now() / 1000),
+      metadata: { donationId: campaign._id.toString(), donorEmail: "donor@example.com" },
+    });
+    const deliver = () => request(ctx.app)
+      .post("/stripe/webhook")
+      .set("Content-Type", "application/json")
+      .set("Stripe-Signature", signature)
+      .send(payload);
+
+    await deliver();
+    await deliver();
+
+    const notices = await ctx.db.collection("notifications").find({ email: owner }).toArray();
+    expect(notices).toHaveLength(1);
+    expect(notices[0]).toMatchObject({
+      type: "donation_received",
+      title: "New donation to Luna's campaign",
+      body: "$25.00 was donated",
+      data: { campaignId: campaign._id.toString(), amount: 25 },
+    });
+  });
+});
+
+describe("notification preferences", () => {
+  const preferences = async (method, body) => request(ctx.app)[method]("/notifications/preferences")
+    .set("Authorization", await tokenFor(owner))
+    .send(body);
+
+  it("has everything on by default", async () => {
+    await createUser(ctx.db, { email: owner });
+
+    const res = await preferences("get");
+
+    expect(res.status).toBe(200);
+    expect(res.body.adoption_request).toEqual({ inApp: true, email: true });
+    expect(Object.keys(res.body)).toHaveLength(7);
+  });
+
+  it("turns types off per channel", async () => {
+    await createUser(ctx.db, { email: owner });
+    const pet = await createPet(ctx.db);
+
+    const res = await preferences("patch", { adoption_request: { inApp: false }, campaign_update: { email: false } });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      adoption_request: { inApp: false, email: true },
+      campaign_update: { inApp: true, email: false },
+    });
+
+    await requestAdoption(pet);
+    expect(await ctx.db.collection("notifications").countDocuments({ email: owner })).toBe(0);
+  });
+
+  it("validates the changes", async () => {
+    await createUser(ctx.db, { email: owner });
+
+    expect((await preferences("patch", { adoption_request: { sms: true } })).status).toBe(400);
+    expect((await preferences("patch", { adoption_request: { email: "no" } })).status).toBe(400);
+    expect((await preferences("patch", { adoption_request: true })).status).toBe(400);
+    expect((await preferences("patch", {})).status).toBe(400);
+  });
+});
@@ -0,0 +1,509 @@
+const request = require("supertest");
+const { setupTestApp, tokenFor, createUser, createPet } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const owner = "owner@example.com";
+const stranger = "stranger@example.com";
+const missingId = "64b000000000000000000000";
+
+const newPet = {
+  name: "Milo",
+  category: "Cat",
+  age: 2,
+  image: "https://example.com/milo.jpg",
+  location: "Chattogram",
+  shortDescription: "Calm cat",
+};
+
+describe("POST /pets", () => {
+  it("creates a pet owned by the caller", async () => {
+    const res = await request(ctx.app)
+      .post("/pets")
+      .set("Authorization", await tokenFor(owner))
+      .send(newPet);
+
+    expect(res.status).toBe(200);
+    const pet = await ctx.db.collection("pets").findOne({ name: "Milo" });
+    expect(pet).toMatchObject({ ownerEmail: owner, adopted: false });
+  });
+
+  it("ignores unknown fields and rejects server-only ones", async () => {
+    const res = await request(ctx.app)
+      .post("/pets")
+      .set("Authorization", await tokenFor(owner))
+      .send({ ...newPet, adopted: true, ownerEmail: "someone@example.com" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field).sort()).toEqual(["adopted", "ownerEmail"]);
+  });
+
+  it("stores coordinates as a GeoJSON point", async () => {
+    await request(ctx.app)
+      .post("/pets")
+      .set("Authorization", await tokenFor(owner))
+      .send({ ...newPet, lat: 22.35694, lng: 91.78319 });
+
+    const pet = await ctx.db.collection("pets").findOne({ name: "Milo" });
+    expect(pet.geo).toEqual({ type: "Point", coordinates: [91.78319, 22.35694] });
+    expect(pet.lat).toBeUndefined();
+  });
+
+  it("only stores an approximate point when the exact location is hidden", async () => {
+    await request(ctx.app)
+      .post("/pets")
+      .set("Authorization", await tokenFor(owner))
+      .send({ ...newPet, lat: 22.35694, lng: 91.78319, hideExactLocation: true });
+
+    const pet = await ctx.db.collection("pets").findOne({ name: "Milo" });
+    expect(pet.geo.coordinates).toEqual([91.78, 22.36]);
+  });
+
+  it("needs both lat and lng", async () => {
+    const res = await request(ctx.app)
+      .post("/pets")
+      .set("Authorization", await tokenFor(owner))
+      .send({ ...newPet, lat: 22.35 });
+
+    expect(res.status).toBe(400);
+    expect(await ctx.db.collection("pets").countDocuments()).toBe(0);
+  });
+
+  it("validates required fields and enums", async () => {
+    const res = await request(ctx.app)
+      .post("/pets")
+      .set("Authorization", await tokenFor(owner))
+      .send({ ...newPet, name: undefined, category: "Dragon" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field).sort()).toEqual(["category", "name"]);
+  });
+
+  it("requires a token", async () => {
+    const res = await request(ctx.app).post("/pets").send(newPet);
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("GET /pets", () => {
+  it("lists available pets filtered by search and category", async () => {
+    await createPet(ctx.db, { name: "Buddy", category: "Dog" });
+    await createPet(ctx.db, { name: "Bella", category: "Cat" });
+    await createPet(ctx.db, { name: "Bobby", category: "Dog", adopted: true });
+
+    const all = await request(ctx.app).get("/pets");
+    expect(all.status).toBe(200);
+    expect(all.body.total).toBe(2);
+
+    const dogs = await request(ctx.app).get("/pets?category=Dog");
+    expect(dogs.body.pets.map(p => p.name)).toEqual(["Buddy"]);
+
+    const search = await request(ctx.app).get("/pets?search=bel");
+    expect(search.body.pets.map(p => p.name)).toEqual(["Bella"]);
+  });
+
+  it("paginates", async () => {
+    for (let i = 0; i < 3; i++) {
+      await createPet(ctx.db, { name: `Pet ${i}`, date: new Date(2025, 0, i + 1) });
+    }
+
+    const res = await request(ctx.app).get("/pets?page=2&limit=2");
+
+    expect(res.body).toMatchObject({ total: 3, page: 2, totalPages: 2 });
+    expect(res.body.pets.map(p => p.name)).toEqual(["Pet 0"]);
+  });
+});
+
+describe("pet search", () => {
+  const names = res => res.body.pets.map(p => p.name);
+
+  it("filters by age, gender, size, location, health flags and listing date", async () => {
+    await createPet(ctx.db, { name: "Puppy", age: 1, gender: "Male", size: "Small", location: "Dhaka North", vaccinated: true, neutered: false, date: new Date("2025-03-01") });
+    await createPet(ctx.db, { name: "Senior", age: 12, gender: "Female", size: "Large", location: "Chittagong", vaccinated: true, neutered: true, date: new Date("2025-01-01") });
+    await createPet(ctx.db, { name: "Middle", age: 5, gender: "Female", size: "Medium", location: "dhaka south", vaccinated: false, date: new Date("2025-02-01") });
+
+    expect(names(await request(ctx.app).get("/pets?minAge=2&maxAge=10"))).toEqual(["Middle"]);
+    expect(names(await request(ctx.app).get("/pets?gender=Female&size=Large"))).toEqual(["Senior"]);
+    expect(names(await request(ctx.app).get("/pets?location=DHAKA"))).toEqual(["Puppy", "Middle"]);
+    expect(names(await request(ctx.app).get("/pets?vaccinated=true&neutered=true"))).toEqual(["Senior"]);
+    expect(names(await request(ctx.app).get("/pets?vaccinated=false"))).toEqual(["Middle"]);
+    expect(names(await request(ctx.app).get("/pets?listedAfter=2025-01-15&listedBefore=2025-02-15"))).toEqual(["Middle"]);
+  });
+
+  it("searches names, breeds and descriptions through the text index", async () => {
+    await createPet(ctx.db, { name: "Rex", breed: "Labrador" });
+    await createPet(ctx.db, { name: "Tom", category: "Cat", shortDescription: "Calm tabby who loves laps" });
+    await createPet(ctx.db, { name: "Nemo", category: "Fish", longDescription: "A small fish" });
+
+    expect(names(await request(ctx.app).get("/pets?q=labrador"))).toEqual(["Rex"]);
+    expect(names(await request(ctx.app).get("/pets?q=tabby"))).toEqual(["Tom"]);
+    expect((await request(ctx.app).get("/pets?q=tabby&sort=relevance")).status).toBe(200);
+  });
+
+  it("treats the name search as plain text", async () => {
+    await createPet(ctx.db, { name: "Buddy" });
+
+    const res = await request(ctx.app).get("/pets?search=.*");
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(0);
+  });
+
+  it("sorts by newest, oldest, name and age", async () => {
+    await createPet(ctx.db, { name: "Bravo", age: 7, date: new Date("2025-01-02") });
+    await createPet(ctx.db, { name: "Alpha", age: 2, date: new Date("2025-01-01") });
+    await createPet(ctx.db, { name: "Charlie", age: 4, date: new Date("2025-01-03") });
+
+    expect(names(await request(ctx.app).get("/pets"))).toEqual(["Charlie", "Bravo", "Alpha"]);
+    expect(names(await request(ctx.app).get("/pets?sort=oldest"))).toEqual(["Alpha", "Bravo", "Charlie"]);
+    expect(names(await request(ctx.app).get("/pets?sort=name"))).toEqual(["Alpha", "Bravo", "Charlie"]);
+    expect(names(await request(ctx.app).get("/pets?sort=age"))).toEqual(["Alpha", "Charlie", "Bravo"]);
+  });
+
+  it("walks every page with a cursor, even when sort values tie", async () => {
+    for (let i = 0; i < 5; i++) {
+      await createPet(ctx.db, { name: `Pet ${i}`, age: i < 3 ? 1 : 2 });
+    }
+
+    const seen = [];
+    let res = await request(ctx.app).get("/pets?sort=age&limit=2");
+    expect(res.body).toMatchObject({ total: 5, page: 1, totalPages: 3 });
+    seen.push(...names(res));
+
+    while (res.body.nextCursor) {
+      res = await request(ctx.app).get(`/pets?sort=age&limit=2&cursor=${res.body.nextCursor}`);
+      expect(res.status).toBe(200);
+      seen.push(...names(res));
+    }
+
+    expect(seen).toHaveLength(5);
+    expect(new Set(seen).size).toBe(5);
+    expect(res.body.page).toBeUndefined();
+  });
+
+  it("rejects bad filters and cursors", async () => {
+    const invalid = await request(ctx.app).get("/pets?minAge=old&gender=Robot&vaccinated=maybe");
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.map(d => d.field)).toEqual(["gender", "minAge", "vaccinated"]);
+
+    expect((await request(ctx.app).get("/pets?cursor=garbage")).status).toBe(400);
+    expect((await request(ctx.app).get("/pets?sort=relevance")).status).toBe(400);
+
+    await createPet(ctx.db, { name: "One" });
+    await createPet(ctx.db, { name: "Two" });
+    const { nextCursor } = (await request(ctx.app).get("/pets?sort=name&limit=1")).body;
+    // A cursor only continues the sort it was issued for
+    expect((await request(ctx.app).get(`/pets?sort=age&cursor=${nextCursor}`)).status).toBe(400);
+  });
+});
+
+describe("GET /pets/:id/similar", () => {
+  const at = (lng, lat) => ({ geo: { type: "Point", coordinates: [lng, lat] } });
+  const names = res => res.body.pets.map(p => p.name);
+
+  it("suggests available pets of the same category and age band nearby, nearest first", async () => {
+    const pet = await createPet(ctx.db, { age: 2, ...at(90.4125, 23.8103) });
+    await createPet(ctx.db, { name: "Gulshan", age: 1, ...at(90.4078, 23.7925) });
+    await createPet(ctx.db, { name: "Next door", age: 2.5, ...at(90.4125, 23.8104) });
+    await createPet(ctx.db, { name: "Same town, no position", age: 2 });
+    await createPet(ctx.db, { name: "Senior", age: 10, ...at(90.4125, 23.8103) });
+    await createPet(ctx.db, { name: "Cat", category: "Cat", age: 2, ...at(90.4125, 23.8103) });
+    await createPet(ctx.db, { name: "Adopted", age: 2, adopted: true, ...at(90.4125, 23.8103) });
+    await createPet(ctx.db, { name: "Far away", age: 2, location: "Chattogram", ...at(91.7832, 22.3569) });
+
+    const res = await request(ctx.app).get(`/pets/${pet._id}/similar`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.ageBand).toBe("young");
+    expect(names(res)).toEqual(["Next door", "Gulshan", "Same town, no position"]);
+    expect(res.body.pets[0].distanceKm).toBe(0);
+  });
+
+  it("matches on the location name when the pet has no position", async () => {
+    const pet = await createPet(ctx.db, { age: 5, location: "Sylhet" });
+    await createPet(ctx.db, { name: "Same place", age: 4, location: "sylhet" });
+    await createPet(ctx.db, { name: "Elsewhere", age: 4 });
+
+    const res = await request(ctx.app).get(`/pets/${pet._id}/similar?limit=5`);
+
+    expect(res.body.ageBand).toBe("adult");
+    expect(names(res)).toEqual(["Same place"]);
+  });
+
+  it("404s for unknown pets", async () => {
+    expect((await request(ctx.app).get(`/pets/${missingId}/similar`)).status).toBe(404);
+  });
+});
+
+describe("GET /pets/nearby", () => {
+  const at = (lng, lat) => ({ geo: { type: "Point", coordinates: [lng, lat] } });
+
+  beforeEach(async () => {
+    await createPet(ctx.db, { name: "Gulshan", ...at(90.4078, 23.7925) });
+    await createPet(ctx.db, { name: "Center", category: "Cat", ...at(90.4125, 23.8103) });
+    await createPet(ctx.db, { name: "Chattogram", ...at(91.7832, 22.3569) });
+    await createPet(ctx.db, { name: "Adopted", adopted: true, ...at(90.4125, 23.8103) });
+    await createPet(ctx.db, { name: "Nowhere" });
+  });
+
+  it("returns available pets in the radius, nearest first, with their distance", async () => {
+    const res = await request(ctx.app).get("/pets/nearby?lat=23.8103&lng=90.4125&radiusKm=10");
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.pets.map(p => p.name)).toEqual(["Center", "Gulshan"]);
+    expect(res.body.pets[0].distanceKm).toBe(0);
+    expect(res.body.pets[1].distanceKm).toBeCloseTo(2, 0);
+  });
+
+  it("defaults to a 25 km radius and accepts the usual filters", async () => {
+    const all = await request(ctx.app).get("/pets/nearby?lat=23.8103&lng=90.4125");
+    expect(all.body.total).toBe(2);
+
+    const wide = await request(ctx.app).get("/pets/nearby?lat=23.8103&lng=90.4125&radiusKm=300&category=Dog");
+    expect(wide.body.pets.map(p => p.name)).toEqual(["Gulshan", "Chattogram"]);
+  });
+
+  it("validates the position", async () => {
+    const res = await request(ctx.app).get("/pets/nearby?lat=123&radiusKm=0");
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.field)).toEqual(["lat", "lng", "radiusKm"]);
+  });
+});
+
+describe("GET /pets/:id", () => {
+  it("returns a pet", async () => {
+    const pet = await createPet(ctx.db);
+
+    const res = await request(ctx.app).get(`/pets/${pet._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe(pet.name);
+  });
+
+  it("returns 404 for unknown or malformed ids", async () => {
+    expect((await request(ctx.app).get(`/pets/${missingId}`)).status).toBe(404);
+    expect((await request(ctx.app).get("/pets/not-an-id")).status).toBe(404);
+  });
+});
+
+describe("GET /my-pets", () => {
+  it("lists the caller's pets from the token", async () => {
+    await createPet(ctx.db, { name: "Mine" });
+    await createPet(ctx.db, { name: "Theirs", ownerEmail: stranger });
+
+    const res = await request(ctx.app).get("/my-pets").set("Authorization", await tokenFor(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body.pets.map(p => p.name)).toEqual(["Mine"]);
+  });
+
+  it("does not let users read someone else's list", async () => {
+    const res = await request(ctx.app)
+      .get(`/my-pets?email=${owner}`)
+      .set("Authorization", await tokenFor(stranger));
+
+    expect(res.status).toBe(403);
+  });
+
+  it("supports the same filters as /pets", async () => {
+    await createPet(ctx.db, { name: "Adopted", adopted: true });
+    await createPet(ctx.db, { name: "Waiting" });
+
+    const res = await request(ctx.app).get("/my-pets?adopted=true").set("Authorization", await tokenFor(owner));
+
+    expect(res.body.pets.map(p => p.name)).toEqual(["Adopted"]);
+  });
+
+  it("lets admins read anyone's list", async () => {
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+    await createPet(ctx.db);
+
+    const res = await request(ctx.app)
+      .get(`/my-pets?email=${owner}`)
+      .set("Authorization", await tokenFor("admin@example.com"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(1);
+  });
+});
+
+describe("owner-only pet routes", () => {
+  let pet;
+
+  beforeEach(async () => {
+    pet = await createPet(ctx.db);
+  });
+
+  it("updates a pet", async () => {
+    const res = await request(ctx.app)
+      .patch(`/pets/${pet._id}`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ name: "Buddy II", age: 4 });
+
+    expect(res.status).toBe(200);
+    expect(await ctx.db.collection("pets").findOne({ _id: pet._id })).toMatchObject({ name: "Buddy II", age: 4 });
+  });
+
+  it("coarsens the stored point when the owner hides it later", async () => {
+    await ctx.db.collection("pets").updateOne({ _id: pet._id }, { $set: { geo: { type: "Point", coordinates: [90.41253, 23.81031] } } });
+
+    await request(ctx.app)
+      .patch(`/pets/${pet._id}`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ hideExactLocation: true });
+
+    expect((await ctx.db.collection("pets").findOne({ _id: pet._id })).geo.coordinates).toEqual([90.41, 23.81]);
+  });
+
+  it("rejects an empty or server-only update", async () => {
+    const empty = await request(ctx.app)
+      .patch(`/pets/${pet._id}`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ unknown: 1 });
+    const readOnly = await request(ctx.app)
+      .patch(`/pets/${pet._id}`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ ownerEmail: stranger });
+
+    expect(empty.status).toBe(400);
+    expect(readOnly.status).toBe(400);
+  });
+
+  it("marks a pet adopted", async () => {
+    const res = await request(ctx.app)
+      .patch(`/pets/adopt/${pet._id}`)
+      .set("Authorization", await tokenFor(owner));
+
+    expect(res.status).toBe(200);
+    expect((await ctx.db.collection("pets").findOne({ _id: pet._id })).adopted).toBe(true);
+  });
+
+  it("deletes a pet", async () => {
+    const res = await request(ctx.app)
+      .delete(`/pets/${pet._id}`)
+      .set("Authorization", await tokenFor(owner));
+
+    expect(res.status).toBe(200);
+    expect(await ctx.db.collection("pets").findOne({ _id: pet._id })).toMatchObject({ deletedBy: owner });
+    expect((await request(ctx.app).get(`/pets/${pet._id}`)).status).toBe(404);
+  });
+
+  it("forbids other users", async () => {
+    const auth = await tokenFor(stranger);
+
+    const responses = await Promise.all([
+      request(ctx.app).patch(`/pets/${pet._id}`).set("Authorization", auth).send({ name: "Stolen" }),
+      request(ctx.app).patch(`/pets/adopt/${pet._id}`).set("Authorization", auth),
+      request(ctx.app).delete(`/pets/${pet._id}`).set("Authorization", auth),
+    ]);
+
+    responses.forEach(res => {
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({ error: "You do not have permission to modify this resource" });
+    });
+    expect(await ctx.db.collection("pets").findOne({ _id: pet._id })).toMatchObject({ name: "Buddy", adopted: false });
+  });
+
+  it("lets admins act on any pet", async () => {
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+
+    const res = await request(ctx.app)
+      .patch(`/pets/${pet._id}`)
+      .set("Authorization", await tokenFor("admin@example.com"))
+      .send({ name: "Moderated" });
+
+    expect(res.status).toBe(200);
+  });
+
+  it("returns 404 for unknown pets", async () => {
+    const res = await request(ctx.app)
+      .delete(`/pets/${missingId}`)
+      .set("Authorization", await tokenFor(owner));
+    expect(res.status).toBe(404);
+  });
+
+  it("requires a token", async () => {
+    expect((await request(ctx.app).delete(`/pets/${pet._id}`)).status).toBe(401);
+  });
+});
+
+describe("admin pet routes", () => {
+  let pet;
+  let adminAuth;
+
+  beforeEach(async () => {
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+    adminAuth = await tokenFor("admin@example.com");
+    pet = await createPet(ctx.db);
+  });
+
+  it("lists every pet", async () => {
+    await createPet(ctx.db, { adopted: true });
+
+    const res = await request(ctx.app).get("/admin/pets").set("Authorization", adminAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.pets).toHaveLength(2);
+
+    const adopted = await request(ctx.app).get("/admin/pets?adopted=true").set("Authorization", adminAuth);
+    expect(adopted.body.total).toBe(1);
+  });
+
+  it("toggles adoption status", async () => {
+    const res = await request(ctx.app)
+      .patch(`/pets/status/${pet._id}`)
+      .set("Authorization", adminAuth)
+      .send({ adopted: true });
+
+    expect(res.status).toBe(200);
+    expect((await ctx.db.collection("pets").findOne({ _id: pet._id })).adopted).toBe(true);
+  });
+
+  it("needs a boolean adoption status", async () => {
+    const change = body => request(ctx.app).patch(`/pets/status/${pet._id}`).set("Authorization", adminAuth).send(body);
+
+    expect((await change({})).status).toBe(400);
+    expect((await change({ adopted: "yes" })).status).toBe(400);
+    expect((await ctx.db.collection("pets").findOne({ _id: pet._id })).adopted).toBe(false);
+    expect(await ctx.db.collection("auditLog").countDocuments({ action: "pet.status_changed" })).toBe(0);
+  });
+
+  it("answers 404 when changing the status of an unknown pet", async () => {
+    const change = id => request(ctx.app).patch(`/pets/status/${id}`).set("Authorization", adminAuth).send({ adopted: true });
+
+    for (const id of ["64b000000000000000000000", "not-an-id"]) {
+      const res = await change(id);
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ error: "Pet not found" });
+    }
+  });
+
+  it("deletes a pet", async () => {
+    const res = await request(ctx.app).delete(`/admin/pets/${pet._id}`).set("Authorization", adminAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.deletedCount).toBe(1);
+    expect(await ctx.db.collection("auditLog").findOne({ action: "pet.deleted" })).toMatchObject({
+      actorEmail: "admin@example.com",
+      targetId: pet._id.toString(),
+    });
+  });
+
+  it("is closed to regular users", async () => {
+    const auth = await tokenFor(owner);
+
+    expect((await request(ctx.app).get("/admin/pets").set("Authorization", auth)).status).toBe(403);
+    expect((await request(ctx.app).delete(`/admin/pets/${pet._id}`).set("Authorization", auth)).status).toBe(403);
+    expect((await request(ctx.app).patch(`/pets/status/${pet._id}`).set("Authorization", auth).send({ adopted: true })).status).toBe(403);
+  });
+});
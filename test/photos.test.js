@@ -0,0 +1,222 @@
+const fs = require("fs");
+const path = require("path");
+const request = require("supertest");
+const sharp = require("sharp");
+const { setupTestApp, tokenFor, createUser, createPet, createCampaign } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const owner = "owner@example.com";
+
+// A solid-colour JPEG carrying a GPS position in its EXIF data
+function jpeg({ width = 400, height = 300, color = "red" } = {}) {
+  return sharp({ create: { width, height, channels: 3, background: color } })
+    .jpeg()
+    .withExif({ IFD3: { GPSLatitudeRef: "N", GPSLatitude: "23/1 48/1 0/1" } })
+    .toBuffer();
+}
+
+// Path on disk of a stored file, from its storage key
+const stored = key => path.join(ctx.uploadsDir, key);
+
+async function upload(pet, ...files) {
+  let req = request(ctx.app).post(`/pets/${pet._id}/photos`).set("Authorization", await tokenFor(owner));
+  files.forEach((file, i) => {
+    req = req.attach("photos", file, { filename: `photo-${i}.jpg`, contentType: "image/jpeg" });
+  });
+  return req;
+}
+
+describe("POST /pets/:id/photos", () => {
+  it("stores every size, makes the first photo primary and serves the files", async () => {
+    const pet = await createPet(ctx.db);
+
+    const res = await upload(pet, await jpeg({ width: 2000, height: 1000 }), await jpeg({ color: "blue" }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.photos).toHaveLength(2);
+
+    const [first] = res.body.photos;
+    expect(first.sizes.large).toMatchObject({ width: 1600, height: 800 });
+    expect(first.sizes.medium).toMatchObject({ width: 800, height: 400 });
+    expect(first.sizes.thumbnail).toMatchObject({ width: 320, height: 320 });
+
+    const saved = await ctx.db.collection("pets").findOne({ _id: pet._id });
+    expect(saved.photos).toHaveLength(2);
+    expect(saved.image).toBe(first.sizes.medium.url);
+
+    const served = await request(ctx.app).get(first.sizes.thumbnail.url);
+    expect(served.status).toBe(200);
+    expect(served.headers["content-type"]).toBe("image/webp");
+  });
+
+  it("strips EXIF data such as the GPS position", async () => {
+    const pet = await createPet(ctx.db);
+    const original = await jpeg();
+    expect((await sharp(original).metadata()).exif).toBeDefined();
+
+    const res = await upload(pet, original);
+
+    for (const size of Object.values(res.body.photos[0].sizes)) {
+      const metadata = await sharp(fs.readFileSync(stored(size.key))).metadata();
+      expect(metadata.format).toBe("webp");
+      expect(metadata.exif).toBeUndefined();
+    }
+  });
+
+  it("rejects files that aren't accepted images", async () => {
+    const pet = await createPet(ctx.db);
+    const auth = await tokenFor(owner);
+
+    const fake = await request(ctx.app)
+      .post(`/pets/${pet._id}/photos`)
+      .set("Authorization", auth)
+      .attach("photos", Buffer.from("not really a jpeg"), { filename: "a.jpg", contentType: "image/jpeg" });
+    expect(fake.status).toBe(400);
+
+    const gif = await request(ctx.app)
+      .post(`/pets/${pet._id}/photos`)
+      .set("Authorization", auth)
+      .attach("photos", Buffer.from("GIF89a"), { filename: "a.gif", contentType: "image/gif" });
+    expect(gif.status).toBe(400);
+
+    const none = await request(ctx.app).post(`/pets/${pet._id}/photos`).set("Authorization", auth);
+    expect(none.status).toBe(400);
+
+    expect((await ctx.db.collection("pets").findOne({ _id: pet._id })).photos).toBeUndefined();
+  });
+
+  it("rejects oversized files and too many photos", async () => {
+    const pet = await createPet(ctx.db);
+
+    const big = await upload(pet, Buffer.alloc(1.5 * 1024 * 1024));
+    expect(big.status).toBe(413);
+
+    const image = await jpeg();
+    expect((await upload(pet, image, image, image)).status).toBe(200);
+    const tooMany = await upload(await ctx.db.collection("pets").findOne({ _id: pet._id }), image, image);
+    expect(tooMany.status).toBe(400);
+    expect((await ctx.db.collection("pets").findOne({ _id: pet._id })).photos).toHaveLength(3);
+  });
+
+  it("is limited to the pet's owner", async () => {
+    const pet = await createPet(ctx.db);
+
+    const res = await request(ctx.app)
+      .post(`/pets/${pet._id}/photos`)
+      .set("Authorization", await tokenFor("stranger@example.com"))
+      .attach("photos", await jpeg(), { filename: "a.jpg", contentType: "image/jpeg" });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("gallery management", () => {
+  let pet;
+  let photos;
+
+  beforeEach(async () => {
+    pet = await createPet(ctx.db);
+    photos = (await upload(pet, await jpeg(), await jpeg({ color: "green" }), await jpeg({ color: "blue" }))).body.photos;
+  });
+
+  const savedPet = () => ctx.db.collection("pets").findOne({ _id: pet._id });
+
+  it("sets the primary photo", async () => {
+    const res = await request(ctx.app)
+      .patch(`/pets/${pet._id}/photos/${photos[2]._id}/primary`)
+      .set("Authorization", await tokenFor(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body.photos.map(p => p._id)).toEqual([photos[2]._id, photos[0]._id, photos[1]._id]);
+    expect((await savedPet()).image).toBe(photos[2].sizes.medium.url);
+  });
+
+  it("reorders the gallery", async () => {
+    const order = [photos[1]._id, photos[2]._id, photos[0]._id];
+
+    const res = await request(ctx.app)
+      .put(`/pets/${pet._id}/photos/order`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ order });
+
+    expect(res.status).toBe(200);
+    expect((await savedPet()).photos.map(p => p._id.toString())).toEqual(order);
+
+    const partial = await request(ctx.app)
+      .put(`/pets/${pet._id}/photos/order`)
+      .set("Authorization", await tokenFor(owner))
+      .send({ order: [photos[0]._id] });
+    expect(partial.status).toBe(400);
+  });
+
+  it("removes a photo and its files but keeps the last one", async () => {
+    const auth = await tokenFor(owner);
+
+    const res = await request(ctx.app).delete(`/pets/${pet._id}/photos/${photos[0]._id}`).set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.photos).toHaveLength(2);
+    expect(fs.existsSync(stored(photos[0].sizes.medium.key))).toBe(false);
+    expect((await savedPet()).image).toBe(photos[1].sizes.medium.url);
+
+    await request(ctx.app).delete(`/pets/${pet._id}/photos/${photos[1]._id}`).set("Authorization", auth);
+    const last = await request(ctx.app).delete(`/pets/${pet._id}/photos/${photos[2]._id}`).set("Authorization", auth);
+    expect(last.status).toBe(409);
+
+    const missing = await request(ctx.app).delete(`/pets/${pet._id}/photos/${photos[0]._id}`).set("Authorization", auth);
+    expect(missing.status).toBe(404);
+  });
+
+  it("keeps the files of a deleted pet until the trash is purged", async () => {
+    await request(ctx.app).delete(`/pets/${pet._id}`).set("Authorization", await tokenFor(owner));
+    expect(fs.existsSync(stored(photos[0].sizes.medium.key))).toBe(true);
+
+    const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+    await ctx.app.locals.services.trash.purgeExpired(later);
+
+    for (const photo of photos) {
+      for (const size of Object.values(photo.sizes)) {
+        expect(fs.existsSync(stored(size.key))).toBe(false);
+      }
+    }
+  });
+
+  it("cleans up the files of a pet deleted by an admin once purged", async () => {
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+
+    await request(ctx.app).delete(`/admin/pets/${pet._id}`).set("Authorization", await tokenFor("admin@example.com"));
+    await ctx.app.locals.services.trash.purgeExpired(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000));
+
+    expect(fs.existsSync(stored(photos[1].sizes.large.key))).toBe(false);
+  });
+});
+
+describe("POST /donation-campaigns/:id/image", () => {
+  it("replaces the campaign image and removes the previous upload", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const auth = await tokenFor(owner);
+    const send = async () =>
+      request(ctx.app)
+        .post(`/donation-campaigns/${campaign._id}/image`)
+        .set("Authorization", auth)
+        .attach("image", await jpeg(), { filename: "a.jpg", contentType: "image/jpeg" });
+
+    const first = await send();
+    expect(first.status).toBe(200);
+    expect((await ctx.db.collection("donationCampaigns").findOne({ _id: campaign._id })).petImage).toBe(first.body.petImage);
+
+    const second = await send();
+    expect(second.body.petImage).not.toBe(first.body.petImage);
+    expect(fs.existsSync(stored(first.body.sizes.medium.key))).toBe(false);
+    expect(fs.existsSync(stored(second.body.sizes.medium.key))).toBe(true);
+  });
+});
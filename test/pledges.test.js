@@ -0,0 +1,348 @@
+const request = require("supertest");
+const { setupTestApp, tokenFor, signedEvent, createUser, createCampaign } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const donor = "donor@example.com";
+const stranger = "stranger@example.com";
+
+function deliver(type, object) {
+  const { payload, signature } = signedEvent(type, object);
+  return request(ctx.app)
+    .post("/stripe/webhook")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", signature)
+    .send(payload);
+}
+
+async function startPledge(campaign, body = {}, email = donor) {
+  return request(ctx.app)
+    .post("/donations/subscriptions")
+    .set("Authorization", await tokenFor(email))
+    .send({ donationId: campaign._id.toString(), amount: 10, ...body });
+}
+
+// A paid subscription invoice as sent with invoice.paid
+function invoice(pledge, overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    id: "in_test_paid",
+    object: "invoice",
+    amount_paid: 1000,
+    currency: pledge.currency,
+    created: now,
+    status_transitions: { paid_at: now },
+    parent: {
+      type: "subscription_details",
+      subscription_details: { subscription: pledge.stripeSubscriptionId, metadata: { pledgeId: pledge._id } },
+    },
+    payments: { object: "list", data: [{ payment: { type: "payment_intent", payment_intent: "pi_test_monthly_1" } }] },
+    ...overrides,
+  };
+}
+
+async function findPledge(id) {
+  return ctx.db.collection("pledges").findOne({ stripeSubscriptionId: id });
+}
+
+async function campaignTotal(campaign) {
+  return (await ctx.db.collection("donationCampaigns").findOne({ _id: campaign._id })).donatedAmount;
+}
+
+describe("POST /donations/subscriptions", () => {
+  it("creates a monthly Stripe subscription for the campaign and returns the first charge's client secret", async () => {
+    await createUser(ctx.db, { email: donor, name: "Dana Donor" });
+    const campaign = await createCampaign(ctx.db);
+
+    const res = await startPledge(campaign);
+
+    expect(res.status).toBe(201);
+    expect(res.body.clientSecret).toMatch(/_secret_test$/);
+    expect(res.body.pledge).toMatchObject({ amount: 10, currency: "usd", status: "incomplete", donorEmail: donor });
+
+    expect(ctx.stripe.customers.create).toHaveBeenCalledWith(
+      expect.objectContaining({ email: donor, name: "Dana Donor" }),
+      expect.anything()
+    );
+    const [params] = ctx.stripe.subscriptions.create.mock.calls[0];
+    expect(params.items[0].price_data).toMatchObject({ currency: "usd", unit_amount: 1000, recurring: { interval: "month" } });
+    expect(params.metadata).toMatchObject({ donationId: campaign._id.toString(), donorEmail: donor });
+
+    const user = await ctx.db.collection("users").findOne({ email: donor });
+    expect(user.stripeCustomerId).toMatch(/^cus_test_/);
+  });
+
+  it("reuses the donor's customer and the campaign's product", async () => {
+    await createUser(ctx.db, { email: donor });
+    const first = await createCampaign(ctx.db);
+    const second = await createCampaign(ctx.db, { petName: "Max" });
+
+    await startPledge(first);
+    await startPledge(second);
+
+    expect(ctx.stripe.customers.create).toHaveBeenCalledTimes(1);
+    expect(ctx.stripe.products.create).toHaveBeenCalledTimes(2);
+    const [[firstParams], [secondParams]] = ctx.stripe.subscriptions.create.mock.calls;
+    expect(secondParams.customer).toBe(firstParams.customer);
+  });
+
+  it("converts pledges in another currency at today's rate", async () => {
+    const campaign = await createCampaign(ctx.db);
+
+    const res = await startPledge(campaign, { amount: 1500, currency: "jpy" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.pledge).toMatchObject({ currency: "jpy", campaignCurrency: "usd", convertedAmount: 10 });
+    expect(ctx.stripe.subscriptions.create.mock.calls[0][0].items[0].price_data.unit_amount).toBe(1500);
+  });
+
+  it("allows one live pledge per donor and campaign", async () => {
+    const campaign = await createCampaign(ctx.db);
+
+    await startPledge(campaign);
+    const res = await startPledge(campaign);
+
+    expect(res.status).toBe(409);
+  });
+
+  it("refuses campaigns that don't take donations and invalid bodies", async () => {
+    const paused = await createCampaign(ctx.db, { status: "paused", paused: true });
+    expect((await startPledge(paused)).status).toBe(403);
+
+    const campaign = await createCampaign(ctx.db);
+    expect((await startPledge(campaign, { amount: -5 })).status).toBe(400);
+
+    const res = await request(ctx.app).post("/donations/subscriptions").send({ donationId: campaign._id.toString(), amount: 10 });
+    expect(res.status).toBe(401);
+    expect(ctx.stripe.subscriptions.create).not.toHaveBeenCalled();
+  });
+
+  it("forgets the pledge when Stripe refuses the subscription", async () => {
+    const campaign = await createCampaign(ctx.db);
+    ctx.stripe.subscriptions.create.mockRejectedValueOnce(new Error("Your card was declined"));
+
+    const res = await startPledge(campaign);
+
+    expect(res.status).toBe(502);
+    expect(await ctx.db.collection("pledges").countDocuments()).toBe(0);
+  });
+});
+
+describe("monthly charges", () => {
+  it("records every paid invoice as a donation and adds it to the campaign total", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const { body } = await startPledge(campaign);
+    const pledge = body.pledge;
+
+    expect((await deliver("invoice.paid", invoice(pledge))).status).toBe(200);
+    // Redelivery
+    await deliver("invoice.paid", invoice(pledge));
+    await deliver("invoice.paid", invoice(pledge, {
+      id: "in_test_second",
+      payments: { object: "list", data: [{ payment: { type: "payment_intent", payment_intent: "pi_test_monthly_2" } }] },
+    }));
+
+    const donations = await ctx.db.collection("donations").find({}).sort({ transactionId: 1 }).toArray();
+    expect(donations).toHaveLength(2);
+    expect(donations[0]).toMatchObject({
+      transactionId: "pi_test_monthly_1",
+      invoiceId: "in_test_paid",
+      donorEmail: donor,
+      amount: 10,
+      status: "succeeded",
+    });
+    expect(donations[0].pledgeId.toString()).toBe(pledge._id);
+    expect(await campaignTotal(campaign)).toBe(20);
+
+    const stored = await findPledge(pledge.stripeSubscriptionId);
+    expect(stored.status).toBe("active");
+    expect(stored.lastChargedAt).toBeInstanceOf(Date);
+  });
+
+  it("credits charges in another currency at the pledge's rate", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const { body } = await startPledge(campaign, { amount: 8, currency: "eur" });
+
+    await deliver("invoice.paid", invoice(body.pledge, { amount_paid: 800 }));
+
+    const donation = await ctx.db.collection("donations").findOne({});
+    expect(donation).toMatchObject({ amount: 10, currency: "usd", originalAmount: 8, originalCurrency: "eur" });
+  });
+
+  it("looks up the PaymentIntent when the invoice doesn't carry it", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const { body } = await startPledge(campaign);
+    ctx.stripe.invoicePayments.list.mockResolvedValueOnce({
+      object: "list",
+      data: [{ payment: { type: "payment_intent", payment_intent: "pi_test_listed" } }],
+    });
+
+    await deliver("invoice.paid", invoice(body.pledge, { payments: undefined }));
+
+    expect(ctx.stripe.invoicePayments.list).toHaveBeenCalledWith({ invoice: "in_test_paid", status: "paid" });
+    expect(await ctx.db.collection("donations").findOne({ transactionId: "pi_test_listed" })).toBeTruthy();
+  });
+
+  it("ignores invoices that are not for a pledge", async () => {
+    const res = await deliver("invoice.paid", { id: "in_other", object: "invoice", amount_paid: 500, currency: "usd", parent: null });
+
+    expect(res.status).toBe(200);
+    expect(await ctx.db.collection("donations").countDocuments()).toBe(0);
+  });
+
+  it("follows the subscription status and marks failed charges", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const { body } = await startPledge(campaign);
+    const subscription = { id: body.pledge.stripeSubscriptionId, object: "subscription", metadata: {} };
+    await deliver("invoice.paid", invoice(body.pledge));
+
+    await deliver("invoice.payment_failed", invoice(body.pledge, { id: "in_test_failed", amount_paid: 0 }));
+    expect(await findPledge(subscription.id)).toMatchObject({ status: "past_due", lastPaymentError: expect.any(String) });
+
+    await deliver("customer.subscription.deleted", { ...subscription, status: "canceled" });
+    expect(await findPledge(subscription.id)).toMatchObject({ status: "canceled", cancelReason: "stripe" });
+
+    // Canceled is final
+    await deliver("customer.subscription.updated", { ...subscription, status: "active" });
+    expect((await findPledge(subscription.id)).status).toBe("canceled");
+  });
+});
+
+describe("managing pledges", () => {
+  async function activePledge(campaign) {
+    const { body } = await startPledge(campaign);
+    await deliver("invoice.paid", invoice(body.pledge));
+    return body.pledge;
+  }
+
+  it("lists the donor's pledges with their campaigns", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await activePledge(campaign);
+    await startPledge(campaign, {}, stranger);
+
+    const res = await request(ctx.app)
+      .get("/donations/my/subscriptions")
+      .set("Authorization", await tokenFor(donor));
+
+    expect(res.status).toBe(200);
+    expect(res.body.pledges).toHaveLength(1);
+    expect(res.body.pledges[0]).toMatchObject({ petName: "Luna", campaignStatus: "active", status: "active", amount: 10 });
+  });
+
+  it("pauses and resumes collection at Stripe", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const pledge = await activePledge(campaign);
+    const auth = await tokenFor(donor);
+
+    const paused = await request(ctx.app).post(`/donations/subscriptions/${pledge._id}/pause`).set("Authorization", auth);
+    expect(paused.status).toBe(200);
+    expect(paused.body.status).toBe("paused");
+    expect(ctx.stripe.subscriptions.update).toHaveBeenLastCalledWith(pledge.stripeSubscriptionId, { pause_collection: { behavior: "void" } });
+
+    const again = await request(ctx.app).post(`/donations/subscriptions/${pledge._id}/pause`).set("Authorization", auth);
+    expect(again.status).toBe(409);
+
+    const resumed = await request(ctx.app).post(`/donations/subscriptions/${pledge._id}/resume`).set("Authorization", auth);
+    expect(resumed.status).toBe(200);
+    expect(resumed.body.status).toBe("active");
+    expect(ctx.stripe.subscriptions.update).toHaveBeenLastCalledWith(pledge.stripeSubscriptionId, { pause_collection: "" });
+  });
+
+  it("won't resume a pledge while the campaign is paused", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const pledge = await activePledge(campaign);
+    const auth = await tokenFor(donor);
+    await request(ctx.app).post(`/donations/subscriptions/${pledge._id}/pause`).set("Authorization", auth);
+    await ctx.db.collection("donationCampaigns").updateOne({ _id: campaign._id }, { $set: { status: "paused", paused: true } });
+
+    const res = await request(ctx.app).post(`/donations/subscriptions/${pledge._id}/resume`).set("Authorization", auth);
+
+    expect(res.status).toBe(403);
+  });
+
+  it("cancels the subscription", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const pledge = await activePledge(campaign);
+    const auth = await tokenFor(donor);
+
+    const res = await request(ctx.app).delete(`/donations/subscriptions/${pledge._id}`).set("Authorization", auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: "canceled", cancelReason: "donor" });
+    expect(ctx.stripe.subscriptions.cancel).toHaveBeenCalledWith(pledge.stripeSubscriptionId);
+
+    const again = await request(ctx.app).delete(`/donations/subscriptions/${pledge._id}`).set("Authorization", auth);
+    expect(again.status).toBe(409);
+  });
+
+  it("only lets the donor and admins manage a pledge", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const pledge = await activePledge(campaign);
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+
+    const forbidden = await request(ctx.app)
+      .delete(`/donations/subscriptions/${pledge._id}`)
+      .set("Authorization", await tokenFor(stranger));
+    expect(forbidden.status).toBe(403);
+
+    const missing = await request(ctx.app)
+      .delete("/donations/subscriptions/64b000000000000000000000")
+      .set("Authorization", await tokenFor(donor));
+    expect(missing.status).toBe(404);
+
+    const admin = await request(ctx.app)
+      .delete(`/donations/subscriptions/${pledge._id}`)
+      .set("Authorization", await tokenFor("admin@example.com"));
+    expect(admin.status).toBe(200);
+    expect(admin.body.cancelReason).toBe("admin");
+  });
+});
+
+describe("when the campaign ends", () => {
+  it("cancels the campaign's pledges once it is closed", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const { body } = await startPledge(campaign);
+    const other = await createCampaign(ctx.db, { petName: "Max" });
+    await startPledge(other);
+
+    const res = await request(ctx.app)
+      .patch(`/donation-campaigns/${campaign._id}/status`)
+      .set("Authorization", await tokenFor("owner@example.com"))
+      .send({ status: "closed" });
+
+    expect(res.status).toBe(200);
+    expect(ctx.stripe.subscriptions.cancel).toHaveBeenCalledTimes(1);
+    expect(await findPledge(body.pledge.stripeSubscriptionId)).toMatchObject({ status: "canceled", cancelReason: "campaign_ended" });
+  });
+
+  it("cancels pledges once a charge reaches the goal", async () => {
+    const campaign = await createCampaign(ctx.db, { targetAmount: 10 });
+    const { body } = await startPledge(campaign);
+
+    await deliver("invoice.paid", invoice(body.pledge));
+
+    expect((await ctx.db.collection("donationCampaigns").findOne({ _id: campaign._id })).status).toBe("goal_reached");
+    expect((await findPledge(body.pledge.stripeSubscriptionId)).status).toBe("canceled");
+  });
+
+  it("cancels pledges of expired campaigns from the status job", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const { body } = await startPledge(campaign);
+    await ctx.db.collection("donationCampaigns").updateOne({ _id: campaign._id }, { $set: { lastDate: new Date(Date.now() - 1000) } });
+
+    const { campaigns, pledges } = ctx.app.locals.services;
+    await campaigns.refreshStatuses();
+    expect(await pledges.stopForEndedCampaigns()).toBe(1);
+
+    expect((await findPledge(body.pledge.stripeSubscriptionId)).status).toBe("canceled");
+    expect(await pledges.stopForEndedCampaigns()).toBe(0);
+  });
+});
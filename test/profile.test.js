@@ -0,0 +1,262 @@
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { setupTestApp, tokenFor, createUser, createPet, createCampaign, createDonation } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const tokenFromMail = message => new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+
+describe("GET /api/users/:email", () => {
+  it("returns the profile with computed stats", async () => {
+    const createdAt = new Date("2024-01-15T00:00:00Z");
+    await createUser(ctx.db, { email: "me@example.com", bio: "Cat person", passwordHash: "scrypt$a$b", createdAt });
+    await createPet(ctx.db, { ownerEmail: "me@example.com" });
+    await createPet(ctx.db, { ownerEmail: "me@example.com" });
+    const adopted = await createPet(ctx.db);
+    const adoption = { petId: adopted._id.toString(), phone: "0123456789", address: "Dhaka", requesterEmail: "me@example.com" };
+    await ctx.db.collection("adoptions").insertMany([
+      { ...adoption, status: "completed" },
+      { ...adoption, status: "pending" },
+    ]);
+    await createDonation(ctx.db, { donorEmail: "me@example.com", amount: 50 });
+    await createDonation(ctx.db, { donorEmail: "me@example.com", amount: 40, status: "partially_refunded", refundedAmount: 10 });
+    await createDonation(ctx.db, { donorEmail: "me@example.com", amount: 100, status: "refunded", refundedAmount: 100 });
+
+    const res = await request(ctx.app)
+      .get("/api/users/Me@example.com")
+      .set("Authorization", await tokenFor("me@example.com"));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ email: "me@example.com", bio: "Cat person", role: "user" });
+    expect(res.body.passwordHash).toBeUndefined();
+    expect(res.body.stats).toEqual({
+      petsListed: 2,
+      adoptionsCompleted: 1,
+      totalDonated: 80,
+      totalDonatedCurrency: "usd",
+      memberSince: createdAt.toISOString(),
+    });
+  });
+
+  it("lets admins read anyone but not other users", async () => {
+    await createUser(ctx.db, { email: "me@example.com" });
+    await createUser(ctx.db, { email: "other@example.com" });
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+
+    const forbidden = await request(ctx.app)
+      .get("/api/users/me@example.com")
+      .set("Authorization", await tokenFor("other@example.com"));
+    expect(forbidden.status).toBe(403);
+
+    const ok = await request(ctx.app)
+      .get("/api/users/me@example.com")
+      .set("Authorization", await tokenFor("admin@example.com"));
+    expect(ok.status).toBe(200);
+    expect(ok.body.email).toBe("me@example.com");
+  });
+
+  it("requires a token", async () => {
+    const res = await request(ctx.app).get("/api/users/me@example.com");
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("PUT /api/users/:email", () => {
+  it("updates the editable fields only", async () => {
+    await createUser(ctx.db, { email: "me@example.com" });
+
+    const res = await request(ctx.app)
+      .put("/api/users/me@example.com")
+      .set("Authorization", await tokenFor("me@example.com"))
+      .send({ name: "New Name", phone: "+8801700000000", bio: "Hi", banned: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ name: "New Name", phone: "+8801700000000", bio: "Hi" });
+
+    const saved = await ctx.db.collection("users").findOne({ email: "me@example.com" });
+    expect(saved).toMatchObject({ name: "New Name", phone: "+8801700000000", bio: "Hi" });
+    expect(saved.banned).toBeUndefined();
+  });
+
+  it("rejects updates to someone else's profile", async () => {
+    await createUser(ctx.db, { email: "me@example.com" });
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+
+    const res = await request(ctx.app)
+      .put("/api/users/me@example.com")
+      .set("Authorization", await tokenFor("admin@example.com"))
+      .send({ name: "Hacked" });
+
+    expect(res.status).toBe(403);
+    expect((await ctx.db.collection("users").findOne({ email: "me@example.com" })).name).toBe("Test User");
+  });
+
+  it("refuses a direct email change", async () => {
+    await createUser(ctx.db, { email: "me@example.com" });
+
+    const res = await request(ctx.app)
+      .put("/api/users/me@example.com")
+      .set("Authorization", await tokenFor("me@example.com"))
+      .send({ email: "new@example.com" });
+
+    expect(res.status).toBe(400);
+    expect(await ctx.db.collection("users").countDocuments({ email: "me@example.com" })).toBe(1);
+  });
+
+  it("validates field lengths", async () => {
+    await createUser(ctx.db, { email: "me@example.com" });
+
+    const res = await request(ctx.app)
+      .put("/api/users/me@example.com")
+      .set("Authorization", await tokenFor("me@example.com"))
+      .send({ bio: "x".repeat(1001) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([{ field: "bio", message: "must be at most 1000 characters" }]);
+  });
+});
+
+describe("email change", () => {
+  it("moves the account and its records to the verified address", async () => {
+    await createUser(ctx.db, { email: "me@example.com" });
+    const pet = await createPet(ctx.db, { ownerEmail: "me@example.com" });
+    const campaign = await createCampaign(ctx.db, { ownerEmail: "me@example.com" });
+    const donation = await createDonation(ctx.db, { donorEmail: "me@example.com" });
+    const { insertedId: pledgeId } = await ctx.db.collection("pledges").insertOne({
+      donationId: campaign._id,
+      donorEmail: "me@example.com",
+      amount: 10,
+      currency: "usd",
+      status: "active",
+    });
+    const { insertedId: conversationId } = await ctx.db.collection("conversations").insertOne({
+      petId: pet._id,
+      ownerEmail: "me@example.com",
+      adopterEmail: "adopter@example.com",
+    });
+    const { insertedId: askedId } = await ctx.db.collection("conversations").insertOne({
+      petId: new ObjectId(),
+      ownerEmail: "owner@example.com",
+      adopterEmail: "me@example.com",
+    });
+    const { insertedId: messageId } = await ctx.db.collection("messages").insertOne({
+      conversationId,
+      senderEmail: "me@example.com",
+      text: "Is Buddy still available?",
+      date: new Date(),
+    });
+    const { insertedId: reportId } = await ctx.db.collection("reports").insertOne({
+      targetType: "pet",
+      targetId: new ObjectId(),
+      reporterEmail: "me@example.com",
+      reason: "scam",
+      status: "open",
+      date: new Date(),
+    });
+    await ctx.db.collection("notifications").insertOne({ email: "me@example.com", type: "donation_received", title: "New donation", date: new Date() });
+    await ctx.db.collection("emailSuppressions").insertMany([
+      { email: "me@example.com", category: "donations", date: new Date() },
+      { email: "me@example.com", category: "campaigns", date: new Date() },
+      // Unsubscribed from before the address was theirs
+      { email: "new@example.com", category: "campaigns", date: new Date() },
+    ]);
+    const auth = await tokenFor("me@example.com");
+
+    const started = await request(ctx.app)
+      .post("/api/users/me@example.com/email-change")
+      .set("Authorization", auth)
+      .send({ newEmail: "New@example.com" });
+
+    expect(started.status).toBe(202);
+    await ctx.deliverEmails();
+    expect(ctx.mailer.sent).toHaveLength(1);
+    expect(ctx.mailer.sent[0].to).toBe("new@example.com");
+    expect(ctx.mailer.sent[0].text).toContain("http://app.test/verify-email?token=");
+
+    // Nothing changes until the link is followed
+    expect(await ctx.db.collection("users").countDocuments({ email: "me@example.com" })).toBe(1);
+
+    const confirmed = await request(ctx.app)
+      .post("/api/users/email-change/confirm")
+      .send({ token: tokenFromMail(ctx.mailer.sent[0]) });
+
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.email).toBe("new@example.com");
+
+    const user = await ctx.db.collection("users").findOne({ email: "new@example.com" });
+    expect(user.pendingEmailChange).toBeUndefined();
+    expect((await ctx.db.collection("pets").findOne({ _id: pet._id })).ownerEmail).toBe("new@example.com");
+    expect((await ctx.db.collection("donationCampaigns").findOne({ _id: campaign._id })).ownerEmail).toBe("new@example.com");
+    expect((await ctx.db.collection("donations").findOne({ _id: donation._id })).donorEmail).toBe("new@example.com");
+    expect((await ctx.db.collection("pledges").findOne({ _id: pledgeId })).donorEmail).toBe("new@example.com");
+    expect((await ctx.db.collection("conversations").findOne({ _id: conversationId })).ownerEmail).toBe("new@example.com");
+    expect((await ctx.db.collection("conversations").findOne({ _id: askedId })).adopterEmail).toBe("new@example.com");
+    expect(await ctx.db.collection("notifications").countDocuments({ email: "new@example.com" })).toBe(1);
+    expect((await ctx.db.collection("messages").findOne({ _id: messageId })).senderEmail).toBe("new@example.com");
+    expect((await ctx.db.collection("reports").findOne({ _id: reportId })).reporterEmail).toBe("new@example.com");
+    const suppressions = await ctx.db.collection("emailSuppressions").find({}, { sort: { category: 1 } }).toArray();
+    expect(suppressions.map(({ email, category }) => ({ email, category }))).toEqual([
+      { email: "new@example.com", category: "campaigns" },
+      { email: "new@example.com", category: "donations" },
+    ]);
+
+    // Tokens issued for the old address stop working
+    expect((await request(ctx.app).get("/protected").set("Authorization", auth)).status).toBe(401);
+  });
+
+  it("rejects an address that is already taken", async () => {
+    await createUser(ctx.db, { email: "me@example.com" });
+    await createUser(ctx.db, { email: "taken@example.com" });
+
+    const res = await request(ctx.app)
+      .post("/api/users/me@example.com/email-change")
+      .set("Authorization", await tokenFor("me@example.com"))
+      .send({ newEmail: "taken@example.com" });
+
+    expect(res.status).toBe(409);
+    expect(await ctx.db.collection("emailQueue").countDocuments()).toBe(0);
+  });
+
+  it("rejects an unknown or expired token", async () => {
+    await createUser(ctx.db, { email: "me@example.com" });
+
+    await request(ctx.app)
+      .post("/api/users/me@example.com/email-change")
+      .set("Authorization", await tokenFor("me@example.com"))
+      .send({ newEmail: "new@example.com" });
+    await ctx.db.collection("users").updateOne(
+      { email: "me@example.com" },
+      { $set: { "pendingEmailChange.expiresAt": new Date(Date.now() - 1000) } }
+    );
+    await ctx.deliverEmails();
+
+    const expired = await request(ctx.app)
+      .post("/api/users/email-change/confirm")
+      .send({ token: tokenFromMail(ctx.mailer.sent[0]) });
+    expect(expired.status).toBe(400);
+
+    const unknown = await request(ctx.app).post("/api/users/email-change/confirm").send({ token: "nope" });
+    expect(unknown.status).toBe(400);
+    expect(await ctx.db.collection("users").countDocuments({ email: "me@example.com" })).toBe(1);
+  });
+
+  it("validates the new address", async () => {
+    await createUser(ctx.db, { email: "me@example.com" });
+
+    const res = await request(ctx.app)
+      .post("/api/users/me@example.com/email-change")
+      .set("Authorization", await tokenFor("me@example.com"))
+      .send({ newEmail: "not-an-email" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([{ field: "newEmail", message: "has an invalid format" }]);
+  });
+});
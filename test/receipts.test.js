@@ -0,0 +1,135 @@
+const request = require("supertest");
+const { setupTestApp, tokenFor, createUser, createCampaign, createDonation } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const donor = "donor@example.com";
+const owner = "owner@example.com";
+
+// Collect a binary response body into a Buffer
+function binary(res, callback) {
+  const chunks = [];
+  res.on("data", chunk => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+}
+
+describe("GET /donations/:id/receipt", () => {
+  let campaign;
+
+  beforeEach(async () => {
+    await createUser(ctx.db, { email: donor, name: "Dana Donor" });
+    campaign = await createCampaign(ctx.db);
+  });
+
+  const download = async (donation, email = donor) =>
+    request(ctx.app).get(`/donations/${donation._id}/receipt`).set("Authorization", await tokenFor(email)).buffer(true).parse(binary);
+
+  it("returns a numbered PDF receipt", async () => {
+    const donation = await createDonation(ctx.db, { donationId: campaign._id, date: new Date("2026-03-05T10:00:00Z") });
+
+    const res = await download(donation);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/pdf");
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="receipt-2026-000001.pdf"');
+    expect(res.body.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+
+  it("keeps a receipt's number and counts up for the next donation", async () => {
+    const first = await createDonation(ctx.db, { donationId: campaign._id });
+    const second = await createDonation(ctx.db, { donationId: campaign._id, status: "refunded", refundedAmount: 25 });
+    const year = new Date().getUTCFullYear();
+
+    await download(first);
+    await download(second);
+    const again = await download(first);
+
+    expect(again.headers["content-disposition"]).toContain(`receipt-${year}-000001.pdf`);
+    expect((await ctx.db.collection("donations").findOne({ _id: second._id })).receiptNumber).toBe(`${year}-000002`);
+  });
+
+  it("has no receipt for failed payments", async () => {
+    const donation = await createDonation(ctx.db, { donationId: campaign._id, status: "failed" });
+
+    expect((await download(donation)).status).toBe(409);
+  });
+
+  it("is only for the donor and admins", async () => {
+    const donation = await createDonation(ctx.db, { donationId: campaign._id });
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+
+    expect((await download(donation, owner)).status).toBe(403);
+    expect((await download(donation, "admin@example.com")).status).toBe(200);
+  });
+});
+
+describe("GET /donations/my/statement", () => {
+  beforeEach(async () => {
+    const campaign = await createCampaign(ctx.db, { petName: "Luna" });
+    const other = await createCampaign(ctx.db, { petName: "=Rex" });
+    await createDonation(ctx.db, { donationId: campaign._id, amount: 25, date: new Date("2026-02-01T00:00:00Z"), transactionId: "pi_feb" });
+    await createDonation(ctx.db, {
+      donationId: other._id,
+      amount: 40,
+      status: "partially_refunded",
+      refundedAmount: 15,
+      date: new Date("2026-06-01T00:00:00Z"),
+      transactionId: "pi_jun",
+    });
+    await createDonation(ctx.db, { donationId: campaign._id, amount: 10, status: "refunded", refundedAmount: 10, date: new Date("2026-07-01T00:00:00Z"), transactionId: "pi_jul" });
+    await createDonation(ctx.db, { donationId: campaign._id, amount: 99, status: "failed", date: new Date("2026-08-01T00:00:00Z") });
+    await createDonation(ctx.db, { donationId: campaign._id, amount: 50, date: new Date("2025-12-31T23:00:00Z") });
+    await createDonation(ctx.db, { donationId: campaign._id, amount: 70, donorEmail: "someone@example.com", date: new Date("2026-05-01T00:00:00Z") });
+  });
+
+  it("lists the year's donations as CSV with refunds marked", async () => {
+    const res = await request(ctx.app)
+      .get("/donations/my/statement?year=2026&format=csv")
+      .set("Authorization", await tokenFor(donor));
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="giving-statement-2026.csv"');
+    expect(res.text.trim().split("\r\n")).toEqual([
+      "Date,Campaign,Transaction ID,Currency,Amount,Refunded,Net,Status",
+      "2026-02-01T00:00:00.000Z,Luna,pi_feb,USD,25,0,25,Paid",
+      "2026-06-01T00:00:00.000Z,'=Rex,pi_jun,USD,40,15,25,Partially refunded",
+      "2026-07-01T00:00:00.000Z,Luna,pi_jul,USD,10,10,0,Refunded",
+    ]);
+  });
+
+  it("returns a PDF by default", async () => {
+    const res = await request(ctx.app)
+      .get("/donations/my/statement?year=2026")
+      .set("Authorization", await tokenFor(donor))
+      .buffer(true)
+      .parse(binary);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/pdf");
+    expect(res.body.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+
+  it("totals the year for the PDF", async () => {
+    const statement = await ctx.app.locals.services.receipts.statement(donor, 2026);
+
+    expect(statement.totals).toEqual([{ currency: "usd", amount: 75, refundedAmount: 25, netAmount: 50 }]);
+  });
+
+  it("validates the query and requires a token", async () => {
+    const auth = await tokenFor(donor);
+
+    expect((await request(ctx.app).get("/donations/my/statement?year=20x6").set("Authorization", auth)).status).toBe(400);
+    expect((await request(ctx.app).get("/donations/my/statement?format=xls").set("Authorization", auth)).status).toBe(400);
+    expect((await request(ctx.app).get("/donations/my/statement?year=2026.5").set("Authorization", auth)).status).toBe(400);
+    expect((await request(ctx.app).get("/donations/my/statement")).status).toBe(401);
+  });
+});
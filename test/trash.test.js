@@ -0,0 +1,146 @@
+const request = require("supertest");
+const { setupTestApp, tokenFor, createUser, createPet, createCampaign, createDonation } = require("./helpers");
+
+let ctx;
+let adminAuth;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+beforeEach(async () => {
+  await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+  adminAuth = await tokenFor("admin@example.com");
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const owner = "owner@example.com";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("deleting a pet", () => {
+  it("hides it from every listing but keeps the document", async () => {
+    const pet = await createPet(ctx.db, { geo: { type: "Point", coordinates: [90.41, 23.81] } });
+
+    const res = await request(ctx.app).delete(`/pets/${pet._id}`).set("Authorization", await tokenFor(owner));
+    expect(res.status).toBe(200);
+
+    expect((await ctx.db.collection("pets").findOne({ _id: pet._id })).deletedAt).toBeInstanceOf(Date);
+    expect((await request(ctx.app).get("/pets")).body.total).toBe(0);
+    expect((await request(ctx.app).get("/pets/nearby?lat=23.81&lng=90.41")).body.total).toBe(0);
+    expect((await request(ctx.app).get(`/pets/${pet._id}`)).status).toBe(404);
+    expect((await request(ctx.app).get("/my-pets").set("Authorization", await tokenFor(owner))).body.total).toBe(0);
+    expect((await request(ctx.app).get("/admin/pets").set("Authorization", adminAuth)).body.total).toBe(0);
+    expect((await request(ctx.app).get("/dashboard/stats").set("Authorization", await tokenFor(owner))).body.totalPets).toBe(0);
+  });
+
+  it("closes pending adoption requests and refuses new ones", async () => {
+    const pet = await createPet(ctx.db);
+    const { insertedId } = await ctx.db.collection("adoptions").insertOne({
+      petId: pet._id.toString(),
+      phone: "0123456789",
+      address: "Dhaka",
+      requesterEmail: "adopter@example.com",
+      status: "pending",
+      history: [],
+    });
+
+    await request(ctx.app).delete(`/admin/pets/${pet._id}`).set("Authorization", adminAuth);
+
+    const adoption = await ctx.db.collection("adoptions").findOne({ _id: insertedId });
+    expect(adoption).toMatchObject({ status: "rejected", rejectionReason: "Pet listing was removed" });
+
+    const retry = await request(ctx.app)
+      .post("/adoptions")
+      .set("Authorization", await tokenFor("adopter@example.com"))
+      .send({ petId: pet._id.toString(), phone: "0123456789", address: "Dhaka" });
+    expect(retry.status).toBe(404);
+  });
+});
+
+describe("deleting a campaign", () => {
+  it("is refused while donations hold money", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const donation = await createDonation(ctx.db, { donationId: campaign._id });
+
+    const blocked = await request(ctx.app).delete(`/admin/campaigns/${campaign._id}`).set("Authorization", adminAuth);
+    expect(blocked.status).toBe(409);
+    expect((await ctx.db.collection("donationCampaigns").findOne({ _id: campaign._id })).deletedAt).toBeUndefined();
+
+    await ctx.db.collection("donations").updateOne({ _id: donation._id }, { $set: { status: "refunded", refundedAmount: 25 } });
+
+    const allowed = await request(ctx.app).delete(`/admin/campaigns/${campaign._id}`).set("Authorization", adminAuth);
+    expect(allowed.status).toBe(200);
+  });
+
+  it("hides it from listings while donation history still names it", async () => {
+    const campaign = await createCampaign(ctx.db, { petName: "Luna" });
+    await createDonation(ctx.db, { donationId: campaign._id, status: "refunded", refundedAmount: 25 });
+
+    await request(ctx.app).delete(`/admin/campaigns/${campaign._id}`).set("Authorization", adminAuth);
+
+    expect((await request(ctx.app).get("/donation-campaigns")).body.total).toBe(0);
+    expect((await request(ctx.app).get(`/donation-campaigns/${campaign._id}`)).status).toBe(404);
+
+    const history = await request(ctx.app).get("/donations/my").set("Authorization", await tokenFor("donor@example.com"));
+    expect(history.body[0].petName).toBe("Luna");
+  });
+});
+
+describe("admin trash", () => {
+  let pet;
+  let campaign;
+
+  beforeEach(async () => {
+    pet = await createPet(ctx.db, { name: "Gone" });
+    campaign = await createCampaign(ctx.db);
+    await request(ctx.app).delete(`/admin/pets/${pet._id}`).set("Authorization", adminAuth);
+    await request(ctx.app).delete(`/admin/campaigns/${campaign._id}`).set("Authorization", adminAuth);
+  });
+
+  it("lists deleted pets and campaigns with their purge date", async () => {
+    const res = await request(ctx.app).get("/admin/trash").set("Authorization", adminAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.pets.map(p => p.name)).toEqual(["Gone"]);
+    expect(res.body.campaigns).toHaveLength(1);
+    expect(res.body.pets[0].deletedBy).toBe("admin@example.com");
+    expect(new Date(res.body.pets[0].purgeAt) - new Date(res.body.pets[0].deletedAt)).toBe(30 * DAY_MS);
+
+    const petsOnly = await request(ctx.app).get("/admin/trash?type=pets").set("Authorization", adminAuth);
+    expect(petsOnly.body.campaigns).toBeUndefined();
+
+    expect((await request(ctx.app).get("/admin/trash?type=users").set("Authorization", adminAuth)).status).toBe(400);
+  });
+
+  it("restores items into the listings", async () => {
+    const res = await request(ctx.app).post(`/admin/trash/pets/${pet._id}/restore`).set("Authorization", adminAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.deletedAt).toBeUndefined();
+    expect((await request(ctx.app).get(`/pets/${pet._id}`)).status).toBe(200);
+    expect(await ctx.db.collection("auditLog").countDocuments({ action: "pet.restored" })).toBe(1);
+
+    const again = await request(ctx.app).post(`/admin/trash/pets/${pet._id}/restore`).set("Authorization", adminAuth);
+    expect(again.status).toBe(404);
+  });
+
+  it("is admin only", async () => {
+    const auth = await tokenFor(owner);
+
+    expect((await request(ctx.app).get("/admin/trash").set("Authorization", auth)).status).toBe(403);
+    expect((await request(ctx.app).post(`/admin/trash/pets/${pet._id}/restore`).set("Authorization", auth)).status).toBe(403);
+  });
+
+  it("purges items once the retention period is over", async () => {
+    const { trash } = ctx.app.locals.services;
+
+    expect(await trash.purgeExpired(new Date(Date.now() + 29 * DAY_MS))).toEqual({ pets: 0, campaigns: 0 });
+    expect(await trash.purgeExpired(new Date(Date.now() + 31 * DAY_MS))).toEqual({ pets: 1, campaigns: 1 });
+
+    expect(await ctx.db.collection("pets").countDocuments()).toBe(0);
+    expect(await ctx.db.collection("donationCampaigns").countDocuments()).toBe(0);
+  });
+});
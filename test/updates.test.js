@@ -0,0 +1,200 @@
+const fs = require("fs");
+const path = require("path");
+const request = require("supertest");
+const sharp = require("sharp");
+const { setupTestApp, tokenFor, createUser, createCampaign, createDonation } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+const owner = "owner@example.com";
+const donor = "donor@example.com";
+
+const jpeg = () => sharp({ create: { width: 200, height: 150, channels: 3, background: "blue" } }).jpeg().toBuffer();
+
+async function postUpdate(campaign, text, { email = owner, photos = [] } = {}) {
+  const req = request(ctx.app).post(`/donation-campaigns/${campaign._id}/updates`).set("Authorization", await tokenFor(email));
+  if (!photos.length) return req.send({ text });
+
+  req.field("text", text);
+  photos.forEach((photo, i) => req.attach("photos", photo, { filename: `update-${i}.jpg`, contentType: "image/jpeg" }));
+  return req;
+}
+
+describe("POST /donation-campaigns/:id/updates", () => {
+  it("posts a text update and notifies every donor in-app and by email", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await createDonation(ctx.db, { donationId: campaign._id, donorEmail: donor });
+    await createDonation(ctx.db, { donationId: campaign._id, donorEmail: donor });
+    await createDonation(ctx.db, { donationId: campaign._id, donorEmail: "second@example.com" });
+    await createDonation(ctx.db, { donationId: campaign._id, donorEmail: "failed@example.com", status: "failed" });
+    await createDonation(ctx.db, { donorEmail: "elsewhere@example.com" });
+
+    const res = await postUpdate(campaign, "Luna's surgery went well!");
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ text: "Luna's surgery went well!", authorEmail: owner, photos: [] });
+
+    const notifications = await ctx.db.collection("notifications").find({}).toArray();
+    expect(notifications.map(n => n.email).sort()).toEqual([donor, "second@example.com"]);
+    expect(notifications[0]).toMatchObject({
+      type: "campaign_update",
+      title: "New update on Luna's campaign",
+      body: "Luna's surgery went well!",
+      link: `http://app.test/donation-campaigns/${campaign._id}`,
+      data: { campaignId: campaign._id.toString(), updateId: res.body._id },
+    });
+
+    await ctx.deliverEmails();
+    expect(ctx.mailer.sent.map(m => m.to).sort()).toEqual([donor, "second@example.com"]);
+    expect(ctx.mailer.sent[0].text).toContain("Luna's surgery went well!");
+  });
+
+  it("stores attached photos", async () => {
+    const campaign = await createCampaign(ctx.db);
+
+    const res = await postUpdate(campaign, "New pictures", { photos: [await jpeg(), await jpeg()] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.photos).toHaveLength(2);
+    const key = res.body.photos[0].sizes.medium.key;
+    expect(key).toMatch(new RegExp(`^campaigns/${campaign._id}/updates/${res.body._id}/`));
+    expect(fs.existsSync(path.join(ctx.uploadsDir, key))).toBe(true);
+  });
+
+  it("keeps the email queued for a retry when the mailer fails", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await createDonation(ctx.db, { donationId: campaign._id, donorEmail: donor });
+    const send = jest.spyOn(ctx.mailer, "send").mockRejectedValueOnce(new Error("SMTP down"));
+
+    const res = await postUpdate(campaign, "Update");
+    await ctx.deliverEmails();
+    send.mockRestore();
+
+    expect(res.status).toBe(201);
+    expect(await ctx.db.collection("notifications").countDocuments({ email: donor })).toBe(1);
+    expect(await ctx.db.collection("emailQueue").findOne({ to: donor })).toMatchObject({
+      status: "queued",
+      attempts: 1,
+      lastError: "SMTP down",
+    });
+  });
+
+  it("is for the campaign owner only and needs text", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const draft = await createCampaign(ctx.db, { status: "draft" });
+
+    expect((await postUpdate(campaign, "Hi", { email: donor })).status).toBe(403);
+    expect((await postUpdate(campaign, "")).status).toBe(400);
+    expect((await postUpdate(draft, "Too early")).status).toBe(409);
+    expect(await ctx.db.collection("campaignUpdates").countDocuments()).toBe(0);
+  });
+});
+
+describe("GET /donation-campaigns/:id/updates", () => {
+  it("shows the public timeline, newest first", async () => {
+    const campaign = await createCampaign(ctx.db);
+    await postUpdate(campaign, "First");
+    await postUpdate(campaign, "Second");
+    await postUpdate(campaign, "Third");
+
+    const res = await request(ctx.app).get(`/donation-campaigns/${campaign._id}/updates?limit=2`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.updates.map(u => u.text)).toEqual(["Third", "Second"]);
+    expect(res.body).toMatchObject({ total: 3, page: 1, totalPages: 2 });
+  });
+
+  it("404s for drafts and unknown campaigns", async () => {
+    const draft = await createCampaign(ctx.db, { status: "draft" });
+
+    expect((await request(ctx.app).get(`/donation-campaigns/${draft._id}/updates`)).status).toBe(404);
+    expect((await request(ctx.app).get("/donation-campaigns/64b000000000000000000000/updates")).status).toBe(404);
+  });
+});
+
+describe("DELETE /donation-campaigns/:id/updates/:updateId", () => {
+  it("removes the update and its photos", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const { body: update } = await postUpdate(campaign, "Oops", { photos: [await jpeg()] });
+
+    const res = await request(ctx.app)
+      .delete(`/donation-campaigns/${campaign._id}/updates/${update._id}`)
+      .set("Authorization", await tokenFor(owner));
+
+    expect(res.status).toBe(200);
+    expect(await ctx.db.collection("campaignUpdates").countDocuments()).toBe(0);
+    expect(fs.existsSync(path.join(ctx.uploadsDir, update.photos[0].sizes.medium.key))).toBe(false);
+  });
+
+  it("404s for updates of another campaign", async () => {
+    const campaign = await createCampaign(ctx.db);
+    const other = await createCampaign(ctx.db);
+    const { body: update } = await postUpdate(other, "Elsewhere");
+
+    const res = await request(ctx.app)
+      .delete(`/donation-campaigns/${campaign._id}/updates/${update._id}`)
+      .set("Authorization", await tokenFor(owner));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("notifications", () => {
+  async function notifyDonor(count) {
+    const campaign = await createCampaign(ctx.db);
+    await createDonation(ctx.db, { donationId: campaign._id, donorEmail: donor });
+    for (let i = 1; i <= count; i++) await postUpdate(campaign, `Update ${i}`);
+  }
+
+  it("lists the caller's notifications with the unread count", async () => {
+    await notifyDonor(2);
+    await createUser(ctx.db, { email: "someone@example.com" });
+
+    const res = await request(ctx.app).get("/notifications").set("Authorization", await tokenFor(donor));
+
+    expect(res.status).toBe(200);
+    expect(res.body.notifications).toHaveLength(2);
+    expect(res.body.unreadCount).toBe(2);
+
+    const other = await request(ctx.app).get("/notifications").set("Authorization", await tokenFor("someone@example.com"));
+    expect(other.body.notifications).toHaveLength(0);
+  });
+
+  it("marks notifications read, one or all", async () => {
+    await notifyDonor(3);
+    const auth = await tokenFor(donor);
+    const { body } = await request(ctx.app).get("/notifications").set("Authorization", auth);
+
+    const one = await request(ctx.app).patch(`/notifications/${body.notifications[0]._id}/read`).set("Authorization", auth);
+    expect(one.status).toBe(200);
+    expect(one.body.readAt).toBeTruthy();
+
+    const unread = await request(ctx.app).get("/notifications?unread=true").set("Authorization", auth);
+    expect(unread.body.notifications).toHaveLength(2);
+    expect(unread.body.unreadCount).toBe(2);
+
+    const all = await request(ctx.app).post("/notifications/read-all").set("Authorization", auth);
+    expect(all.body.updated).toBe(2);
+    expect((await request(ctx.app).get("/notifications").set("Authorization", auth)).body.unreadCount).toBe(0);
+  });
+
+  it("hides other people's notifications", async () => {
+    await notifyDonor(1);
+    const notification = await ctx.db.collection("notifications").findOne({});
+
+    const res = await request(ctx.app)
+      .patch(`/notifications/${notification._id}/read`)
+      .set("Authorization", await tokenFor("someone@example.com"));
+
+    expect(res.status).toBe(404);
+    expect((await request(ctx.app).get("/notifications")).status).toBe(401);
+  });
+});
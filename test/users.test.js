@@ -0,0 +1,412 @@
+const request = require("supertest");
+const { setupTestApp, tokenFor, idTokenFor, createUser } = require("./helpers");
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await setupTestApp();
+});
+
+afterEach(() => ctx.reset());
+
+afterAll(() => ctx.close());
+
+describe("GET /", () => {
+  it("reports that the server is running", async () => {
+    const res = await request(ctx.app).get("/");
+    expect(res.status).toBe(200);
+    expect(res.text).toBe("Pet Haven Server is running...");
+  });
+});
+
+describe("POST /users", () => {
+  it("saves a new user with the user role", async () => {
+    const res = await request(ctx.app)
+      .post("/users")
+      .send({ email: "new@example.com", name: "New", photoURL: "https://example.com/a.png" });
+
+    expect(res.status).toBe(200);
+    const saved = await ctx.db.collection("users").findOne({ email: "new@example.com" });
+    expect(saved).toMatchObject({ name: "New", role: "user" });
+  });
+
+  it("does not duplicate an existing user", async () => {
+    await createUser(ctx.db, { email: "dup@example.com" });
+
+    const res = await request(ctx.app).post("/users").send({ email: "dup@example.com" });
+
+    expect(res.body).toEqual({ message: "User already exists" });
+    expect(await ctx.db.collection("users").countDocuments()).toBe(1);
+  });
+
+  it("stores a hash instead of the password", async () => {
+    await request(ctx.app).post("/users").send({ email: "pw@example.com", password: "correct horse" });
+
+    const saved = await ctx.db.collection("users").findOne({ email: "pw@example.com" });
+    expect(saved.password).toBeUndefined();
+    expect(saved.passwordHash).toMatch(/^scrypt\$/);
+    expect(saved.emailVerified).toBe(false);
+  });
+
+  it("rejects a missing email and server-only fields", async () => {
+    const res = await request(ctx.app).post("/users").send({ name: "X", role: "admin" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      { field: "email", message: "is required" },
+      { field: "role", message: "cannot be set by the client" },
+    ]));
+  });
+});
+
+describe("GET /users/:email", () => {
+  it("returns the user", async () => {
+    await createUser(ctx.db, { email: "me@example.com", passwordHash: "scrypt$salt$hash" });
+
+    const res = await request(ctx.app)
+      .get("/users/ME@example.com")
+      .set("Authorization", await tokenFor("me@example.com"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.email).toBe("me@example.com");
+    expect(res.body.passwordHash).toBeUndefined();
+  });
+
+  it("returns 404 for an unknown user", async () => {
+    const res = await request(ctx.app)
+      .get("/users/nobody@example.com")
+      .set("Authorization", await tokenFor("me@example.com"));
+
+    expect(res.status).toBe(404);
+  });
+
+  it("requires a token", async () => {
+    const res = await request(ctx.app).get("/users/me@example.com");
+    expect(res.status).toBe(401);
+  });
+
+  it("rejects an invalid token", async () => {
+    const res = await request(ctx.app)
+      .get("/users/me@example.com")
+      .set("Authorization", "Bearer not-a-token");
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("admin user management", () => {
+  let admin;
+  let user;
+
+  beforeEach(async () => {
+    admin = await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+    user = await createUser(ctx.db, { email: "user@example.com" });
+  });
+
+  it("lists users for admins only", async () => {
+    const ok = await request(ctx.app).get("/users").set("Authorization", await tokenFor(admin.email));
+    expect(ok.status).toBe(200);
+    expect(ok.body.users).toHaveLength(2);
+    expect(ok.body.total).toBe(2);
+
+    const forbidden = await request(ctx.app).get("/users").set("Authorization", await tokenFor(user.email));
+    expect(forbidden.status).toBe(403);
+
+    const anonymous = await request(ctx.app).get("/users");
+    expect(anonymous.status).toBe(401);
+  });
+
+  it("makes a user admin", async () => {
+    const res = await request(ctx.app)
+      .patch(`/users/make-admin/${user._id}`)
+      .set("Authorization", await tokenFor(admin.email));
+
+    expect(res.status).toBe(200);
+    expect((await ctx.db.collection("users").findOne({ _id: user._id })).role).toBe("admin");
+  });
+
+  it("bans a user", async () => {
+    const res = await request(ctx.app)
+      .patch(`/users/ban/${user._id}`)
+      .set("Authorization", await tokenFor(admin.email));
+
+    expect(res.status).toBe(200);
+    const stored = await ctx.db.collection("users").findOne({ _id: user._id });
+    expect(stored.banned).toBe(true);
+    // No reason or end date is stored as missing, not null
+    expect(stored).not.toHaveProperty("banReason");
+    expect(stored).not.toHaveProperty("bannedUntil");
+  });
+
+  it("clears the reason and end date of an earlier suspension when banning again", async () => {
+    const auth = await tokenFor(admin.email);
+    await request(ctx.app).patch(`/users/ban/${user._id}`).set("Authorization", auth).send({ reason: "Spam", until: "2099-01-01" });
+    await request(ctx.app).patch(`/users/ban/${user._id}`).set("Authorization", auth).send({});
+
+    const stored = await ctx.db.collection("users").findOne({ _id: user._id });
+    expect(stored.banned).toBe(true);
+    expect(stored).not.toHaveProperty("banReason");
+    expect(stored).not.toHaveProperty("bannedUntil");
+  });
+
+  it("ends the banned user's live sessions", async () => {
+    const userAuth = await tokenFor(user.email);
+    expect((await request(ctx.app).get("/protected").set("Authorization", userAuth)).status).toBe(200);
+
+    await request(ctx.app)
+      .patch(`/users/ban/${user._id}`)
+      .set("Authorization", await tokenFor(admin.email));
+
+    expect((await request(ctx.app).get("/protected").set("Authorization", userAuth)).status).toBe(401);
+  });
+
+  it("returns 404 for unknown users", async () => {
+    const missing = "64b000000000000000000000";
+
+    const promote = await request(ctx.app)
+      .patch(`/users/make-admin/${missing}`)
+      .set("Authorization", await tokenFor(admin.email));
+    const ban = await request(ctx.app)
+      .patch(`/users/ban/${missing}`)
+      .set("Authorization", await tokenFor(admin.email));
+
+    expect(promote.status).toBe(404);
+    expect(ban.status).toBe(404);
+  });
+
+  it("forbids non-admins", async () => {
+    const res = await request(ctx.app)
+      .patch(`/users/ban/${admin._id}`)
+      .set("Authorization", await tokenFor(user.email));
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("user search", () => {
+  beforeEach(async () => {
+    await createUser(ctx.db, { email: "admin@example.com", role: "admin", name: "Root" });
+    await createUser(ctx.db, { email: "mod@example.com", role: "moderator", name: "Mia" });
+    await createUser(ctx.db, { email: "alice@example.com", name: "Alice" });
+    await createUser(ctx.db, { email: "bob@example.com", name: "Bob", banned: true });
+    await createUser(ctx.db, { email: "carol@example.com", name: "Carol", banned: true, bannedUntil: new Date(Date.now() - 1000) });
+  });
+
+  const list = async query =>
+    (await request(ctx.app).get("/users").query(query).set("Authorization", await tokenFor("mod@example.com"))).body;
+
+  it("searches by email or name", async () => {
+    expect((await list({ search: "ali" })).users.map(u => u.email)).toEqual(["alice@example.com"]);
+    expect((await list({ search: "mIA" })).users.map(u => u.email)).toEqual(["mod@example.com"]);
+    expect((await list({ search: ".*" })).total).toBe(0);
+  });
+
+  it("filters by role and by active bans", async () => {
+    expect((await list({ role: "moderator" })).users.map(u => u.email)).toEqual(["mod@example.com"]);
+    expect((await list({ role: "user" })).total).toBe(3);
+    expect((await list({ banned: "true" })).users.map(u => u.email)).toEqual(["bob@example.com"]);
+    // An expired suspension no longer counts as banned
+    expect((await list({ banned: "false" })).total).toBe(4);
+  });
+
+  it("paginates newest first", async () => {
+    const page = await list({ page: 2, limit: 2 });
+
+    expect(page).toMatchObject({ total: 5, page: 2, totalPages: 3 });
+    expect(page.users.map(u => u.email)).toEqual(["alice@example.com", "mod@example.com"]);
+  });
+});
+
+describe("roles and bans", () => {
+  let admin;
+  let moderator;
+  let user;
+
+  beforeEach(async () => {
+    admin = await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+    moderator = await createUser(ctx.db, { email: "mod@example.com", role: "moderator" });
+    user = await createUser(ctx.db, { email: "user@example.com" });
+  });
+
+  const findUser = _id => ctx.db.collection("users").findOne({ _id });
+
+  it("promotes and demotes through the role endpoint", async () => {
+    const promote = await request(ctx.app)
+      .patch(`/users/${user._id}/role`)
+      .set("Authorization", await tokenFor(admin.email))
+      .send({ role: "moderator" });
+    expect(promote.status).toBe(200);
+    expect((await findUser(user._id)).role).toBe("moderator");
+
+    const demote = await request(ctx.app)
+      .patch(`/users/${moderator._id}/role`)
+      .set("Authorization", await tokenFor(admin.email))
+      .send({ role: "user" });
+    expect(demote.status).toBe(200);
+    expect((await findUser(moderator._id)).role).toBe("user");
+
+    const invalid = await request(ctx.app)
+      .patch(`/users/${user._id}/role`)
+      .set("Authorization", await tokenFor(admin.email))
+      .send({ role: "owner" });
+    expect(invalid.status).toBe(400);
+  });
+
+  it("stops admins from demoting or banning themselves", async () => {
+    const demote = await request(ctx.app)
+      .patch(`/users/${admin._id}/role`)
+      .set("Authorization", await tokenFor(admin.email))
+      .send({ role: "user" });
+    const ban = await request(ctx.app)
+      .patch(`/users/ban/${admin._id}`)
+      .set("Authorization", await tokenFor(admin.email));
+
+    expect(demote.status).toBe(403);
+    expect(ban.status).toBe(403);
+    expect(await findUser(admin._id)).toMatchObject({ role: "admin" });
+    expect((await findUser(admin._id)).banned).toBeUndefined();
+  });
+
+  it("lets moderators ban plain users only", async () => {
+    const ok = await request(ctx.app)
+      .patch(`/users/ban/${user._id}`)
+      .set("Authorization", await tokenFor(moderator.email))
+      .send({ reason: "Spam" });
+    expect(ok.status).toBe(200);
+    expect(await findUser(user._id)).toMatchObject({ banned: true, banReason: "Spam", bannedBy: moderator.email });
+
+    const admins = await request(ctx.app)
+      .patch(`/users/ban/${admin._id}`)
+      .set("Authorization", await tokenFor(moderator.email));
+    expect(admins.status).toBe(403);
+
+    const roles = await request(ctx.app)
+      .patch(`/users/${user._id}/role`)
+      .set("Authorization", await tokenFor(moderator.email))
+      .send({ role: "moderator" });
+    expect(roles.status).toBe(403);
+  });
+
+  it("suspends until a date and lets the user back in afterwards", async () => {
+    const until = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    await request(ctx.app)
+      .patch(`/users/ban/${user._id}`)
+      .set("Authorization", await tokenFor(moderator.email))
+      .send({ reason: "Cool off", until: until.toISOString() });
+
+    const blocked = await request(ctx.app).post("/jwt").send({ idToken: idTokenFor(user.email) });
+    expect(blocked.status).toBe(403);
+    expect(blocked.body).toEqual({ message: "User is suspended", bannedUntil: until.toISOString(), reason: "Cool off" });
+
+    await ctx.db.collection("users").updateOne({ _id: user._id }, { $set: { bannedUntil: new Date(Date.now() - 1000) } });
+
+    const allowed = await request(ctx.app).post("/jwt").send({ idToken: idTokenFor(user.email) });
+    expect(allowed.status).toBe(200);
+  });
+
+  it("rejects a suspension end date in the past", async () => {
+    const res = await request(ctx.app)
+      .patch(`/users/ban/${user._id}`)
+      .set("Authorization", await tokenFor(admin.email))
+      .send({ until: "2020-01-01" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([{ field: "until", message: "must be in the future" }]);
+    expect((await findUser(user._id)).banned).toBeUndefined();
+  });
+
+  it("unbans a user", async () => {
+    await request(ctx.app)
+      .patch(`/users/ban/${user._id}`)
+      .set("Authorization", await tokenFor(admin.email));
+
+    const res = await request(ctx.app)
+      .patch(`/users/unban/${user._id}`)
+      .set("Authorization", await tokenFor(moderator.email));
+
+    expect(res.body).toEqual({ success: true, modifiedCount: 1 });
+    const saved = await findUser(user._id);
+    expect(saved.banned).toBe(false);
+    expect(saved.banReason).toBeUndefined();
+
+    const login = await request(ctx.app).post("/jwt").send({ idToken: idTokenFor(user.email) });
+    expect(login.status).toBe(200);
+  });
+});
+
+describe("GET /admin/audit-log", () => {
+  let admin;
+  let user;
+
+  beforeEach(async () => {
+    admin = await createUser(ctx.db, { email: "admin@example.com", role: "admin" });
+    user = await createUser(ctx.db, { email: "user@example.com" });
+  });
+
+  it("records every privileged action", async () => {
+    const adminAuth = await tokenFor(admin.email);
+    await request(ctx.app).patch(`/users/ban/${user._id}`).set("Authorization", adminAuth).send({ reason: "Spam" });
+    await request(ctx.app).patch(`/users/unban/${user._id}`).set("Authorization", adminAuth);
+    await request(ctx.app).patch(`/users/make-admin/${user._id}`).set("Authorization", adminAuth);
+
+    const res = await request(ctx.app).get("/admin/audit-log").set("Authorization", adminAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(3);
+    expect(res.body.entries.map(entry => entry.action)).toEqual(["user.role_changed", "user.unbanned", "user.banned"]);
+    expect(res.body.entries[2]).toMatchObject({
+      actorEmail: admin.email,
+      targetType: "user",
+      targetId: user._id.toString(),
+      details: { email: user.email, reason: "Spam", until: null },
+    });
+    expect(res.body.entries[0].details).toEqual({ email: user.email, from: "user", to: "admin" });
+  });
+
+  it("filters by action and target", async () => {
+    const other = await createUser(ctx.db, { email: "other@example.com" });
+    const adminAuth = await tokenFor(admin.email);
+    await request(ctx.app).patch(`/users/ban/${user._id}`).set("Authorization", adminAuth);
+    await request(ctx.app).patch(`/users/ban/${other._id}`).set("Authorization", adminAuth);
+    await request(ctx.app).patch(`/users/unban/${other._id}`).set("Authorization", adminAuth);
+
+    const byAction = await request(ctx.app)
+      .get("/admin/audit-log")
+      .query({ action: "user.banned" })
+      .set("Authorization", adminAuth);
+    const byTarget = await request(ctx.app)
+      .get("/admin/audit-log")
+      .query({ targetId: other._id.toString() })
+      .set("Authorization", adminAuth);
+
+    expect(byAction.body.total).toBe(2);
+    expect(byTarget.body.entries.map(entry => entry.action)).toEqual(["user.unbanned", "user.banned"]);
+  });
+
+  it("is admin only", async () => {
+    await createUser(ctx.db, { email: "mod@example.com", role: "moderator" });
+
+    const res = await request(ctx.app).get("/admin/audit-log").set("Authorization", await tokenFor("mod@example.com"));
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("GET /protected", () => {
+  it("echoes the token payload", async () => {
+    const res = await request(ctx.app).get("/protected").set("Authorization", await tokenFor("me@example.com"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe("me@example.com");
+  });
+
+  it("requires a token", async () => {
+    const res = await request(ctx.app).get("/protected");
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("unknown routes", () => {
+  it("answer with a JSON 404", async () => {
+    const res = await request(ctx.app).get("/does-not-exist");
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: "Not found" });
+  });
+});